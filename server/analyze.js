@@ -0,0 +1,257 @@
+// analyze.js
+// Runs one resume analysis against the configured provider. Holds the
+// upstream retry logic that used to live in the browser.
+import { analysisSchema } from '../src/utils/analysisSchema.js';
+import { validateAnalysis } from '../src/utils/analysisValidator.js';
+import { buildAnalysisPrompt, buildRepairPrompt } from '../src/utils/prompt.js';
+import { normalizeRequirements } from '../src/utils/jobParser.js';
+import { getProvider } from './providers/index.js';
+import { parseJSONText } from './providers/shared.js';
+import { isProviderConfigured } from './config.js';
+import { readStreamEvents } from './stream.js';
+
+export const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Exponential backoff retry handler. Client errors (4xx other than 429)
+// are not retried since repeating them cannot succeed, and nothing is
+// retried once `signal` (the browser's request) has been aborted.
+// Resolves to the successful response.
+const fetchWithRetry = async (fetchImpl, url, options, { retries = 3, timeoutMs, signal }) => {
+  for (let i = 0; i < retries; i++) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    try {
+      const response = await fetchImpl(url, {
+        ...options,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+      if (!response.ok) {
+        const error = httpError(502, `Model provider returned HTTP ${response.status}`);
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+      }
+      return response;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      const retryable = error.retryable !== false;
+      if (retryable && i < retries - 1) {
+        const delay = Math.pow(2, i) * 1000;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      } else {
+        throw error.status ? error : httpError(502, `Model provider unreachable: ${error.message}`);
+      }
+    }
+  }
+};
+
+/**
+ * The provider adapter and model for a request, falling back to the
+ * server's defaults. Throws an error with `status` 400 for a bad model
+ * name or a provider the server can't use.
+ */
+export const resolveProvider = (providerId, model, config) => {
+  if (model !== undefined && (typeof model !== 'string' || !/^[\w.:/-]{1,100}$/.test(model))) {
+    throw httpError(400, 'Invalid model name.');
+  }
+
+  const id = providerId || config.defaultProvider;
+  const provider = getProvider(id);
+  if (!provider || !isProviderConfigured(config, id)) {
+    throw httpError(400, `Provider "${id}" is not configured on the server.`);
+  }
+
+  return { provider, model: model || config.providers[id].model || provider.defaultModel };
+};
+
+/**
+ * Checks the `resumeText` and `jobDescription` of a request body against
+ * the configured limits; shared by every route that takes both. Throws an
+ * error with `status` 400 for bad input.
+ * @returns {{ resumeText: string, jobDescription: string }}
+ */
+export const validateTexts = (body, config) => {
+  const { resumeText, jobDescription } = body || {};
+  const { maxResumeChars, maxJobDescriptionChars } = config.limits;
+
+  if (typeof resumeText !== 'string' || !resumeText.trim()) {
+    throw httpError(400, 'resumeText is required.');
+  }
+  if (typeof jobDescription !== 'string' || !jobDescription.trim()) {
+    throw httpError(400, 'jobDescription is required.');
+  }
+  if (resumeText.length > maxResumeChars) {
+    throw httpError(400, `Resume is too long (max ${maxResumeChars} characters).`);
+  }
+  if (jobDescription.length > maxJobDescriptionChars) {
+    throw httpError(400, `Job description is too long (max ${maxJobDescriptionChars} characters).`);
+  }
+  return { resumeText, jobDescription };
+};
+
+/**
+ * Validates the request body and returns the provider/model to use.
+ * Optional `requirements` (reviewed JobRequirements) are normalized.
+ * Throws an error with `status` 400 for bad input.
+ */
+export const validateAnalyzeRequest = (body, config) => {
+  const { provider: providerId, model, requirements } = body || {};
+  const texts = validateTexts(body, config);
+
+  const hasRequirements = requirements !== undefined && requirements !== null;
+  if (hasRequirements && (typeof requirements !== 'object' || Array.isArray(requirements))) {
+    throw httpError(400, 'Invalid requirements.');
+  }
+
+  return {
+    ...resolveProvider(providerId, model, config),
+    ...texts,
+    requirements: hasRequirements ? normalizeRequirements(requirements) : null,
+  };
+};
+
+// The first reply plus one re-prompt carrying the validation errors.
+const MAX_ATTEMPTS = 2;
+
+// Parses and validates one model reply. `reply` is the text quoted back to
+// the model if it has to be re-prompted.
+const checkReply = (parse, replyText = '') => {
+  let raw;
+  try {
+    raw = parse();
+  } catch (e) {
+    return { analysis: null, errors: [`response was not valid JSON (${e.message})`], reply: replyText };
+  }
+  return { ...validateAnalysis(raw), reply: replyText || JSON.stringify(raw) };
+};
+
+// Runs `send(prompt)` until the reply validates, re-prompting once with
+// the errors. `onRepair(errors)` is called before the re-prompt.
+const analyzeWithRepair = async (request, send, onRepair) => {
+  const prompt = buildAnalysisPrompt(request.resumeText, request.jobDescription, request.requirements);
+  let attemptPrompt = prompt;
+
+  for (let attempt = 1; ; attempt++) {
+    const { analysis, errors, reply } = await send(attemptPrompt);
+    if (!errors.length) {
+      return { analysis, provider: request.provider.id, model: request.model };
+    }
+    if (attempt >= MAX_ATTEMPTS) {
+      throw httpError(502, `Model returned an invalid analysis: ${errors.join('; ')}`);
+    }
+    console.warn(`Re-prompting ${request.provider.id} after invalid analysis:`, errors);
+    onRepair?.(errors);
+    attemptPrompt = buildRepairPrompt(prompt, reply || '(no reply)', errors);
+  }
+};
+
+const buildProviderRequest = ({ provider, model }, config, prompt, stream, schema = analysisSchema, schemaName) =>
+  provider.buildRequest({
+    prompt,
+    schema,
+    schemaName,
+    ...config.providers[provider.id],
+    model,
+    stream,
+  });
+
+/**
+ * Sends one prompt with its own response schema and returns the parsed
+ * JSON reply, for requests other than the analysis (bullet rewrites,
+ * cover letters, interview prep). `label` names the request in errors
+ * and, as "cover_letter" etc., the response schema. Aborting `signal`
+ * cancels the upstream request. Local providers are handled by the caller.
+ */
+export const requestStructured = async (request, config, fetchImpl, { prompt, schema, label, signal }) => {
+  const schemaName = label.replace(/[^a-z0-9]+/gi, '_');
+  const { url, options } = buildProviderRequest(request, config, prompt, false, schema, schemaName);
+  const response = await fetchWithRetry(fetchImpl, url, options, {
+    timeoutMs: config.upstreamTimeoutMs,
+    signal,
+  });
+  try {
+    return request.provider.parseResponse(await response.json());
+  } catch (e) {
+    throw httpError(502, `Model returned an invalid ${label}: ${e.message}`);
+  }
+};
+
+// Local providers answer directly and deterministically, so there is
+// nothing to re-prompt.
+const runLocalProvider = async ({ provider, model, resumeText, jobDescription, requirements }) => {
+  const { analysis, errors } = validateAnalysis(
+    await provider.generate({ resumeText, jobDescription, requirements, model })
+  );
+  if (errors.length) {
+    throw httpError(502, `Model returned an invalid analysis: ${errors.join('; ')}`);
+  }
+  return { analysis, provider: provider.id, model };
+};
+
+/**
+ * Sends the analysis prompt to the provider and returns
+ * `{ analysis, provider, model }`, where `analysis` has passed
+ * validateAnalysis. Aborting `signal` cancels the upstream request.
+ */
+export const runAnalysis = async (request, config, fetchImpl = fetch, signal) => {
+  const { provider } = request;
+  if (provider.generate) return runLocalProvider(request);
+
+  return analyzeWithRepair(request, async (prompt) => {
+    const { url, options } = buildProviderRequest(request, config, prompt, false);
+    const response = await fetchWithRetry(fetchImpl, url, options, {
+      timeoutMs: config.upstreamTimeoutMs,
+      signal,
+    });
+    const json = await response.json();
+    return checkReply(() => provider.parseResponse(json));
+  });
+};
+
+/**
+ * Streaming variant of runAnalysis. Calls `onDelta(text)` with each piece
+ * of the model's JSON reply as it arrives and resolves to the same
+ * `{ analysis, provider, model }` once the reply is complete. If the reply
+ * has to be re-prompted, `onRepair(errors)` is called first and the
+ * deltas that follow belong to a new reply. Aborting `signal` cancels the
+ * upstream request.
+ */
+export const streamAnalysis = async (request, config, { fetchImpl = fetch, signal, onDelta, onRepair }) => {
+  const { provider } = request;
+  if (provider.generate) {
+    // Local providers answer in one piece; send it as a single delta.
+    const result = await runLocalProvider(request);
+    onDelta(JSON.stringify(result.analysis));
+    return result;
+  }
+
+  return analyzeWithRepair(
+    request,
+    async (prompt) => {
+      const { url, options } = buildProviderRequest(request, config, prompt, true);
+      const response = await fetchWithRetry(fetchImpl, url, options, {
+        timeoutMs: config.upstreamTimeoutMs,
+        signal,
+      });
+
+      let text = '';
+      try {
+        for await (const event of readStreamEvents(response.body, provider.streamFormat)) {
+          const delta = provider.parseStreamChunk(event);
+          if (delta) {
+            text += delta;
+            onDelta(delta);
+          }
+        }
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        throw httpError(502, `Model stream failed: ${e.message}`);
+      }
+
+      return checkReply(() => parseJSONText(text), text);
+    },
+    onRepair
+  );
+};
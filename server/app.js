@@ -0,0 +1,122 @@
+// app.js
+// Express app for the analysis proxy. Exported as a factory so it can be
+// started by index.js or mounted in tests with a custom config / fetch.
+import express from 'express';
+import { PROVIDERS } from './providers/index.js';
+import { isProviderConfigured } from './config.js';
+import { createRateLimiter } from './rateLimit.js';
+import { runAnalysis, streamAnalysis, validateAnalyzeRequest } from './analyze.js';
+import { runRewrite, validateRewriteRequest } from './rewrite.js';
+import { runCoverLetter, validateCoverLetterRequest } from './coverLetter.js';
+import { runFeedback, runQuestions, validateFeedbackRequest, validateQuestionsRequest } from './interviewPrep.js';
+
+// Aborted when the browser closes the connection before the reply (its
+// Cancel button), so the model call and its retries stop too.
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
+export const createApp = (config, { fetchImpl = fetch } = {}) => {
+  const app = express();
+  // One budget shared by the analyze, rewrite, cover letter and interview routes.
+  const limitAnalyses = createRateLimiter(config.rateLimit);
+
+  // A JSON route: `validate(body, config)` the request, then reply with
+  // `run(request, config, fetchImpl, signal)`.
+  const jsonRoute = (validate, run) => async (req, res, next) => {
+    const signal = abortOnClose(res);
+    try {
+      const request = validate(req.body, config);
+      res.json(await run(request, config, fetchImpl, signal));
+    } catch (error) {
+      if (!signal.aborted) next(error);
+    }
+  };
+
+  app.set('trust proxy', 'loopback');
+  app.use(express.json({ limit: config.limits.maxBodyBytes }));
+
+  // Lets the settings panel show only providers the server can actually use.
+  app.get('/api/providers', (req, res) => {
+    res.json({
+      defaultProvider: config.defaultProvider,
+      providers: Object.values(PROVIDERS)
+        .filter((provider) => isProviderConfigured(config, provider.id))
+        .map((provider) => ({
+          id: provider.id,
+          label: provider.label,
+          defaultModel: config.providers[provider.id].model || provider.defaultModel,
+        })),
+    });
+  });
+
+  app.post('/api/analyze', limitAnalyses, jsonRoute(validateAnalyzeRequest, runAnalysis));
+
+  // Streams the analysis as newline-delimited JSON events:
+  //   { type: 'delta', text }                        raw model output
+  //   { type: 'repair', errors }                     reply failed validation; the
+  //                                                  model is re-prompted and the
+  //                                                  deltas start over
+  //   { type: 'result', analysis, provider, model }  final, validated
+  //   { type: 'error', error }
+  // Input errors are reported before the stream starts, as plain JSON.
+  app.post('/api/analyze/stream', limitAnalyses, async (req, res, next) => {
+    let request;
+    try {
+      request = validateAnalyzeRequest(req.body, config);
+    } catch (error) {
+      return next(error);
+    }
+
+    const signal = abortOnClose(res);
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+    try {
+      const result = await streamAnalysis(request, config, {
+        fetchImpl,
+        signal,
+        onDelta: (text) => send({ type: 'delta', text }),
+        onRepair: (errors) => send({ type: 'repair', errors }),
+      });
+      send({ type: 'result', ...result });
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('Analysis stream error:', error);
+      send({ type: 'error', error: error.message || 'Internal server error' });
+    }
+    res.end();
+  });
+
+  // Rewrites one resume bullet: { variants, provider, model }
+  app.post('/api/rewrite', limitAnalyses, jsonRoute(validateRewriteRequest, runRewrite));
+
+  // Drafts a cover letter, or one paragraph of it: { letter, provider, model }
+  app.post('/api/cover-letter', limitAnalyses, jsonRoute(validateCoverLetterRequest, runCoverLetter));
+
+  // Likely interview questions for the job: { questions, provider, model }
+  app.post('/api/interview/questions', limitAnalyses, jsonRoute(validateQuestionsRequest, runQuestions));
+
+  // Feedback on a practice answer: { feedback, provider, model }
+  app.post('/api/interview/feedback', limitAnalyses, jsonRoute(validateFeedbackRequest, runFeedback));
+
+  // Express recognizes error handlers by their four arguments.
+  app.use((error, req, res, _next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) console.error('Analysis proxy error:', error);
+    res.status(status).json({
+      error: status === 413 ? 'Request is too large.' : error.message || 'Internal server error',
+    });
+  });
+
+  return app;
+};
@@ -0,0 +1,303 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from './app.js';
+import { readConfig } from './config.js';
+import mockProvider from './providers/mock.js';
+
+const RESUME = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Senior Engineer
+Acme Corp | Jan 2019 – Present
+• Built React dashboards for 10k users
+• Worked on Node.js APIs
+
+SKILLS
+React, Node.js, JavaScript`;
+
+const JOB = `Senior Frontend Engineer
+Requirements:
+- 5+ years of React
+- TypeScript and GraphQL
+Nice to have:
+- Kubernetes`;
+
+// The server logs upstream failures; keep them out of the test output.
+beforeEach(() => {
+  mock.method(console, 'error', () => {});
+  mock.method(console, 'warn', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+// The app on a free port; `run(base)` gets its URL and the server is
+// closed afterwards.
+const withServer = async (env, run, options) => {
+  const server = createApp(readConfig({ RATE_LIMIT_MAX: '100', ...env }), options).listen(0);
+  try {
+    await run(`http://localhost:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+};
+
+const post = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return { status: response.status, text: await response.text() };
+};
+
+const events = (text) =>
+  text
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+
+// An OpenAI-compatible upstream that returns `replies` in order, plain or
+// as Server-Sent Events for streamed requests
+const fakeUpstream = (replies) => {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    const body = JSON.parse(options.body);
+    calls.push(body);
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Response) return reply;
+    if (!body.stream) return Response.json({ choices: [{ message: { content: reply } }] });
+    const chunks = [reply.slice(0, 10), reply.slice(10)].map(
+      (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`
+    );
+    return new Response(`${chunks.join('')}data: [DONE]\n\n`);
+  };
+  return { fetchImpl, calls };
+};
+
+const OPENAI = { LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'test-key' };
+const validReply = async () => JSON.stringify(await mockProvider.generate({ resumeText: RESUME, jobDescription: JOB }));
+const invalidReply = JSON.stringify({ matchPercentage: 'high', summary: 'Looks good' });
+
+test('POST /api/analyze returns a validated analysis from the mock provider', () =>
+  withServer({ LLM_PROVIDER: 'mock' }, async (base) => {
+    const { status, text } = await post(`${base}/api/analyze`, { resumeText: RESUME, jobDescription: JOB });
+    const body = JSON.parse(text);
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, 'mock');
+    assert.ok(body.analysis.matchPercentage >= 0 && body.analysis.matchPercentage <= 100);
+    assert.ok(body.analysis.missingKeywords.includes('TypeScript'));
+  }));
+
+test('POST /api/analyze/stream sends deltas and then the result', () =>
+  withServer({ LLM_PROVIDER: 'mock' }, async (base) => {
+    const { status, text } = await post(`${base}/api/analyze/stream`, { resumeText: RESUME, jobDescription: JOB });
+    const sent = events(text);
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      sent.map((event) => event.type),
+      ['delta', 'result']
+    );
+    assert.deepEqual(JSON.parse(sent[0].text), sent[1].analysis);
+  }));
+
+test('an invalid reply is re-prompted once with its errors', async () => {
+  const upstream = fakeUpstream([invalidReply, await validReply()]);
+  await withServer(
+    OPENAI,
+    async (base) => {
+      const { status, text } = await post(`${base}/api/analyze`, { resumeText: RESUME, jobDescription: JOB });
+
+      assert.equal(status, 200);
+      assert.equal(JSON.parse(text).provider, 'openai');
+      assert.equal(upstream.calls.length, 2);
+      const repairPrompt = upstream.calls[1].messages.at(-1).content;
+      assert.ok(repairPrompt.includes('YOUR PREVIOUS RESPONSE:'));
+      assert.ok(repairPrompt.includes(invalidReply));
+    },
+    { fetchImpl: upstream.fetchImpl }
+  );
+});
+
+test('the stream reports the repair and starts the deltas over', async () => {
+  const upstream = fakeUpstream([invalidReply, await validReply()]);
+  await withServer(
+    OPENAI,
+    async (base) => {
+      const sent = events((await post(`${base}/api/analyze/stream`, { resumeText: RESUME, jobDescription: JOB })).text);
+      const types = sent.map((event) => event.type);
+      const repairAt = types.indexOf('repair');
+
+      assert.ok(repairAt > 0);
+      assert.ok(sent[repairAt].errors.length > 0);
+      assert.equal(types.at(-1), 'result');
+      const replayed = sent.slice(repairAt + 1, -1).map((event) => event.text);
+      assert.deepEqual(JSON.parse(replayed.join('')), JSON.parse(await validReply()));
+    },
+    { fetchImpl: upstream.fetchImpl }
+  );
+});
+
+test('a reply that is still invalid after the repair fails with 502', async () => {
+  const upstream = fakeUpstream([invalidReply]);
+  await withServer(
+    OPENAI,
+    async (base) => {
+      const { status, text } = await post(`${base}/api/analyze`, { resumeText: RESUME, jobDescription: JOB });
+
+      assert.equal(status, 502);
+      assert.match(JSON.parse(text).error, /invalid analysis/);
+      assert.equal(upstream.calls.length, 2);
+
+      const streamed = events(
+        (await post(`${base}/api/analyze/stream`, { resumeText: RESUME, jobDescription: JOB })).text
+      );
+      assert.equal(streamed.at(-1).type, 'error');
+      assert.match(streamed.at(-1).error, /invalid analysis/);
+    },
+    { fetchImpl: upstream.fetchImpl }
+  );
+});
+
+test('an upstream client error is not retried and fails with 502', async () => {
+  const upstream = fakeUpstream([new Response('{}', { status: 401 })]);
+  await withServer(
+    OPENAI,
+    async (base) => {
+      const { status, text } = await post(`${base}/api/analyze`, { resumeText: RESUME, jobDescription: JOB });
+
+      assert.equal(status, 502);
+      assert.match(JSON.parse(text).error, /HTTP 401/);
+      assert.equal(upstream.calls.length, 1);
+    },
+    { fetchImpl: upstream.fetchImpl }
+  );
+});
+
+test('bad input is rejected before anything is sent upstream', async () => {
+  const upstream = fakeUpstream([await validReply()]);
+  await withServer(
+    { ...OPENAI, MAX_RESUME_CHARS: '500' },
+    async (base) => {
+      const cases = [
+        [{ jobDescription: JOB }, /resumeText is required/],
+        [{ resumeText: RESUME, jobDescription: '  ' }, /jobDescription is required/],
+        [{ resumeText: RESUME.repeat(3), jobDescription: JOB }, /Resume is too long/],
+        [{ resumeText: RESUME, jobDescription: JOB, provider: 'gemini' }, /not configured/],
+        [{ resumeText: RESUME, jobDescription: JOB, model: 'bad model!' }, /Invalid model name/],
+        [{ resumeText: RESUME, jobDescription: JOB, requirements: [] }, /Invalid requirements/],
+      ];
+      for (const [body, message] of cases) {
+        for (const path of ['/api/analyze', '/api/analyze/stream']) {
+          const { status, text } = await post(`${base}${path}`, body);
+          assert.equal(status, 400, `${path} ${JSON.stringify(body).slice(0, 60)}`);
+          assert.match(JSON.parse(text).error, message);
+        }
+      }
+      assert.equal(upstream.calls.length, 0);
+    },
+    { fetchImpl: upstream.fetchImpl }
+  );
+});
+
+test('every route that takes a resume and job description applies the same limits', () =>
+  withServer({ LLM_PROVIDER: 'mock', MAX_RESUME_CHARS: '500', MAX_JOB_DESCRIPTION_CHARS: '100' }, async (base) => {
+    const cases = [
+      [{ jobDescription: JOB }, /resumeText is required/],
+      [{ resumeText: RESUME, jobDescription: 42 }, /jobDescription is required/],
+      [{ resumeText: RESUME.repeat(3), jobDescription: JOB }, /Resume is too long \(max 500/],
+      [{ resumeText: RESUME, jobDescription: JOB.repeat(2) }, /Job description is too long \(max 100/],
+    ];
+    const paths = ['/api/analyze', '/api/cover-letter', '/api/interview/questions', '/api/interview/feedback'];
+    for (const [body, message] of cases) {
+      for (const path of paths) {
+        const { status, text } = await post(`${base}${path}`, body);
+        assert.equal(status, 400, path);
+        assert.match(JSON.parse(text).error, message);
+      }
+    }
+  }));
+
+test('oversized bodies and too many requests are refused', () =>
+  withServer({ LLM_PROVIDER: 'mock', MAX_BODY_SIZE: '1kb', RATE_LIMIT_MAX: '2' }, async (base) => {
+    const large = await post(`${base}/api/analyze`, { resumeText: RESUME.repeat(10), jobDescription: JOB });
+    assert.equal(large.status, 413);
+    assert.equal(JSON.parse(large.text).error, 'Request is too large.');
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await post(`${base}/api/analyze`, { resumeText: RESUME, jobDescription: JOB })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+  }));
+
+test('each structured request names its own response schema', async () => {
+  const upstream = fakeUpstream([await validReply(), JSON.stringify({ variants: [] })]);
+  await withServer(
+    OPENAI,
+    async (base) => {
+      await post(`${base}/api/analyze`, { resumeText: RESUME, jobDescription: JOB });
+      await post(`${base}/api/rewrite`, { bullet: 'Worked on Node.js APIs', jobDescription: JOB });
+
+      assert.deepEqual(
+        upstream.calls.map((call) => call.response_format.json_schema.name),
+        ['resume_analysis', 'rewrite']
+      );
+    },
+    { fetchImpl: upstream.fetchImpl }
+  );
+});
+
+test('closing the connection cancels the upstream request', async () => {
+  let started;
+  let cancelled;
+  const upstreamStarted = new Promise((resolve) => (started = resolve));
+  const upstreamCancelled = new Promise((resolve) => (cancelled = resolve));
+  // Never answers; settles only when the server aborts it
+  const fetchImpl = (url, options) =>
+    new Promise((resolve, reject) => {
+      started();
+      options.signal.addEventListener('abort', () => {
+        cancelled(options.signal.reason);
+        reject(options.signal.reason);
+      });
+    });
+
+  await withServer(
+    OPENAI,
+    async (base) => {
+      const client = new AbortController();
+      const request = fetch(`${base}/api/cover-letter`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ resumeText: RESUME, jobDescription: JOB }),
+        signal: client.signal,
+      }).catch(() => {});
+      await upstreamStarted;
+      client.abort();
+      await request;
+
+      const timeout = new Promise((resolve, reject) =>
+        setTimeout(() => reject(new Error('the upstream request was not cancelled')), 2000).unref()
+      );
+      const reason = await Promise.race([upstreamCancelled, timeout]);
+      assert.notEqual(reason?.name, 'TimeoutError');
+    },
+    { fetchImpl }
+  );
+});
+
+test('a mock cover letter longer than the resume can fill does not repeat its closing', () =>
+  withServer({ LLM_PROVIDER: 'mock' }, async (base) => {
+    const { status, text } = await post(`${base}/api/cover-letter`, {
+      resumeText: RESUME,
+      jobDescription: JOB,
+      length: 'detailed',
+    });
+    const texts = JSON.parse(text).letter.paragraphs.map((paragraph) => paragraph.text);
+
+    assert.equal(status, 200);
+    assert.equal(new Set(texts).size, texts.length);
+    assert.match(texts.at(-1), /Thank you for your time/);
+  }));
@@ -0,0 +1,52 @@
+// config.js
+// Reads server settings from the environment. API keys live only here and
+// are never sent to the browser.
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+export const readConfig = (env = process.env) => ({
+  port: toInt(env.PORT, 8787),
+  defaultProvider: env.LLM_PROVIDER || 'gemini',
+  providers: {
+    gemini: {
+      // VITE_GEMINI_API_KEY is accepted for existing .env.local files.
+      apiKey: env.GEMINI_API_KEY || env.VITE_GEMINI_API_KEY || '',
+      model: env.GEMINI_MODEL || '',
+    },
+    openai: {
+      apiKey: env.OPENAI_API_KEY || '',
+      baseUrl: env.OPENAI_BASE_URL || '',
+      model: env.OPENAI_MODEL || '',
+    },
+    ollama: {
+      baseUrl: env.OLLAMA_BASE_URL || '',
+      model: env.OLLAMA_MODEL || '',
+      enabled: env.OLLAMA_ENABLED === '1' || !!env.OLLAMA_BASE_URL,
+    },
+    mock: {
+      enabled: env.MOCK_PROVIDER === '1' || env.LLM_PROVIDER === 'mock',
+    },
+  },
+  limits: {
+    maxResumeChars: toInt(env.MAX_RESUME_CHARS, 50000),
+    maxJobDescriptionChars: toInt(env.MAX_JOB_DESCRIPTION_CHARS, 20000),
+    maxBodyBytes: env.MAX_BODY_SIZE || '200kb',
+  },
+  rateLimit: {
+    windowMs: toInt(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+    max: toInt(env.RATE_LIMIT_MAX, 10),
+  },
+  upstreamTimeoutMs: toInt(env.UPSTREAM_TIMEOUT_MS, 90 * 1000),
+});
+
+// A provider is usable when it has the credentials it needs.
+export const isProviderConfigured = (config, id) => {
+  const settings = config.providers[id];
+  if (!settings) return false;
+  if (id === 'gemini') return !!settings.apiKey;
+  if (id === 'openai') return !!(settings.apiKey || settings.baseUrl);
+  return !!settings.enabled;
+};
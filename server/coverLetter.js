@@ -0,0 +1,79 @@
+// coverLetter.js
+// Drafts a cover letter, or one paragraph of it, from the resume and the
+// job description. Uses the same providers, retries and rate limit as the
+// analysis, with its own schema.
+import {
+  buildCoverLetterPrompt,
+  coverLetterSchema,
+  validateCoverLetter,
+  TONES,
+  LENGTHS,
+} from '../src/utils/coverLetter.js';
+import { httpError, requestStructured, resolveProvider, validateTexts } from './analyze.js';
+
+const MAX_PARAGRAPHS = 8;
+
+/**
+ * Validates the request body and returns the provider/model to use.
+ * Throws an error with `status` 400 for bad input.
+ */
+export const validateCoverLetterRequest = (body, config) => {
+  const { tone, length, regenerate, provider: providerId, model } = body || {};
+  const texts = validateTexts(body, config);
+
+  if (tone !== undefined && !TONES.some((option) => option.id === tone)) {
+    throw httpError(400, 'Invalid tone.');
+  }
+  if (length !== undefined && !LENGTHS.some((option) => option.id === length)) {
+    throw httpError(400, 'Invalid length.');
+  }
+  if (regenerate !== undefined) {
+    const paragraphs = regenerate?.paragraphs;
+    const valid =
+      Array.isArray(paragraphs) &&
+      paragraphs.length <= MAX_PARAGRAPHS &&
+      paragraphs.every((text) => typeof text === 'string' && text.length <= 3000) &&
+      Number.isInteger(regenerate.index) &&
+      regenerate.index >= 0 &&
+      regenerate.index < paragraphs.length;
+    if (!valid) throw httpError(400, 'Invalid regenerate request.');
+  }
+
+  return {
+    ...resolveProvider(providerId, model, config),
+    ...texts,
+    tone: tone || TONES[0].id,
+    length: length || LENGTHS[1].id,
+    regenerate: regenerate ? { index: regenerate.index, paragraphs: regenerate.paragraphs } : null,
+  };
+};
+
+/**
+ * Asks the provider for the letter and returns `{ letter, provider, model }`,
+ * where `letter` has passed validateCoverLetter. When regenerating, the
+ * letter holds just the new paragraph. Aborting `signal` cancels the
+ * upstream request.
+ */
+export const runCoverLetter = async (request, config, fetchImpl = fetch, signal) => {
+  const { provider, model } = request;
+  let raw;
+
+  if (provider.generate) {
+    if (!provider.coverLetter) throw httpError(400, `Provider "${provider.id}" cannot write cover letters.`);
+    raw = await provider.coverLetter(request);
+  } else {
+    raw = await requestStructured(request, config, fetchImpl, {
+      prompt: buildCoverLetterPrompt(request),
+      schema: coverLetterSchema,
+      label: 'cover letter',
+      signal,
+    });
+  }
+
+  const { letter, errors } = validateCoverLetter(raw, request.resumeText);
+  if (errors.length) {
+    throw httpError(502, `Model returned an invalid cover letter: ${errors.join('; ')}`);
+  }
+  if (request.regenerate) letter.paragraphs = letter.paragraphs.slice(0, 1);
+  return { letter, provider: provider.id, model };
+};
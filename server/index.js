@@ -0,0 +1,17 @@
+// index.js
+// Starts the analysis proxy: `npm run server`. During development Vite
+// forwards /api requests here (see vite.config.js).
+import dotenv from 'dotenv';
+import { readConfig, isProviderConfigured } from './config.js';
+import { createApp } from './app.js';
+
+dotenv.config({ path: ['.env.local', '.env'], quiet: true });
+
+const config = readConfig();
+const app = createApp(config);
+
+app.listen(config.port, () => {
+  const ready = Object.keys(config.providers).filter((id) => isProviderConfigured(config, id));
+  console.log(`Analysis server listening on http://localhost:${config.port}`);
+  console.log(`Configured providers: ${ready.length ? ready.join(', ') : 'none'}`);
+});
@@ -0,0 +1,139 @@
+// interviewPrep.js
+// Likely interview questions for the analyzed job, and feedback on a
+// practice answer to one of them. Uses the same providers, retries and
+// rate limit as the analysis, with their own schemas.
+import {
+  buildQuestionsPrompt,
+  buildFeedbackPrompt,
+  questionsSchema,
+  feedbackSchema,
+  validateQuestions,
+  validateFeedback,
+  MAX_ANSWER_LENGTH,
+} from '../src/utils/interviewPrep.js';
+import { normalizeRequirements } from '../src/utils/jobParser.js';
+import { httpError, requestStructured, resolveProvider, validateTexts } from './analyze.js';
+
+// Gaps and strengths come from the analysis; more than this is noise
+const MAX_ITEMS = 30;
+
+const stringList = (value, name) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw httpError(400, `${name} must be a list of strings.`);
+  }
+  return value
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .slice(0, MAX_ITEMS);
+};
+
+const runStructured = async (request, config, fetchImpl, { local, prompt, schema, label, signal }) => {
+  const { provider } = request;
+  if (provider.generate) {
+    if (!provider[local]) throw httpError(400, `Provider "${provider.id}" cannot do interview prep.`);
+    return provider[local](request);
+  }
+  return requestStructured(request, config, fetchImpl, { prompt, schema, label, signal });
+};
+
+/**
+ * Validates a questions request and returns the provider/model to use.
+ * Throws an error with `status` 400 for bad input.
+ */
+export const validateQuestionsRequest = (body, config) => {
+  const { requirements, weaknesses, missingKeywords, strengths, provider: providerId, model } = body || {};
+  const texts = validateTexts(body, config);
+
+  const hasRequirements = requirements !== undefined && requirements !== null;
+  if (hasRequirements && (typeof requirements !== 'object' || Array.isArray(requirements))) {
+    throw httpError(400, 'Invalid requirements.');
+  }
+
+  return {
+    ...resolveProvider(providerId, model, config),
+    ...texts,
+    requirements: hasRequirements ? normalizeRequirements(requirements) : null,
+    weaknesses: stringList(weaknesses, 'weaknesses'),
+    missingKeywords: stringList(missingKeywords, 'missingKeywords'),
+    strengths: stringList(strengths, 'strengths'),
+  };
+};
+
+/**
+ * Asks the provider for likely questions and returns
+ * `{ questions, provider, model }`, where `questions` have passed
+ * validateQuestions. Aborting `signal` cancels the upstream request.
+ */
+export const runQuestions = async (request, config, fetchImpl = fetch, signal) => {
+  const raw = await runStructured(request, config, fetchImpl, {
+    local: 'interviewQuestions',
+    prompt: buildQuestionsPrompt(request),
+    schema: questionsSchema,
+    label: 'interview question list',
+    signal,
+  });
+
+  const { questions, errors } = validateQuestions(raw, request.resumeText);
+  if (errors.length) {
+    throw httpError(502, `Model returned invalid interview questions: ${errors.join('; ')}`);
+  }
+  return { questions, provider: request.provider.id, model: request.model };
+};
+
+/**
+ * Validates a feedback request: `question` is an InterviewQuestion and
+ * `answer` the user's practice answer. Throws an error with `status` 400
+ * for bad input.
+ */
+export const validateFeedbackRequest = (body, config) => {
+  const { question, answer, provider: providerId, model } = body || {};
+  const texts = validateTexts(body, config);
+
+  if (!question || typeof question !== 'object' || typeof question.question !== 'string' || !question.question.trim()) {
+    throw httpError(400, 'question is required.');
+  }
+  if (typeof answer !== 'string' || !answer.trim()) {
+    throw httpError(400, 'answer is required.');
+  }
+  if (answer.length > MAX_ANSWER_LENGTH) {
+    throw httpError(400, `Answer is too long (max ${MAX_ANSWER_LENGTH} characters).`);
+  }
+  const talkingPoints = Array.isArray(question.talkingPoints) ? question.talkingPoints : [];
+
+  return {
+    ...resolveProvider(providerId, model, config),
+    ...texts,
+    question: {
+      question: question.question.trim(),
+      type: question.type === 'technical' ? 'technical' : 'behavioral',
+      requirement: typeof question.requirement === 'string' ? question.requirement.trim() : '',
+      talkingPoints: talkingPoints
+        .filter((point) => typeof point?.text === 'string' && point.text.trim())
+        .map((point) => ({ text: point.text.trim() }))
+        .slice(0, MAX_ITEMS),
+    },
+    answer: answer.trim(),
+  };
+};
+
+/**
+ * Asks the provider for feedback on the answer and returns
+ * `{ feedback, provider, model }`, where `feedback` has passed
+ * validateFeedback. Aborting `signal` cancels the upstream request.
+ */
+export const runFeedback = async (request, config, fetchImpl = fetch, signal) => {
+  const raw = await runStructured(request, config, fetchImpl, {
+    local: 'answerFeedback',
+    prompt: buildFeedbackPrompt(request),
+    schema: feedbackSchema,
+    label: 'answer feedback reply',
+    signal,
+  });
+
+  const { feedback, errors } = validateFeedback(raw, request.question.type);
+  if (errors.length) {
+    throw httpError(502, `Model returned invalid answer feedback: ${errors.join('; ')}`);
+  }
+  return { feedback, provider: request.provider.id, model: request.model };
+};
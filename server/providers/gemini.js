@@ -0,0 +1,58 @@
+// gemini.js
+// Google Gemini adapter (generativelanguage.googleapis.com).
+import { parseJSONText } from './shared.js';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+const gemini = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.5-flash-preview-09-2025',
+  needsApiKey: true,
+  needsBaseUrl: false,
+  streamFormat: 'sse',
+
+  buildRequest({ prompt, schema, model, apiKey, stream = false }) {
+    if (!apiKey) {
+      throw new Error('Gemini API key is missing. Set GEMINI_API_KEY in the server environment.');
+    }
+
+    return {
+      url: stream
+        ? `${API_BASE}/models/${model || gemini.defaultModel}:streamGenerateContent?alt=sse`
+        : `${API_BASE}/models/${model || gemini.defaultModel}:generateContent`,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': apiKey,
+        },
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature: 0.1,
+            responseMimeType: 'application/json',
+            responseSchema: schema,
+          },
+        }),
+      },
+    };
+  },
+
+  parseResponse(apiResponse) {
+    const candidate = apiResponse?.candidates?.[0];
+    const jsonText = candidate?.content?.parts?.[0]?.text;
+    if (!jsonText) {
+      console.error('Full extraction failure. Raw response:', apiResponse);
+    }
+    return parseJSONText(jsonText);
+  },
+
+  // Each SSE event is a partial GenerateContentResponse.
+  parseStreamChunk(chunk) {
+    const parts = chunk?.candidates?.[0]?.content?.parts || [];
+    return parts.map((part) => part.text || '').join('');
+  },
+};
+
+export default gemini;
@@ -0,0 +1,24 @@
+// providers/index.js
+// Registry of LLM provider adapters. Every HTTP adapter exposes the same
+// shape:
+//
+//   id, label, defaultModel, defaultBaseUrl?, needsApiKey
+//   streamFormat: 'sse' | 'ndjson'
+//   buildRequest({ prompt, schema, schemaName, model, apiKey, baseUrl, stream }) -> { url, options }
+//     (schemaName names the response schema, e.g. "cover_letter", where the API asks for one)
+//   parseResponse(json) -> parsed analysis object
+//   parseStreamChunk(event) -> text delta from one streamed event
+//
+// The mock adapter instead implements generate({ resumeText, jobDescription }),
+// rewrite({ bullet, missingKeywords }), coverLetter({ resumeText,
+// jobDescription, tone, length, regenerate }), interviewQuestions({ resumeText,
+// jobDescription, missingKeywords, ... }) and answerFeedback({ question,
+// answer }) and never touches the network.
+import gemini from './gemini.js';
+import openai from './openai.js';
+import ollama from './ollama.js';
+import mock from './mock.js';
+
+export const PROVIDERS = { gemini, openai, ollama, mock };
+
+export const getProvider = (id) => PROVIDERS[id] || null;
@@ -0,0 +1,243 @@
+// mock.js
+// Offline provider for tests and local development. Builds a deterministic
+// analysis from the local keyword matcher, so the whole request path can be
+// exercised without an API key or network access.
+import { matchKeywords } from '../../src/utils/keywordMatcher.js';
+import { parseResume } from '../../src/utils/resumeParser.js';
+import { parseJobDescription } from '../../src/utils/jobParser.js';
+import { LENGTHS } from '../../src/utils/coverLetter.js';
+import { CRITERIA } from '../../src/utils/interviewPrep.js';
+
+// Suggests adding the top missing keywords to the first line of the
+// skills section, so the editor has a real, anchorable edit to show.
+const suggestSkillsEdit = (resume, missing) => {
+  const skills = resume.sections.find((section) => section.type === 'skills');
+  const line = skills?.text.split('\n').find((l) => l.trim());
+  if (!line || !missing.length) return [];
+
+  const terms = missing.slice(0, 3).map((hit) => hit.term);
+  const original = line.trim();
+  return [
+    {
+      section: 'skills',
+      original,
+      replacement: `${original.replace(/[,;.\s]+$/, '')}, ${terms.join(', ')}`,
+      rationale: `The job description asks for ${terms.join(', ')}; list them if you have used them.`,
+    },
+  ];
+};
+
+// Action verbs for the offline rewrites, keyed by weak openings
+const STRONGER_VERBS = {
+  'worked on': 'Built',
+  'helped with': 'Contributed to',
+  'helped': 'Supported',
+  'was responsible for': 'Owned',
+  'responsible for': 'Owned',
+  'did': 'Delivered',
+  'made': 'Created',
+};
+
+const strengthenOpening = (bullet) => {
+  const lower = bullet.toLowerCase();
+  const weak = Object.keys(STRONGER_VERBS).find((phrase) => lower.startsWith(`${phrase} `));
+  const rest = weak ? bullet.slice(weak.length + 1) : bullet.charAt(0).toLowerCase() + bullet.slice(1);
+  return `${weak ? STRONGER_VERBS[weak] : 'Led work that'} ${rest}`.replace(/[.\s]+$/, '');
+};
+
+const OPENINGS = {
+  professional: (role) => `I am writing to apply for the ${role} position.`,
+  warm: (role) => `I was delighted to come across the ${role} opening and would love to be considered.`,
+  confident: (role) => `I am the ${role} your team is looking for.`,
+};
+
+// Letter paragraphs from the resume's own bullets, so every body paragraph
+// has evidence that verifies
+const letterParagraphs = (resumeText, jobDescription, tone) => {
+  const resume = parseResume(resumeText);
+  const role = parseJobDescription(jobDescription).title || 'advertised';
+  const matched = matchKeywords(resumeText, jobDescription).matched.slice(0, 4).map((hit) => hit.term);
+  const body = resume.experience
+    .filter((entry) => entry.bullets.length)
+    .map((entry) => ({
+      text: `As ${entry.title || 'part of the team'}${entry.company ? ` at ${entry.company}` : ''}, I ${entry.bullets[0]
+        .charAt(0)
+        .toLowerCase()}${entry.bullets[0].slice(1).replace(/[.\s]+$/, '')}.`,
+      evidence: [entry.bullets[0]],
+    }));
+
+  return [
+    { text: OPENINGS[tone](role), evidence: [] },
+    ...body,
+    matched.length && {
+      text: `My experience with ${matched.join(', ')} lines up with what this role needs.`,
+      evidence: resume.skills.length ? [resume.skills.slice(0, 6).join(', ')] : [],
+    },
+    { text: 'Thank you for your time. I would welcome the chance to discuss how I can help your team.', evidence: [] },
+  ].filter(Boolean);
+};
+
+// Gap questions for missing keywords, strength questions for matched ones
+// and one behavioral question per experience bullet
+const interviewQuestionList = ({ resumeText, jobDescription, missingKeywords }) => {
+  const resume = parseResume(resumeText);
+  const matched = matchKeywords(resumeText, jobDescription).matched.map((hit) => hit.term);
+  const bullets = resume.experience.flatMap((entry) => entry.bullets);
+  const bulletsFor = (term) => bullets.filter((bullet) => bullet.toLowerCase().includes(term.toLowerCase()));
+
+  return [
+    ...missingKeywords.slice(0, 3).map((term) => ({
+      question: `This role relies on ${term}. What is your experience with it?`,
+      type: 'technical',
+      requirement: term,
+      focus: 'gap',
+      reason: `${term} is in the job description but not in your resume.`,
+      talkingPoints: [
+        { text: `Name the closest tool or skill you have used and how it relates to ${term}.`, evidence: [] },
+        { text: `Explain how you would get up to speed with ${term}.`, evidence: [] },
+      ],
+    })),
+    ...matched.slice(0, 2).map((term) => ({
+      question: `Walk me through a project where you used ${term}.`,
+      type: 'technical',
+      requirement: term,
+      focus: 'strength',
+      reason: `Your resume mentions ${term}; expect to be asked for detail.`,
+      talkingPoints: [
+        { text: 'Describe the problem, your part and the outcome.', evidence: bulletsFor(term).slice(0, 2) },
+      ],
+    })),
+    ...resume.experience
+      .filter((entry) => entry.bullets.length)
+      .slice(0, 2)
+      .map((entry) => ({
+        question: `Tell me about a time at ${entry.company || 'a previous job'} when you had to deliver under pressure.`,
+        type: 'behavioral',
+        requirement: 'Delivering results',
+        focus: 'strength',
+        reason: 'Interviewers ask for concrete examples from recent roles.',
+        talkingPoints: [{ text: 'Use the STAR structure and end with the result.', evidence: [entry.bullets[0]] }],
+      })),
+  ];
+};
+
+// Scores the answer on length, a stated result and the talking points it uses
+const feedbackFor = ({ question, answer }) => {
+  const words = answer.split(/\s+/).filter(Boolean).length;
+  const hasNumber = /\d/.test(answer);
+  const lower = answer.toLowerCase();
+  const uses = (text) =>
+    text
+      .toLowerCase()
+      .split(/\W+/)
+      .some((word) => word.length > 5 && lower.includes(word));
+  const missed = question.talkingPoints.map((point) => point.text).filter((text) => !uses(text));
+  const base = Math.min(90, 30 + words);
+
+  return {
+    score: hasNumber ? base : base - 10,
+    summary: `Mock feedback on an answer of ${words} words${hasNumber ? ' with a measurable result' : ''}.`,
+    criteria: CRITERIA[question.type].map((name, index) => ({
+      name,
+      score: Math.max(0, base - index * 5),
+      comment: "Scored offline from the answer's length.",
+    })),
+    strengths: words >= 60 ? ['Gives enough detail to follow.'] : [],
+    improvements: [
+      words < 60 && 'Add more detail: aim for one to two minutes when spoken.',
+      !hasNumber && 'Quantify the result with a number you can back up.',
+    ].filter(Boolean),
+    missedPoints: missed,
+  };
+};
+
+const mock = {
+  id: 'mock',
+  label: 'Mock (offline)',
+  defaultModel: 'mock-keyword-v1',
+  needsApiKey: false,
+
+  async generate({ resumeText, jobDescription, requirements }) {
+    const match = matchKeywords(resumeText, jobDescription, requirements);
+    const resume = parseResume(resumeText);
+    const score = match.score;
+    const hasSection = (type) => resume.sections.some((section) => section.type === type);
+
+    return {
+      matchPercentage: score,
+      scoreBreakdown: {
+        skills: score,
+        experience: resume.experience.length ? Math.min(100, score + 10) : 20,
+        education: resume.education.length ? 70 : 30,
+        keywords: score,
+      },
+      atsScore: ['experience', 'education', 'skills'].filter(hasSection).length * 30 + 10,
+      missingKeywords: match.missing.map((hit) => hit.term),
+      sectionFeedback: {
+        skills: match.missing.slice(0, 3).map((hit) => `Consider adding "${hit.term}" if you have used it.`),
+        experience: resume.experience.length ? [] : ['No experience section was detected.'],
+        education: resume.education.length ? [] : ['No education section was detected.'],
+      },
+      strengths: match.matched.slice(0, 3).map((hit) => `Mentions ${hit.term}`),
+      weaknesses: match.missing.slice(0, 3).map((hit) => `Does not mention ${hit.term}`),
+      keyChanges: match.missing.slice(0, 3).map((hit) => `Add ${hit.term} where it applies`),
+      suggestedEdits: suggestSkillsEdit(resume, match.missing),
+      summary: `Mock analysis: ${match.matched.length} of ${match.totalKeywords} job description keywords found in the resume.`,
+    };
+  },
+
+  // Deterministic letter from the resume's bullets. Regenerating a
+  // paragraph rephrases it.
+  async coverLetter({ resumeText, jobDescription, tone, length, regenerate }) {
+    const paragraphs = letterParagraphs(resumeText, jobDescription, tone);
+    const count = LENGTHS.find((option) => option.id === length).paragraphs;
+    // Short resumes give fewer paragraphs than asked for; the closing one
+    // is always kept
+    const letter =
+      paragraphs.length > count ? [...paragraphs.slice(0, count - 1), paragraphs[paragraphs.length - 1]] : paragraphs;
+    return {
+      greeting: 'Dear Hiring Manager,',
+      paragraphs: regenerate
+        ? [{ text: `To put it another way: ${regenerate.paragraphs[regenerate.index]}`, evidence: [] }]
+        : letter,
+      signOff: 'Sincerely,',
+    };
+  },
+
+  // Deterministic questions from the keyword matcher and the resume
+  async interviewQuestions(request) {
+    return { questions: interviewQuestionList(request) };
+  },
+
+  async answerFeedback(request) {
+    return feedbackFor(request);
+  },
+
+  // Template rewrites: a stronger opening, a metric placeholder and the
+  // first missing keywords
+  async rewrite({ bullet, missingKeywords }) {
+    const opening = strengthenOpening(bullet);
+    const [first, second] = missingKeywords;
+    return {
+      variants: [
+        {
+          text: `${opening}, improving [metric] by [X]%`,
+          rationale: 'Leads with an action verb and leaves room for the result.',
+          coveredKeywords: [],
+        },
+        first && {
+          text: `${opening} using ${first}, resulting in [outcome]`,
+          rationale: `Names ${first} from the job description.`,
+          coveredKeywords: [first],
+        },
+        second && {
+          text: `${opening} with ${first} and ${second} for [number of users] users`,
+          rationale: `Covers ${first} and ${second} and adds scale.`,
+          coveredKeywords: [first, second],
+        },
+      ].filter(Boolean),
+    };
+  },
+};
+
+export default mock;
@@ -0,0 +1,48 @@
+// ollama.js
+// Adapter for a local Ollama server, so resumes never leave the machine.
+import { toJsonSchema } from '../../src/utils/analysisSchema.js';
+import { parseJSONText, SYSTEM_PROMPT, trimSlash } from './shared.js';
+
+const ollama = {
+  id: 'ollama',
+  label: 'Ollama (local)',
+  defaultModel: 'llama3.1',
+  defaultBaseUrl: 'http://localhost:11434',
+  needsApiKey: false,
+  needsBaseUrl: true,
+  streamFormat: 'ndjson',
+
+  buildRequest({ prompt, schema, model, baseUrl, stream = false }) {
+    return {
+      url: `${trimSlash(baseUrl || ollama.defaultBaseUrl)}/api/chat`,
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: model || ollama.defaultModel,
+          stream,
+          format: toJsonSchema(schema),
+          options: { temperature: 0.1 },
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: prompt },
+          ],
+        }),
+      },
+    };
+  },
+
+  parseResponse(apiResponse) {
+    const content = apiResponse?.message?.content;
+    if (!content) {
+      console.error('Full extraction failure. Raw response:', apiResponse);
+    }
+    return parseJSONText(content);
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk?.message?.content || '';
+  },
+};
+
+export default ollama;
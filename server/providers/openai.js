@@ -0,0 +1,56 @@
+// openai.js
+// Adapter for OpenAI and any OpenAI-compatible chat completions endpoint
+// (Azure OpenAI proxies, OpenRouter, vLLM, LM Studio, ...).
+import { toJsonSchema } from '../../src/utils/analysisSchema.js';
+import { parseJSONText, SYSTEM_PROMPT, trimSlash } from './shared.js';
+
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: 'gpt-4o-mini',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  needsApiKey: true,
+  needsBaseUrl: true,
+  streamFormat: 'sse',
+
+  buildRequest({ prompt, schema, schemaName = 'resume_analysis', model, apiKey, baseUrl, stream = false }) {
+    const headers = { 'Content-Type': 'application/json' };
+    // Local OpenAI-compatible servers often run without a key.
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    return {
+      url: `${trimSlash(baseUrl || openai.defaultBaseUrl)}/chat/completions`,
+      options: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: model || openai.defaultModel,
+          temperature: 0.1,
+          stream,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: prompt },
+          ],
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: schemaName, schema: toJsonSchema(schema) },
+          },
+        }),
+      },
+    };
+  },
+
+  parseResponse(apiResponse) {
+    const content = apiResponse?.choices?.[0]?.message?.content;
+    if (!content) {
+      console.error('Full extraction failure. Raw response:', apiResponse);
+    }
+    return parseJSONText(content);
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk?.choices?.[0]?.delta?.content || '';
+  },
+};
+
+export default openai;
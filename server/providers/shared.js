@@ -0,0 +1,33 @@
+// shared.js
+// Helpers shared by the provider adapters.
+
+export const SYSTEM_PROMPT =
+  'You are a professional resume analyzer. Reply with a single JSON object that follows the requested schema and nothing else.';
+
+/**
+ * Parses the JSON text a model returned. Tolerates Markdown code fences
+ * and leading/trailing prose around the object.
+ */
+export const parseJSONText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('API returned an invalid or empty structured response.');
+  }
+
+  const unfenced = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(unfenced.slice(start, end + 1));
+    }
+    throw new Error('Model response was not valid JSON.');
+  }
+};
+
+export const trimSlash = (url) => (url || '').replace(/\/+$/, '');
@@ -0,0 +1,39 @@
+// rateLimit.js
+// Fixed-window, in-memory rate limiter keyed by client IP. Good enough for
+// a single-process deployment; put a shared store in front for more.
+
+export const createRateLimiter = ({ windowMs, max, now = () => Date.now() }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound.
+  const sweep = (time) => {
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= time) hits.delete(key);
+    });
+  };
+
+  return (req, res, next) => {
+    const time = now();
+    if (hits.size > 1000) sweep(time);
+
+    const key = req.ip || req.socket?.remoteAddress || 'unknown';
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = { count: 0, resetAt: time + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    res.setHeader('RateLimit-Limit', String(max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.setHeader('RateLimit-Reset', String(Math.ceil((entry.resetAt - time) / 1000)));
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', String(Math.ceil((entry.resetAt - time) / 1000)));
+      res.status(429).json({ error: 'Too many analysis requests. Please wait a minute and try again.' });
+      return;
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,74 @@
+// rewrite.js
+// Rewrites one resume bullet into a few stronger variants. Uses the same
+// providers, retries and rate limit as the analysis, with its own schema.
+import { buildRewritePrompt, rewriteSchema, validateRewrite, MAX_BULLET_LENGTH } from '../src/utils/bulletRewrite.js';
+import { httpError, requestStructured, resolveProvider } from './analyze.js';
+
+// Missing keywords come from the analysis; more than this is noise
+const MAX_KEYWORDS = 30;
+
+/**
+ * Validates the request body and returns the provider/model to use.
+ * Throws an error with `status` 400 for bad input.
+ */
+export const validateRewriteRequest = (body, config) => {
+  const { bullet, jobDescription, missingKeywords = [], context = '', provider: providerId, model } = body || {};
+
+  if (typeof bullet !== 'string' || !bullet.trim()) {
+    throw httpError(400, 'bullet is required.');
+  }
+  if (bullet.length > MAX_BULLET_LENGTH) {
+    throw httpError(400, `Bullet is too long (max ${MAX_BULLET_LENGTH} characters).`);
+  }
+  if (typeof jobDescription !== 'string' || !jobDescription.trim()) {
+    throw httpError(400, 'jobDescription is required.');
+  }
+  if (jobDescription.length > config.limits.maxJobDescriptionChars) {
+    throw httpError(400, `Job description is too long (max ${config.limits.maxJobDescriptionChars} characters).`);
+  }
+  if (!Array.isArray(missingKeywords) || missingKeywords.some((keyword) => typeof keyword !== 'string')) {
+    throw httpError(400, 'missingKeywords must be a list of strings.');
+  }
+  if (typeof context !== 'string') {
+    throw httpError(400, 'Invalid context.');
+  }
+
+  return {
+    ...resolveProvider(providerId, model, config),
+    bullet: bullet.trim(),
+    jobDescription,
+    missingKeywords: missingKeywords
+      .map((keyword) => keyword.trim())
+      .filter(Boolean)
+      .slice(0, MAX_KEYWORDS),
+    context: context.trim().slice(0, 200),
+  };
+};
+
+/**
+ * Asks the provider for rewrites and returns `{ variants, provider, model }`,
+ * where `variants` have passed validateRewrite. Aborting `signal` cancels
+ * the upstream request.
+ */
+export const runRewrite = async (request, config, fetchImpl = fetch, signal) => {
+  const { provider, model } = request;
+  let raw;
+
+  if (provider.generate) {
+    if (!provider.rewrite) throw httpError(400, `Provider "${provider.id}" cannot rewrite bullets.`);
+    raw = await provider.rewrite(request);
+  } else {
+    raw = await requestStructured(request, config, fetchImpl, {
+      prompt: buildRewritePrompt(request),
+      schema: rewriteSchema,
+      label: 'rewrite',
+      signal,
+    });
+  }
+
+  const { variants, errors } = validateRewrite(raw, request);
+  if (errors.length) {
+    throw httpError(502, `Model returned an invalid rewrite: ${errors.join('; ')}`);
+  }
+  return { variants, provider: provider.id, model };
+};
@@ -0,0 +1,36 @@
+// stream.js
+// Reads streamed provider responses. Gemini and OpenAI-compatible servers
+// send Server-Sent Events ("data: {...}" lines); Ollama sends one JSON
+// object per line.
+
+const parseLine = (line, format) => {
+  if (format === 'sse') {
+    if (!line.startsWith('data:')) return undefined;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return undefined;
+    return JSON.parse(payload);
+  }
+  return line.trim() ? JSON.parse(line) : undefined;
+};
+
+/**
+ * Yields each parsed event from a fetch response body.
+ * `format` is the adapter's `streamFormat`.
+ */
+export async function* readStreamEvents(body, format) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      const event = parseLine(line, format);
+      if (event !== undefined) yield event;
+    }
+  }
+
+  const event = parseLine(buffer + decoder.decode(), format);
+  if (event !== undefined) yield event;
+}
@@ -1,610 +1,403 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useMemo, useEffect, useRef, useReducer } from "react";
 // Tailwind CSS is assumed to be available.
 
-// ✅ PDF.js via npm (Vite/Webpack-friendly)
-import * as pdfjsLib from "pdfjs-dist";
-import pdfjsWorker from "pdfjs-dist/build/pdf.worker?url";
-
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
-
-// --- 1. FileUpload Component ---
-const FileUpload = ({ onTextExtracted, text }) => {
-  const [isUploading, setIsUploading] = useState(false);
-  const [error, setError] = useState(null);
-
-  // --- PDF PARSING LOGIC (ACTIVE) ---
-  const readPdfFile = (file) => {
-    return new Promise((resolve, reject) => {
-      try {
-        const reader = new FileReader();
-
-        reader.onload = async (e) => {
-          try {
-            const typedArray = new Uint8Array(e.target.result);
-
-            const loadingTask = pdfjsLib.getDocument({ data: typedArray });
-            const pdf = await loadingTask.promise;
-
-            let fullText = "";
-            const numPages = pdf.numPages;
-
-            for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-              const page = await pdf.getPage(pageNum);
-              const content = await page.getTextContent();
-              const strings = content.items.map((item) => item.str);
-              fullText += strings.join(" ") + "\n\n";
-            }
-
-            resolve(fullText.trim());
-          } catch (err) {
-            console.error("PDF parse error:", err);
-            reject(
-              new Error(
-                "Failed to read PDF file. Try another file or paste the text manually."
-              )
-            );
-          }
-        };
-
-        reader.onerror = () => {
-          reject(new Error("Unable to read PDF file."));
-        };
-
-        reader.readAsArrayBuffer(file);
-      } catch (err) {
-        reject(err);
-      }
-    });
-  };
-  // --- END PDF PARSING LOGIC ---
-
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+import { matchKeywords } from "./utils/keywordMatcher";
+import { parseJobDescription } from "./utils/jobParser";
+import { validateAnalysis } from "./utils/analysisValidator";
+import { runAtsChecks } from "./utils/atsChecker";
+import { editorReducer, initialEditorState } from "./utils/editHistory";
+import { compareAnalyses } from "./utils/analysisDelta";
+import FileUpload from "./components/FileUpload";
+import AnalysisResults from "./components/AnalysisResults";
+import SettingsPanel from "./components/SettingsPanel";
+import HistorySidebar from "./components/HistorySidebar";
+import BatchComparison from "./components/BatchComparison";
+import CandidateLeaderboard from "./components/CandidateLeaderboard";
+import JobRequirements from "./components/JobRequirements";
+import { FiSettings, FiClock } from "react-icons/fi";
+import {
+  fetchProviders,
+  streamAnalysis,
+  requestBulletRewrite,
+  requestCoverLetter,
+  requestInterviewQuestions,
+  requestAnswerFeedback,
+} from "./utils/api";
+import {
+  saveRun,
+  listRuns,
+  renameRun,
+  deleteRun,
+  exportHistory,
+  importHistory,
+} from "./utils/historyStore";
+import { downloadFile } from "./utils/download";
+import {
+  loadProviderSettings,
+  saveProviderSettings,
+} from "./utils/providerSettings";
+
+// "single" analyzes one resume against one job, "batch" one resume against
+// several jobs, "recruiter" several resumes against one job.
+const MODES = [
+  {
+    id: "single",
+    label: "One job",
+    description:
+      "Upload your resume (PDF/DOCX/TXT) and paste the job description to analyze",
+  },
+  {
+    id: "batch",
+    label: "Compare jobs",
+    description:
+      "Upload your resume (PDF/DOCX/TXT) to compare it against several jobs",
+  },
+  {
+    id: "recruiter",
+    label: "Rank candidates",
+    description:
+      "Paste the job description, then add candidates' resumes below to rank them",
+  },
+];
 
-    setError(null);
-    setIsUploading(true);
+// --- Main App Component ---
 
-    let extractedText = "";
+const App = () => {
+  const [resumeText, setResumeText] = useState("");
+  const [jobDescription, setJobDescription] = useState("");
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [apiError, setApiError] = useState("");
+  const [resumeFile, setResumeFile] = useState(null);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [availableProviders, setAvailableProviders] = useState([]);
+  const [partialAnalysis, setPartialAnalysis] = useState(null);
+  // What the analysis on screen was run with (text, job, provider, model),
+  // for re-analyzing the edited resume and for the downloadable report
+  const [analyzed, setAnalyzed] = useState(null);
+  const [analysisDelta, setAnalysisDelta] = useState(null);
+  // Saved runs from IndexedDB, newest first
+  const [runs, setRuns] = useState([]);
+  const [activeRunId, setActiveRunId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyError, setHistoryError] = useState("");
+  const [mode, setMode] = useState("single");
+  // { job, requirements }: the user's corrections to the detected
+  // requirements, for the job description they were made against
+  const [requirementEdits, setRequirementEdits] = useState(null);
+  // { letter, tone, length, job } once a cover letter has been drafted
+  const [coverLetter, setCoverLetter] = useState(null);
+  // { questions, job, answers } once interview questions have been generated
+  const [interviewPrep, setInterviewPrep] = useState(null);
+  const abortRef = useRef(null);
+  // Resume editor text, suggestions, undo history and snapshots; kept here
+  // so they survive switching result tabs
+  const [editor, dispatchEditor] = useReducer(
+    editorReducer,
+    undefined,
+    initialEditorState
+  );
 
-    try {
-      const isPdf =
-        file.type === "application/pdf" ||
-        file.name.toLowerCase().endsWith(".pdf");
-      const isTxt =
-        file.type === "text/plain" ||
-        file.name.toLowerCase().endsWith(".txt");
-      const isDoc =
-        file.name.toLowerCase().endsWith(".doc") ||
-        file.name.toLowerCase().endsWith(".docx");
-
-      if (isPdf) {
-        // ✅ Now actually parse the PDF
-        extractedText = await readPdfFile(file);
-      } else if (isTxt) {
-        // Handle plain text files
-        extractedText = await new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onload = (e) => resolve(e.target.result);
-          reader.onerror = () => reject(new Error("Failed to read text file."));
-          reader.readAsText(file);
-        });
-      } else if (isDoc) {
-        // Still not handling DOC/DOCX – ask user to convert or paste
-        throw new Error(
-          "Automatic parsing for DOC/DOCX is not supported. Please save as PDF/TXT or paste the content below."
+  // Don't leave a request streaming after the app unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    saveProviderSettings(providerSettings);
+  }, [providerSettings]);
+
+  // Ask the analysis server which providers it has credentials for
+  useEffect(() => {
+    fetchProviders()
+      .then(({ providers, defaultProvider }) => {
+        setAvailableProviders(providers);
+        setProviderSettings((current) =>
+          providers.some((p) => p.id === current.provider)
+            ? current
+            : { ...current, provider: defaultProvider }
         );
-      } else {
-        // Catch other binary types
-        throw new Error(
-          `Unsupported file type: ${file.name}. Please upload a PDF/TXT or paste the content manually.`
-        );
-      }
+      })
+      .catch((error) => {
+        console.error("Failed to load providers:", error);
+      });
+  }, []);
 
-      onTextExtracted(extractedText);
-    } catch (e) {
-      setError(e.message);
-      onTextExtracted(""); // Clear previous text on error
-    } finally {
-      setIsUploading(false);
-      event.target.value = null; // Reset file input
-    }
-  };
+  const refreshRuns = () =>
+    listRuns()
+      .then(setRuns)
+      .catch((error) => {
+        console.error("Failed to load history:", error);
+        setHistoryError(`Could not read saved runs: ${error.message}`);
+      });
 
-  return (
-    <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-indigo-400 transition duration-150">
-      <input
-        type="file"
-        id="resume-upload"
-        className="hidden"
-        onChange={handleFileUpload}
-        accept=".txt,.pdf,.doc,.docx"
-        disabled={isUploading}
-      />
-      <label htmlFor="resume-upload" className="cursor-pointer">
-        <div className="flex flex-col items-center">
-          <svg
-            className="w-10 h-10 text-indigo-500 mb-2"
-            fill="none"
-            viewBox="0 0 24 24"
-            stroke="currentColor"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 014 4.903A5.989 5.989 0 0018 14h-1a1 1 0 01-1-1v-4a1 1 0 00-1-1h-4a1 1 0 00-1 1v4a1 1 0 01-1 1H7z"
-            />
-          </svg>
-          <p className="text-sm font-medium text-gray-700">
-            {isUploading
-              ? "Reading file..."
-              : "Click to Upload Resume (PDF / TXT preferred)"}
-          </p>
-          <p className="text-xs text-gray-500 font-bold mt-1">
-            DOC/DOCX files are not parsed automatically. Convert to PDF/TXT or
-            paste below.
-          </p>
-        </div>
-      </label>
-      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+  useEffect(() => {
+    refreshRuns();
+  }, []);
 
-      <div className="mt-4">
-        <label
-          htmlFor="resume-text"
-          className="block text-sm font-medium text-gray-700 mb-2 text-left"
-        >
-          Resume Text Content
-        </label>
-        <textarea
-          id="resume-text"
-          value={text}
-          onChange={(e) => onTextExtracted(e.target.value)}
-          placeholder="Paste your resume content here or upload a PDF/TXT..."
-          className="w-full h-48 p-3 border border-gray-300 rounded-lg focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
-          rows={6}
-        />
-        <p className="text-xs text-gray-500 text-left mt-1">
-          {text.length} characters
-        </p>
-      </div>
-    </div>
-  );
-};
+  const activeProvider =
+    availableProviders.find((p) => p.id === providerSettings.provider) ||
+    availableProviders[0];
 
-// --- 2. AnalysisResults Component ---
-const AnalysisResults = ({ analysis, loading, hasData, originalText }) => {
-  if (loading) {
-    return (
-      <div className="flex flex-col items-center justify-center h-full min-h-[400px] p-8">
-        <svg
-          className="animate-spin h-8 w-8 text-indigo-600 mb-4"
-          xmlns="http://www.w3.org/2000/svg"
-          fill="none"
-          viewBox="0 0 24 24"
-        >
-          <circle
-            className="opacity-25"
-            cx="12"
-            cy="12"
-            r="10"
-            stroke="currentColor"
-            strokeWidth="4"
-          ></circle>
-          <path
-            className="opacity-75"
-            fill="currentColor"
-            d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-          ></path>
-        </svg>
-        <p className="text-gray-600 font-medium">
-          Analyzing document and generating detailed report...
-        </p>
-        <p className="text-sm text-gray-400 mt-1">This may take a moment.</p>
-      </div>
-    );
-  }
-
-  if (!hasData) {
-    return (
-      <div className="flex flex-col items-center justify-center h-full min-h-[400px] p-8 text-center">
-        <svg
-          className="w-12 h-12 text-gray-400 mb-3"
-          fill="none"
-          viewBox="0 0 24 24"
-          stroke="currentColor"
-        >
-          <path
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            strokeWidth={1.5}
-            d="M4 6h16M4 12h16M4 18h16"
-          />
-        </svg>
-        <p className="text-gray-500">Awaiting resume and job description input...</p>
-      </div>
-    );
-  }
-
-  if (!analysis) {
-    return (
-      <div className="flex flex-col items-center justify-center h-full min-h-[400px] p-8 text-center">
-        <svg
-          className="w-12 h-12 text-yellow-500 mb-3"
-          fill="none"
-          viewBox="0 0 24 24"
-          stroke="currentColor"
-        >
-          <path
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            strokeWidth={1.5}
-            d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.503-1.657 1.625-3.042L13.625 5.042a2.983 2.983 0 00-5.25 0L4.313 15.958c-.878 1.385.085 3.042 1.625 3.042z"
-          />
-        </svg>
-        <p className="text-gray-500">
-          Click <span className="font-semibold">Analyze Match</span> to generate your
-          report.
-        </p>
-      </div>
-    );
-  }
-
-  // Safe defaults
-  const {
-    matchPercentage = 0,
-    atsScore = 0,
-    scoreBreakdown = {},
-    missingKeywords = [],
-    sectionFeedback = {},
-    strengths = [],
-    weaknesses = [],
-    keyChanges = [],
-    summary = "",
-  } = analysis || {};
-
-  const BreakdownItem = ({ label, score }) => (
-    <div className="flex justify-between items-center py-1.5">
-      <span className="text-sm text-gray-600">{label}</span>
-      <span
-        className="font-semibold text-lg"
-        style={{
-          color:
-            score >= 75 ? "#10B981" : score >= 50 ? "#F59E0B" : "#EF4444",
-        }}
-      >
-        {score}%
-      </span>
-    </div>
+  // Requirements read from the job description. Edits apply until the
+  // job description itself changes.
+  const detectedRequirements = useMemo(
+    () => parseJobDescription(jobDescription),
+    [jobDescription]
+  );
+  const requirementsEdited = requirementEdits?.job === jobDescription;
+  const requirements = requirementsEdited
+    ? requirementEdits.requirements
+    : detectedRequirements;
+
+  // Deterministic keyword score, available even without an API key
+  const localMatch = useMemo(
+    () =>
+      resumeText && jobDescription
+        ? matchKeywords(resumeText, jobDescription, requirements)
+        : null,
+    [resumeText, jobDescription, requirements]
   );
 
-  const FeedbackList = ({ title, items }) => {
-    const safeItems = Array.isArray(items) ? items : [];
-
-    return (
-      <div className="mt-4 border-t pt-4">
-        <h4 className="text-md font-semibold text-gray-700 mb-2">{title}</h4>
-        <ul className="space-y-2 text-sm text-gray-600 list-disc list-inside">
-          {safeItems.length > 0 ? (
-            safeItems.map((item, index) => <li key={index}>{item}</li>)
-          ) : (
-            <li className="text-gray-400">
-              No specific points found for this section.
-            </li>
-          )}
-        </ul>
-      </div>
-    );
-  };
-
-  return (
-    <div className="space-y-8">
-      {/* Summary and Key Scores */}
-      <div className="flex justify-between items-center border-b pb-4">
-        <div className="flex flex-col">
-          <p className="text-gray-500 font-medium">Overall Match Score</p>
-          <div
-            className="text-6xl font-extrabold"
-            style={{
-              color:
-                matchPercentage >= 75
-                  ? "#10B981"
-                  : matchPercentage >= 50
-                  ? "#F59E0B"
-                  : "#EF4444",
-            }}
-          >
-            {matchPercentage}%
-          </div>
-        </div>
-        <div className="text-right">
-          <p className="text-gray-500 font-medium">ATS Score</p>
-          <div className="text-4xl font-extrabold text-indigo-600">
-            {atsScore}%
-          </div>
-        </div>
-      </div>
-
-      {/* Score Breakdown */}
-      <div className="p-4 bg-gray-50 rounded-lg shadow-inner">
-        <h3 className="text-lg font-semibold text-gray-800 mb-2">
-          Score Breakdown
-        </h3>
-        <BreakdownItem
-          label="Keywords Match"
-          score={scoreBreakdown?.keywords || 0}
-        />
-        <BreakdownItem
-          label="Experience Alignment"
-          score={scoreBreakdown?.experience || 0}
-        />
-        <BreakdownItem
-          label="Skills Relevance"
-          score={scoreBreakdown?.skills || 0}
-        />
-        <BreakdownItem
-          label="Education Fit"
-          score={scoreBreakdown?.education || 0}
-        />
-      </div>
-
-      {/* AI Summary */}
-      <div>
-        <h3 className="text-lg font-semibold text-gray-800 mb-2">AI Summary</h3>
-        <p className="text-gray-700 text-sm leading-relaxed border-l-4 border-indigo-400 pl-4 py-2 bg-indigo-50 rounded-r-lg">
-          {summary}
-        </p>
-      </div>
-
-      {/* Strengths & Weaknesses */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
-        <div className="p-4 bg-green-50 rounded-lg border border-green-200">
-          <h3 className="text-lg font-semibold text-green-700 mb-2 flex items-center">
-            <svg className="w-5 h-5 mr-1" fill="currentColor" viewBox="0 0 20 20">
-              <path
-                fillRule="evenodd"
-                d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z"
-                clipRule="evenodd"
-              />
-            </svg>
-            Top Strengths
-          </h3>
-          <ul className="space-y-2 text-sm text-gray-700 list-disc list-inside pl-3">
-            {(Array.isArray(strengths) ? strengths : []).map((s, i) => (
-              <li key={i}>{s}</li>
-            ))}
-          </ul>
-        </div>
-        <div className="p-4 bg-red-50 rounded-lg border border-red-200">
-          <h3 className="text-lg font-semibold text-red-700 mb-2 flex items-center">
-            <svg className="w-5 h-5 mr-1" fill="currentColor" viewBox="0 0 20 20">
-              <path
-                fillRule="evenodd"
-                d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z"
-                clipRule="evenodd"
-              />
-            </svg>
-            Key Weaknesses
-          </h3>
-          <ul className="space-y-2 text-sm text-gray-700 list-disc list-inside pl-3">
-            {(Array.isArray(weaknesses) ? weaknesses : []).map((w, i) => (
-              <li key={i}>{w}</li>
-            ))}
-          </ul>
-        </div>
-      </div>
-
-      {/* Missing Keywords */}
-      <div className="p-4 bg-yellow-50 rounded-lg border border-yellow-200">
-        <h3 className="text-lg font-semibold text-yellow-700 mb-2">
-          Missing Keywords
-        </h3>
-        {missingKeywords.length > 0 ? (
-          <div className="flex flex-wrap gap-2">
-            {missingKeywords.map((k, i) => (
-              <span
-                key={i}
-                className="px-3 py-1 bg-yellow-200 text-yellow-800 text-xs font-medium rounded-full"
-              >
-                {k}
-              </span>
-            ))}
-          </div>
-        ) : (
-          <p className="text-sm text-yellow-700">
-            No critical keywords are currently missing. Great job!
-          </p>
-        )}
-      </div>
-
-      {/* Suggested Changes */}
-      <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200">
-        <h3 className="text-lg font-semibold text-indigo-700 mb-2">
-          Suggested Key Changes
-        </h3>
-        <ol className="space-y-3 text-sm text-gray-700 list-decimal list-inside pl-3">
-          {(Array.isArray(keyChanges) ? keyChanges : []).map((c, i) => (
-            <li key={i}>{c}</li>
-          ))}
-        </ol>
-      </div>
-
-      {/* Detailed Section Feedback (Optional) */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-        <FeedbackList title="Skills Feedback" items={sectionFeedback?.skills} />
-        <FeedbackList
-          title="Experience Feedback"
-          items={sectionFeedback?.experience}
-        />
-        <FeedbackList
-          title="Education Feedback"
-          items={sectionFeedback?.education}
-        />
-      </div>
-    </div>
+  // Local ATS checks over the current resume: the editor's version once the
+  // analyzed resume is being edited there. The uploaded file's layout only
+  // describes the text read from it.
+  const atsText =
+    analyzed && analyzed.text === resumeText && editor.text
+      ? editor.text
+      : resumeText;
+  const atsReport = useMemo(
+    () =>
+      atsText
+        ? runAtsChecks(atsText, atsText === resumeText ? resumeFile : null)
+        : null,
+    [atsText, resumeText, resumeFile]
   );
-};
 
-// --- 3. Main App Component ---
-
-// JSON Schema for structured output
-const analysisSchema = {
-  type: "OBJECT",
-  properties: {
-    matchPercentage: {
-      type: "NUMBER",
-      description: "Overall match score (0-100)",
-    },
-    scoreBreakdown: {
-      type: "OBJECT",
-      properties: {
-        skills: { type: "NUMBER" },
-        experience: { type: "NUMBER" },
-        education: { type: "NUMBER" },
-        keywords: { type: "NUMBER" },
-      },
-    },
-    atsScore: {
-      type: "NUMBER",
-      description: "Applicant Tracking System score (0-100)",
-    },
-    missingKeywords: { type: "ARRAY", items: { type: "STRING" } },
-    sectionFeedback: {
-      type: "OBJECT",
-      properties: {
-        skills: { type: "ARRAY", items: { type: "STRING" } },
-        experience: { type: "ARRAY", items: { type: "STRING" } },
-        education: { type: "ARRAY", items: { type: "STRING" } },
-      },
-    },
-    strengths: { type: "ARRAY", items: { type: "STRING" } },
-    weaknesses: { type: "ARRAY", items: { type: "STRING" } },
-    keyChanges: { type: "ARRAY", items: { type: "STRING" } },
-    summary: { type: "STRING" },
-  },
-  required: [
-    "matchPercentage",
-    "scoreBreakdown",
-    "atsScore",
-    "missingKeywords",
-    "sectionFeedback",
-    "strengths",
-    "weaknesses",
-    "keyChanges",
-    "summary",
-  ],
-};
+  // With `edited`, `text` is the editor's version of the resume: it is
+  // scored against the same job and compared with the current analysis.
+  const analyzeResume = async (
+    text,
+    job,
+    jobRequirements,
+    { edited = false } = {}
+  ) => {
+    if (!text || !job) return;
 
-const App = () => {
-  const [resumeText, setResumeText] = useState("");
-  const [jobDescription, setJobDescription] = useState("");
-  const [analysis, setAnalysis] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [apiError, setApiError] = useState("");
-  const [originalResumeText, setOriginalResumeText] = useState("");
-
-  // Exponential backoff retry handler
-  const fetchWithRetry = useCallback(async (url, options, retries = 3) => {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url, options);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.json();
-      } catch (error) {
-        if (i < retries - 1) {
-          const delay = Math.pow(2, i) * 1000;
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        } else {
-          throw error;
-        }
-      }
-    }
-  }, []);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const previous = analysis;
+
+    setLoading(true);
+    setAnalysis(null);
+    setPartialAnalysis(null);
+    setAnalysisDelta(null);
+    setApiError("");
 
-  const extractJSON = (apiResponse) => {
     try {
-      const candidate = apiResponse.candidates?.[0];
-      const jsonText = candidate?.content?.parts?.[0]?.text;
+      const { analysis: parsed, provider, model } = await streamAnalysis({
+        resumeText: text,
+        jobDescription: job,
+        requirements: jobRequirements,
+        provider: activeProvider?.id,
+        model: activeProvider && providerSettings.models[activeProvider.id],
+        signal: controller.signal,
+        // Fill in the fields that haven't arrived yet so the results
+        // panel can render the partial reply like a finished one
+        onPartial: (partial) =>
+          setPartialAnalysis(validateAnalysis(partial).analysis),
+      });
+
+      const { analysis: checked, errors } = validateAnalysis(parsed);
+      if (errors.length) {
+        throw new Error(`Invalid analysis received - ${errors.join("; ")}`);
+      }
 
-      if (jsonText) {
-        const parsed = JSON.parse(jsonText);
-        if (parsed && typeof parsed === "object") return parsed;
+      setAnalysis(checked);
+      setAnalyzed({
+        text,
+        job,
+        requirements: jobRequirements,
+        provider,
+        model,
+      });
+      if (edited && previous) {
+        setAnalysisDelta(compareAnalyses(previous, checked));
       }
+      dispatchEditor({
+        type: "load",
+        text,
+        suggestedEdits: checked.suggestedEdits,
+        // Keep comparing against the uploaded resume
+        original: edited ? editor.original : text,
+      });
 
-      console.error("Full extraction failure. Raw response:", apiResponse);
-      throw new Error("API returned an invalid or empty structured response.");
-    } catch (e) {
-      console.error("Failed to parse final JSON payload:", e);
-      throw new Error(`Failed to process analysis: ${e.message}`);
+      // History is a convenience; a storage failure shouldn't fail the run
+      saveRun({
+        resumeText: text,
+        edited,
+        jobDescription: job,
+        requirements: jobRequirements,
+        analysis: checked,
+        provider,
+        model,
+      })
+        .then((run) => {
+          setActiveRunId(run.id);
+          return refreshRuns();
+        })
+        .catch((error) => console.error("Failed to save run:", error));
+    } catch (error) {
+      // A failed re-analysis leaves the previous results in place
+      if (edited) setAnalysis(previous);
+      // Cancelled by the user; not an error
+      if (controller.signal.aborted) return;
+      console.error("Full analysis error:", error);
+      setApiError(
+        `Analysis failed: ${error.message}. Please try again with different content.`
+      );
+    } finally {
+      abortRef.current = null;
+      setPartialAnalysis(null);
+      setLoading(false);
     }
   };
 
-  const analyzeResume = async () => {
-    if (!resumeText || !jobDescription) return;
+  const cancelAnalysis = () => {
+    abortRef.current?.abort();
+  };
 
-    setLoading(true);
-    setAnalysis(null);
+  // Puts a saved run back on screen as if it had just been analyzed
+  const openRun = (run) => {
+    setResumeText(run.resumeText);
+    setJobDescription(run.jobDescription);
+    setRequirementEdits(
+      run.requirements
+        ? { job: run.jobDescription, requirements: run.requirements }
+        : null
+    );
+    setResumeFile(null);
+    setAnalysis(run.analysis);
+    setAnalyzed({
+      text: run.resumeText,
+      job: run.jobDescription,
+      requirements: run.requirements || parseJobDescription(run.jobDescription),
+      provider: run.provider,
+      model: run.model,
+    });
+    setAnalysisDelta(null);
     setApiError("");
-    setOriginalResumeText(resumeText);
-
-    try {
-      const prompt = `ANALYSIS REQUEST:
-You are a professional resume analyzer. Analyze the provided RESUME against the JOB DESCRIPTION.
+    dispatchEditor({
+      type: "load",
+      text: run.resumeText,
+      suggestedEdits: run.analysis.suggestedEdits,
+    });
+    setActiveRunId(run.id);
+    setShowHistory(false);
+    setMode("single");
+  };
 
-TASK: Calculate all scores and provide detailed feedback exactly according to the requested JSON schema.
+  // A batch result is opened like a saved run that was never stored, with
+  // the resume it was scored with
+  const openBatchResult = (job, result) =>
+    openRun({
+      id: null,
+      resumeText: result.resumeText,
+      jobDescription: job.text,
+      analysis: result.analysis,
+      provider: result.provider,
+      model: result.model,
+    });
 
-RESUME:
-${resumeText.substring(0, 10000)}
+  const historyAction = (label, action) => async (...args) => {
+    setHistoryError("");
+    try {
+      await action(...args);
+      await refreshRuns();
+    } catch (error) {
+      console.error(`History ${label} error:`, error);
+      setHistoryError(`Could not ${label}: ${error.message}`);
+    }
+  };
 
-JOB DESCRIPTION:
-${jobDescription.substring(0, 5000)}`;
+  const renameHistoryRun = historyAction("rename the run", renameRun);
 
-      const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.1,
-          responseMimeType: "application/json",
-          responseSchema: analysisSchema,
-        },
-      };
+  const deleteHistoryRun = historyAction("delete the run", async (run) => {
+    if (!window.confirm(`Delete "${run.name}" from history?`)) return;
+    await deleteRun(run.id);
+    if (run.id === activeRunId) setActiveRunId(null);
+  });
 
-      const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
+  const exportHistoryFile = historyAction("export history", async () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      await exportHistory(),
+      `matchmy-resume-history-${date}.json`,
+      "application/json"
+    );
+  });
 
-      if (!apiKey) {
-        throw new Error(
-          "Gemini API key is missing. Set VITE_GEMINI_API_KEY in your .env.local file."
-        );
-      }
+  const importHistoryFile = historyAction("import history", async (file) => {
+    const { skipped } = await importHistory(await file.text());
+    if (skipped) {
+      setHistoryError(
+        `${skipped} run(s) skipped: they are missing the resume, the job description or the analysis scores.`
+      );
+    }
+  });
 
-const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
+  const reanalyzeEdited = () =>
+    analyzeResume(editor.text, analyzed.job, analyzed.requirements, {
+      edited: true,
+    });
 
+  // Rewrites of one experience bullet, aimed at the analyzed job
+  const rewriteBullet = (bullet, context, signal) =>
+    requestBulletRewrite({
+      bullet,
+      context,
+      jobDescription: analyzed.job,
+      missingKeywords: analysis?.missingKeywords || [],
+      provider: activeProvider?.id,
+      model: activeProvider && providerSettings.models[activeProvider.id],
+      signal,
+    });
 
-      const result = await fetchWithRetry(apiUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+  // Cover letter drafts and regenerated paragraphs, for the analyzed job
+  const requestLetter = (params, signal) =>
+    requestCoverLetter({
+      ...params,
+      provider: activeProvider?.id,
+      model: activeProvider && providerSettings.models[activeProvider.id],
+      signal,
+    });
 
-      const parsed = extractJSON(result);
+  // Interview questions for the analyzed job, aimed at the analysis's gaps
+  const requestQuestions = (signal) =>
+    requestInterviewQuestions({
+      resumeText: editor.text || analyzed.text,
+      jobDescription: analyzed.job,
+      requirements: analyzed.requirements,
+      weaknesses: analysis?.weaknesses || [],
+      missingKeywords: analysis?.missingKeywords || [],
+      strengths: analysis?.strengths || [],
+      provider: activeProvider?.id,
+      model: activeProvider && providerSettings.models[activeProvider.id],
+      signal,
+    });
 
-      if (typeof parsed?.matchPercentage !== "number") {
-        throw new Error(
-          "Invalid analysis format received - missing matchPercentage"
-        );
-      }
+  const requestFeedback = (question, answer, signal) =>
+    requestAnswerFeedback({
+      question,
+      answer,
+      resumeText: editor.text || analyzed.text,
+      jobDescription: analyzed.job,
+      provider: activeProvider?.id,
+      model: activeProvider && providerSettings.models[activeProvider.id],
+      signal,
+    });
 
-      setAnalysis(parsed);
-    } catch (error) {
-      console.error("Full analysis error:", error);
-      setApiError(
-        `Analysis failed: ${error.message}. Please try again with different content.`
-      );
-    } finally {
-      setLoading(false);
-    }
-  };
+  const canReanalyze =
+    !loading && !!analyzed && !!editor.text && editor.text !== analyzed.text;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 font-sans">
@@ -637,20 +430,65 @@ const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2
               MatchMy Resume
             </h1>
           </div>
-          <div className="text-sm px-3 py-1 bg-indigo-100 text-indigo-800 rounded-full font-medium flex items-center">
-            <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
-              <path
-                fillRule="evenodd"
-                d="M12.586 4.586a2 2 0 112.828 2.828l-3 3a2 2 0 01-2.828 0 1 1 0 00-1.414 1.414 4 4 0 005.656 0l3-3a4 4 0 00-5.656-5.656l-1.5 1.5a1 1 0 101.414 1.414l1.5-1.5zm-5 5a2 2 0 012.828 0 1 1 0 101.414-1.414 4 4 0 00-5.656 0l-3 3a4 4 0 105.656 5.656l1.5-1.5a1 1 0 10-1.414-1.414l-1.5 1.5a2 2 0 11-2.828-2.828l3-3z"
-                clipRule="evenodd"
-              />
-            </svg>
-            Powered by AI
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setShowHistory(true)}
+              className="text-sm px-3 py-1 bg-gray-100 text-gray-700 hover:bg-gray-200 rounded-full font-medium flex items-center"
+            >
+              <FiClock className="w-4 h-4 mr-1" />
+              History
+              {runs.length > 0 && (
+                <span className="ml-1 text-gray-500">({runs.length})</span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowSettings((open) => !open)}
+              className="text-sm px-3 py-1 bg-gray-100 text-gray-700 hover:bg-gray-200 rounded-full font-medium flex items-center"
+            >
+              <FiSettings className="w-4 h-4 mr-1" />
+              {activeProvider ? activeProvider.label : "Settings"}
+            </button>
+            <div className="text-sm px-3 py-1 bg-indigo-100 text-indigo-800 rounded-full font-medium flex items-center">
+              <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                <path
+                  fillRule="evenodd"
+                  d="M12.586 4.586a2 2 0 112.828 2.828l-3 3a2 2 0 01-2.828 0 1 1 0 00-1.414 1.414 4 4 0 005.656 0l3-3a4 4 0 00-5.656-5.656l-1.5 1.5a1 1 0 101.414 1.414l1.5-1.5zm-5 5a2 2 0 012.828 0 1 1 0 101.414-1.414 4 4 0 00-5.656 0l-3 3a4 4 0 105.656 5.656l1.5-1.5a1 1 0 10-1.414-1.414l-1.5 1.5a2 2 0 11-2.828-2.828l3-3z"
+                  clipRule="evenodd"
+                />
+              </svg>
+              Powered by AI
+            </div>
           </div>
         </div>
       </header>
 
+      {showHistory && (
+        <HistorySidebar
+          runs={runs}
+          activeId={activeRunId}
+          busy={loading}
+          error={historyError}
+          onOpen={openRun}
+          onRename={renameHistoryRun}
+          onDelete={deleteHistoryRun}
+          onExport={exportHistoryFile}
+          onImport={importHistoryFile}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {showSettings && (
+          <div className="mb-6">
+            <SettingsPanel
+              settings={providerSettings}
+              providers={availableProviders}
+              onChange={setProviderSettings}
+              onClose={() => setShowSettings(false)}
+            />
+          </div>
+        )}
+
         {apiError && (
           <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg border border-red-200 flex items-start">
             <svg
@@ -672,102 +510,182 @@ const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2
           </div>
         )}
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div
+          className={`grid grid-cols-1 ${
+            mode === "single" ? "lg:grid-cols-2" : ""
+          } gap-8`}
+        >
           {/* Input Section */}
           <div className="bg-white rounded-xl shadow-md overflow-hidden border border-gray-200">
             <div className="p-6 sm:p-8">
-              <h2 className="text-xl font-semibold text-gray-800 mb-1">
-                Resume & Job Details
-              </h2>
+              <div className="flex items-start justify-between">
+                <h2 className="text-xl font-semibold text-gray-800 mb-1">
+                  Resume & Job Details
+                </h2>
+                <div className="flex text-xs bg-gray-100 rounded-full p-0.5">
+                  {MODES.map(({ id, label }) => (
+                    <button
+                      key={id}
+                      onClick={() => setMode(id)}
+                      disabled={loading}
+                      className={`px-3 py-1 rounded-full font-medium ${
+                        mode === id
+                          ? "bg-white text-indigo-700 shadow-sm"
+                          : "text-gray-600 hover:text-gray-800"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
               <p className="text-sm text-gray-500 mb-6">
-                Upload your resume (PDF/TXT) and paste the job description to
-                analyze
+                {MODES.find((option) => option.id === mode).description}
               </p>
 
-              <div className="mb-8">
-                <FileUpload
-                  onTextExtracted={(text) => {
-                    setResumeText(text);
-                    setOriginalResumeText(text);
-                  }}
-                  text={resumeText}
-                />
-              </div>
-
-              <div>
-                <label
-                  htmlFor="job-description"
-                  className="block text-sm font-medium text-gray-700 mb-2"
+              {mode !== "recruiter" && (
+                <div className="mb-8">
+                  <FileUpload
+                    onTextExtracted={setResumeText}
+                    onFileLoaded={setResumeFile}
+                    text={resumeText}
+                  />
+                </div>
+              )}
+
+              {mode !== "batch" && (
+                <div>
+                  <label
+                    htmlFor="job-description"
+                    className="block text-sm font-medium text-gray-700 mb-2"
+                  >
+                    Job Description
+                  </label>
+                  <textarea
+                    id="job-description"
+                    value={jobDescription}
+                    onChange={(e) => setJobDescription(e.target.value)}
+                    placeholder="Paste the full job description here..."
+                    className="w-full h-48 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition text-sm"
+                    rows={6}
+                  />
+                  {jobDescription.trim() && (
+                    <JobRequirements
+                      requirements={requirements}
+                      edited={requirementsEdited}
+                      onChange={(next) =>
+                        setRequirementEdits({
+                          job: jobDescription,
+                          requirements: next,
+                        })
+                      }
+                      onReset={() => setRequirementEdits(null)}
+                    />
+                  )}
+                </div>
+              )}
+
+              {mode === "single" && (
+                <button
+                  onClick={() =>
+                    analyzeResume(resumeText, jobDescription, requirements)
+                  }
+                  disabled={loading || !resumeText || !jobDescription}
+                  className={`mt-8 w-full py-3.5 rounded-lg transition-all duration-200 ${
+                    loading || !resumeText || !jobDescription
+                      ? "bg-gray-200 text-gray-500 cursor-not-allowed"
+                      : "bg-indigo-600 hover:bg-indigo-700 text-white shadow-md hover:shadow-lg"
+                  } flex items-center justify-center font-medium`}
                 >
-                  Job Description
-                </label>
-                <textarea
-                  id="job-description"
-                  value={jobDescription}
-                  onChange={(e) => setJobDescription(e.target.value)}
-                  placeholder="Paste the full job description here..."
-                  className="w-full h-48 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition text-sm"
-                  rows={6}
-                />
-              </div>
-
-              <button
-                onClick={analyzeResume}
-                disabled={loading || !resumeText || !jobDescription}
-                className={`mt-8 w-full py-3.5 rounded-lg transition-all duration-200 ${
-                  loading || !resumeText || !jobDescription
-                    ? "bg-gray-200 text-gray-500 cursor-not-allowed"
-                    : "bg-indigo-600 hover:bg-indigo-700 text-white shadow-md hover:shadow-lg"
-                } flex items-center justify-center font-medium`}
-              >
-                {loading ? (
-                  <>
-                    <svg
-                      className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
-                      xmlns="http://www.w3.org/2000/svg"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                    >
-                      <circle
-                        className="opacity-25"
-                        cx="12"
-                        cy="12"
-                        r="10"
+                  {loading ? (
+                    <>
+                      <svg
+                        className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
+                        xmlns="http://www.w3.org/2000/svg"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                      >
+                        <circle
+                          className="opacity-25"
+                          cx="12"
+                          cy="12"
+                          r="10"
+                          stroke="currentColor"
+                          strokeWidth="4"
+                        ></circle>
+                        <path
+                          className="opacity-75"
+                          fill="currentColor"
+                          d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                        ></path>
+                      </svg>
+                      Analyzing...
+                    </>
+                  ) : (
+                    <>
+                      <svg
+                        className="w-5 h-5 mr-2"
+                        fill="none"
                         stroke="currentColor"
-                        strokeWidth="4"
-                      ></circle>
-                      <path
-                        className="opacity-75"
-                        fill="currentColor"
-                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                      ></path>
-                    </svg>
-                    Analyzing...
-                  </>
-                ) : (
-                  <>
-                    <svg
-                      className="w-5 h-5 mr-2"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth="2"
-                        d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"
-                      />
-                    </svg>
-                    Analyze Match
-                  </>
-                )}
-              </button>
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth="2"
+                          d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2"
+                        />
+                      </svg>
+                      Analyze Match
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Batch comparison stays mounted so its results survive switching modes */}
+          <div
+            className={`bg-white rounded-xl shadow-md overflow-hidden border border-gray-200 ${
+              mode === "batch" ? "" : "hidden"
+            }`}
+          >
+            <div className="p-6 sm:p-8">
+              <BatchComparison
+                resumeText={resumeText}
+                provider={activeProvider?.id}
+                model={
+                  activeProvider && providerSettings.models[activeProvider.id]
+                }
+                onOpen={openBatchResult}
+              />
+            </div>
+          </div>
+
+          {/* Kept mounted for the same reason */}
+          <div
+            className={`bg-white rounded-xl shadow-md overflow-hidden border border-gray-200 ${
+              mode === "recruiter" ? "" : "hidden"
+            }`}
+          >
+            <div className="p-6 sm:p-8">
+              <CandidateLeaderboard
+                jobDescription={jobDescription}
+                requirements={requirements}
+                provider={activeProvider?.id}
+                model={
+                  activeProvider && providerSettings.models[activeProvider.id]
+                }
+              />
             </div>
           </div>
 
           {/* Results Section */}
-          <div className="bg-white rounded-xl shadow-md overflow-hidden border border-gray-200">
+          <div
+            className={`bg-white rounded-xl shadow-md overflow-hidden border border-gray-200 ${
+              mode === "single" ? "" : "hidden"
+            }`}
+          >
             <div className="p-6 sm:p-8">
               <h2 className="text-xl font-semibold text-gray-800 mb-1">
                 Analysis Results
@@ -779,16 +697,32 @@ const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2
               </p>
 
               <AnalysisResults
-                analysis={analysis}
+                analysis={analysis || partialAnalysis}
                 loading={loading}
                 hasData={!!resumeText && !!jobDescription}
-                originalText={originalResumeText}
+                localMatch={localMatch}
+                atsReport={atsReport}
+                onCancel={cancelAnalysis}
+                editor={editor}
+                dispatchEditor={dispatchEditor}
+                onReanalyze={canReanalyze ? reanalyzeEdited : null}
+                onRewriteBullet={analyzed ? rewriteBullet : null}
+                coverLetter={coverLetter}
+                onCoverLetterChange={setCoverLetter}
+                onRequestCoverLetter={analyzed ? requestLetter : null}
+                interviewPrep={interviewPrep}
+                onInterviewPrepChange={setInterviewPrep}
+                onRequestQuestions={analyzed ? requestQuestions : null}
+                onRequestFeedback={analyzed ? requestFeedback : null}
+                analysisDelta={analysisDelta}
+                onDismissDelta={() => setAnalysisDelta(null)}
+                reportSource={analyzed}
               />
             </div>
           </div>
         </div>
 
-        {!analysis && !loading && (
+        {mode === "single" && !analysis && !loading && (
           <div className="mt-12 text-center">
             <div className="inline-block p-5 bg-indigo-50 rounded-full mb-4">
               <svg
@@ -1,10 +1,16 @@
 import React from 'react';
-import { FiCheckCircle, FiAlertCircle, FiInfo } from 'react-icons/fi';
+import { FiCheckCircle, FiAlertCircle, FiXCircle, FiInfo } from 'react-icons/fi';
 
-const ATSCompatibility = ({ score }) => {
-  // Normalize score: allow 0, treat undefined/null as null
-  const hasScore = typeof score === 'number' && !Number.isNaN(score);
-  const normalizedScore = hasScore ? Math.min(Math.max(score, 0), 100) : null;
+const STATUS_STYLES = {
+  pass: { icon: <FiCheckCircle className="text-green-500" />, row: 'bg-green-50' },
+  warn: { icon: <FiAlertCircle className="text-yellow-500" />, row: 'bg-yellow-50' },
+  fail: { icon: <FiXCircle className="text-red-500" />, row: 'bg-red-50' },
+};
+
+// `report` is the AtsReport from utils/atsChecker; `aiScore` is the
+// model's own estimate, shown for comparison only.
+const ATSCompatibility = ({ report, aiScore, missingKeywords = [] }) => {
+  const score = report ? report.score : null;
 
   const getATSScoreColor = (val) => {
     if (val === null) return 'text-gray-500 bg-gray-100';
@@ -21,70 +27,101 @@ const ATSCompatibility = ({ score }) => {
     return 'Poor';
   };
 
-  const badgeClasses = getATSScoreColor(normalizedScore);
-  const statusText = getATSStatus(normalizedScore);
+  const badgeClasses = getATSScoreColor(score);
+  const statusText = getATSStatus(score);
 
-  const tips = [
-    {
-      title: 'Use Standard Headings',
-      description:
-        'Replace creative section titles with standard ones like "Work Experience" and "Education".',
-      icon: <FiCheckCircle className="text-green-500" />,
-    },
-    {
-      title: 'Avoid Graphics & Tables',
-      description: 'Remove complex layouts that scanners might misread.',
-      icon: <FiAlertCircle className="text-yellow-500" />,
-    },
-    {
-      title: 'Keyword Optimization',
-      description: 'Include more relevant keywords from the job description naturally.',
-      icon: <FiInfo className="text-blue-500" />,
-    },
-    {
-      title: 'File Format',
-      description: 'Use a simple, ATS-friendly format (PDF or DOCX as specified).',
-      icon: <FiCheckCircle className="text-green-500" />,
-    },
-  ];
+  // Missing sections get their own summary row above
+  const issues = report
+    ? report.rules.filter((rule) => rule.status !== 'pass' && rule.id !== 'sections')
+    : [];
+  const passed = report ? report.rules.filter((rule) => rule.status === 'pass') : [];
+
+  const renderRule = (rule) => (
+    <div key={rule.id} className={`flex items-start p-3 rounded-lg ${STATUS_STYLES[rule.status].row}`}>
+      <div className="mr-3 mt-0.5">{STATUS_STYLES[rule.status].icon}</div>
+      <div>
+        <p className="font-medium text-gray-800">{rule.label}</p>
+        <p className="text-sm text-gray-600">{rule.message}</p>
+      </div>
+    </div>
+  );
 
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
       <div className="flex items-center mb-4">
         <div className={`p-2 rounded-lg mr-3 ${badgeClasses}`}>
-          <span className="font-bold">
-            {normalizedScore !== null ? normalizedScore : 'N/A'}
-          </span>
-          {normalizedScore !== null && '/100'}
+          <span className="font-bold">{score !== null ? score : 'N/A'}</span>
+          {score !== null && '/100'}
         </div>
         <div>
           <h3 className="text-lg font-medium text-gray-800">ATS Compatibility</h3>
           <p className="text-sm text-gray-500">
             {statusText}
-            {normalizedScore !== null && (
+            {score !== null && (
               <>
                 {' '}
-                – {normalizedScore >= 60
-                  ? 'Likely to pass screening'
-                  : 'May have issues with scanners'}
+                – {score >= 60 ? 'Likely to pass screening' : 'May have issues with scanners'}
               </>
             )}
           </p>
+          {typeof aiScore === 'number' && (
+            <p className="text-xs text-gray-400 mt-0.5">AI estimate: {aiScore}/100</p>
+          )}
         </div>
       </div>
 
-      <div className="space-y-3 mt-4">
-        <h4 className="text-sm font-medium text-gray-700">Tips to Improve:</h4>
-        {tips.map((tip, index) => (
-          <div key={index} className="flex items-start p-3 bg-gray-50 rounded-lg">
-            <div className="mr-3 mt-0.5">{tip.icon}</div>
-            <div>
-              <p className="font-medium text-gray-800">{tip.title}</p>
-              <p className="text-sm text-gray-600">{tip.description}</p>
+      {!report && (
+        <p className="text-sm text-gray-500">Add your resume to run the ATS checks.</p>
+      )}
+
+      {report && (
+        <div className="space-y-3 mt-4">
+          {report.missingATSHeadings.length > 0 && (
+            <div className="flex items-start p-3 bg-red-50 rounded-lg">
+              <FiXCircle className="text-red-500 mr-3 mt-0.5" />
+              <div>
+                <p className="font-medium text-gray-800">Missing Standard Sections</p>
+                <p className="text-sm text-gray-600">
+                  Add these standard sections: {report.missingATSHeadings.join(', ')}
+                </p>
+              </div>
             </div>
-          </div>
-        ))}
-      </div>
+          )}
+
+          {missingKeywords.length > 0 && (
+            <div className="flex items-start p-3 bg-yellow-50 rounded-lg">
+              <FiInfo className="text-yellow-500 mr-3 mt-0.5" />
+              <div>
+                <p className="font-medium text-gray-800">Keyword Optimization</p>
+                <p className="text-sm text-gray-600">
+                  Include more of these keywords: {missingKeywords.slice(0, 5).join(', ')}
+                  {missingKeywords.length > 5 && ` (and ${missingKeywords.length - 5} more)`}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {issues.length > 0 && (
+            <>
+              <h4 className="text-sm font-medium text-gray-700 pt-2">Issues to fix</h4>
+              {issues.map(renderRule)}
+            </>
+          )}
+
+          {passed.length > 0 && (
+            <>
+              <h4 className="text-sm font-medium text-gray-700 pt-2">Working well</h4>
+              {passed.map(renderRule)}
+            </>
+          )}
+
+          {report.rules.every((rule) => !['columns', 'images', 'fonts'].includes(rule.id)) && (
+            <p className="text-xs text-gray-400 pt-2">
+              Upload the PDF to also check its layout, images and fonts.
+            </p>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   FiPercent,
   FiList,
@@ -8,29 +8,117 @@ import {
   FiAward,
   FiPieChart,
   FiCheckCircle,
-  FiAlertCircle,
-  FiInfo,
-  FiBriefcase,
-  FiBook,
-  FiHash,
+  FiFileText,
+  FiLoader,
+  FiX,
+  FiMail,
+  FiMessageSquare,
+  FiTarget,
 } from 'react-icons/fi';
+import ScoreBreakdown from './ScoreBreakdown';
+import ATSCompatibility from './ATSCompatibility';
+import ResumeEditor from './ResumeEditor';
+import ScoreDelta from './ScoreDelta';
+import ReportDownload from './ReportDownload';
+import CoverLetterWorkspace from './CoverLetterWorkspace';
+import InterviewPrep from './InterviewPrep';
+import SkillGapPlan from './SkillGapPlan';
 
-const AnalysisResults = ({ analysis, loading, hasData }) => {
-  if (loading) {
+const TABS = [
+  { id: 'overview', label: 'Overview', icon: <FiPercent className="mr-1.5" /> },
+  { id: 'scores', label: 'Scores', icon: <FiPieChart className="mr-1.5" /> },
+  { id: 'ats', label: 'ATS', icon: <FiCheckCircle className="mr-1.5" /> },
+  { id: 'gaps', label: 'Skill gaps', icon: <FiTarget className="mr-1.5" /> },
+  { id: 'editor', label: 'Editor', icon: <FiEdit2 className="mr-1.5" /> },
+  { id: 'letter', label: 'Cover letter', icon: <FiMail className="mr-1.5" /> },
+  { id: 'interview', label: 'Interview Prep', icon: <FiMessageSquare className="mr-1.5" /> },
+];
+
+const FEEDBACK_SECTIONS = [
+  { key: 'skills', label: 'Skills' },
+  { key: 'experience', label: 'Experience' },
+  { key: 'education', label: 'Education' },
+];
+
+const getMatchBadgeClasses = (percentage) => {
+  if (percentage >= 80) return 'text-green-600 bg-green-50';
+  if (percentage >= 60) return 'text-blue-600 bg-blue-50';
+  if (percentage >= 40) return 'text-yellow-600 bg-yellow-50';
+  return 'text-red-600 bg-red-50';
+};
+
+const getMatchBarColor = (percentage) => {
+  if (percentage >= 80) return 'bg-green-500';
+  if (percentage >= 60) return 'bg-blue-500';
+  if (percentage >= 40) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+const getMatchLabel = (percentage) => {
+  if (percentage >= 80) return 'Excellent match!';
+  if (percentage >= 60) return 'Good match';
+  if (percentage >= 40) return 'Partial match';
+  return 'Low match';
+};
+
+const CancelButton = ({ onCancel }) => (
+  <button
+    onClick={onCancel}
+    className="text-sm px-3 py-1 bg-gray-100 text-gray-700 hover:bg-gray-200 rounded-full font-medium flex items-center"
+  >
+    <FiX className="w-4 h-4 mr-1" />
+    Cancel
+  </button>
+);
+
+const AnalysisResults = ({
+  analysis,
+  loading,
+  hasData,
+  localMatch,
+  atsReport,
+  onCancel,
+  editor,
+  dispatchEditor,
+  onReanalyze,
+  onRewriteBullet,
+  coverLetter,
+  onCoverLetterChange,
+  onRequestCoverLetter,
+  interviewPrep,
+  onInterviewPrepChange,
+  onRequestQuestions,
+  onRequestFeedback,
+  analysisDelta,
+  onDismissDelta,
+  reportSource,
+}) => {
+  const [activeTab, setActiveTab] = useState('overview');
+
+  if (loading && !analysis) {
     return (
-      <div className="bg-white rounded-lg p-6 h-full flex flex-col items-center justify-center">
-        <div className="animate-pulse flex flex-col items-center">
+      <div className="bg-white rounded-lg p-6 h-full min-h-[400px] flex flex-col items-center justify-center">
+        <div className="animate-pulse flex flex-col items-center w-full">
           <div className="h-16 w-16 bg-gray-200 rounded-full mb-4"></div>
           <div className="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
           <div className="h-4 bg-gray-200 rounded w-1/2"></div>
         </div>
+        <p className="text-gray-600 font-medium mt-6">
+          Analyzing document and generating detailed report...
+        </p>
+        <p className="text-sm text-gray-400 mt-1">This may take a moment.</p>
+        {onCancel && (
+          <div className="mt-4">
+            <CancelButton onCancel={onCancel} />
+          </div>
+        )}
       </div>
     );
   }
 
-  if (!analysis || !hasData) {
+  if (!hasData) {
     return (
-      <div className="bg-white rounded-lg p-6 h-full flex flex-col items-center justify-center text-center">
+      <div className="bg-white rounded-lg p-6 h-full min-h-[400px] flex flex-col items-center justify-center text-center">
         <div className="bg-indigo-50 p-5 rounded-full mb-5">
           <FiAward className="text-3xl text-indigo-400" />
         </div>
@@ -43,53 +131,46 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
     );
   }
 
-  // Safeguards
-  const matchPercentage =
-    typeof analysis.matchPercentage === 'number' ? analysis.matchPercentage : 0;
-  const atsScore = typeof analysis.atsScore === 'number' ? analysis.atsScore : null;
-
-  const missingKeywords = Array.isArray(analysis.missingKeywords)
-    ? analysis.missingKeywords
-    : typeof analysis.missingKeywords === 'string'
-    ? analysis.missingKeywords.split(',')
-    : [];
-
-  const getMatchBadgeClasses = (percentage) => {
-    if (percentage >= 80) return 'text-green-600 bg-green-50';
-    if (percentage >= 60) return 'text-blue-600 bg-blue-50';
-    if (percentage >= 40) return 'text-yellow-600 bg-yellow-50';
-    return 'text-red-600 bg-red-50';
-  };
-
-  const getMatchBarColor = (percentage) => {
-    if (percentage >= 80) return 'bg-green-500';
-    if (percentage >= 60) return 'bg-blue-500';
-    if (percentage >= 40) return 'bg-yellow-500';
-    return 'bg-red-500';
-  };
+  if (!analysis) {
+    return (
+      <div className="bg-white rounded-lg p-6 h-full flex flex-col items-center justify-center text-center">
+        <div className="bg-indigo-50 p-5 rounded-full mb-5">
+          <FiFileText className="text-3xl text-indigo-400" />
+        </div>
+        <p className="text-gray-500">
+          Click <span className="font-semibold">Analyze Match</span> to generate your report.
+        </p>
+        {localMatch && (
+          <div className="mt-6 w-full text-left">
+            <ScoreBreakdown localMatch={localMatch} />
+          </div>
+        )}
+      </div>
+    );
+  }
 
-  const getMatchLabel = (percentage) => {
-    if (percentage >= 80) return 'Excellent match!';
-    if (percentage >= 60) return 'Good match';
-    if (percentage >= 40) return 'Partial match';
-    return 'Low match';
-  };
+  // `analysis` has been through validateAnalysis, so every field is present.
+  // While streaming, scores that haven't arrived yet are null.
+  const streaming = loading;
+  const {
+    matchPercentage,
+    atsScore,
+    scoreBreakdown,
+    missingKeywords,
+    sectionFeedback,
+    strengths,
+    weaknesses,
+    keyChanges,
+    summary,
+  } = analysis;
+  const hasMatch = typeof matchPercentage === 'number';
 
-  const getATSScoreBadge = (score) => {
-    if (score >= 80) return 'text-green-600 bg-green-50';
-    if (score >= 60) return 'text-blue-600 bg-blue-50';
-    return 'text-red-600 bg-red-50';
-  };
+  const delta = analysisDelta && <ScoreDelta delta={analysisDelta} onDismiss={onDismissDelta} />;
 
-  const getATSStatus = (score) => {
-    if (score >= 80) return 'Excellent';
-    if (score >= 60) return 'Good';
-    if (score >= 40) return 'Fair';
-    return 'Poor';
-  };
+  const overview = (
+    <>
+      {delta}
 
-  return (
-    <div className="space-y-6">
       {/* Match Percentage Card */}
       <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
         <div className="flex items-start">
@@ -99,161 +180,32 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
           <div className="flex-1">
             <h3 className="text-sm font-medium text-gray-500 mb-1">Match Percentage</h3>
             <div className="flex items-center justify-between mb-2">
-              <span className="text-3xl font-bold text-gray-800">{matchPercentage}%</span>
-              <span
-                className={`px-2 py-1 rounded-full text-xs font-medium ${getMatchBadgeClasses(
-                  matchPercentage
-                )}`}
-              >
-                {getMatchLabel(matchPercentage)}
+              <span className="text-3xl font-bold text-gray-800">
+                {hasMatch ? `${matchPercentage}%` : '…'}
               </span>
+              {hasMatch && (
+                <span
+                  className={`px-2 py-1 rounded-full text-xs font-medium ${getMatchBadgeClasses(
+                    matchPercentage
+                  )}`}
+                >
+                  {getMatchLabel(matchPercentage)}
+                </span>
+              )}
             </div>
             <div className="w-full bg-gray-200 rounded-full h-2.5 mb-3">
               <div
                 className={`h-2.5 rounded-full ${getMatchBarColor(matchPercentage)}`}
-                style={{ width: `${Math.min(Math.max(matchPercentage, 0), 100)}%` }}
+                style={{ width: `${hasMatch ? matchPercentage : 0}%` }}
               ></div>
             </div>
-            {analysis.summary && (
-              <p className="text-sm text-gray-600 mt-2">{analysis.summary}</p>
-            )}
+            {summary && <p className="text-sm text-gray-600 mt-2">{summary}</p>}
           </div>
         </div>
       </div>
 
-      {/* Score Breakdown Card */}
-      {analysis.scoreBreakdown && (
-        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
-          <div className="flex items-center mb-4">
-            <FiPieChart className="text-gray-500 mr-2" />
-            <h3 className="text-lg font-medium text-gray-800">Score Breakdown</h3>
-          </div>
-
-          <div className="space-y-4">
-            {Object.entries(analysis.scoreBreakdown).map(([category, score]) => {
-              const safeScore = typeof score === 'number' ? score : 0;
-              return (
-                <div key={category} className="flex items-center">
-                  <div className="mr-3">
-                    {category === 'skills' && <FiAward className="text-blue-500" />}
-                    {category === 'experience' && <FiBriefcase className="text-green-500" />}
-                    {category === 'education' && <FiBook className="text-purple-500" />}
-                    {category === 'keywords' && <FiHash className="text-yellow-500" />}
-                  </div>
-                  <div className="flex-1">
-                    <div className="flex justify-between text-sm mb-1">
-                      <span className="capitalize text-gray-700">{category}</span>
-                      <span className="font-medium">{safeScore}%</span>
-                    </div>
-                    <div className="w-full bg-gray-200 rounded-full h-2">
-                      <div
-                        className="h-2 rounded-full"
-                        style={{
-                          width: `${Math.min(Math.max(safeScore, 0), 100)}%`,
-                          backgroundColor:
-                            safeScore > 75 ? '#10B981' : safeScore > 50 ? '#3B82F6' : '#EF4444',
-                        }}
-                      ></div>
-                    </div>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-        </div>
-      )}
-
-      {/* ATS Compatibility Card */}
-      {atsScore !== null && (
-        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
-          <div className="flex items-center mb-4">
-            <div
-              className={`p-2 rounded-lg mr-3 ${getATSScoreBadge(atsScore)}`}
-            >
-              <span className="font-bold">{atsScore}</span>/100
-            </div>
-            <div>
-              <h3 className="text-lg font-medium text-gray-800">ATS Compatibility</h3>
-              <p className="text-sm text-gray-500">
-                {getATSStatus(atsScore)} -{' '}
-                {atsScore >= 60 ? 'Likely to pass screening' : 'May have issues with scanners'}
-              </p>
-            </div>
-          </div>
-
-          <div className="space-y-3 mt-4">
-            <h4 className="text-sm font-medium text-gray-700">
-              {atsScore >= 80
-                ? 'Your resume is ATS-friendly!'
-                : atsScore >= 60
-                ? 'Your resume is mostly ATS-friendly'
-                : 'Key areas to improve for ATS'}
-            </h4>
-
-            {atsScore < 80 && (
-              <div className="space-y-3">
-                {/* Missing standard sections */}
-                {analysis.missingATSHeadings?.length > 0 && (
-                  <div className="flex items-start p-3 bg-red-50 rounded-lg">
-                    <FiAlertCircle className="text-red-500 mr-3 mt-0.5" />
-                    <div>
-                      <p className="font-medium text-gray-800">Missing Standard Sections</p>
-                      <p className="text-sm text-gray-600">
-                        Add these standard sections: {analysis.missingATSHeadings.join(', ')}
-                      </p>
-                    </div>
-                  </div>
-                )}
-
-                {/* Keyword optimization */}
-                {missingKeywords.length > 0 && (
-                  <div className="flex items-start p-3 bg-yellow-50 rounded-lg">
-                    <FiInfo className="text-yellow-500 mr-3 mt-0.5" />
-                    <div>
-                      <p className="font-medium text-gray-800">Keyword Optimization</p>
-                      <p className="text-sm text-gray-600">
-                        Include more of these keywords:{' '}
-                        {missingKeywords.slice(0, 5).join(', ')}
-                        {missingKeywords.length > 5 &&
-                          ` (and ${missingKeywords.length - 5} more)`}
-                      </p>
-                    </div>
-                  </div>
-                )}
-
-                {/* Formatting issues */}
-                {analysis.atsFormattingIssues?.length > 0 && (
-                  <div className="flex items-start p-3 bg-blue-50 rounded-lg">
-                    <FiAlertCircle className="text-blue-500 mr-3 mt-0.5" />
-                    <div>
-                      <p className="font-medium text-gray-800">Formatting Issues</p>
-                      <p className="text-sm text-gray-600">
-                        {analysis.atsFormattingIssues.join('. ')}
-                      </p>
-                    </div>
-                  </div>
-                )}
-
-                {/* What's working well */}
-                {analysis.atsStrengths?.length > 0 && (
-                  <div className="flex items-start p-3 bg-green-50 rounded-lg">
-                    <FiCheckCircle className="text-green-500 mr-3 mt-0.5" />
-                    <div>
-                      <p className="font-medium text-gray-800">Working Well</p>
-                      <p className="text-sm text-gray-600">
-                        {analysis.atsStrengths.join('. ')}
-                      </p>
-                    </div>
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
-        </div>
-      )}
-
       {/* Strengths Card */}
-      {analysis.strengths && analysis.strengths.length > 0 && (
+      {strengths.length > 0 && (
         <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
           <div className="flex items-start">
             <div className="bg-green-50 p-3 rounded-lg mr-4 text-green-600">
@@ -262,7 +214,7 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
             <div>
               <h3 className="text-sm font-medium text-gray-500 mb-2">Your Strengths</h3>
               <ul className="space-y-2">
-                {analysis.strengths.map((strength, index) => (
+                {strengths.map((strength, index) => (
                   <li key={index} className="flex items-start">
                     <span className="text-green-500 mr-2 mt-0.5">✓</span>
                     <span className="text-gray-700">{strength}</span>
@@ -284,8 +236,7 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
             <div>
               <h3 className="text-sm font-medium text-gray-500 mb-2">Missing Keywords</h3>
               <p className="text-sm text-gray-600 mb-3">
-                These important keywords from the job description were not found in your
-                resume:
+                These important keywords from the job description were not found in your resume:
               </p>
               <div className="flex flex-wrap gap-2">
                 {missingKeywords.map((keyword, index) => (
@@ -293,17 +244,25 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
                     key={index}
                     className="bg-yellow-50 text-yellow-700 px-3 py-1.5 rounded-full text-xs font-medium"
                   >
-                    {keyword.trim()}
+                    {keyword}
                   </span>
                 ))}
               </div>
+              {reportSource && (
+                <button
+                  onClick={() => setActiveTab('gaps')}
+                  className="mt-3 text-xs font-medium text-indigo-600 hover:text-indigo-800 flex items-center"
+                >
+                  <FiTarget className="mr-1" /> Plan what to learn first
+                </button>
+              )}
             </div>
           </div>
         </div>
       )}
 
       {/* Weaknesses Card */}
-      {analysis.weaknesses && analysis.weaknesses.length > 0 && (
+      {weaknesses.length > 0 && (
         <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
           <div className="flex items-start">
             <div className="bg-red-50 p-3 rounded-lg mr-4 text-red-600">
@@ -312,7 +271,7 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
             <div>
               <h3 className="text-sm font-medium text-gray-500 mb-2">Areas for Improvement</h3>
               <ul className="space-y-2">
-                {analysis.weaknesses.map((weakness, index) => (
+                {weaknesses.map((weakness, index) => (
                   <li key={index} className="flex items-start">
                     <span className="text-red-500 mr-2 mt-0.5">!</span>
                     <span className="text-gray-700">{weakness}</span>
@@ -325,7 +284,7 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
       )}
 
       {/* Key Changes Card */}
-      {analysis.keyChanges && analysis.keyChanges.length > 0 && (
+      {keyChanges.length > 0 && (
         <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
           <div className="flex items-start">
             <div className="bg-blue-50 p-3 rounded-lg mr-4 text-blue-600">
@@ -334,7 +293,7 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
             <div>
               <h3 className="text-sm font-medium text-gray-500 mb-2">Recommended Changes</h3>
               <ul className="space-y-3">
-                {analysis.keyChanges.map((change, index) => (
+                {keyChanges.map((change, index) => (
                   <li key={index} className="flex items-start">
                     <span className="bg-blue-100 text-blue-600 rounded-full p-1 mr-3 mt-0.5">
                       <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
@@ -353,6 +312,122 @@ const AnalysisResults = ({ analysis, loading, hasData }) => {
           </div>
         </div>
       )}
+
+      {/* Section Feedback Card */}
+      <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
+        <h3 className="text-sm font-medium text-gray-500 mb-3">Section Feedback</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {FEEDBACK_SECTIONS.map(({ key, label }) => (
+            <div key={key}>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">{label}</h4>
+              <ul className="space-y-2 text-sm text-gray-600 list-disc list-inside">
+                {sectionFeedback[key].length > 0 ? (
+                  sectionFeedback[key].map((item, index) => <li key={index}>{item}</li>)
+                ) : (
+                  <li className="text-gray-400">No specific points found for this section.</li>
+                )}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+
+  const tabAvailable = {
+    gaps: !!reportSource,
+    editor: !!editor,
+    letter: !!onRequestCoverLetter,
+    interview: !!onRequestQuestions,
+  };
+
+  return (
+    <div className="space-y-6">
+      {streaming && (
+        <div className="flex items-center justify-between p-3 bg-indigo-50 rounded-lg border border-indigo-200">
+          <p className="text-sm text-indigo-700 font-medium flex items-center">
+            <FiLoader className="animate-spin mr-2" />
+            Generating report...
+          </p>
+          {onCancel && <CancelButton onCancel={onCancel} />}
+        </div>
+      )}
+
+      {!streaming && reportSource && (
+        <div className="flex justify-end -mb-4">
+          <ReportDownload analysis={analysis} atsReport={atsReport} source={reportSource} />
+        </div>
+      )}
+
+      <div className="flex border-b border-gray-200" role="tablist">
+        {/* Skill gaps need the analyzed texts; the editor, cover letter and interview prep need App state */}
+        {TABS.filter((tab) => tabAvailable[tab.id] !== false).map(({ id, label, icon }) => (
+          <button
+            key={id}
+            role="tab"
+            aria-selected={activeTab === id}
+            onClick={() => setActiveTab(id)}
+            className={`flex items-center px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+              activeTab === id
+                ? 'border-indigo-600 text-indigo-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {icon}
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-6" role="tabpanel">
+        {activeTab === 'overview' && overview}
+        {activeTab === 'scores' && (
+          <ScoreBreakdown
+            breakdown={scoreBreakdown}
+            localMatch={localMatch}
+            source={reportSource}
+          />
+        )}
+        {activeTab === 'ats' && (
+          <ATSCompatibility
+            report={atsReport}
+            aiScore={atsScore}
+            missingKeywords={missingKeywords}
+          />
+        )}
+        {activeTab === 'gaps' && reportSource && (
+          <SkillGapPlan missingKeywords={missingKeywords} source={reportSource} />
+        )}
+        {activeTab === 'editor' && editor && (
+          <div className="space-y-4">
+            {delta}
+            <ResumeEditor
+              editor={editor}
+              dispatch={dispatchEditor}
+              onReanalyze={onReanalyze}
+              onRewriteBullet={onRewriteBullet}
+            />
+          </div>
+        )}
+        {activeTab === 'letter' && onRequestCoverLetter && (
+          <CoverLetterWorkspace
+            resumeText={editor?.text || reportSource?.text || ''}
+            jobDescription={reportSource?.job || ''}
+            draft={coverLetter}
+            onChange={onCoverLetterChange}
+            onRequest={onRequestCoverLetter}
+          />
+        )}
+        {activeTab === 'interview' && onRequestQuestions && (
+          <InterviewPrep
+            jobDescription={reportSource?.job || ''}
+            prep={interviewPrep}
+            onChange={onInterviewPrepChange}
+            onRequestQuestions={onRequestQuestions}
+            onRequestFeedback={onRequestFeedback}
+          />
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,378 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FiLayers, FiPlus, FiUpload, FiTrash2, FiPlay, FiX, FiLoader, FiCheck, FiAlertCircle, FiClock } from 'react-icons/fi';
+import { requestAnalysis } from '../utils/api';
+import { validateAnalysis } from '../utils/analysisValidator';
+import { defaultRunName } from '../utils/historyStore';
+import {
+  BREAKDOWN_KEYS,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  MAX_BATCH_JOBS,
+  splitJobDescriptions,
+  runWithConcurrency,
+  retryRateLimited,
+  rankResults,
+  sharedMissingKeywords,
+} from '../utils/batchAnalysis';
+
+const BREAKDOWN_LABELS = {
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+  keywords: 'Keywords',
+};
+
+const STATUS_BADGES = {
+  queued: { icon: <FiClock />, label: 'Queued', className: 'text-gray-500' },
+  running: { icon: <FiLoader className="animate-spin" />, label: 'Analyzing', className: 'text-indigo-600' },
+  waiting: { icon: <FiClock />, label: 'Waiting for rate limit', className: 'text-yellow-600' },
+  done: { icon: <FiCheck />, label: 'Done', className: 'text-green-600' },
+  error: { icon: <FiAlertCircle />, label: 'Failed', className: 'text-red-600' },
+};
+
+const getScoreClass = (score) => {
+  if (typeof score !== 'number') return 'text-gray-400';
+  if (score > 75) return 'text-green-700';
+  if (score > 50) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+const newJob = (text) => ({
+  id: `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  title: defaultRunName(text),
+  text,
+});
+
+// Analyzes one resume against a list of job descriptions and ranks them.
+// `onOpen(job, result)` shows one of the results in the single-job view;
+// `result.resumeText` is the resume it was scored with.
+const BatchComparison = ({ resumeText, provider, model, onOpen }) => {
+  const [jobs, setJobs] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [running, setRunning] = useState(false);
+  // Per job id: { status, result?, error? }
+  const [progress, setProgress] = useState({});
+  const [notice, setNotice] = useState(null);
+  const abortRef = useRef(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const addJobs = (texts) => {
+    const room = MAX_BATCH_JOBS - jobs.length;
+    setJobs((current) => [...current, ...texts.slice(0, room).map(newJob)]);
+    setNotice(texts.length > room ? `Only ${MAX_BATCH_JOBS} jobs can be compared at once.` : null);
+  };
+
+  const addDraft = () => {
+    if (!draft.trim()) return;
+    addJobs([draft.trim()]);
+    setDraft('');
+  };
+
+  const importFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    try {
+      const texts = (await Promise.all(files.map((file) => file.text()))).flatMap(splitJobDescriptions);
+      if (!texts.length) {
+        setNotice('No job descriptions were found in the selected files.');
+        return;
+      }
+      addJobs(texts);
+    } catch (err) {
+      console.error('Job import error:', err);
+      setNotice(`Could not read the file: ${err.message}`);
+    }
+  };
+
+  const removeJob = (id) => {
+    setJobs((current) => current.filter((job) => job.id !== id));
+    setProgress((current) => {
+      const next = { ...current };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const updateJob = (id, update) => setProgress((current) => ({ ...current, [id]: { ...current[id], ...update } }));
+
+  const runBatch = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    const batch = jobs;
+
+    setRunning(true);
+    setNotice(null);
+    setProgress(Object.fromEntries(batch.map((job) => [job.id, { status: 'queued' }])));
+
+    await runWithConcurrency(
+      batch,
+      async (job) => {
+        const response = await retryRateLimited(
+          () => {
+            updateJob(job.id, { status: 'running' });
+            return requestAnalysis({ resumeText, jobDescription: job.text, provider, model, signal });
+          },
+          { signal, onWait: () => updateJob(job.id, { status: 'waiting' }) }
+        );
+        const { analysis, errors } = validateAnalysis(response.analysis);
+        if (errors.length) throw new Error(`Invalid analysis received - ${errors.join('; ')}`);
+        // Remembered so opening the result later shows the resume it scored
+        return { ...response, analysis, resumeText };
+      },
+      {
+        concurrency,
+        signal,
+        onSettled: (index, outcome) => {
+          const { id } = batch[index];
+          if (outcome.status === 'fulfilled') {
+            updateJob(id, { status: 'done', result: outcome.value });
+          } else if (signal.aborted) {
+            updateJob(id, { status: 'queued' });
+          } else {
+            console.error('Batch analysis error:', outcome.reason);
+            updateJob(id, { status: 'error', error: outcome.reason.message });
+          }
+        },
+      }
+    );
+
+    if (signal.aborted) setNotice('Batch cancelled. Finished analyses are kept below.');
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const completed = useMemo(
+    () =>
+      rankResults(
+        jobs
+          .filter((job) => progress[job.id]?.status === 'done')
+          .map((job) => ({ job, ...progress[job.id].result }))
+      ),
+    [jobs, progress]
+  );
+  const shared = useMemo(() => sharedMissingKeywords(completed.map((row) => row.analysis)), [completed]);
+  const settledCount = jobs.filter((job) => ['done', 'error'].includes(progress[job.id]?.status)).length;
+  const inBatch = jobs.filter((job) => progress[job.id]).length;
+
+  return (
+    <div>
+      <div className="flex items-center mb-1">
+        <FiLayers className="text-gray-500 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-800">Compare Jobs</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Add the job descriptions you are considering; your resume is scored against each one.
+      </p>
+
+      {/* Job list */}
+      <div className="space-y-2 mb-4">
+        {jobs.map((job) => {
+          const badge = STATUS_BADGES[progress[job.id]?.status];
+          return (
+            <div key={job.id} className="flex items-center justify-between p-2 border border-gray-200 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-800 truncate">{job.title}</p>
+                {badge && (
+                  <p className={`text-xs flex items-center ${badge.className}`}>
+                    <span className="mr-1">{badge.icon}</span>
+                    {progress[job.id].error || badge.label}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => removeJob(job.id)}
+                disabled={running}
+                className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50 flex-shrink-0"
+                aria-label={`Remove ${job.title}`}
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <label htmlFor="batch-job" className="block text-sm font-medium text-gray-700 mb-2">
+        Job Description
+      </label>
+      <textarea
+        id="batch-job"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder="Paste a job description, then add it to the list..."
+        className="w-full h-32 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition text-sm"
+      />
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <button
+          onClick={addDraft}
+          disabled={!draft.trim() || running || jobs.length >= MAX_BATCH_JOBS}
+          className="text-sm px-3 py-1.5 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 flex items-center"
+        >
+          <FiPlus className="mr-1" />
+          Add job
+        </button>
+        <button
+          onClick={() => fileInput.current?.click()}
+          disabled={running || jobs.length >= MAX_BATCH_JOBS}
+          className="text-sm px-3 py-1.5 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 flex items-center"
+        >
+          <FiUpload className="mr-1" />
+          Import from file
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          accept=".txt,.md,text/plain,text/markdown"
+          onChange={importFiles}
+          className="hidden"
+        />
+        <span className="text-xs text-gray-500">
+          One job per file, or several separated by a line of <code>---</code>
+        </span>
+      </div>
+      {notice && <p className="mt-2 text-sm text-gray-600">{notice}</p>}
+
+      {/* Run controls */}
+      <div className="flex flex-wrap items-center gap-3 mt-6">
+        {running ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 flex items-center font-medium"
+          >
+            <FiX className="mr-2" />
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={runBatch}
+            disabled={!resumeText || !jobs.length}
+            className={`px-4 py-2 rounded-lg flex items-center font-medium ${
+              !resumeText || !jobs.length
+                ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
+                : 'bg-indigo-600 hover:bg-indigo-700 text-white shadow-md'
+            }`}
+          >
+            <FiPlay className="mr-2" />
+            Analyze {jobs.length || ''} {jobs.length === 1 ? 'job' : 'jobs'}
+          </button>
+        )}
+        <label className="text-sm text-gray-600 flex items-center">
+          Parallel requests
+          <select
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value))}
+            disabled={running}
+            className="ml-2 text-sm px-2 py-1 border border-gray-300 rounded focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+        {!resumeText && <span className="text-sm text-gray-500">Upload your resume first.</span>}
+      </div>
+
+      {running && inBatch > 0 && (
+        <div className="mt-4">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>Analyzing jobs...</span>
+            <span>
+              {settledCount} of {inBatch}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="h-2 rounded-full bg-indigo-600 transition-all duration-300"
+              style={{ width: `${(settledCount / inBatch) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Ranked results */}
+      {completed.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-lg font-medium text-gray-800 mb-3">Ranking</h3>
+          <div className="overflow-x-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-xs text-gray-600 uppercase">
+                <tr>
+                  <th className="px-3 py-2 text-left">#</th>
+                  <th className="px-3 py-2 text-left">Job</th>
+                  <th className="px-3 py-2 text-right">Match</th>
+                  <th className="px-3 py-2 text-right">ATS</th>
+                  {BREAKDOWN_KEYS.map((key) => (
+                    <th key={key} className="px-3 py-2 text-right">
+                      {BREAKDOWN_LABELS[key] || key}
+                    </th>
+                  ))}
+                  <th className="px-3 py-2 text-left">Missing keywords</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {completed.map((row, index) => (
+                  <tr key={row.job.id}>
+                    <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                    <td className="px-3 py-2 font-medium text-gray-800 max-w-xs truncate">{row.job.title}</td>
+                    <td className={`px-3 py-2 text-right font-semibold ${getScoreClass(row.analysis.matchPercentage)}`}>
+                      {row.analysis.matchPercentage ?? '–'}%
+                    </td>
+                    <td className={`px-3 py-2 text-right ${getScoreClass(row.analysis.atsScore)}`}>
+                      {row.analysis.atsScore ?? '–'}
+                    </td>
+                    {BREAKDOWN_KEYS.map((key) => (
+                      <td key={key} className={`px-3 py-2 text-right ${getScoreClass(row.analysis.scoreBreakdown?.[key])}`}>
+                        {row.analysis.scoreBreakdown?.[key] ?? '–'}
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 text-gray-600 max-w-xs truncate" title={row.analysis.missingKeywords.join(', ')}>
+                      {row.analysis.missingKeywords.join(', ') || '–'}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        onClick={() => onOpen(row.job, row)}
+                        className="text-xs text-indigo-600 hover:text-indigo-800 font-medium"
+                      >
+                        Open
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {shared.length > 0 && (
+            <div className="mt-6">
+              <h3 className="text-lg font-medium text-gray-800 mb-1">Fix once, help everywhere</h3>
+              <p className="text-sm text-gray-500 mb-3">
+                Keywords missing from your resume in more than one of these jobs.
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {shared.map(({ keyword, count }) => (
+                  <span key={keyword} className="px-3 py-1 bg-red-50 text-red-700 rounded-full text-sm">
+                    {keyword}
+                    <span className="ml-1 text-xs text-red-500">
+                      {count}/{completed.length}
+                    </span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchComparison;
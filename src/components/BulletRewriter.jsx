@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FiZap, FiCheck, FiLoader, FiAlertCircle, FiTag } from 'react-icons/fi';
+import { parseResume } from '../utils/resumeParser';
+import { PLACEHOLDER_RE } from '../utils/bulletRewrite';
+
+// Splits a variant into plain text and the placeholders to fill in.
+const PlaceholderText = ({ text }) => {
+  const parts = text.split(new RegExp(`(${PLACEHOLDER_RE.source})`));
+  return parts.map((part, index) =>
+    index % 2 ? (
+      <mark key={index} className="bg-yellow-200 text-yellow-900 rounded-sm px-0.5">
+        {part}
+      </mark>
+    ) : (
+      <span key={index}>{part}</span>
+    )
+  );
+};
+
+// Lists the experience bullets of `text`; the selected one is rewritten
+// with `onRewrite(bullet, context, signal)` (resolves to
+// `{ variants }`) and `onAccept(bullet, variant)` puts a variant in the text.
+const BulletRewriter = ({ text, onRewrite, onAccept }) => {
+  const [selected, setSelected] = useState(null);
+  const [variants, setVariants] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const bullets = useMemo(
+    () =>
+      parseResume(text).experience.flatMap((entry) =>
+        entry.bullets.map((bullet) => ({
+          bullet,
+          context: [entry.title, entry.company].filter(Boolean).join(' at '),
+        }))
+      ),
+    [text]
+  );
+
+  const rewrite = async (item) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setSelected(item);
+    setVariants([]);
+    setError('');
+    setLoading(true);
+    try {
+      const result = await onRewrite(item.bullet, item.context, controller.signal);
+      setVariants(result.variants);
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      console.error('Bullet rewrite error:', e);
+      setError(`Could not rewrite the bullet: ${e.message}`);
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setLoading(false);
+      }
+    }
+  };
+
+  const accept = (variant) => {
+    onAccept(selected.bullet, variant);
+    setSelected(null);
+    setVariants([]);
+  };
+
+  if (!bullets.length) {
+    return (
+      <div className="flex items-center justify-center h-80 text-gray-400 text-sm text-center px-6">
+        No experience bullets were found. Put each achievement on its own line starting with a bullet (•, - or *).
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 max-h-96 overflow-y-auto">
+      <p className="text-xs text-gray-500">
+        Pick a bullet to get rewrites with a strong action verb, measurable impact and the job's missing keywords.
+        Rewrites never add figures your bullet doesn't have: <mark className="bg-yellow-200 px-0.5">[placeholders]</mark>{' '}
+        mark where your own numbers go.
+      </p>
+
+      <ul className="space-y-1">
+        {bullets.map((item, index) => {
+          const isSelected = selected?.bullet === item.bullet;
+          return (
+            <li key={`${index}-${item.bullet}`}>
+              <button
+                type="button"
+                onClick={() => rewrite(item)}
+                disabled={loading && isSelected}
+                className={`w-full text-left text-xs p-2 rounded border flex items-start ${
+                  isSelected ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-gray-50 hover:bg-gray-100'
+                }`}
+              >
+                <FiZap className="mt-0.5 mr-2 flex-shrink-0 text-indigo-500" />
+                <span className="min-w-0">
+                  <span className="text-gray-800">{item.bullet}</span>
+                  {item.context && <span className="block text-gray-400 mt-0.5">{item.context}</span>}
+                </span>
+              </button>
+
+              {isSelected && (
+                <div className="mt-2 ml-4 space-y-2">
+                  {loading && (
+                    <p className="text-xs text-gray-500 flex items-center">
+                      <FiLoader className="animate-spin mr-1" /> Writing variants...
+                    </p>
+                  )}
+                  {error && (
+                    <p className="text-xs text-red-600 flex items-start">
+                      <FiAlertCircle className="mt-0.5 mr-1 flex-shrink-0" /> {error}
+                    </p>
+                  )}
+                  {variants.map((variant) => (
+                    <div key={variant.text} className="p-2 rounded border border-gray-200 bg-white">
+                      <p className="text-sm text-gray-800">
+                        <PlaceholderText text={variant.text} />
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">{variant.rationale}</p>
+                      <div className="flex flex-wrap items-center gap-1 mt-2">
+                        {variant.coveredKeywords.map((keyword) => (
+                          <span
+                            key={keyword}
+                            className="inline-flex items-center px-2 py-0.5 bg-green-50 text-green-700 rounded-full text-xs"
+                          >
+                            <FiTag className="mr-1" />
+                            {keyword}
+                          </span>
+                        ))}
+                        {!variant.coveredKeywords.length && (
+                          <span className="text-xs text-gray-400">Adds no missing keywords</span>
+                        )}
+                      </div>
+                      {variant.placeholders.length > 0 && (
+                        <p className="text-xs text-yellow-700 mt-2">
+                          Fill in {variant.placeholders.join(', ')} with your real figures after accepting
+                          {variant.replacedNumbers ? '. Numbers the original did not have were replaced.' : '.'}
+                        </p>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => accept(variant)}
+                        className="mt-2 text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center"
+                      >
+                        <FiCheck className="mr-1" /> Use this version
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default BulletRewriter;
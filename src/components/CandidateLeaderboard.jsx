@@ -0,0 +1,383 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  FiUsers,
+  FiPlay,
+  FiX,
+  FiDownload,
+  FiTrash2,
+  FiArrowLeft,
+  FiChevronUp,
+  FiChevronDown,
+  FiLoader,
+  FiAlertCircle,
+} from 'react-icons/fi';
+import FileUpload from './FileUpload';
+import AnalysisResults from './AnalysisResults';
+import { requestAnalysis } from '../utils/api';
+import { validateAnalysis } from '../utils/analysisValidator';
+import { readResumeFile } from '../utils/resumeFile';
+import { runAtsChecks } from '../utils/atsChecker';
+import { matchKeywords } from '../utils/keywordMatcher';
+import { BREAKDOWN_KEYS, runWithConcurrency, retryRateLimited } from '../utils/batchAnalysis';
+import { MAX_CANDIDATES, SORT_LABELS, candidateName, sortCandidates, candidatesToCsv } from '../utils/candidateRanking';
+import { downloadFile } from '../utils/download';
+
+const STATUS_LABELS = {
+  pending: 'Waiting to read',
+  parsing: 'Reading file',
+  ready: 'Ready to score',
+  queued: 'Queued',
+  running: 'Scoring',
+  waiting: 'Waiting for rate limit',
+  done: 'Scored',
+  error: 'Failed',
+};
+
+const BUSY_STATUSES = ['pending', 'parsing', 'queued', 'running', 'waiting'];
+
+const COLUMNS = ['name', 'matchPercentage', 'atsScore', 'localAts', ...BREAKDOWN_KEYS];
+
+const getScoreClass = (score) => {
+  if (typeof score !== 'number') return 'text-gray-400';
+  if (score > 75) return 'text-green-700';
+  if (score > 50) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+const Score = ({ value, suffix = '' }) => (
+  <span className={getScoreClass(value)}>{typeof value === 'number' ? `${value}${suffix}` : '–'}</span>
+);
+
+// Where a candidate goes back to when its scoring is cancelled
+const settledStatus = (candidate) => (candidate.result ? 'done' : 'ready');
+
+const newCandidate = (file) => ({
+  id: `candidate-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  fileName: file.name,
+  name: file.name,
+  status: 'pending',
+  text: '',
+  fileInfo: null,
+  atsReport: null,
+  result: null,
+  error: null,
+});
+
+// Scores many resumes against one job description and ranks them.
+// Files are read one at a time (PDF parsing and OCR are heavy); analyses
+// run a few at a time like the batch job comparison. `requirements` are
+// the reviewed JobRequirements for the job, sent along with each analysis.
+const CandidateLeaderboard = ({ jobDescription, requirements, provider, model }) => {
+  const [candidates, setCandidates] = useState([]);
+  const [sort, setSort] = useState({ key: 'matchPercentage', direction: 'desc' });
+  const [scoring, setScoring] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const abortRef = useRef(null);
+  // Files waiting to be read, and whether the reader is working through them
+  const parseQueue = useRef([]);
+  const parsing = useRef(false);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const updateCandidate = (id, update) =>
+    setCandidates((current) => current.map((c) => (c.id === id ? { ...c, ...update } : c)));
+
+  const parseNext = async () => {
+    if (parsing.current) return;
+    parsing.current = true;
+    while (parseQueue.current.length) {
+      const { id, file } = parseQueue.current.shift();
+      updateCandidate(id, { status: 'parsing' });
+      try {
+        const { text, fileInfo } = await readResumeFile(file);
+        updateCandidate(id, {
+          status: 'ready',
+          text,
+          fileInfo,
+          name: candidateName(text, file.name),
+          atsReport: runAtsChecks(text, fileInfo),
+        });
+      } catch (err) {
+        console.error('Resume parsing error:', err);
+        updateCandidate(id, { status: 'error', error: err.message });
+      }
+    }
+    parsing.current = false;
+  };
+
+  const addFiles = (files) => {
+    const room = MAX_CANDIDATES - candidates.length;
+    const added = files.slice(0, room).map((file) => ({ file, candidate: newCandidate(file) }));
+    setNotice(files.length > room ? `Only ${MAX_CANDIDATES} resumes can be ranked at once.` : null);
+    setCandidates((current) => [...current, ...added.map(({ candidate }) => candidate)]);
+    parseQueue.current.push(...added.map(({ file, candidate }) => ({ id: candidate.id, file })));
+    parseNext();
+  };
+
+  const removeCandidate = (id) => {
+    parseQueue.current = parseQueue.current.filter((entry) => entry.id !== id);
+    setCandidates((current) => current.filter((c) => c.id !== id));
+  };
+
+  // A result scored against another job, or other requirements for it
+  const isStale = (result) => result.job !== jobDescription || result.requirements !== requirements;
+
+  // Candidates with text that haven't been scored against this job yet
+  const toScore = candidates.filter(
+    (c) => c.text && !BUSY_STATUSES.includes(c.status) && (!c.result || isStale(c.result))
+  );
+
+  const scoreCandidates = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    const batch = toScore;
+    const job = jobDescription;
+    const jobRequirements = requirements;
+
+    setScoring(true);
+    setNotice(null);
+    batch.forEach((c) => updateCandidate(c.id, { status: 'queued', error: null }));
+
+    await runWithConcurrency(
+      batch,
+      async (candidate) => {
+        const response = await retryRateLimited(
+          () => {
+            updateCandidate(candidate.id, { status: 'running' });
+            return requestAnalysis({
+              resumeText: candidate.text,
+              jobDescription: job,
+              requirements: jobRequirements,
+              provider,
+              model,
+              signal,
+            });
+          },
+          { signal, onWait: () => updateCandidate(candidate.id, { status: 'waiting' }) }
+        );
+        const { analysis, errors } = validateAnalysis(response.analysis);
+        if (errors.length) throw new Error(`Invalid analysis received - ${errors.join('; ')}`);
+        return { ...response, analysis, job, requirements: jobRequirements };
+      },
+      {
+        signal,
+        onSettled: (index, outcome) => {
+          const { id } = batch[index];
+          if (outcome.status === 'fulfilled') {
+            updateCandidate(id, { status: 'done', result: outcome.value });
+          } else if (signal.aborted) {
+            updateCandidate(id, { status: settledStatus(batch[index]) });
+          } else {
+            console.error('Candidate analysis error:', outcome.reason);
+            updateCandidate(id, { status: 'error', error: outcome.reason.message });
+          }
+        },
+      }
+    );
+
+    // Candidates the cancelled run never started go back to where they were
+    if (signal.aborted) {
+      const before = new Map(batch.map((c) => [c.id, c]));
+      setCandidates((current) =>
+        current.map((c) =>
+          c.status === 'queued' && before.has(c.id) ? { ...c, status: settledStatus(before.get(c.id)) } : c
+        )
+      );
+      setNotice('Scoring cancelled. Finished candidates are kept.');
+    }
+    abortRef.current = null;
+    setScoring(false);
+  };
+
+  const ranked = useMemo(() => sortCandidates(candidates, sort), [candidates, sort]);
+  const selected = candidates.find((c) => c.id === selectedId && c.result);
+  const selectedMatch = useMemo(
+    () => (selected ? matchKeywords(selected.text, selected.result.job, selected.result.requirements) : null),
+    [selected]
+  );
+
+  const toggleSort = (key) =>
+    setSort((current) =>
+      current.key === key
+        ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+        : { key, direction: key === 'name' ? 'asc' : 'desc' }
+    );
+
+  const exportCsv = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    // The byte order mark makes Excel read the file as UTF-8
+    downloadFile(`\ufeff${candidatesToCsv(ranked)}`, `candidates-${date}.csv`, 'text/csv');
+  };
+
+  if (selected) {
+    return (
+      <div>
+        <button
+          onClick={() => setSelectedId(null)}
+          className="mb-4 text-sm text-indigo-600 hover:text-indigo-800 font-medium flex items-center"
+        >
+          <FiArrowLeft className="mr-1" />
+          Back to leaderboard
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 mb-1">{selected.name}</h2>
+        <p className="text-sm text-gray-500 mb-6">{selected.fileName}</p>
+        <AnalysisResults
+          analysis={selected.result.analysis}
+          loading={false}
+          hasData
+          localMatch={selectedMatch}
+          atsReport={selected.atsReport}
+          reportSource={{
+            text: selected.text,
+            job: selected.result.job,
+            requirements: selected.result.requirements,
+            provider: selected.result.provider,
+            model: selected.result.model,
+          }}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center mb-1">
+        <FiUsers className="text-gray-500 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-800">Candidate Leaderboard</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Drop the candidates' resumes here; each one is scored against the job description.
+      </p>
+
+      <FileUpload multiple onFilesAdded={addFiles} />
+      {notice && <p className="mt-2 text-sm text-gray-600">{notice}</p>}
+
+      <div className="flex flex-wrap items-center gap-3 mt-6">
+        {scoring ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 flex items-center font-medium"
+          >
+            <FiX className="mr-2" />
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={scoreCandidates}
+            disabled={!jobDescription || !toScore.length}
+            className={`px-4 py-2 rounded-lg flex items-center font-medium ${
+              !jobDescription || !toScore.length
+                ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
+                : 'bg-indigo-600 hover:bg-indigo-700 text-white shadow-md'
+            }`}
+          >
+            <FiPlay className="mr-2" />
+            Score {toScore.length || ''} {toScore.length === 1 ? 'candidate' : 'candidates'}
+          </button>
+        )}
+        <button
+          onClick={exportCsv}
+          disabled={!candidates.length}
+          className="text-sm px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50 flex items-center"
+        >
+          <FiDownload className="mr-1" />
+          Export CSV
+        </button>
+        {!jobDescription && <span className="text-sm text-gray-500">Paste the job description first.</span>}
+      </div>
+
+      {candidates.length > 0 && (
+        <div className="mt-6 overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 uppercase">
+              <tr>
+                <th className="px-3 py-2 text-left">#</th>
+                {COLUMNS.map((key) => (
+                  <th
+                    key={key}
+                    aria-sort={sort.key === key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                    className={`px-3 py-2 ${key === 'name' ? 'text-left' : 'text-right'}`}
+                  >
+                    <button onClick={() => toggleSort(key)} className="inline-flex items-center uppercase hover:text-gray-900">
+                      {SORT_LABELS[key]}
+                      {sort.key === key && (sort.direction === 'asc' ? <FiChevronUp /> : <FiChevronDown />)}
+                    </button>
+                  </th>
+                ))}
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {ranked.map((candidate, index) => {
+                const analysis = candidate.result?.analysis;
+                const stale = candidate.result && isStale(candidate.result);
+                return (
+                  <tr key={candidate.id}>
+                    <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                    <td className="px-3 py-2 max-w-xs">
+                      {candidate.result ? (
+                        <button
+                          onClick={() => setSelectedId(candidate.id)}
+                          className="block font-medium text-indigo-700 hover:text-indigo-900 truncate text-left"
+                        >
+                          {candidate.name}
+                        </button>
+                      ) : (
+                        <span className="block font-medium text-gray-800 truncate">{candidate.name}</span>
+                      )}
+                      <span className="block text-xs text-gray-500 truncate">{candidate.fileName}</span>
+                    </td>
+                    <td className="px-3 py-2 text-right font-semibold">
+                      <Score value={analysis?.matchPercentage} suffix="%" />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <Score value={analysis?.atsScore} />
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <Score value={candidate.atsReport?.score} />
+                    </td>
+                    {BREAKDOWN_KEYS.map((key) => (
+                      <td key={key} className="px-3 py-2 text-right">
+                        <Score value={analysis?.scoreBreakdown?.[key]} />
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 text-xs">
+                      {candidate.status === 'error' ? (
+                        <span className="text-red-600 flex items-center" title={candidate.error}>
+                          <FiAlertCircle className="mr-1 flex-shrink-0" />
+                          {STATUS_LABELS.error}
+                        </span>
+                      ) : (
+                        <span className="text-gray-500 flex items-center">
+                          {BUSY_STATUSES.includes(candidate.status) && candidate.status !== 'pending' && (
+                            <FiLoader className="mr-1 animate-spin" />
+                          )}
+                          {stale && candidate.status === 'done' ? 'Job changed' : STATUS_LABELS[candidate.status]}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        onClick={() => removeCandidate(candidate.id)}
+                        disabled={BUSY_STATUSES.includes(candidate.status) && candidate.status !== 'pending'}
+                        className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                        aria-label={`Remove ${candidate.name}`}
+                      >
+                        <FiTrash2 />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CandidateLeaderboard;
@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FiMail, FiLoader, FiX, FiRefreshCw, FiAlertTriangle } from 'react-icons/fi';
+import { TONES, LENGTHS, coverLetterText, buildCoverLetterLayout } from '../utils/coverLetter';
+import { parseResume } from '../utils/resumeParser';
+import ExportPanel from './ExportPanel';
+import EvidenceList from './EvidenceList';
+
+// Drafts a cover letter from the resume and job description. `draft`
+// (`{ letter, tone, length, job }` or null) lives in App so it survives
+// switching tabs; `onChange(draft)` stores edits and `onRequest(params,
+// signal)` calls the server (resolves to `{ letter }`).
+const CoverLetterWorkspace = ({ resumeText, jobDescription, draft, onChange, onRequest }) => {
+  const [tone, setTone] = useState(draft?.tone || TONES[0].id);
+  const [length, setLength] = useState(draft?.length || LENGTHS[1].id);
+  // 'letter' while drafting the whole letter, else the paragraph index
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+  // The latest draft, so a regenerated paragraph lands in the letter as it
+  // is when the reply arrives rather than as it was when requested
+  const draftRef = useRef(draft);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+  useEffect(() => {
+    draftRef.current = draft;
+  }, [draft]);
+
+  const name = useMemo(() => parseResume(resumeText).contact.name, [resumeText]);
+  const letter = draft?.letter;
+  const text = letter ? coverLetterText(letter, name) : '';
+
+  const request = async (target, params, onResult) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPending(target);
+    setError('');
+    try {
+      const { letter: result } = await onRequest(
+        { resumeText, jobDescription, tone, length, ...params },
+        controller.signal
+      );
+      onResult(result);
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      console.error('Cover letter error:', e);
+      setError(`Could not write the cover letter: ${e.message}`);
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setPending(null);
+      }
+    }
+  };
+
+  const draftLetter = () =>
+    request('letter', {}, (result) => onChange({ letter: result, tone, length, job: jobDescription }));
+
+  const regenerate = (index) =>
+    request(
+      index,
+      { regenerate: { index, paragraphs: letter.paragraphs.map((paragraph) => paragraph.text) } },
+      (result) => {
+        const latest = draftRef.current;
+        onChange({
+          ...latest,
+          letter: {
+            ...latest.letter,
+            paragraphs: latest.letter.paragraphs.map((paragraph, i) =>
+              i === index ? result.paragraphs[0] : paragraph
+            ),
+          },
+        });
+      }
+    );
+
+  const cancel = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setPending(null);
+  };
+
+  const updateLetter = (changes) => onChange({ ...draft, letter: { ...letter, ...changes } });
+
+  const updateParagraph = (index, value) =>
+    updateLetter({
+      paragraphs: letter.paragraphs.map((paragraph, i) => (i === index ? { ...paragraph, text: value } : paragraph)),
+    });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-2">
+        <FiMail className="text-gray-500" />
+        <h3 className="text-lg font-medium text-gray-800 mr-auto">Cover Letter</h3>
+        <label className="text-xs text-gray-600 flex items-center">
+          Tone
+          <select
+            value={tone}
+            onChange={(e) => setTone(e.target.value)}
+            className="ml-1 text-xs px-2 py-1 border border-gray-300 rounded"
+          >
+            {TONES.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600 flex items-center">
+          Length
+          <select
+            value={length}
+            onChange={(e) => setLength(e.target.value)}
+            className="ml-1 text-xs px-2 py-1 border border-gray-300 rounded"
+          >
+            {LENGTHS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label} (~{option.words} words)
+              </option>
+            ))}
+          </select>
+        </label>
+        {pending !== null ? (
+          <button
+            onClick={cancel}
+            className="text-sm px-3 py-1 bg-gray-200 text-gray-700 rounded-full font-medium flex items-center hover:bg-gray-300"
+          >
+            <FiX className="w-4 h-4 mr-1" /> Cancel
+          </button>
+        ) : (
+          <button
+            onClick={draftLetter}
+            disabled={!resumeText || !jobDescription}
+            className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-full font-medium flex items-center hover:bg-indigo-700 disabled:bg-gray-200 disabled:text-gray-500"
+          >
+            <FiRefreshCw className="w-4 h-4 mr-1" />
+            {letter ? 'Redraft letter' : 'Draft letter'}
+          </button>
+        )}
+      </div>
+
+      {letter && <ExportPanel text={text} buildLayout={(value) => buildCoverLetterLayout(value, resumeText)} />}
+
+      <div className="p-4 space-y-3">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {draft && draft.job !== jobDescription && (
+          <p className="text-xs text-yellow-700 flex items-center">
+            <FiAlertTriangle className="mr-1" /> This letter was written for a different job description. Redraft it to
+            match the current one.
+          </p>
+        )}
+
+        {pending === 'letter' && (
+          <p className="text-sm text-gray-500 flex items-center">
+            <FiLoader className="animate-spin mr-2" /> Drafting your letter...
+          </p>
+        )}
+
+        {!letter && pending !== 'letter' && (
+          <p className="text-sm text-gray-500">
+            Draft a letter built from your resume's experience and the job's requirements. Each paragraph lists the
+            resume lines that back it up, and every part stays editable.
+          </p>
+        )}
+
+        {letter && (
+          <>
+            <input
+              value={letter.greeting}
+              onChange={(e) => updateLetter({ greeting: e.target.value })}
+              aria-label="Greeting"
+              className="w-full px-2 py-1 border border-gray-200 rounded text-sm"
+            />
+            {letter.paragraphs.map((paragraph, index) => {
+              const isBody = index > 0 && index < letter.paragraphs.length - 1;
+              return (
+                <div key={index} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+                  <textarea
+                    value={paragraph.text}
+                    onChange={(e) => updateParagraph(index, e.target.value)}
+                    aria-label={`Paragraph ${index + 1}`}
+                    rows={Math.max(3, Math.ceil(paragraph.text.length / 90))}
+                    className="w-full p-2 border border-gray-200 rounded text-sm bg-white focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <div className="flex items-start justify-between gap-2">
+                    <EvidenceList
+                      evidence={paragraph.evidence}
+                      emptyWarning={isBody && "No resume evidence cited. Check this paragraph's claims."}
+                    />
+                    <button
+                      onClick={() => regenerate(index)}
+                      disabled={pending !== null}
+                      className="ml-auto mt-1 text-xs px-2 py-1 text-indigo-600 rounded hover:bg-indigo-50 disabled:text-gray-300 flex items-center flex-shrink-0"
+                    >
+                      {pending === index ? (
+                        <FiLoader className="mr-1 animate-spin" />
+                      ) : (
+                        <FiRefreshCw className="mr-1" />
+                      )}
+                      Regenerate
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+            <div className="text-sm">
+              <input
+                value={letter.signOff}
+                onChange={(e) => updateLetter({ signOff: e.target.value })}
+                aria-label="Sign-off"
+                className="w-full px-2 py-1 border border-gray-200 rounded text-sm"
+              />
+              {name && <p className="px-2 pt-1 text-gray-700">{name}</p>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoverLetterWorkspace;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { FiFileText, FiAlertTriangle, FiAlertCircle } from 'react-icons/fi';
+
+// Resume lines a piece of generated text relies on; quotes the resume
+// doesn't contain are flagged so the claim can be checked. `emptyWarning`
+// is shown when nothing is cited.
+const EvidenceList = ({ evidence, emptyWarning }) => {
+  if (!evidence.length) {
+    return emptyWarning ? (
+      <p className="text-xs text-yellow-700 flex items-center mt-1">
+        <FiAlertTriangle className="mr-1" /> {emptyWarning}
+      </p>
+    ) : null;
+  }
+  return (
+    <ul className="mt-1 space-y-1">
+      {evidence.map((item) => (
+        <li
+          key={item.quote}
+          className={`text-xs flex items-start ${item.found ? 'text-gray-500' : 'text-red-600'}`}
+          title={item.found ? 'From your resume' : 'Not found in your resume'}
+        >
+          {item.found ? (
+            <FiFileText className="mt-0.5 mr-1 flex-shrink-0" />
+          ) : (
+            <FiAlertCircle className="mt-0.5 mr-1 flex-shrink-0" />
+          )}
+          <span>
+            {item.found ? '' : 'Not in your resume: '}
+            <q>{item.quote}</q>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default EvidenceList;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { FiDownload, FiLoader } from 'react-icons/fi';
+import { EXPORT_TEMPLATES, buildResumeLayout, exportFileName } from '../utils/resumeLayout';
+import { downloadFile } from '../utils/download';
+
+// pdf-lib and the DOCX writer are only loaded when the user exports.
+const EXPORTERS = {
+  pdf: async (layout, template) => {
+    const { exportLayoutPdf } = await import('../utils/pdfExport');
+    return new Blob([await exportLayoutPdf(layout, template)], { type: 'application/pdf' });
+  },
+  docx: async (layout, template) => {
+    const { exportLayoutDocx } = await import('../utils/docxExport');
+    return exportLayoutDocx(layout, template);
+  },
+};
+
+// Download the edited resume as an ATS-friendly PDF or Word file.
+// `buildLayout(text)` turns the text into the export layout; the cover
+// letter passes its own.
+const ExportPanel = ({ text, buildLayout = buildResumeLayout }) => {
+  const [template, setTemplate] = useState(EXPORT_TEMPLATES[0].id);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const exportAs = async (format) => {
+    setExporting(format);
+    setError(null);
+    try {
+      const layout = buildLayout(text);
+      const blob = await EXPORTERS[format](layout, template);
+      downloadFile(blob, exportFileName(layout, format));
+    } catch (err) {
+      console.error('Export error:', err);
+      setError(`Could not create the ${format.toUpperCase()} file: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-gray-200 flex flex-wrap items-center gap-2">
+      <label htmlFor="export-template" className="text-xs font-medium text-gray-600">
+        Export
+      </label>
+      <select
+        id="export-template"
+        value={template}
+        onChange={(e) => setTemplate(e.target.value)}
+        className="text-xs px-2 py-1 border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+      >
+        {EXPORT_TEMPLATES.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.label} template
+          </option>
+        ))}
+      </select>
+      {['pdf', 'docx'].map((format) => (
+        <button
+          key={format}
+          onClick={() => exportAs(format)}
+          disabled={!text || !!exporting}
+          className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 flex items-center"
+        >
+          {exporting === format ? (
+            <FiLoader className="mr-1 animate-spin" />
+          ) : (
+            <FiDownload className="mr-1" />
+          )}
+          {format.toUpperCase()}
+        </button>
+      ))}
+      {error && <p className="w-full text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -1,93 +1,122 @@
 // FileUpload.jsx
-import React, { useCallback, useState } from 'react';
+import React, { useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { FiUpload, FiFile, FiX, FiCheck } from 'react-icons/fi';
-import * as pdfjsLib from 'pdfjs-dist';
-import pdfjsWorker from 'pdfjs-dist/build/pdf.worker?url';
+import { FiUpload, FiFile, FiX, FiCheck, FiAlertTriangle } from 'react-icons/fi';
+import { ACCEPT, MAX_SIZE, getFileKind, readResumeFile } from '../utils/resumeFile';
 
-// Configure pdf.js worker for Vite
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
-
-const FileUpload = ({ onTextExtracted, text }) => {
+// With `multiple`, any number of resumes can be dropped at once and are
+// handed to `onFilesAdded(files)` unread; the single-resume text box is
+// not shown.
+const FileUpload = ({ onTextExtracted, onFileLoaded, text, multiple = false, onFilesAdded }) => {
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
   const [fileName, setFileName] = useState('');
   const [isUploading, setIsUploading] = useState(false);
+  const [ocrProgress, setOcrProgress] = useState(null);
+  const [ocrConfidence, setOcrConfidence] = useState(null);
 
   const extractText = async (file) => {
     try {
       setError(null);
+      setNotice(null);
+      setOcrConfidence(null);
       setIsUploading(true);
       setFileName(file.name);
 
-      const arrayBuffer = await file.arrayBuffer();
-      const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-      const pdf = await loadingTask.promise;
-
-      let extractedText = '';
-      for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items.map((item) => item.str).join(' ');
-        extractedText += pageText + '\n';
-      }
+      const result = await readResumeFile(file, { onProgress: setOcrProgress });
+      setOcrConfidence(result.ocrConfidence);
+      setNotice(result.notice);
 
-      onTextExtracted(extractedText.trim());
+      onTextExtracted(result.text);
+      // ResumeFileInfo for the ATS checker
+      onFileLoaded?.(result.fileInfo);
     } catch (err) {
-      console.error('PDF parsing error:', err);
-      setError('Failed to parse PDF. Please try a different file or check that it is not password-protected.');
+      console.error('Resume parsing error:', err);
+      setError(
+        err.message ||
+          'Failed to read the file. Please try a different file or check that it is not password-protected.'
+      );
       onTextExtracted('');
+      onFileLoaded?.(null);
       setFileName('');
     } finally {
       setIsUploading(false);
+      setOcrProgress(null);
     }
   };
 
-  const onDrop = useCallback(
-    (acceptedFiles) => {
-      if (!acceptedFiles || acceptedFiles.length === 0) {
-        setError('No file received. Please try again.');
-        return;
-      }
-
-      const file = acceptedFiles[0];
-      const isPdfType =
-        file.type === 'application/pdf' ||
-        file.name.toLowerCase().endsWith('.pdf');
-
-      if (!isPdfType) {
-        setError('Please upload a valid PDF file (max 5MB).');
-        return;
-      }
-
-      extractText(file);
-    },
-    [] // extractText is stable enough; no state dependencies used directly
-  );
+  const onDrop = (acceptedFiles) => {
+    if (!acceptedFiles || acceptedFiles.length === 0) {
+      setError('No file received. Please try again.');
+      return;
+    }
+
+    if (multiple) {
+      const supported = acceptedFiles.filter(getFileKind);
+      const skipped = acceptedFiles.length - supported.length;
+      setError(skipped ? `${skipped} file(s) skipped: only PDF, DOCX and TXT files are supported.` : null);
+      if (supported.length) onFilesAdded(supported);
+      return;
+    }
+
+    const file = acceptedFiles[0];
+    if (!getFileKind(file)) {
+      setError(`Unsupported file type: ${file.name}. Please upload a PDF, DOCX or TXT file.`);
+      return;
+    }
 
-  const onDropRejected = useCallback((fileRejections) => {
+    extractText(file);
+  };
+
+  const onDropRejected = (fileRejections) => {
     if (!fileRejections || fileRejections.length === 0) return;
 
+    if (multiple) {
+      setError(
+        `${fileRejections.length} file(s) rejected: ${fileRejections
+          .map((rejection) => rejection.file.name)
+          .join(', ')}. Files must be PDF, DOCX or TXT under 5MB.`
+      );
+      return;
+    }
+
     const rejection = fileRejections[0];
     if (rejection.errors?.some((e) => e.code === 'file-too-large')) {
       setError('File is too large. Maximum allowed size is 5MB.');
     } else {
-      setError('File was rejected. Please ensure it is a PDF under 5MB.');
+      setError('File was rejected. Please upload a single PDF, DOCX or TXT file under 5MB.');
     }
-  }, []);
+  };
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     onDropRejected,
-    accept: { 'application/pdf': ['.pdf'] },
-    maxFiles: 1,
-    maxSize: 5 * 1024 * 1024, // 5MB
+    accept: ACCEPT,
+    maxFiles: multiple ? 0 : 1,
+    maxSize: MAX_SIZE,
+    disabled: isUploading,
   });
 
   const clearFile = (e) => {
     e.stopPropagation();
     onTextExtracted('');
+    onFileLoaded?.(null);
     setFileName('');
     setError(null);
+    setNotice(null);
+    setOcrConfidence(null);
+  };
+
+  // Typed or pasted text no longer comes from the file, so its layout
+  // (columns, fonts, images) stops applying
+  const editText = (value) => {
+    onTextExtracted(value);
+    if (fileName) {
+      onFileLoaded?.(null);
+      setFileName('');
+      setNotice(null);
+      setOcrConfidence(null);
+    }
   };
 
   return (
@@ -99,7 +128,7 @@ const FileUpload = ({ onTextExtracted, text }) => {
           ${error ? 'border-red-300 bg-red-50' : ''}
           ${isUploading ? 'opacity-70 cursor-wait' : ''}`}
       >
-        <input {...getInputProps()} disabled={isUploading} />
+        <input {...getInputProps()} />
         <div className="flex flex-col items-center justify-center">
           <FiUpload
             className={`mx-auto text-3xl mb-3 ${
@@ -112,12 +141,31 @@ const FileUpload = ({ onTextExtracted, text }) => {
             }`}
           >
             {isUploading
-              ? 'Processing your resume...'
+              ? ocrProgress
+                ? `Running OCR on scanned page ${ocrProgress.pageIndex + 1} of ${ocrProgress.pageCount}...`
+                : 'Processing your resume...'
               : isDragActive
-              ? 'Drop your PDF here'
-              : 'Drag & drop a PDF file, or click to select'}
+              ? multiple
+                ? 'Drop the resumes here'
+                : 'Drop your resume here'
+              : multiple
+              ? 'Drag & drop resumes, or click to select several'
+              : 'Drag & drop your resume, or click to select'}
           </p>
-          <p className="text-xs text-gray-500">Supports PDF files up to 5MB</p>
+          <p className="text-xs text-gray-500">Supports PDF, DOCX and TXT files up to 5MB</p>
+
+          {isUploading && ocrProgress && (
+            <div className="mt-3 w-full max-w-xs bg-gray-200 rounded-full h-1.5">
+              <div
+                className="h-1.5 rounded-full bg-indigo-500"
+                style={{
+                  width: `${Math.round(
+                    ((ocrProgress.pageIndex + ocrProgress.progress) / ocrProgress.pageCount) * 100
+                  )}%`,
+                }}
+              ></div>
+            </div>
+          )}
 
           {fileName && (
             <div className="mt-4 w-full max-w-xs bg-gray-50 rounded-lg p-3 flex items-center justify-between">
@@ -143,12 +191,47 @@ const FileUpload = ({ onTextExtracted, text }) => {
         </p>
       )}
 
-      {text && !error && (
+      {fileName && text && !error && !isUploading && (
         <div className="mt-3 p-3 bg-green-50 rounded-lg border border-green-200 flex items-center">
           <FiCheck className="text-green-500 mr-2 flex-shrink-0" />
           <span className="text-sm text-green-700">Resume processed successfully</span>
         </div>
       )}
+
+      {ocrConfidence !== null && !error && (
+        <p
+          className={`mt-2 text-sm flex items-center ${
+            ocrConfidence >= 80 ? 'text-green-700' : 'text-yellow-700'
+          }`}
+        >
+          <FiFile className="mr-1.5 flex-shrink-0" />
+          Scanned pages read with OCR – confidence {ocrConfidence}%
+          {ocrConfidence < 80 ? '. Please review the extracted text.' : ''}
+        </p>
+      )}
+
+      {notice && !error && (
+        <p className="mt-2 text-sm text-yellow-700 flex items-center">
+          <FiAlertTriangle className="mr-1.5 flex-shrink-0" /> {notice}
+        </p>
+      )}
+
+      {!multiple && (
+        <div className="mt-4">
+          <label htmlFor="resume-text" className="block text-sm font-medium text-gray-700 mb-2">
+            Resume Text Content
+          </label>
+          <textarea
+            id="resume-text"
+            value={text}
+            onChange={(e) => editText(e.target.value)}
+            placeholder="Paste your resume content here or upload a PDF/DOCX/TXT..."
+            className="w-full h-48 p-3 border border-gray-300 rounded-lg focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+            rows={6}
+          />
+          <p className="text-xs text-gray-500 mt-1">{text.length} characters</p>
+        </div>
+      )}
     </div>
   );
 };
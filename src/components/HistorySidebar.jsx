@@ -0,0 +1,176 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { FiClock, FiX, FiSearch, FiEdit2, FiTrash2, FiDownload, FiUpload, FiCheck } from 'react-icons/fi';
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Matches the run name, the job description and the analysis keywords
+const matchesQuery = (run, query) => {
+  if (!query) return true;
+  const haystack = [run.name, run.jobDescription, ...(run.analysis?.missingKeywords || [])]
+    .join('\n')
+    .toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+};
+
+// Slide-over list of saved analysis runs. The runs and the store actions
+// live in App; this only handles searching and the rename field. Runs
+// can't be opened while an analysis is in flight (`busy`).
+const HistorySidebar = ({ runs, activeId, busy, error, onOpen, onRename, onDelete, onExport, onImport, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [name, setName] = useState('');
+  const fileInput = useRef(null);
+
+  const visible = useMemo(() => runs.filter((run) => matchesQuery(run, query.trim())), [runs, query]);
+
+  const startRename = (run) => {
+    setRenaming(run.id);
+    setName(run.name);
+  };
+
+  const finishRename = () => {
+    if (name.trim()) onRename(renaming, name);
+    setRenaming(null);
+  };
+
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 flex justify-end">
+      <div className="absolute inset-0 bg-gray-900/20" onClick={onClose} />
+      <aside
+        className="relative w-full max-w-sm h-full bg-white shadow-lg border-l border-gray-200 flex flex-col"
+        aria-label="Analysis history"
+      >
+        <div className="p-4 border-b border-gray-200">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center">
+              <FiClock className="text-gray-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-800">History</h3>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close history">
+              <FiX />
+            </button>
+          </div>
+          <div className="relative">
+            <FiSearch className="absolute left-2.5 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by job, name or keyword"
+              aria-label="Search history"
+              className="w-full pl-8 pr-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          <div className="flex items-center gap-2 mt-3">
+            <button
+              onClick={onExport}
+              disabled={!runs.length}
+              className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 flex items-center"
+            >
+              <FiDownload className="mr-1" />
+              Export
+            </button>
+            <button
+              onClick={() => fileInput.current?.click()}
+              className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 flex items-center"
+            >
+              <FiUpload className="mr-1" />
+              Import
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept="application/json,.json"
+              onChange={importFile}
+              className="hidden"
+            />
+          </div>
+          {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+        </div>
+
+        <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+          {visible.length === 0 && (
+            <li className="p-4 text-sm text-gray-500">
+              {runs.length ? 'No runs match your search.' : 'Analyses you run are saved here.'}
+            </li>
+          )}
+          {visible.map((run) => (
+            <li key={run.id} className={`p-4 ${run.id === activeId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}>
+              {renaming === run.id ? (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    finishRename();
+                  }}
+                  className="flex items-center gap-1"
+                >
+                  <input
+                    autoFocus
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                    aria-label="Run name"
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <button type="submit" className="p-1 text-indigo-600 hover:text-indigo-800" aria-label="Save name">
+                    <FiCheck />
+                  </button>
+                </form>
+              ) : (
+                <button
+                  onClick={() => onOpen(run)}
+                  disabled={busy}
+                  className="block w-full text-left disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  <span className="block text-sm font-medium text-gray-800 truncate">{run.name}</span>
+                  <span className="block text-xs text-gray-500 mt-0.5">
+                    {formatDate(run.createdAt)}
+                    {run.edited && ' · edited resume'}
+                  </span>
+                </button>
+              )}
+              <div className="flex items-center justify-between mt-2 text-xs">
+                <span className="text-gray-500 truncate">
+                  {typeof run.analysis?.matchPercentage === 'number' && (
+                    <span className="font-medium text-indigo-700 mr-2">{run.analysis.matchPercentage}% match</span>
+                  )}
+                  {run.model || run.provider}
+                </span>
+                <span className="flex items-center flex-shrink-0">
+                  <button
+                    onClick={() => startRename(run)}
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                    aria-label={`Rename ${run.name}`}
+                  >
+                    <FiEdit2 />
+                  </button>
+                  <button
+                    onClick={() => onDelete(run)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    aria-label={`Delete ${run.name}`}
+                  >
+                    <FiTrash2 />
+                  </button>
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </aside>
+    </div>
+  );
+};
+
+export default HistorySidebar;
@@ -0,0 +1,295 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  FiMessageSquare,
+  FiLoader,
+  FiX,
+  FiRefreshCw,
+  FiAlertTriangle,
+  FiChevronDown,
+  FiChevronUp,
+  FiSend,
+} from 'react-icons/fi';
+import { QUESTION_TYPES, MAX_ANSWER_LENGTH } from '../utils/interviewPrep';
+import EvidenceList from './EvidenceList';
+
+const FILTERS = [{ id: 'all', label: 'All' }, ...QUESTION_TYPES];
+
+const scoreColor = (score) => {
+  if (score >= 80) return 'bg-green-500';
+  if (score >= 60) return 'bg-blue-500';
+  if (score >= 40) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+const FeedbackList = ({ title, items, className }) =>
+  items.length > 0 && (
+    <div>
+      <h5 className="text-xs font-semibold text-gray-600 mb-1">{title}</h5>
+      <ul className={`text-xs space-y-1 list-disc list-inside ${className}`}>
+        {items.map((item) => (
+          <li key={item}>{item}</li>
+        ))}
+      </ul>
+    </div>
+  );
+
+// Structured feedback on one practice answer
+const AnswerFeedback = ({ feedback }) => (
+  <div className="mt-3 p-3 rounded-lg border border-gray-200 bg-white space-y-3">
+    <div className="flex items-center">
+      <span className="text-2xl font-bold text-gray-800 mr-3">{feedback.score}</span>
+      <p className="text-sm text-gray-700">{feedback.summary}</p>
+    </div>
+    <div className="space-y-2">
+      {feedback.criteria.map((criterion) => (
+        <div key={criterion.name}>
+          <div className="flex justify-between text-xs text-gray-600">
+            <span className="font-medium">{criterion.name}</span>
+            <span>{criterion.score}</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-1.5 my-1">
+            <div
+              className={`h-1.5 rounded-full ${scoreColor(criterion.score)}`}
+              style={{ width: `${criterion.score}%` }}
+            ></div>
+          </div>
+          <p className="text-xs text-gray-500">{criterion.comment}</p>
+        </div>
+      ))}
+    </div>
+    <FeedbackList title="What worked" items={feedback.strengths} className="text-green-700" />
+    <FeedbackList title="To improve" items={feedback.improvements} className="text-gray-700" />
+    <FeedbackList title="Talking points you left out" items={feedback.missedPoints} className="text-yellow-700" />
+  </div>
+);
+
+// Likely interview questions for the analyzed job, each with talking
+// points from the resume and a practice box for typed answers. `prep`
+// (`{ questions, job, answers }` or null, answers keyed by question text)
+// lives in App so it survives switching tabs. `onRequestQuestions(signal)`
+// resolves to `{ questions }` and `onRequestFeedback(question, answer,
+// signal)` to `{ feedback }`.
+const InterviewPrep = ({ jobDescription, prep, onChange, onRequestQuestions, onRequestFeedback }) => {
+  const [filter, setFilter] = useState('all');
+  const [open, setOpen] = useState(null);
+  // 'questions' while generating, else the question being scored
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const questions = prep?.questions || [];
+  const answers = prep?.answers || {};
+  const shown = questions.filter((item) => filter === 'all' || item.type === filter);
+
+  const request = async (target, send, onResult) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPending(target);
+    setError('');
+    try {
+      onResult(await send(controller.signal));
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      console.error('Interview prep error:', e);
+      setError(
+        target === 'questions'
+          ? `Could not generate questions: ${e.message}`
+          : `Could not score your answer: ${e.message}`
+      );
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setPending(null);
+      }
+    }
+  };
+
+  const generate = () =>
+    request('questions', onRequestQuestions, (result) => {
+      onChange({ questions: result.questions, job: jobDescription, answers: {} });
+      setOpen(null);
+    });
+
+  const setAnswer = (question, changes) =>
+    onChange({
+      ...prep,
+      answers: { ...answers, [question]: { answer: '', feedback: null, ...answers[question], ...changes } },
+    });
+
+  const score = (item) =>
+    request(
+      item.question,
+      (signal) => onRequestFeedback(item, answers[item.question].answer, signal),
+      (result) => setAnswer(item.question, { feedback: result.feedback })
+    );
+
+  const cancel = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setPending(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-2">
+        <FiMessageSquare className="text-gray-500" />
+        <h3 className="text-lg font-medium text-gray-800 mr-auto">Interview Prep</h3>
+        {questions.length > 0 && (
+          <div className="flex rounded-full bg-gray-100 p-0.5">
+            {FILTERS.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => setFilter(option.id)}
+                className={`text-xs px-2 py-0.5 rounded-full ${
+                  filter === option.id ? 'bg-white shadow-sm text-gray-800' : 'text-gray-500'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {pending === 'questions' ? (
+          <button
+            onClick={cancel}
+            className="text-sm px-3 py-1 bg-gray-200 text-gray-700 rounded-full font-medium flex items-center hover:bg-gray-300"
+          >
+            <FiX className="w-4 h-4 mr-1" /> Cancel
+          </button>
+        ) : (
+          <button
+            onClick={generate}
+            disabled={pending !== null}
+            className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-full font-medium flex items-center hover:bg-indigo-700 disabled:bg-gray-200 disabled:text-gray-500"
+          >
+            <FiRefreshCw className="w-4 h-4 mr-1" />
+            {questions.length ? 'New questions' : 'Generate questions'}
+          </button>
+        )}
+      </div>
+
+      <div className="p-4 space-y-3">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {prep && prep.job !== jobDescription && (
+          <p className="text-xs text-yellow-700 flex items-center">
+            <FiAlertTriangle className="mr-1" /> These questions were written for a different job description.
+          </p>
+        )}
+
+        {pending === 'questions' && (
+          <p className="text-sm text-gray-500 flex items-center">
+            <FiLoader className="animate-spin mr-2" /> Predicting questions...
+          </p>
+        )}
+
+        {!questions.length && pending !== 'questions' && (
+          <p className="text-sm text-gray-500">
+            Get the technical and behavioral questions an interviewer is likely to ask, based on the job's requirements
+            and the gaps and strengths in your analysis. Each comes with talking points from your resume, and you can
+            practice an answer and get feedback on it.
+          </p>
+        )}
+
+        {shown.map((item) => {
+          const isOpen = open === item.question;
+          const entry = answers[item.question];
+          const answer = entry?.answer || '';
+          return (
+            <div key={item.question} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="flex flex-wrap items-center gap-1 mb-1">
+                <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700">
+                  {QUESTION_TYPES.find((type) => type.id === item.type).label}
+                </span>
+                <span
+                  className={`text-xs px-2 py-0.5 rounded-full ${
+                    item.focus === 'gap' ? 'bg-yellow-50 text-yellow-700' : 'bg-green-50 text-green-700'
+                  }`}
+                >
+                  {item.focus === 'gap' ? 'Probes a gap' : 'Shows a strength'}
+                </span>
+                {item.requirement && <span className="text-xs text-gray-500">{item.requirement}</span>}
+                {entry?.feedback && (
+                  <span className="ml-auto text-xs font-medium text-gray-600">Last score: {entry.feedback.score}</span>
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => setOpen(isOpen ? null : item.question)}
+                className="w-full text-left flex items-start justify-between"
+              >
+                <span className="text-sm font-medium text-gray-800">{item.question}</span>
+                {isOpen ? (
+                  <FiChevronUp className="mt-0.5 ml-2 flex-shrink-0 text-gray-400" />
+                ) : (
+                  <FiChevronDown className="mt-0.5 ml-2 flex-shrink-0 text-gray-400" />
+                )}
+              </button>
+
+              {isOpen && (
+                <div className="mt-2 space-y-3">
+                  {item.reason && <p className="text-xs text-gray-500">{item.reason}</p>}
+                  {item.talkingPoints.length > 0 && (
+                    <div>
+                      <h4 className="text-xs font-semibold text-gray-600 mb-1">Talking points</h4>
+                      <ul className="space-y-2">
+                        {item.talkingPoints.map((point) => (
+                          <li key={point.text} className="text-sm text-gray-700">
+                            {point.text}
+                            <EvidenceList evidence={point.evidence} />
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <div>
+                    <h4 className="text-xs font-semibold text-gray-600 mb-1">Practice</h4>
+                    <textarea
+                      value={answer}
+                      onChange={(e) => setAnswer(item.question, { answer: e.target.value })}
+                      maxLength={MAX_ANSWER_LENGTH}
+                      rows={5}
+                      placeholder={
+                        item.type === 'behavioral'
+                          ? 'Type your answer: the situation, your task, what you did and the result.'
+                          : 'Type your answer as you would say it.'
+                      }
+                      aria-label="Your answer"
+                      className="w-full p-2 border border-gray-200 rounded text-sm bg-white focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <div className="flex justify-end">
+                      {pending === item.question ? (
+                        <button
+                          onClick={cancel}
+                          className="text-xs px-3 py-1 bg-gray-200 text-gray-700 rounded-full font-medium flex items-center hover:bg-gray-300"
+                        >
+                          <FiLoader className="mr-1 animate-spin" /> Scoring... Cancel
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => score(item)}
+                          disabled={!answer.trim() || pending !== null}
+                          className="text-xs px-3 py-1 bg-indigo-600 text-white rounded-full font-medium flex items-center hover:bg-indigo-700 disabled:bg-gray-200 disabled:text-gray-500"
+                        >
+                          <FiSend className="mr-1" />
+                          {entry?.feedback ? 'Score again' : 'Get feedback'}
+                        </button>
+                      )}
+                    </div>
+                    {entry?.feedback && <AnswerFeedback feedback={entry.feedback} />}
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InterviewPrep;
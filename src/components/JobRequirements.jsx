@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { FiList, FiX, FiPlus, FiArrowDown, FiArrowUp, FiRotateCcw, FiChevronDown, FiChevronUp } from 'react-icons/fi';
+import { SENIORITY_LEVELS } from '../utils/jobParser';
+
+const LIST_FIELDS = {
+  requiredSkills: {
+    label: 'Required skills',
+    placeholder: 'Add a required skill',
+    className: 'bg-indigo-50 text-indigo-700',
+    move: { to: 'preferredSkills', icon: <FiArrowDown />, label: 'Move to nice to have' },
+  },
+  preferredSkills: {
+    label: 'Nice to have',
+    placeholder: 'Add a nice-to-have skill',
+    className: 'bg-gray-100 text-gray-700',
+    move: { to: 'requiredSkills', icon: <FiArrowUp />, label: 'Move to required' },
+  },
+  education: {
+    label: 'Education',
+    placeholder: 'Add an education requirement',
+    className: 'bg-yellow-50 text-yellow-800',
+  },
+  location: {
+    label: 'Location and remote',
+    placeholder: 'Add a location term',
+    className: 'bg-green-50 text-green-700',
+  },
+};
+
+const ChipList = ({ field, items, onChange, onMove }) => {
+  const [draft, setDraft] = useState('');
+  const { label, placeholder, className, move } = LIST_FIELDS[field];
+
+  const add = (event) => {
+    event.preventDefault();
+    const value = draft.trim();
+    if (value && !items.some((item) => item.toLowerCase() === value.toLowerCase())) {
+      onChange([...items, value]);
+    }
+    setDraft('');
+  };
+
+  return (
+    <div>
+      <p className="text-xs font-medium text-gray-600 mb-1">{label}</p>
+      <div className="flex flex-wrap items-center gap-1.5">
+        {items.map((item) => (
+          <span key={item} className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs ${className}`}>
+            {item}
+            {move && (
+              <button
+                type="button"
+                onClick={() => onMove(item, move.to)}
+                title={move.label}
+                aria-label={`${move.label}: ${item}`}
+                className="ml-1 opacity-60 hover:opacity-100"
+              >
+                {move.icon}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(items.filter((other) => other !== item))}
+              aria-label={`Remove ${item}`}
+              className="ml-1 opacity-60 hover:opacity-100"
+            >
+              <FiX />
+            </button>
+          </span>
+        ))}
+        <form onSubmit={add} className="inline-flex items-center">
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={placeholder}
+            aria-label={placeholder}
+            className="w-40 px-2 py-0.5 border border-gray-200 rounded-full text-xs focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button
+            type="submit"
+            disabled={!draft.trim()}
+            aria-label={placeholder}
+            className="ml-1 text-indigo-600 disabled:text-gray-300"
+          >
+            <FiPlus />
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// The requirements read out of the job description, as editable fields.
+// `onChange(requirements)` receives every edit; `onReset` goes back to what
+// was detected. `edited` is true once the user has changed something.
+const JobRequirements = ({ requirements, edited, onChange, onReset }) => {
+  const [open, setOpen] = useState(true);
+
+  const update = (changes) => onChange({ ...requirements, ...changes });
+
+  // Required and preferred are one pool: moving a skill takes it out of
+  // the other list
+  const moveSkill = (skill, to) => {
+    const from = to === 'requiredSkills' ? 'preferredSkills' : 'requiredSkills';
+    update({
+      [from]: requirements[from].filter((item) => item !== skill),
+      [to]: requirements[to].includes(skill) ? requirements[to] : [...requirements[to], skill],
+    });
+  };
+
+  const skillCount = requirements.requiredSkills.length + requirements.preferredSkills.length;
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        aria-expanded={open}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm text-gray-700"
+      >
+        <span className="flex items-center font-medium">
+          <FiList className="text-indigo-500 mr-2" />
+          Detected requirements
+          <span className="text-gray-400 font-normal ml-2">
+            ({requirements.requiredSkills.length} required, {requirements.preferredSkills.length} nice to have
+            {edited ? ', edited' : ''})
+          </span>
+        </span>
+        {open ? <FiChevronUp /> : <FiChevronDown />}
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 space-y-3">
+          <p className="text-xs text-gray-500">
+            Read from the job description on your device. Fix anything that was picked up wrongly: required skills
+            count three times as much as nice-to-have ones in the scores.
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="text-xs font-medium text-gray-600">
+              Title
+              <input
+                value={requirements.title}
+                onChange={(e) => update({ title: e.target.value })}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm font-normal"
+              />
+            </label>
+            <label className="text-xs font-medium text-gray-600">
+              Seniority
+              <select
+                value={requirements.seniority}
+                onChange={(e) => update({ seniority: e.target.value })}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm font-normal"
+              >
+                <option value="">Not specified</option>
+                {SENIORITY_LEVELS.map((level) => (
+                  <option key={level.id} value={level.id}>
+                    {level.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs font-medium text-gray-600">
+              Minimum years
+              <input
+                type="number"
+                min="0"
+                max="50"
+                value={requirements.minYears ?? ''}
+                onChange={(e) => update({ minYears: e.target.value === '' ? null : Number(e.target.value) })}
+                className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm font-normal"
+              />
+            </label>
+          </div>
+
+          {Object.keys(LIST_FIELDS).map((field) => (
+            <ChipList
+              key={field}
+              field={field}
+              items={requirements[field]}
+              onChange={(items) => update({ [field]: items })}
+              onMove={moveSkill}
+            />
+          ))}
+
+          {!skillCount && (
+            <p className="text-xs text-yellow-700">
+              No skills were detected, so scoring falls back to the job description's own keywords.
+            </p>
+          )}
+
+          {edited && (
+            <button
+              type="button"
+              onClick={onReset}
+              className="inline-flex items-center text-xs text-indigo-600 hover:text-indigo-800"
+            >
+              <FiRotateCcw className="mr-1" />
+              Reset to detected
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobRequirements;
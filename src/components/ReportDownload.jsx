@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { FiDownload, FiLoader } from 'react-icons/fi';
+import { buildReport, reportToJson, reportToMarkdown } from '../utils/analysisReport';
+import { downloadFile } from '../utils/download';
+
+const FORMATS = [
+  {
+    id: 'pdf',
+    label: 'PDF',
+    render: async (report) => {
+      const { reportToPdf } = await import('../utils/reportPdf');
+      return new Blob([await reportToPdf(report)], { type: 'application/pdf' });
+    },
+  },
+  {
+    id: 'md',
+    label: 'Markdown',
+    render: async (report) => new Blob([reportToMarkdown(report)], { type: 'text/markdown' }),
+  },
+  {
+    id: 'json',
+    label: 'JSON',
+    render: async (report) => new Blob([reportToJson(report)], { type: 'application/json' }),
+  },
+];
+
+// `source` is what the analysis was run with: `{ text, job, provider, model }`.
+const ReportDownload = ({ analysis, atsReport, source }) => {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const download = async (format) => {
+    setBusy(format.id);
+    setError(null);
+    try {
+      const report = await buildReport({
+        analysis,
+        atsReport,
+        resumeText: source.text,
+        jobDescription: source.job,
+        provider: source.provider,
+        model: source.model,
+      });
+      const date = report.generatedAt.slice(0, 10);
+      downloadFile(await format.render(report), `resume-analysis-${date}.${format.id}`);
+    } catch (err) {
+      console.error('Report export error:', err);
+      setError(`Could not create the report: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center text-xs text-gray-500">
+      <FiDownload className="mr-1" />
+      <span className="mr-1">Report:</span>
+      {FORMATS.map((format) => (
+        <button
+          key={format.id}
+          onClick={() => download(format)}
+          disabled={!!busy}
+          className="px-1.5 py-1 rounded text-indigo-600 hover:bg-indigo-50 disabled:opacity-50 flex items-center"
+        >
+          {busy === format.id && <FiLoader className="mr-1 animate-spin" />}
+          {format.label}
+        </button>
+      ))}
+      {error && <span className="ml-2 text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default ReportDownload;
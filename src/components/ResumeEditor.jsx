@@ -1,81 +1,325 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { FiEdit, FiCheck, FiX, FiAlertTriangle } from 'react-icons/fi';
-
-const ResumeEditor = ({ originalText, sectionFeedback }) => {
-  const [text, setText] = useState(originalText || '');
-  const [activeSuggestion, setActiveSuggestion] = useState(null);
-  const [appliedSuggestions, setAppliedSuggestions] = useState([]);
-
-  // Keep local text in sync when originalText changes (e.g. new PDF uploaded)
-  useEffect(() => {
-    setText(originalText || '');
-  }, [originalText]);
-
-  const applySuggestion = (suggestion) => {
-    if (!suggestion?.fromText) return;
-
-    // Simple implementation - in production you'd want more sophisticated text replacement
-    const newText = text.replace(suggestion.fromText, suggestion.toText || '');
-    setText(newText);
-    setAppliedSuggestions((prev) => [...prev, suggestion.id]);
-    setActiveSuggestion(null);
+import React, { useState, useMemo, useRef } from 'react';
+import {
+  FiEdit,
+  FiCheck,
+  FiX,
+  FiAlertTriangle,
+  FiHelpCircle,
+  FiRotateCcw,
+  FiRotateCw,
+  FiBookmark,
+  FiColumns,
+  FiTrash2,
+  FiRefreshCw,
+  FiSearch,
+} from 'react-icons/fi';
+import { diffWords } from '../utils/textDiff';
+import { PLACEHOLDER_RE } from '../utils/bulletRewrite';
+import VersionCompare from './VersionCompare';
+import ExportPanel from './ExportPanel';
+import BulletRewriter from './BulletRewriter';
+
+const MARK_STYLES = {
+  pending: 'bg-yellow-200',
+  active: 'bg-blue-300',
+  applied: 'bg-green-200',
+};
+
+// Shared by the textarea and the highlight layer behind it so the marks
+// line up with the text exactly.
+const TEXT_LAYOUT = 'w-full h-96 p-3 border rounded-lg text-sm font-mono whitespace-pre-wrap break-words';
+
+// Splits the text into plain runs and highlighted edit ranges.
+const buildSegments = (text, edits) => {
+  const ranges = edits
+    .filter((edit) => edit.start >= 0 && edit.status !== 'dismissed')
+    .sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let offset = 0;
+  ranges.forEach((edit) => {
+    if (edit.start < offset) return;
+    if (edit.start > offset) segments.push({ text: text.slice(offset, edit.start) });
+    segments.push({ text: text.slice(edit.start, edit.end), edit });
+    offset = edit.end;
+  });
+  segments.push({ text: text.slice(offset) });
+  return segments;
+};
+
+const DiffPreview = ({ before, after }) => (
+  <p className="text-sm text-gray-700 bg-white border border-gray-200 rounded p-2 mb-2 whitespace-pre-wrap">
+    {diffWords(before, after).map((part, index) => {
+      if (part.type === 'delete') {
+        return (
+          <del key={index} className="bg-red-100 text-red-700">
+            {part.text}
+          </del>
+        );
+      }
+      if (part.type === 'insert') {
+        return (
+          <ins key={index} className="bg-green-100 text-green-700 no-underline">
+            {part.text}
+          </ins>
+        );
+      }
+      return <span key={index}>{part.text}</span>;
+    })}
+  </p>
+);
+
+// `editor` is the state from utils/editHistory and `dispatch` its reducer's
+// dispatch; both live in App so edits survive switching tabs. `onReanalyze`
+// scores the edited text, or is null when there is nothing new to score.
+// `onRewriteBullet(bullet, context, signal)` asks for rewrites of one
+// experience bullet; without it the rewrite panel is hidden.
+const ResumeEditor = ({ editor, dispatch, onReanalyze, onRewriteBullet }) => {
+  const { original, text, edits, past, future, snapshots } = editor;
+  const [panel, setPanel] = useState('suggestions');
+  const [activeId, setActiveId] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [compareId, setCompareId] = useState(null);
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
+
+  const segments = useMemo(() => buildSegments(text, edits), [text, edits]);
+
+  const run = (action) => dispatch({ ...action, at: Date.now() });
+
+  const handleChange = (e) => run({ type: 'type', text: e.target.value });
+
+  // The textarea's own undo doesn't know about applied suggestions
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      dispatch({ type: 'undo' });
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      dispatch({ type: 'redo' });
+    }
   };
 
-  // Safely compute suggestions from sectionFeedback
-  const allSuggestions = useMemo(() => {
-    const suggestions = [];
+  const syncScroll = () => {
+    if (overlayRef.current && textareaRef.current) {
+      overlayRef.current.scrollTop = textareaRef.current.scrollTop;
+    }
+  };
 
-    if (!sectionFeedback || typeof sectionFeedback !== 'object') {
-      return suggestions;
+  const showInText = (edit) => {
+    if (activeId === edit.id) {
+      setActiveId(null);
+      return;
     }
+    setActiveId(edit.id);
 
-    Object.entries(sectionFeedback).forEach(([section, feedbacks]) => {
-      if (!Array.isArray(feedbacks)) return;
+    const textarea = textareaRef.current;
+    const mark = overlayRef.current?.querySelector(`[data-edit="${edit.id}"]`);
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(edit.start, edit.end);
+    if (mark) {
+      textarea.scrollTop = Math.max(0, mark.offsetTop - textarea.clientHeight / 3);
+      syncScroll();
+    }
+  };
 
-      feedbacks.forEach((feedback, index) => {
-        if (typeof feedback !== 'string') return;
+  const apply = (id) => {
+    run({ type: 'apply', id });
+    setPreviewId(null);
+    setActiveId(null);
+  };
 
-        // This is simplified - you'd want proper NLP to identify text ranges
-        const fromMatch = feedback.match(/"(.*?)"/)?.[1];
-        const toMatch = feedback.match(/→\s*"(.*?)"/)?.[1];
+  const dismiss = (id) => {
+    run({ type: 'dismiss', id });
+    if (previewId === id) setPreviewId(null);
+    if (activeId === id) setActiveId(null);
+  };
 
-        const parts = feedback.split('→');
-        const fallbackFrom = parts[0]?.trim();
-        const fallbackTo = parts[1]?.trim();
+  const acceptRewrite = (bullet, variant) =>
+    run({ type: 'rewrite', original: bullet, replacement: variant.text, rationale: variant.rationale });
 
-        const fromText = fromMatch || fallbackFrom;
-        const toText = toMatch || fallbackTo;
+  // Selects the next placeholder after the cursor, wrapping around
+  const findPlaceholder = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const matches = [...text.matchAll(PLACEHOLDER_RE)];
+    const next = matches.find((match) => match.index >= textarea.selectionEnd) || matches[0];
+    if (!next) return;
+    textarea.focus();
+    textarea.setSelectionRange(next.index, next.index + next[0].length);
+  };
 
-        if (fromText && toText) {
-          suggestions.push({
-            id: `${section}-${index}`,
-            section,
-            fromText,
-            toText,
-            feedback,
-          });
-        }
-      });
-    });
+  const saveSnapshot = (e) => {
+    e.preventDefault();
+    run({ type: 'saveSnapshot', name: snapshotName.trim() });
+    setSnapshotName('');
+  };
 
-    return suggestions;
-  }, [sectionFeedback]);
+  const lastCommand = past[past.length - 1];
+  const nextCommand = future[0];
+  const compared =
+    compareId === 'current'
+      ? { name: 'Current text', text }
+      : snapshots.find((snapshot) => snapshot.id === compareId);
+
+  const visibleEdits = edits.filter((edit) => edit.status !== 'dismissed');
+  const pendingCount = visibleEdits.filter((edit) => edit.status === 'pending').length;
+  // Left behind by accepted rewrites for the user to fill in
+  const placeholderCount = edits.some((edit) => edit.id.startsWith('rewrite-'))
+    ? (text.match(PLACEHOLDER_RE) || []).length
+    : 0;
 
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
       <div className="p-4 border-b border-gray-200 flex items-center">
         <FiEdit className="text-gray-500 mr-2" />
         <h3 className="text-lg font-medium text-gray-800">Interactive Resume Editor</h3>
+        <div className="ml-auto flex items-center space-x-1">
+          <button
+            onClick={() => dispatch({ type: 'undo' })}
+            disabled={!lastCommand}
+            title={lastCommand ? `Undo ${lastCommand.label.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo'}
+            className="p-2 rounded text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+            aria-label="Undo"
+          >
+            <FiRotateCcw />
+          </button>
+          <button
+            onClick={() => dispatch({ type: 'redo' })}
+            disabled={!nextCommand}
+            title={nextCommand ? `Redo ${nextCommand.label.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            className="p-2 rounded text-gray-600 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+            aria-label="Redo"
+          >
+            <FiRotateCw />
+          </button>
+          <button
+            onClick={onReanalyze || undefined}
+            disabled={!onReanalyze}
+            title={onReanalyze ? 'Score the edited resume against the same job' : 'Edit the text to re-analyze it'}
+            className="ml-2 text-sm px-3 py-1 bg-indigo-600 text-white rounded-full font-medium flex items-center hover:bg-indigo-700 disabled:bg-gray-200 disabled:text-gray-500"
+          >
+            <FiRefreshCw className="w-4 h-4 mr-1" />
+            Re-analyze
+          </button>
+        </div>
       </div>
 
+      {/* Snapshots */}
+      <div className="px-4 py-3 border-b border-gray-200 bg-gray-50 flex flex-wrap items-center gap-2">
+        <form onSubmit={saveSnapshot} className="flex items-center">
+          <input
+            value={snapshotName}
+            onChange={(e) => setSnapshotName(e.target.value)}
+            placeholder={`Version ${snapshots.length + 1}`}
+            className="text-xs px-2 py-1 border border-gray-300 rounded-l focus:ring-1 focus:ring-blue-500 focus:border-blue-500 w-32"
+            aria-label="Snapshot name"
+          />
+          <button
+            type="submit"
+            className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded-r hover:bg-gray-300 flex items-center"
+          >
+            <FiBookmark className="mr-1" /> Save snapshot
+          </button>
+        </form>
+        <button
+          onClick={() => setCompareId(compareId === 'current' ? null : 'current')}
+          className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 flex items-center"
+        >
+          <FiColumns className="mr-1" /> Compare with original
+        </button>
+
+        {snapshots.map((snapshot) => (
+          <div
+            key={snapshot.id}
+            className={`text-xs flex items-center rounded border ${
+              compareId === snapshot.id ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-white'
+            }`}
+          >
+            <span className="px-2 py-1 text-gray-700" title={new Date(snapshot.createdAt).toLocaleString()}>
+              {snapshot.name}
+            </span>
+            <button
+              onClick={() => run({ type: 'restoreSnapshot', id: snapshot.id })}
+              className="px-1.5 py-1 text-blue-600 hover:bg-gray-100"
+            >
+              Restore
+            </button>
+            <button
+              onClick={() => setCompareId(compareId === snapshot.id ? null : snapshot.id)}
+              className="px-1.5 py-1 text-gray-600 hover:bg-gray-100"
+              aria-label={`Compare ${snapshot.name} with original`}
+            >
+              <FiColumns />
+            </button>
+            <button
+              onClick={() => {
+                dispatch({ type: 'deleteSnapshot', id: snapshot.id });
+                if (compareId === snapshot.id) setCompareId(null);
+              }}
+              className="px-1.5 py-1 text-gray-400 hover:text-red-600 hover:bg-gray-100"
+              aria-label={`Delete ${snapshot.name}`}
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <ExportPanel text={text} />
+
+      {placeholderCount > 0 && (
+        <div className="px-4 py-2 border-b border-yellow-200 bg-yellow-50 flex items-center text-xs text-yellow-800">
+          <FiAlertTriangle className="mr-2 flex-shrink-0" />
+          {placeholderCount} placeholder{placeholderCount === 1 ? '' : 's'} like [X] still need your real figures.
+          <button
+            onClick={findPlaceholder}
+            className="ml-auto px-2 py-1 rounded hover:bg-yellow-100 flex items-center font-medium"
+          >
+            <FiSearch className="mr-1" /> Find next
+          </button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-0">
         {/* Editor Panel */}
         <div className="p-4 border-r border-gray-200">
           <div className="relative h-full">
+            {/* Highlight layer: same text, transparent, with the edit ranges marked */}
+            <div
+              ref={overlayRef}
+              aria-hidden="true"
+              className={`${TEXT_LAYOUT} absolute inset-x-0 top-0 overflow-hidden border-transparent text-transparent pointer-events-none`}
+            >
+              {segments.map((segment, index) =>
+                segment.edit ? (
+                  <mark
+                    key={index}
+                    data-edit={segment.edit.id}
+                    className={`rounded-sm text-transparent ${
+                      segment.edit.id === activeId ? MARK_STYLES.active : MARK_STYLES[segment.edit.status]
+                    }`}
+                  >
+                    {segment.text}
+                  </mark>
+                ) : (
+                  <span key={index}>{segment.text}</span>
+                )
+              )}
+              {/* Keeps a trailing newline the same height as in the textarea */}
+              {'\n'}
+            </div>
             <textarea
+              ref={textareaRef}
               value={text}
-              onChange={(e) => setText(e.target.value)}
-              className="w-full h-96 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm font-mono"
+              onChange={handleChange}
+              onKeyDown={handleKeyDown}
+              onScroll={syncScroll}
+              className={`${TEXT_LAYOUT} relative bg-transparent border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
               placeholder="Your resume text..."
             />
             <div className="absolute bottom-4 right-4 text-xs text-gray-500">
@@ -86,25 +330,44 @@ const ResumeEditor = ({ originalText, sectionFeedback }) => {
 
         {/* Suggestions Panel */}
         <div className="p-4">
-          <h4 className="text-sm font-medium text-gray-700 mb-3">Suggested Improvements</h4>
+          <div className="flex items-center mb-3">
+            <h4 className="text-sm font-medium text-gray-700">
+              {panel === 'rewrite' ? 'Rewrite a Bullet' : 'Suggested Improvements'}
+              {panel === 'suggestions' && pendingCount > 0 && (
+                <span className="text-gray-400 font-normal"> ({pendingCount} to review)</span>
+              )}
+            </h4>
+            {onRewriteBullet && (
+              <button
+                onClick={() => setPanel(panel === 'rewrite' ? 'suggestions' : 'rewrite')}
+                className="ml-auto text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+              >
+                {panel === 'rewrite' ? 'Back to suggestions' : 'Rewrite a bullet'}
+              </button>
+            )}
+          </div>
 
-          {allSuggestions.length === 0 ? (
+          {panel === 'rewrite' && onRewriteBullet ? (
+            <BulletRewriter text={text} onRewrite={onRewriteBullet} onAccept={acceptRewrite} />
+          ) : visibleEdits.length === 0 ? (
             <div className="flex items-center justify-center h-80 text-gray-400">
               No suggestions available
             </div>
           ) : (
             <div className="space-y-3 max-h-96 overflow-y-auto">
-              {allSuggestions.map((suggestion) => {
-                const isApplied = appliedSuggestions.includes(suggestion.id);
-                const isActive = activeSuggestion?.id === suggestion.id;
+              {visibleEdits.map((edit) => {
+                const isApplied = edit.status === 'applied';
+                const isActive = activeId === edit.id;
+                const isPreviewing = previewId === edit.id;
+                const isUnmatched = edit.start < 0;
 
                 return (
                   <div
-                    key={suggestion.id}
+                    key={edit.id}
                     className={`p-3 rounded-lg border ${
                       isApplied
                         ? 'border-green-200 bg-green-50'
-                        : isActive
+                        : isActive || isPreviewing
                         ? 'border-blue-200 bg-blue-50'
                         : 'border-gray-200 bg-gray-50'
                     }`}
@@ -113,33 +376,86 @@ const ResumeEditor = ({ originalText, sectionFeedback }) => {
                       <div className="mr-2 mt-0.5">
                         {isApplied ? (
                           <FiCheck className="text-green-500" />
+                        ) : isUnmatched ? (
+                          <FiHelpCircle className="text-gray-400" />
                         ) : (
                           <FiAlertTriangle className="text-yellow-500" />
                         )}
                       </div>
-                      <div className="flex-1">
+                      <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium text-gray-800 mb-1">
-                          {suggestion.section.toUpperCase()}
+                          {edit.section.toUpperCase()}
                         </p>
-                        <p className="text-sm text-gray-600 mb-2">{suggestion.feedback}</p>
+                        <p className="text-sm text-gray-600 mb-2">{edit.rationale}</p>
+
+                        {isUnmatched && !isApplied && (
+                          <>
+                            <p className="text-xs text-gray-500 mb-1">
+                              This text is no longer in your resume. Suggested wording:
+                            </p>
+                            <p className="text-sm text-gray-700 bg-white border border-gray-200 rounded p-2 mb-2">
+                              {edit.replacement}
+                            </p>
+                          </>
+                        )}
+
+                        {isPreviewing && !isUnmatched && (
+                          <DiffPreview before={text.slice(edit.start, edit.end)} after={edit.replacement} />
+                        )}
+
                         {!isApplied && (
-                          <div className="flex space-x-2">
+                          <div className="flex flex-wrap gap-2">
+                            {!isUnmatched &&
+                              (isPreviewing ? (
+                                <>
+                                  <button
+                                    onClick={() => apply(edit.id)}
+                                    className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                                  >
+                                    Apply Change
+                                  </button>
+                                  <button
+                                    onClick={() => setPreviewId(null)}
+                                    className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+                                  >
+                                    Cancel
+                                  </button>
+                                </>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => setPreviewId(edit.id)}
+                                    className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                                  >
+                                    Preview Change
+                                  </button>
+                                  <button
+                                    onClick={() => showInText(edit)}
+                                    className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+                                  >
+                                    {isActive ? 'Hide' : 'Show'} in Text
+                                  </button>
+                                </>
+                              ))}
                             <button
-                              onClick={() => applySuggestion(suggestion)}
-                              className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                              onClick={() => dismiss(edit.id)}
+                              className="text-xs px-2 py-1 text-gray-500 rounded hover:bg-gray-200 flex items-center"
                             >
-                              Apply Change
-                            </button>
-                            <button
-                              onClick={() =>
-                                setActiveSuggestion(isActive ? null : suggestion)
-                              }
-                              className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
-                            >
-                              {isActive ? 'Hide' : 'Show'} in Text
+                              <FiX className="mr-1" /> Dismiss
                             </button>
                           </div>
                         )}
+
+                        {isApplied && (
+                          <button
+                            onClick={() => run({ type: 'revert', id: edit.id })}
+                            disabled={isUnmatched}
+                            title={isUnmatched ? 'The applied text was edited by hand' : undefined}
+                            className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 flex items-center"
+                          >
+                            <FiRotateCcw className="mr-1" /> Revert
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -149,6 +465,15 @@ const ResumeEditor = ({ originalText, sectionFeedback }) => {
           )}
         </div>
       </div>
+
+      {compared && (
+        <VersionCompare
+          original={original}
+          revised={compared.text}
+          title={`Original vs. ${compared.name}`}
+          onClose={() => setCompareId(null)}
+        />
+      )}
     </div>
   );
 };
@@ -1,7 +1,42 @@
-import React from 'react';
-import { FiPieChart, FiAward, FiBriefcase, FiBook, FiHash } from 'react-icons/fi';
+import React, { useMemo, useState } from 'react';
+import {
+  FiPieChart,
+  FiAward,
+  FiBriefcase,
+  FiBook,
+  FiHash,
+  FiCpu,
+  FiChevronDown,
+  FiChevronUp,
+} from 'react-icons/fi';
+import { buildScoreEvidence } from '../utils/scoreEvidence';
+import ScoreEvidence from './ScoreEvidence';
+
+// Tooltip text listing where a keyword occurs in each document.
+const describePositions = (hit) => {
+  const format = (positions) =>
+    positions.length ? positions.map((p) => `char ${p.start}`).join(', ') : 'not found';
+  return `Job description: ${format(hit.jdPositions)}\nResume: ${format(hit.resumePositions)}`;
+};
+
+// Summary line under a category row, e.g. "3 of 5 requirements met".
+const describeCoverage = (category) => {
+  if (!category.items.length) return 'No requirements found in the job description';
+  const met = category.items.filter((item) => item.found).length;
+  return `${met} of ${category.items.length} requirements met (${category.coverage}% by weight)`;
+};
+
+// `source` is what the analysis was run with (`{ text, job, requirements }`);
+// when given, each category row opens the evidence behind its score.
+const ScoreBreakdown = ({ breakdown, localMatch, source }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const hasAiScores = !!breakdown && typeof breakdown === 'object';
+  const evidence = useMemo(
+    () => (source ? buildScoreEvidence(source.text, source.job, source.requirements) : null),
+    [source]
+  );
 
-const ScoreBreakdown = ({ breakdown }) => {
   const sections = [
     { name: 'skills', icon: <FiAward className="text-blue-500" />, label: 'Skills' },
     { name: 'experience', icon: <FiBriefcase className="text-green-500" />, label: 'Experience' },
@@ -30,33 +65,155 @@ const ScoreBreakdown = ({ breakdown }) => {
         <h3 className="text-lg font-medium text-gray-800">Score Breakdown</h3>
       </div>
 
-      <div className="space-y-4">
-        {sections.map((section) => {
-          const score = getSafeScore(section.name);
-          return (
-            <div key={section.name} className="flex items-center">
-              <div className="mr-3">
-                {section.icon}
+      {hasAiScores && (
+        <div className="space-y-4">
+          {sections.map((section) => {
+            const score = getSafeScore(section.name);
+            const localScore =
+              section.name === 'keywords' && localMatch ? localMatch.score : null;
+            const category = evidence?.[section.name];
+            const isSelected = selected === section.name;
+            const Row = category ? 'button' : 'div';
+            return (
+              <div key={section.name}>
+                <Row
+                  {...(category && {
+                    type: 'button',
+                    onClick: () =>
+                      setSelected(isSelected ? null : section.name),
+                    'aria-expanded': isSelected,
+                  })}
+                  className={`w-full flex items-center text-left ${
+                    category ? 'rounded-lg -m-1 p-1 hover:bg-gray-50' : ''
+                  }`}
+                >
+                  <div className="mr-3">{section.icon}</div>
+                  <div className="flex-1">
+                    <div className="flex justify-between text-sm mb-1">
+                      <span className="text-gray-700">{section.label}</span>
+                      <span className="font-medium">
+                        {localScore !== null && <span className="text-gray-400 mr-1">AI</span>}
+                        {score}%
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="h-2 rounded-full"
+                        style={{
+                          width: `${score}%`,
+                          backgroundColor: getBarColor(score),
+                        }}
+                      ></div>
+                    </div>
+                    {localScore !== null && (
+                      <>
+                        <div className="flex justify-between text-xs mt-2 mb-1">
+                          <span className="text-gray-500">Local keyword match</span>
+                          <span className="font-medium text-gray-700">{localScore}%</span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-1.5">
+                          <div
+                            className="h-1.5 rounded-full bg-gray-500"
+                            style={{ width: `${localScore}%` }}
+                          ></div>
+                        </div>
+                      </>
+                    )}
+                    {category && (
+                      <div className="flex justify-between text-xs text-gray-500 mt-1">
+                        <span>{describeCoverage(category)}</span>
+                        {isSelected ? <FiChevronUp /> : <FiChevronDown />}
+                      </div>
+                    )}
+                  </div>
+                </Row>
+                {isSelected && (
+                  <ScoreEvidence
+                    key={section.name}
+                    evidence={category}
+                    resumeText={source.text}
+                    jobDescription={source.job}
+                  />
+                )}
               </div>
-              <div className="flex-1">
-                <div className="flex justify-between text-sm mb-1">
-                  <span className="text-gray-700">{section.label}</span>
-                  <span className="font-medium">{score}%</span>
+            );
+          })}
+        </div>
+      )}
+
+      {localMatch && (
+        <div className={hasAiScores ? 'mt-4 pt-4 border-t border-gray-100' : ''}>
+          <button
+            type="button"
+            onClick={() => setShowDetails((open) => !open)}
+            className="w-full flex items-center justify-between text-sm text-gray-700"
+          >
+            <span className="flex items-center">
+              <FiCpu className="text-gray-500 mr-2" />
+              Local keyword score: <span className="font-semibold ml-1">{localMatch.score}%</span>
+              <span className="text-gray-400 ml-2">
+                ({localMatch.matched.length} of {localMatch.totalKeywords} job keywords found)
+              </span>
+            </span>
+            {showDetails ? <FiChevronUp /> : <FiChevronDown />}
+          </button>
+
+          {showDetails && (
+            <div className="mt-3 space-y-3">
+              {localMatch.weighted ? (
+                <p className="text-xs text-gray-500">
+                  Computed on your device from the requirements you reviewed. Aliases (e.g. JS /
+                  JavaScript), acronyms and word forms are normalized; required skills weigh three
+                  times as much as nice-to-have ones. Hover a term to see where it occurs.
+                </p>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  Computed on your device from the job description's terms and phrases. Aliases
+                  (e.g. JS / JavaScript), acronyms and word forms are normalized; terms that appear
+                  more often in the job description or are known skills weigh more. Hover a term to
+                  see where it occurs.
+                </p>
+              )}
+              {localMatch.matched.length > 0 && (
+                <div>
+                  <p className="text-xs font-medium text-green-700 mb-1">Found in resume</p>
+                  <div className="flex flex-wrap gap-1.5">
+                    {localMatch.matched.map((hit) => (
+                      <span
+                        key={hit.key}
+                        title={describePositions(hit)}
+                        className="px-2 py-0.5 bg-green-50 text-green-700 rounded-full text-xs"
+                      >
+                        {hit.term}
+                        <span className="text-green-500 ml-1">×{hit.resumePositions.length}</span>
+                      </span>
+                    ))}
+                  </div>
                 </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="h-2 rounded-full"
-                    style={{
-                      width: `${score}%`,
-                      backgroundColor: getBarColor(score),
-                    }}
-                  ></div>
+              )}
+              {localMatch.missing.length > 0 && (
+                <div>
+                  <p className="text-xs font-medium text-red-700 mb-1">Missing from resume</p>
+                  <div className="flex flex-wrap gap-1.5">
+                    {localMatch.missing.map((hit) => (
+                      <span
+                        key={hit.key}
+                        title={describePositions(hit)}
+                        className="px-2 py-0.5 bg-red-50 text-red-700 rounded-full text-xs"
+                      >
+                        {hit.term}
+                        <span className="text-red-400 ml-1">
+                          {hit.required ? `weight ${hit.weight}` : 'nice to have'}
+                        </span>
+                      </span>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
-          );
-        })}
-      </div>
+          )}
+        </div>
+      )}
 
       <div className="mt-4 pt-4 border-t border-gray-100">
         <div className="flex items-center">
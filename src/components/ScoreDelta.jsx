@@ -0,0 +1,104 @@
+import React from 'react';
+import { FiTrendingUp, FiArrowRight, FiX } from 'react-icons/fi';
+
+const LABELS = {
+  matchPercentage: 'Match',
+  atsScore: 'ATS score',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+  keywords: 'Keywords',
+};
+
+const getChangeClasses = (change) => {
+  if (change > 0) return 'text-green-700 bg-green-50';
+  if (change < 0) return 'text-red-700 bg-red-50';
+  return 'text-gray-600 bg-gray-100';
+};
+
+const formatChange = (change) => {
+  if (change === null) return '–';
+  return change > 0 ? `+${change}` : `${change}`;
+};
+
+const ScoreRow = ({ row, strong }) => (
+  <div className="flex items-center justify-between py-1.5">
+    <span className={`text-sm ${strong ? 'font-medium text-gray-800' : 'text-gray-600'}`}>
+      {LABELS[row.key] || row.key}
+    </span>
+    <div className="flex items-center text-sm">
+      <span className="text-gray-500 w-8 text-right">{row.before ?? '–'}</span>
+      <FiArrowRight className="mx-1.5 text-gray-400" />
+      <span className="text-gray-800 w-8">{row.after ?? '–'}</span>
+      <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium w-12 text-center ${getChangeClasses(row.change)}`}>
+        {formatChange(row.change)}
+      </span>
+    </div>
+  </div>
+);
+
+// Before/after comparison of two analyses; `delta` comes from
+// utils/analysisDelta.compareAnalyses.
+const ScoreDelta = ({ delta, onDismiss }) => (
+  <div className="bg-white rounded-xl shadow-sm border border-indigo-200 p-6">
+    <div className="flex items-center mb-3">
+      <FiTrendingUp className="text-indigo-500 mr-2" />
+      <h3 className="text-lg font-medium text-gray-800">Since your edits</h3>
+      {onDismiss && (
+        <button
+          onClick={onDismiss}
+          className="ml-auto text-gray-400 hover:text-gray-600"
+          aria-label="Hide comparison"
+        >
+          <FiX />
+        </button>
+      )}
+    </div>
+
+    <div className="divide-y divide-gray-100">
+      <ScoreRow row={delta.matchPercentage} strong />
+      <ScoreRow row={delta.atsScore} strong />
+      {delta.scoreBreakdown.map((row) => (
+        <ScoreRow key={row.key} row={row} />
+      ))}
+    </div>
+
+    {(delta.resolvedKeywords.length > 0 || delta.newKeywords.length > 0) && (
+      <div className="mt-4 space-y-2">
+        {delta.resolvedKeywords.length > 0 && (
+          <div>
+            <p className="text-xs font-medium text-gray-500 mb-1">Keywords now covered</p>
+            <div className="flex flex-wrap gap-1.5">
+              {delta.resolvedKeywords.map((keyword) => (
+                <span key={keyword} className="px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded-full">
+                  {keyword}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        {delta.newKeywords.length > 0 && (
+          <div>
+            <p className="text-xs font-medium text-gray-500 mb-1">Newly missing</p>
+            <div className="flex flex-wrap gap-1.5">
+              {delta.newKeywords.map((keyword) => (
+                <span key={keyword} className="px-2 py-0.5 bg-red-100 text-red-800 text-xs rounded-full">
+                  {keyword}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    )}
+
+    {delta.stillMissing.length > 0 && (
+      <p className="mt-3 text-xs text-gray-500">
+        Still missing: {delta.stillMissing.slice(0, 8).join(', ')}
+        {delta.stillMissing.length > 8 && ` (and ${delta.stillMissing.length - 8} more)`}
+      </p>
+    )}
+  </div>
+);
+
+export default ScoreDelta;
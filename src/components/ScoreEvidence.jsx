@@ -0,0 +1,147 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+
+const MARK_STYLES = {
+  found: 'bg-green-100',
+  missing: 'bg-red-100',
+  activeFound: 'bg-green-300 ring-1 ring-green-500',
+  activeMissing: 'bg-red-300 ring-1 ring-red-500',
+};
+
+// Splits the text into plain runs and highlighted spans. Overlapping spans
+// keep the first; the active item's spans go first so they always show.
+const buildSegments = (text, marks) => {
+  const ranges = [...marks].sort((a, b) => Number(b.active) - Number(a.active) || a.start - b.start);
+  const kept = [];
+  ranges.forEach((mark) => {
+    if (mark.start < 0 || mark.end > text.length) return;
+    if (kept.some((other) => mark.start < other.end && other.start < mark.end)) return;
+    kept.push(mark);
+  });
+  kept.sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let offset = 0;
+  kept.forEach((mark) => {
+    if (mark.start > offset) segments.push({ text: text.slice(offset, mark.start) });
+    segments.push({ text: text.slice(mark.start, mark.end), mark });
+    offset = mark.end;
+  });
+  segments.push({ text: text.slice(offset) });
+  return segments;
+};
+
+const markClass = (mark) =>
+  mark.active
+    ? MARK_STYLES[mark.found ? 'activeFound' : 'activeMissing']
+    : MARK_STYLES[mark.found ? 'found' : 'missing'];
+
+// One document with the evidence spans marked. Scrolls the active item's
+// first mark into view inside the pane.
+const HighlightPane = ({ title, text, marks, activeIndex }) => {
+  const paneRef = useRef(null);
+  const segments = buildSegments(text, marks);
+
+  useEffect(() => {
+    const pane = paneRef.current;
+    const mark = pane?.querySelector('[data-active="true"]');
+    if (pane && mark) pane.scrollTop = Math.max(0, mark.offsetTop - pane.clientHeight / 3);
+  }, [activeIndex]);
+
+  return (
+    <div className="min-w-0">
+      <h5 className="text-xs font-semibold text-gray-600 mb-1">{title}</h5>
+      <div
+        ref={paneRef}
+        className="relative h-64 overflow-y-auto p-3 border border-gray-200 rounded-lg bg-gray-50 text-xs text-gray-700 whitespace-pre-wrap break-words"
+      >
+        {segments.map((segment, index) =>
+          segment.mark ? (
+            <mark
+              key={index}
+              data-active={segment.mark.active}
+              title={segment.mark.requirement}
+              className={`rounded-sm text-gray-900 ${markClass(segment.mark)}`}
+            >
+              {segment.text}
+            </mark>
+          ) : (
+            <span key={index}>{segment.text}</span>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The evidence behind one score category: each job requirement with the
+// resume text that meets it, and both documents side by side with the
+// requirements marked. Clicking a requirement highlights and scrolls to it.
+const ScoreEvidence = ({ evidence, resumeText, jobDescription }) => {
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  if (!evidence.items.length) {
+    return (
+      <p className="text-xs text-gray-500 mt-3">
+        No requirements of this kind were found in the job description, so there is no evidence to show.
+      </p>
+    );
+  }
+
+  const marksOf = (spansKey) =>
+    evidence.items.flatMap((item, index) =>
+      item[spansKey].map((span) => ({
+        ...span,
+        found: spansKey === 'resumeSpans' || item.found,
+        active: index === activeIndex,
+        requirement: item.requirement,
+      }))
+    );
+
+  return (
+    <div className="mt-3 space-y-3">
+      <ul className="space-y-1 max-h-56 overflow-y-auto">
+        {evidence.items.map((item, index) => (
+          <li key={`${item.requirement}-${index}`}>
+            <button
+              type="button"
+              onClick={() => setActiveIndex(activeIndex === index ? null : index)}
+              aria-pressed={activeIndex === index}
+              className={`w-full text-left p-2 rounded-lg border text-xs flex items-start ${
+                activeIndex === index ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {item.found ? (
+                <FiCheckCircle className="text-green-500 mt-0.5 mr-2 flex-shrink-0" />
+              ) : (
+                <FiXCircle className="text-red-500 mt-0.5 mr-2 flex-shrink-0" />
+              )}
+              <span className="min-w-0 flex-1">
+                <span className="flex justify-between gap-2">
+                  <span className="font-medium text-gray-800">{item.requirement}</span>
+                  <span className="text-gray-400 whitespace-nowrap">weight {item.weight}</span>
+                </span>
+                <span className={`block ${item.found ? 'text-gray-600' : 'text-red-600'}`}>
+                  {item.snippet || 'Not found in your resume'}
+                </span>
+                <span className="block text-gray-400">{item.note}</span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <HighlightPane title="Your resume" text={resumeText} marks={marksOf('resumeSpans')} activeIndex={activeIndex} />
+        <HighlightPane
+          title="Job description"
+          text={jobDescription}
+          marks={marksOf('jdSpans')}
+          activeIndex={activeIndex}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ScoreEvidence;
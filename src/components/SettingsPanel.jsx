@@ -0,0 +1,84 @@
+import React from 'react';
+import { FiSettings, FiX, FiLock, FiAlertCircle } from 'react-icons/fi';
+
+const SettingsPanel = ({ settings, providers, onChange, onClose }) => {
+  const available = Array.isArray(providers) ? providers : [];
+  const provider = available.find((p) => p.id === settings.provider) || available[0];
+  const model = provider ? settings.models[provider.id] || '' : '';
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <FiSettings className="text-gray-500 mr-2" />
+          <h3 className="text-lg font-medium text-gray-800">AI Provider Settings</h3>
+        </div>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close settings"
+          >
+            <FiX />
+          </button>
+        )}
+      </div>
+
+      {!provider ? (
+        <p className="text-sm text-red-600 flex items-center">
+          <FiAlertCircle className="mr-1.5 flex-shrink-0" />
+          No AI providers are available. Start the analysis server (npm run server) and
+          configure at least one provider in its environment.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="llm-provider" className="block text-sm font-medium text-gray-700 mb-1">
+              Provider
+            </label>
+            <select
+              id="llm-provider"
+              value={provider.id}
+              onChange={(e) => onChange({ ...settings, provider: e.target.value })}
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {available.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="llm-model" className="block text-sm font-medium text-gray-700 mb-1">
+              Model
+            </label>
+            <input
+              id="llm-model"
+              type="text"
+              value={model}
+              placeholder={provider.defaultModel}
+              onChange={(e) =>
+                onChange({
+                  ...settings,
+                  models: { ...settings.models, [provider.id]: e.target.value },
+                })
+              }
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+        </div>
+      )}
+
+      <p className="mt-4 text-xs text-gray-500 flex items-center">
+        <FiLock className="mr-1.5 flex-shrink-0" />
+        {provider?.id === 'ollama'
+          ? 'Requests go to the Ollama server configured on the analysis server; nothing is sent to a cloud API.'
+          : 'API keys are held by the analysis server and never sent to your browser.'}
+      </p>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import { FiTarget, FiDownload, FiClock, FiLink } from 'react-icons/fi';
+import { buildSkillGaps, skillGapChecklist, CATEGORIES, PRIORITIES } from '../utils/skillGap';
+import { downloadFile } from '../utils/download';
+
+const PRIORITY_CLASSES = {
+  high: 'bg-red-50 text-red-700 border-red-200',
+  medium: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  low: 'bg-gray-50 text-gray-600 border-gray-200',
+};
+
+const priorityLabel = (id) => PRIORITIES.find((priority) => priority.id === id).label;
+
+// Why the gap ranks where it does
+const importanceNote = (gap) => {
+  const mentioned = gap.mentions > 1 ? `mentioned ${gap.mentions}× in the job description` : '';
+  if (gap.requirement === 'required') return ['Required', mentioned].filter(Boolean).join(', ');
+  if (gap.requirement === 'preferred') return ['Nice to have', mentioned].filter(Boolean).join(', ');
+  return mentioned ? mentioned.charAt(0).toUpperCase() + mentioned.slice(1) : 'Mentioned in the job description';
+};
+
+const adjacencyNote = (gap) => {
+  if (gap.adjacent.length) return `You already use ${gap.adjacent.join(', ')}, which carries over.`;
+  if (gap.sameCategory.length) return `Related experience in your resume: ${gap.sameCategory.join(', ')}.`;
+  return 'No related experience in your resume.';
+};
+
+// The analysis's missing keywords as a ranked, categorized learning plan.
+// `source` is what the analysis was run with: `{ text, job, requirements }`.
+const SkillGapPlan = ({ missingKeywords, source }) => {
+  const gaps = useMemo(
+    () => buildSkillGaps(missingKeywords, source.text, source.job, source.requirements),
+    [missingKeywords, source]
+  );
+  const totalWeeks = gaps.reduce((sum, gap) => sum + gap.weeks, 0);
+  const groups = CATEGORIES.map((category) => ({
+    ...category,
+    gaps: gaps.filter((gap) => gap.category === category.id),
+  })).filter((category) => category.gaps.length);
+
+  const exportChecklist = () =>
+    downloadFile(skillGapChecklist(gaps, source.requirements?.title), 'learning-plan.md', 'text/markdown');
+
+  if (!gaps.length) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-center text-sm text-gray-500">
+        No skill gaps: every keyword the analysis flagged already appears in your resume.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-2">
+        <FiTarget className="text-gray-500" />
+        <h3 className="text-lg font-medium text-gray-800 mr-auto">Skill Gaps</h3>
+        <span className="text-xs text-gray-500">
+          {gaps.length} skill{gaps.length === 1 ? '' : 's'}, about {totalWeeks} week{totalWeeks === 1 ? '' : 's'} of
+          study
+        </span>
+        <button
+          onClick={exportChecklist}
+          className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-full font-medium flex items-center hover:bg-indigo-700"
+        >
+          <FiDownload className="w-4 h-4 mr-1" /> Checklist
+        </button>
+      </div>
+
+      <div className="p-4 grid grid-cols-1 sm:grid-cols-2 gap-3 border-b border-gray-200">
+        {groups.map((category) => (
+          <div key={category.id}>
+            <h4 className="text-xs font-semibold text-gray-600 mb-1">{category.label}</h4>
+            <div className="flex flex-wrap gap-1">
+              {category.gaps.map((gap) => (
+                <span
+                  key={gap.term}
+                  title={`${priorityLabel(gap.priority)} priority: ${importanceNote(gap)}`}
+                  className={`text-xs px-2 py-0.5 rounded-full border ${PRIORITY_CLASSES[gap.priority]}`}
+                >
+                  {gap.term}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="p-4">
+        <h4 className="text-sm font-medium text-gray-700 mb-2">Learning plan</h4>
+        <ol className="space-y-3">
+          {gaps.map((gap, index) => (
+            <li key={gap.term} className="flex items-start">
+              <span className="text-xs font-semibold text-gray-400 w-6 mt-0.5 flex-shrink-0">{index + 1}.</span>
+              <div className="min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-medium text-gray-800">{gap.term}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full border ${PRIORITY_CLASSES[gap.priority]}`}>
+                    {priorityLabel(gap.priority)}
+                  </span>
+                  <span className="text-xs text-gray-500 flex items-center">
+                    <FiClock className="mr-1" /> {gap.effort}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-0.5">{importanceNote(gap)}</p>
+                <p className="text-xs text-gray-500 flex items-center mt-0.5">
+                  <FiLink className="mr-1 flex-shrink-0" /> {adjacencyNote(gap)}
+                </p>
+                <p className="text-sm text-gray-700 mt-1">{gap.action}</p>
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default SkillGapPlan;
@@ -0,0 +1,63 @@
+import React, { useMemo } from 'react';
+import { FiColumns, FiX } from 'react-icons/fi';
+import { diffWords } from '../utils/textDiff';
+
+const countWords = (parts, type) =>
+  parts
+    .filter((part) => part.type === type)
+    .reduce((sum, part) => sum + (part.text.match(/\S+/g) || []).length, 0);
+
+// Side-by-side word diff: the left column marks what was removed from
+// `original`, the right column what `revised` added.
+const VersionCompare = ({ original, revised, title, onClose }) => {
+  const parts = useMemo(() => diffWords(original, revised), [original, revised]);
+  const removed = countWords(parts, 'delete');
+  const added = countWords(parts, 'insert');
+
+  const renderSide = (hidden, changed, changedClass) =>
+    parts.map((part, index) => {
+      if (part.type === hidden) return null;
+      if (part.type === changed) {
+        return (
+          <span key={index} className={changedClass}>
+            {part.text}
+          </span>
+        );
+      }
+      return <span key={index}>{part.text}</span>;
+    });
+
+  return (
+    <div className="border-t border-gray-200">
+      <div className="p-4 flex items-center justify-between">
+        <div className="flex items-center">
+          <FiColumns className="text-gray-500 mr-2" />
+          <h4 className="text-sm font-medium text-gray-700">{title}</h4>
+          <span className="ml-3 text-xs text-gray-500">
+            <span className="text-red-600">-{removed}</span> / <span className="text-green-600">+{added}</span> words
+          </span>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close comparison">
+          <FiX />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-0">
+        <div className="px-4 pb-4 md:border-r border-gray-200">
+          <p className="text-xs font-medium text-gray-500 mb-2">Uploaded resume</p>
+          <div className="h-96 overflow-y-auto p-3 border border-gray-200 rounded-lg text-sm font-mono whitespace-pre-wrap break-words">
+            {renderSide('insert', 'delete', 'bg-red-100 text-red-700 line-through')}
+          </div>
+        </div>
+        <div className="px-4 pb-4">
+          <p className="text-xs font-medium text-gray-500 mb-2">Edited version</p>
+          <div className="h-96 overflow-y-auto p-3 border border-gray-200 rounded-lg text-sm font-mono whitespace-pre-wrap break-words">
+            {renderSide('delete', 'insert', 'bg-green-100 text-green-700')}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionCompare;
@@ -0,0 +1,58 @@
+// analysisDelta.js
+// Compares two analyses of the same job (before and after editing the
+// resume) so the user can see whether their edits moved the scores.
+import { analysisSchema } from './analysisSchema.js';
+
+const BREAKDOWN_KEYS = Object.keys(analysisSchema.properties.scoreBreakdown.properties);
+
+/**
+ * @typedef {Object} ScoreChange
+ * @property {string} key
+ * @property {number|null} before
+ * @property {number|null} after
+ * @property {number|null} change  after - before; null if either is missing
+ */
+
+/**
+ * @typedef {Object} AnalysisDelta
+ * @property {ScoreChange} matchPercentage
+ * @property {ScoreChange} atsScore
+ * @property {ScoreChange[]} scoreBreakdown   One per breakdown category
+ * @property {string[]} resolvedKeywords      Missing before, no longer missing
+ * @property {string[]} newKeywords           Missing now, not missing before
+ * @property {string[]} stillMissing
+ */
+
+const scoreChange = (key, before, after) => {
+  const from = typeof before === 'number' ? before : null;
+  const to = typeof after === 'number' ? after : null;
+  return {
+    key,
+    before: from,
+    after: to,
+    change: from !== null && to !== null ? to - from : null,
+  };
+};
+
+const keywordSet = (keywords) => new Set((keywords || []).map((k) => k.toLowerCase().trim()));
+
+/**
+ * Score and keyword changes from `before` to `after`. Both are validated
+ * Analysis objects.
+ * @returns {AnalysisDelta}
+ */
+export const compareAnalyses = (before, after) => {
+  const wasMissing = keywordSet(before.missingKeywords);
+  const nowMissing = keywordSet(after.missingKeywords);
+
+  return {
+    matchPercentage: scoreChange('matchPercentage', before.matchPercentage, after.matchPercentage),
+    atsScore: scoreChange('atsScore', before.atsScore, after.atsScore),
+    scoreBreakdown: BREAKDOWN_KEYS.map((key) =>
+      scoreChange(key, before.scoreBreakdown?.[key], after.scoreBreakdown?.[key])
+    ),
+    resolvedKeywords: before.missingKeywords.filter((k) => !nowMissing.has(k.toLowerCase().trim())),
+    newKeywords: after.missingKeywords.filter((k) => !wasMissing.has(k.toLowerCase().trim())),
+    stillMissing: after.missingKeywords.filter((k) => wasMissing.has(k.toLowerCase().trim())),
+  };
+};
@@ -0,0 +1,138 @@
+// analysisReport.js
+// A shareable snapshot of one analysis: the model's results, the local ATS
+// checks and where they came from (provider, model, hashes of the inputs,
+// so a report can be matched to the resume and job it was run on without
+// including either). Rendered as JSON or Markdown here, as PDF in reportPdf.
+
+/**
+ * @typedef {Object} AnalysisReport
+ * @property {number} version
+ * @property {string} generatedAt       ISO timestamp
+ * @property {string} provider
+ * @property {string} model
+ * @property {{ resumeSha256: string|null, jobDescriptionSha256: string|null, resumeLength: number, jobDescriptionLength: number }} inputs
+ * @property {import('./analysisValidator.js').Analysis} analysis
+ * @property {import('./atsChecker.js').AtsReport|null} atsChecks
+ */
+
+const REPORT_VERSION = 1;
+
+const SCORE_LABELS = {
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+  keywords: 'Keywords',
+};
+
+const STATUS_LABELS = { pass: 'Pass', warn: 'Warning', fail: 'Fail' };
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// SubtleCrypto is only available in secure contexts (https, localhost).
+const sha256 = async (text) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Builds the report for an analysis of `resumeText` against `jobDescription`.
+ * @returns {Promise<AnalysisReport>}
+ */
+export const buildReport = async ({ analysis, atsReport, resumeText, jobDescription, provider, model }) => ({
+  version: REPORT_VERSION,
+  generatedAt: new Date().toISOString(),
+  provider: provider || '',
+  model: model || '',
+  inputs: {
+    resumeSha256: await sha256(resumeText),
+    jobDescriptionSha256: await sha256(jobDescription),
+    resumeLength: resumeText.length,
+    jobDescriptionLength: jobDescription.length,
+  },
+  analysis,
+  atsChecks: atsReport,
+});
+
+/**
+ * The report as an ordered list of titled parts, shared by the Markdown and
+ * PDF renderers: `{ title, lines?, items?, rows? }`.
+ */
+export const reportSections = (report) => {
+  const { analysis, atsChecks } = report;
+  const score = (value, suffix = '') => (typeof value === 'number' ? `${value}${suffix}` : 'n/a');
+
+  const sections = [
+    {
+      title: 'Scores',
+      rows: [
+        ['Match', score(analysis.matchPercentage, '%')],
+        ['ATS (AI estimate)', score(analysis.atsScore, '/100')],
+        ...(atsChecks ? [['ATS (local checks)', score(atsChecks.score, '/100')]] : []),
+        ...Object.entries(SCORE_LABELS).map(([key, label]) => [label, score(analysis.scoreBreakdown?.[key], '/100')]),
+      ],
+    },
+    { title: 'Summary', lines: analysis.summary ? [analysis.summary] : [] },
+    { title: 'Strengths', items: analysis.strengths },
+    { title: 'Weaknesses', items: analysis.weaknesses },
+    { title: 'Missing Keywords', lines: analysis.missingKeywords.length ? [analysis.missingKeywords.join(', ')] : [] },
+    { title: 'Key Changes', items: analysis.keyChanges },
+    ...Object.entries(analysis.sectionFeedback || {}).map(([key, items]) => ({
+      title: `Section Feedback: ${capitalize(key)}`,
+      items,
+    })),
+  ];
+
+  if (atsChecks) {
+    sections.push({
+      title: 'ATS Checks',
+      items: atsChecks.rules.map((rule) => `${STATUS_LABELS[rule.status]}: ${rule.label}. ${rule.message}`),
+    });
+  }
+
+  return sections.filter((section) => section.rows || section.lines?.length || section.items?.length);
+};
+
+/** One line describing when and with what the report was made. */
+export const reportByline = (report) =>
+  [
+    `Generated ${new Date(report.generatedAt).toLocaleString()}`,
+    report.provider && `Provider: ${report.provider}${report.model ? ` (${report.model})` : ''}`,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// --- Renderers ---
+
+/** @returns {string} */
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+// Pipes and line breaks would break a Markdown table cell
+const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+/** @returns {string} */
+export const reportToMarkdown = (report) => {
+  const out = ['# Resume Analysis Report', '', `_${reportByline(report)}_`, ''];
+
+  reportSections(report).forEach((section) => {
+    out.push(`## ${section.title}`, '');
+    if (section.rows) {
+      out.push('| | Score |', '| --- | --- |');
+      section.rows.forEach(([label, value]) => out.push(`| ${cell(label)} | ${cell(value)} |`));
+    }
+    (section.lines || []).forEach((line) => out.push(line));
+    (section.items || []).forEach((item) => out.push(`- ${item}`));
+    out.push('');
+  });
+
+  out.push('## Inputs', '');
+  out.push(`- Resume: ${report.inputs.resumeLength} characters, SHA-256 \`${report.inputs.resumeSha256 || 'n/a'}\``);
+  out.push(
+    `- Job description: ${report.inputs.jobDescriptionLength} characters, SHA-256 \`${report.inputs.jobDescriptionSha256 || 'n/a'}\``
+  );
+  out.push('');
+
+  return out.join('\n');
+};
@@ -0,0 +1,96 @@
+// analysisSchema.js
+// Shared structure of the analysis the model must return. Written in the
+// Gemini/OpenAPI dialect (uppercase types); `toJsonSchema` converts it for
+// providers that expect standard JSON Schema.
+
+// JSON Schema for structured output
+export const analysisSchema = {
+  type: 'OBJECT',
+  properties: {
+    matchPercentage: {
+      type: 'NUMBER',
+      description: 'Overall match score (0-100)',
+    },
+    scoreBreakdown: {
+      type: 'OBJECT',
+      properties: {
+        skills: { type: 'NUMBER' },
+        experience: { type: 'NUMBER' },
+        education: { type: 'NUMBER' },
+        keywords: { type: 'NUMBER' },
+      },
+    },
+    atsScore: {
+      type: 'NUMBER',
+      description: 'Applicant Tracking System score (0-100)',
+    },
+    missingKeywords: { type: 'ARRAY', items: { type: 'STRING' } },
+    sectionFeedback: {
+      type: 'OBJECT',
+      properties: {
+        skills: { type: 'ARRAY', items: { type: 'STRING' } },
+        experience: { type: 'ARRAY', items: { type: 'STRING' } },
+        education: { type: 'ARRAY', items: { type: 'STRING' } },
+      },
+    },
+    strengths: { type: 'ARRAY', items: { type: 'STRING' } },
+    weaknesses: { type: 'ARRAY', items: { type: 'STRING' } },
+    keyChanges: { type: 'ARRAY', items: { type: 'STRING' } },
+    summary: { type: 'STRING' },
+    suggestedEdits: {
+      type: 'ARRAY',
+      description: 'Concrete rewrites of resume text, applied by the editor',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          section: { type: 'STRING', description: 'Resume section the text is in, e.g. "experience"' },
+          original: {
+            type: 'STRING',
+            description: 'Exact text copied verbatim from the resume (one line or bullet)',
+          },
+          replacement: { type: 'STRING', description: 'Improved text that replaces `original`' },
+          rationale: { type: 'STRING', description: 'Why the change helps for this job' },
+        },
+        required: ['section', 'original', 'replacement', 'rationale'],
+      },
+    },
+  },
+  required: [
+    'matchPercentage',
+    'scoreBreakdown',
+    'atsScore',
+    'missingKeywords',
+    'sectionFeedback',
+    'strengths',
+    'weaknesses',
+    'keyChanges',
+    'summary',
+    'suggestedEdits',
+  ],
+};
+
+/**
+ * Converts a Gemini-style schema (uppercase types) to standard JSON Schema
+ * with lowercase types. Objects are closed (`additionalProperties: false`).
+ */
+export const toJsonSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const out = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'type' && typeof value === 'string') {
+      out.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      out.properties = Object.fromEntries(
+        Object.entries(value).map(([name, child]) => [name, toJsonSchema(child)])
+      );
+    } else if (key === 'items') {
+      out.items = toJsonSchema(value);
+    } else {
+      out[key] = value;
+    }
+  });
+
+  if (out.type === 'object') out.additionalProperties = false;
+  return out;
+};
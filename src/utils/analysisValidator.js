@@ -0,0 +1,130 @@
+// analysisValidator.js
+// Runtime check of model output against analysisSchema. Anything that can
+// be repaired is: scores are clamped to 0–100, "85%" becomes 85, a
+// comma-separated string becomes a list, missing lists/objects/text get
+// empty defaults. A score that is missing or unreadable cannot be invented,
+// so it is reported as an error for the caller to re-prompt on.
+import { analysisSchema } from './analysisSchema.js';
+
+/**
+ * @typedef {Object} Analysis
+ * @property {number} matchPercentage
+ * @property {{ skills: number, experience: number, education: number, keywords: number }} scoreBreakdown
+ * @property {number} atsScore
+ * @property {string[]} missingKeywords
+ * @property {{ skills: string[], experience: string[], education: string[] }} sectionFeedback
+ * @property {string[]} strengths
+ * @property {string[]} weaknesses
+ * @property {string[]} keyChanges
+ * @property {string} summary
+ * @property {SuggestedEdit[]} suggestedEdits
+ */
+
+/**
+ * @typedef {Object} SuggestedEdit
+ * @property {string} section
+ * @property {string} original    Verbatim resume text to replace
+ * @property {string} replacement
+ * @property {string} rationale
+ */
+
+// Every number in the analysis is a percentage-style score.
+const SCORE_MIN = 0;
+const SCORE_MAX = 100;
+
+const LINE_SEPARATOR = /\s*(?:[;\n]|•)\s*/;
+
+// "React, TypeScript, AWS" is a list; "Add metrics, e.g. revenue." is one
+// sentence.
+const splitString = (value) => {
+  const lines = value.split(LINE_SEPARATOR);
+  if (lines.length > 1 || /[.!?](?:\s|$)/.test(value)) return lines;
+  return value.split(/\s*,\s*/);
+};
+
+const toScore = (value) => {
+  const num = typeof value === 'string' ? parseFloat(value.replace(/[%\s]/g, '')) : value;
+  if (typeof num !== 'number' || !Number.isFinite(num)) return null;
+  return Math.round(Math.min(Math.max(num, SCORE_MIN), SCORE_MAX));
+};
+
+const toText = (value) => {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(' ');
+  return '';
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === 'string'
+    ? splitString(value)
+    : [value];
+  return items
+    .map((item) =>
+      item && typeof item === 'object' && !Array.isArray(item)
+        ? toText(item.text ?? item.value ?? item.name)
+        : toText(item)
+    )
+    .filter(Boolean);
+};
+
+const repair = (value, schema, path, errors) => {
+  switch (schema.type) {
+    case 'NUMBER': {
+      const score = toScore(value);
+      if (score === null) {
+        errors.push(
+          value === undefined
+            ? `${path} is missing`
+            : `${path} must be a number between ${SCORE_MIN} and ${SCORE_MAX}, got ${JSON.stringify(value)}`
+        );
+      }
+      return score;
+    }
+    case 'STRING':
+      return toText(value);
+    case 'ARRAY':
+      if (schema.items.type === 'OBJECT') {
+        // Entries missing a required field are dropped rather than
+        // guessed at; an edit without its original text cannot be applied.
+        return (Array.isArray(value) ? value : [])
+          .filter((item) => item && typeof item === 'object' && !Array.isArray(item))
+          .map((item, index) => repair(item, schema.items, `${path}[${index}]`, errors))
+          .filter((item) => (schema.items.required || []).every((key) => item[key] !== ''));
+      }
+      return toList(value);
+    case 'OBJECT': {
+      const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      return Object.fromEntries(
+        Object.entries(schema.properties).map(([key, child]) => [
+          key,
+          repair(source[key], child, path ? `${path}.${key}` : key, errors),
+        ])
+      );
+    }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validates and repairs a parsed model response.
+ *
+ * Returns `{ analysis, errors }`. `analysis` always has every field of the
+ * schema; when `errors` is non-empty, the scores it names are `null` and
+ * the result should not be shown as final.
+ *
+ * @param {unknown} raw
+ * @returns {{ analysis: Analysis, errors: string[] }}
+ */
+export const validateAnalysis = (raw, schema = analysisSchema) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('response must be a JSON object');
+  }
+  const analysis = repair(raw, schema, '', errors);
+  return { analysis, errors };
+};
@@ -0,0 +1,159 @@
+// api.js
+// Browser client for the analysis server. The frontend talks only to these
+// routes; model providers and API keys are handled server-side.
+import { parsePartialJSON } from './partialJson';
+
+const readError = async (response) => {
+  try {
+    const body = await response.json();
+    if (body?.error) return body.error;
+  } catch {
+    // Non-JSON error page (e.g. proxy not running)
+  }
+  return `HTTP error! status: ${response.status}`;
+};
+
+// Carries the status and, when rate limited, how many seconds to wait
+const responseError = async (response) => {
+  const error = new Error(await readError(response));
+  error.status = response.status;
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  if (retryAfter > 0) error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Lists the providers the server has credentials for:
+ * `{ defaultProvider, providers: [{ id, label, defaultModel }] }`.
+ */
+export const fetchProviders = async () => {
+  const response = await fetch('/api/providers');
+  if (!response.ok) throw new Error(await readError(response));
+  return response.json();
+};
+
+// POSTs `body` with the chosen provider/model (server defaults when empty)
+// and resolves to the response once it is known to be OK.
+const postJson = async (path, { provider, model, ...body }, signal) => {
+  let response;
+  try {
+    response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...body,
+        provider: provider || undefined,
+        model: model || undefined,
+      }),
+      signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new Error('Could not reach the analysis server. Is it running (npm run server)?');
+  }
+
+  if (!response.ok) throw await responseError(response);
+  return response;
+};
+
+const postAnalyze = (path, { resumeText, jobDescription, requirements, provider, model }, signal) =>
+  postJson(path, { resumeText, jobDescription, requirements: requirements || undefined, provider, model }, signal);
+
+/**
+ * Requests an analysis. Resolves to `{ analysis, provider, model }`.
+ * Failed requests reject with an Error carrying the HTTP `status` (and
+ * `retryAfter` seconds for 429); aborting `signal` cancels the request.
+ */
+export const requestAnalysis = async ({ signal, ...params }) => {
+  const response = await postAnalyze('/api/analyze', params, signal);
+  return response.json();
+};
+
+/**
+ * Requests rewrites of one resume bullet. Resolves to
+ * `{ variants, provider, model }` (see utils/bulletRewrite.js). Errors
+ * carry `status` like requestAnalysis.
+ */
+export const requestBulletRewrite = async ({ signal, ...params }) => {
+  const response = await postJson('/api/rewrite', params, signal);
+  return response.json();
+};
+
+/**
+ * Requests a cover letter for `{ resumeText, jobDescription, tone, length }`,
+ * or with `regenerate: { index, paragraphs }` a replacement for one
+ * paragraph. Resolves to `{ letter, provider, model }` (see
+ * utils/coverLetter.js). Errors carry `status` like requestAnalysis.
+ */
+export const requestCoverLetter = async ({ signal, ...params }) => {
+  const response = await postJson('/api/cover-letter', params, signal);
+  return response.json();
+};
+
+/**
+ * Requests likely interview questions for `{ resumeText, jobDescription,
+ * requirements, weaknesses, missingKeywords, strengths }`. Resolves to
+ * `{ questions, provider, model }` (see utils/interviewPrep.js). Errors
+ * carry `status` like requestAnalysis.
+ */
+export const requestInterviewQuestions = async ({ signal, ...params }) => {
+  const response = await postJson('/api/interview/questions', params, signal);
+  return response.json();
+};
+
+/**
+ * Requests feedback on a practice `answer` to `question`. Resolves to
+ * `{ feedback, provider, model }`. Errors carry `status` like
+ * requestAnalysis.
+ */
+export const requestAnswerFeedback = async ({ signal, ...params }) => {
+  const response = await postJson('/api/interview/feedback', params, signal);
+  return response.json();
+};
+
+/**
+ * Requests a streamed analysis. `onPartial(analysis)` receives the
+ * partially parsed result each time more of the model's reply arrives;
+ * resolves to `{ analysis, provider, model }` when the reply is complete.
+ * Aborting `signal` cancels the request (the promise rejects with an
+ * AbortError).
+ */
+export const streamAnalysis = async ({ signal, onPartial, ...params }) => {
+  const response = await postAnalyze('/api/analyze/stream', params, signal);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  const handleLine = (line) => {
+    if (!line.trim()) return null;
+    const event = JSON.parse(line);
+    if (event.type === 'error') throw new Error(event.error);
+    if (event.type === 'result') return event;
+    // The server is re-prompting the model; its new reply replaces the old
+    if (event.type === 'repair') text = '';
+    if (event.type === 'delta') {
+      text += event.text;
+      const partial = parsePartialJSON(text);
+      if (partial && onPartial) onPartial(partial);
+    }
+    return null;
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    for (const line of lines) {
+      const result = handleLine(line);
+      if (result) {
+        reader.cancel();
+        return { analysis: result.analysis, provider: result.provider, model: result.model };
+      }
+    }
+    if (done) break;
+  }
+
+  throw new Error('The analysis stream ended before the result was complete.');
+};
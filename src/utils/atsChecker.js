@@ -0,0 +1,300 @@
+// atsChecker.js
+// Local ATS (applicant tracking system) simulation. Runs rule checks over
+// the extracted resume text and, when a file was uploaded, the layout
+// facts gathered while reading it (columns, tables, images, fonts, OCR).
+// Every rule explains its verdict so the user knows what to fix.
+import { DATE_RANGE_RE, isKnownHeading, parseResume } from './resumeParser.js';
+
+/**
+ * @typedef {Object} ResumeFileInfo
+ * @property {string} name
+ * @property {'pdf'|'docx'|'doc'|'txt'} kind
+ * @property {number} [pageCount]
+ * @property {number[]} [ocrPages]       Pages that had no text layer
+ * @property {{ multiColumnPages: number[], tablePages: number[], imageCount: number, fonts: string[] }} [layout]
+ */
+
+/**
+ * @typedef {Object} AtsRule
+ * @property {string} id
+ * @property {string} label
+ * @property {'pass'|'warn'|'fail'} status
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} AtsReport
+ * @property {number} score                 0–100
+ * @property {AtsRule[]} rules
+ * @property {string[]} missingATSHeadings  Standard sections not found
+ */
+
+const PENALTY = { pass: 0, warn: 8, fail: 20 };
+
+const REQUIRED_SECTIONS = [
+  { type: 'experience', label: 'Work Experience' },
+  { type: 'education', label: 'Education' },
+  { type: 'skills', label: 'Skills' },
+];
+
+// Fonts every ATS and PDF library handles. Compared after stripping
+// style suffixes ("Calibri-Bold", "ArialMT").
+const STANDARD_FONTS = [
+  'arial', 'helvetica', 'calibri', 'cambria', 'candara', 'carlito', 'constantia',
+  'corbel', 'courier', 'dejavu', 'garamond', 'georgia', 'inter', 'lato',
+  'liberation', 'noto', 'open sans', 'palatino', 'book antiqua', 'roboto',
+  'segoe', 'source sans', 'tahoma', 'times', 'trebuchet', 'verdana', 'symbol',
+  'wingdings', 'zapf', 'computer modern', 'cmr', 'lmroman',
+];
+
+const normalizeFontName = (name) =>
+  name
+    .replace(/[-,](?:bold|italic|oblique|regular|light|medium|semibold|black).*$/i, '')
+    .replace(/(?:MT|PS|PSMT)$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .trim();
+
+const isStandardFont = (name) => {
+  const normalized = normalizeFontName(name);
+  return STANDARD_FONTS.some((font) => normalized.startsWith(font));
+};
+
+// Replacement characters, private-use glyphs and "(cid:12)" placeholders
+// are what a broken font encoding leaves in the text layer.
+const UNREADABLE_RE = /\ufffd|[\ue000-\uf8ff]|\(cid:\d+\)/g;
+
+const DATE_FORMATS = [
+  { id: 'MM/YYYY', test: /^\d{1,2}\s*[/.-]\s*\d{4}$/ },
+  { id: 'YYYY', test: /^\d{4}$/ },
+  { id: 'Mon YYYY', test: /^(?:jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\.?\s*,?\s*\d{4}$/i },
+  { id: 'Month YYYY', test: /^[a-z]{4,}\s*,?\s*\d{4}$/i },
+];
+
+const classifyDate = (point) => {
+  const trimmed = point.trim();
+  // "May 2020" reads as either month style
+  if (/^may\b/i.test(trimmed)) return null;
+  return DATE_FORMATS.find((format) => format.test.test(trimmed))?.id || null;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const rule = (id, label, status, message) => ({ id, label, status, message });
+
+// --- Rules ---
+
+const checkSections = (resume) => {
+  const missing = REQUIRED_SECTIONS.filter(
+    ({ type }) => !resume.sections.some((section) => section.type === type)
+  ).map(({ label }) => label);
+
+  if (!missing.length) {
+    return {
+      missing,
+      rule: rule('sections', 'Standard sections', 'pass', 'Experience, Education and Skills sections were all found.'),
+    };
+  }
+  return {
+    missing,
+    rule: rule(
+      'sections',
+      'Standard sections',
+      missing.length > 1 ? 'fail' : 'warn',
+      `No ${missing.join(', ')} section was found. ATS parsers file your details under these headings.`
+    ),
+  };
+};
+
+const checkHeadingNames = (resume) => {
+  const unusual = resume.sections
+    .filter((section) => section.type === 'other' && section.heading && !isKnownHeading(section.heading))
+    .map((section) => section.heading);
+
+  if (!unusual.length) {
+    return rule('headings', 'Heading names', 'pass', 'Section headings use standard names.');
+  }
+  return rule(
+    'headings',
+    'Heading names',
+    'warn',
+    `Non-standard heading${unusual.length > 1 ? 's' : ''}: ${unusual
+      .map((heading) => `"${heading}"`)
+      .join(', ')}. Use names like "Work Experience", "Education" or "Skills" so the ATS knows what follows.`
+  );
+};
+
+const checkContact = (resume) => {
+  const { contact } = resume;
+  const missing = [
+    !contact.name && 'name',
+    !contact.email && 'email',
+    !contact.phone && 'phone number',
+  ].filter(Boolean);
+
+  if (!missing.length) {
+    return rule('contact', 'Contact details', 'pass', 'Name, email and phone number are all present.');
+  }
+  return rule(
+    'contact',
+    'Contact details',
+    contact.email ? 'warn' : 'fail',
+    `Missing ${missing.join(', ')}. Put contact details as plain text at the top, not in a header, footer or image.`
+  );
+};
+
+const checkDates = (text) => {
+  const formats = {};
+  const pattern = new RegExp(DATE_RANGE_RE.source, 'gi');
+  for (const match of text.matchAll(pattern)) {
+    [match[1], match[2]].forEach((point) => {
+      const format = classifyDate(point || '');
+      if (format && !formats[format]) formats[format] = point.trim();
+    });
+  }
+
+  // Year-only ranges ("2013 – 2017") are normal for education next to
+  // month-year ranges for jobs, so only month styles have to agree.
+  const used = Object.entries(formats);
+  const monthStyles = used.filter(([format]) => format !== 'YYYY');
+  if (!used.length) {
+    return rule('dates', 'Date formats', 'warn', 'No date ranges were found. Give each role and degree start and end dates, e.g. "Jan 2020 – Present".');
+  }
+  if (monthStyles.length <= 1) {
+    return rule('dates', 'Date formats', 'pass', `Dates consistently use the ${(monthStyles[0] || used[0])[0]} format.`);
+  }
+  return rule(
+    'dates',
+    'Date formats',
+    'warn',
+    `Dates mix ${monthStyles.length} formats (${monthStyles.map(([, example]) => `"${example}"`).join(', ')}). Pick one, e.g. "Jan 2020", so tenure is calculated correctly.`
+  );
+};
+
+const checkReadableText = (text, file) => {
+  const ocrPages = file?.ocrPages || [];
+  if (file?.kind === 'pdf' && ocrPages.length && ocrPages.length === file.pageCount) {
+    return rule(
+      'text-layer',
+      'Readable text',
+      'fail',
+      'The PDF has no text layer (it is a scan or image), so an ATS reads nothing. Export it from your editor as a text PDF.'
+    );
+  }
+  if (file?.kind === 'pdf' && ocrPages.length) {
+    return rule(
+      'text-layer',
+      'Readable text',
+      'warn',
+      ocrPages.length === 1
+        ? `Page ${ocrPages[0]} has no text layer and was read with OCR here; most ATS will skip it.`
+        : `Pages ${ocrPages.join(', ')} have no text layer and were read with OCR here; most ATS will skip them.`
+    );
+  }
+
+  const unreadable = (text.match(UNREADABLE_RE) || []).length;
+  if (unreadable > 0 && unreadable / Math.max(text.length, 1) > 0.01) {
+    return rule(
+      'text-layer',
+      'Readable text',
+      'fail',
+      'Parts of the text layer came out as unreadable symbols, usually from an embedded font without a proper character map. Re-export with a standard font.'
+    );
+  }
+  if (file?.kind === 'doc') {
+    return rule(
+      'text-layer',
+      'Readable text',
+      'warn',
+      'Legacy .doc files are not read reliably by every ATS. Save the file as .docx or PDF.'
+    );
+  }
+  return rule('text-layer', 'Readable text', 'pass', 'The text can be extracted cleanly.');
+};
+
+const checkColumns = (layout) => {
+  const pages = layout.multiColumnPages;
+  if (!pages.length) return rule('columns', 'Layout', 'pass', 'Single-column layout reads in the right order.');
+  return rule(
+    'columns',
+    'Layout',
+    'warn',
+    `Multi-column layout on ${pages.length === 1 ? 'page' : 'pages'} ${pages.join(', ')}. Many ATS read straight across the page and mix the columns together.`
+  );
+};
+
+const checkTables = (layout, text, kind) => {
+  let found = layout ? layout.tablePages.length > 0 : false;
+  // Word tables come out of docxParser as "cell | cell | cell" rows.
+  if (!layout && kind === 'docx') {
+    const lines = text.split('\n');
+    found = lines.some(
+      (line, i) => i >= 2 && [line, lines[i - 1], lines[i - 2]].every((l) => (l.match(/ \| /g) || []).length >= 2)
+    );
+  }
+  if (!found) return rule('tables', 'Tables', 'pass', 'No tables were found.');
+  return rule(
+    'tables',
+    'Tables',
+    'warn',
+    'The resume uses a table. ATS parsers often drop or scramble table cells; use plain lines instead.'
+  );
+};
+
+const checkImages = (layout) => {
+  if (!layout.imageCount) return rule('images', 'Images', 'pass', 'No images or graphics that could hide text.');
+  return rule(
+    'images',
+    'Images',
+    'warn',
+    `Found ${plural(layout.imageCount, 'image')}. Text inside images, icons or skill charts is invisible to an ATS.`
+  );
+};
+
+const checkFonts = (layout) => {
+  const unusual = layout.fonts.filter((font) => !isStandardFont(font));
+  if (!layout.fonts.length || !unusual.length) {
+    return rule('fonts', 'Fonts', 'pass', 'Uses standard, widely supported fonts.');
+  }
+  return rule(
+    'fonts',
+    'Fonts',
+    'warn',
+    `Unusual ${unusual.length === 1 ? 'font' : 'fonts'}: ${unusual.join(', ')}. Decorative fonts can extract as garbled text; Arial, Calibri or Georgia are safe choices.`
+  );
+};
+
+// --- Public API ---
+
+/**
+ * Runs the ATS rules over resume text. `file` is the ResumeFileInfo of the
+ * uploaded file, or null for pasted text (file-only rules are skipped).
+ *
+ * @param {string} text
+ * @param {ResumeFileInfo|null} [file]
+ * @returns {AtsReport}
+ */
+export const runAtsChecks = (text, file = null) => {
+  const resume = parseResume(text || '');
+  const layout = file?.kind === 'pdf' ? file.layout : null;
+  const sections = checkSections(resume);
+
+  const rules = [
+    checkReadableText(text || '', file),
+    sections.rule,
+    checkHeadingNames(resume),
+    checkContact(resume),
+    checkDates(text || ''),
+    ...(layout ? [checkColumns(layout)] : []),
+    ...(file ? [checkTables(layout, text || '', file.kind)] : []),
+    ...(layout ? [checkImages(layout), checkFonts(layout)] : []),
+  ];
+
+  const penalty = rules.reduce((sum, r) => sum + PENALTY[r.status], 0);
+
+  return {
+    score: Math.max(0, 100 - penalty),
+    rules,
+    missingATSHeadings: sections.missing,
+  };
+};
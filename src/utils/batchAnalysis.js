@@ -0,0 +1,131 @@
+// batchAnalysis.js
+// Scoring one resume against several job descriptions: splitting imported
+// files into jobs, running the analyses a few at a time, and ranking the
+// results so the user can see where to apply and what to fix everywhere.
+import { analysisSchema } from './analysisSchema.js';
+
+export const BREAKDOWN_KEYS = Object.keys(analysisSchema.properties.scoreBreakdown.properties);
+
+// The server allows 10 analyses a minute by default; more parallel
+// requests would only spend that budget faster.
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 4;
+export const MAX_BATCH_JOBS = 20;
+
+// Seconds to wait on a 429 that came without a Retry-After header
+const DEFAULT_RETRY_AFTER = 30;
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {string} id
+ * @property {string} title
+ * @property {string} text
+ */
+
+/**
+ * Splits a file holding several job descriptions into one string per job.
+ * Jobs are separated by a line of three or more `-` or `=`.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const splitJobDescriptions = (text) =>
+  text
+    .split(/^[ \t]*(?:-{3,}|={3,})[ \t]*$/m)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+/**
+ * Calls `worker(item, index)` for every item, at most `concurrency` at a
+ * time, and resolves to their outcomes in the shape of Promise.allSettled.
+ * `onSettled(index, outcome)` fires as each one finishes. Once `signal`
+ * aborts, items that haven't started are left out (their slot is undefined).
+ */
+export const runWithConcurrency = async (items, worker, { concurrency = DEFAULT_CONCURRENCY, signal, onSettled } = {}) => {
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        outcomes[index] = { status: 'rejected', reason };
+      }
+      onSettled?.(index, outcomes[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return outcomes;
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Calls `request()`, waiting out the server's rate limit (HTTP 429) up to
+ * `retries` times. `onWait(seconds)` is called before each wait.
+ */
+export const retryRateLimited = async (request, { signal, retries = 3, onWait } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (error) {
+      if (error.status !== 429 || attempt >= retries || signal?.aborted) throw error;
+      const seconds = error.retryAfter || DEFAULT_RETRY_AFTER;
+      onWait?.(seconds);
+      await wait(seconds * 1000, signal);
+    }
+  }
+};
+
+const scoreOf = (value) => (typeof value === 'number' ? value : -1);
+
+/**
+ * Orders results best match first; ties go to the higher ATS score.
+ * @template {{ analysis: import('./analysisValidator.js').Analysis }} T
+ * @param {T[]} results
+ * @returns {T[]}
+ */
+export const rankResults = (results) =>
+  [...results].sort(
+    (a, b) =>
+      scoreOf(b.analysis.matchPercentage) - scoreOf(a.analysis.matchPercentage) ||
+      scoreOf(b.analysis.atsScore) - scoreOf(a.analysis.atsScore)
+  );
+
+/**
+ * Missing keywords that come up in more than one job, most common first:
+ * `[{ keyword, count }]`.
+ * @param {import('./analysisValidator.js').Analysis[]} analyses
+ */
+export const sharedMissingKeywords = (analyses) => {
+  const counts = new Map();
+  analyses.forEach((analysis) => {
+    // Count each keyword once per job
+    const seen = new Set();
+    analysis.missingKeywords.forEach((keyword) => {
+      const key = keyword.toLowerCase().trim();
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      const entry = counts.get(key) || { keyword: keyword.trim(), count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()]
+    .filter((entry) => entry.count > 1)
+    .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword));
+};
@@ -0,0 +1,144 @@
+// bulletRewrite.js
+// Rewrites of a single experience bullet: the schema and prompt sent to
+// the model, and the checks its variants must pass before the user sees
+// them. Shared by the browser and the analysis proxy.
+import { validateAnalysis } from './analysisValidator.js';
+
+export const MAX_VARIANTS = 3;
+export const MAX_BULLET_LENGTH = 600;
+
+// "[X]%", "[number of users]": what the user still has to fill in
+export const PLACEHOLDER_RE = /\[[^\]\n]{1,40}\]/g;
+
+// Stands in for a number the model made up
+const INVENTED_PLACEHOLDER = '[X]';
+
+/**
+ * @typedef {Object} BulletVariant
+ * @property {string} text
+ * @property {string} rationale
+ * @property {string[]} coveredKeywords   Missing job keywords the variant adds
+ * @property {string[]} placeholders      Bracketed gaps the user has to fill in
+ * @property {boolean} replacedNumbers    True when made-up figures were swapped for placeholders
+ */
+
+export const rewriteSchema = {
+  type: 'OBJECT',
+  properties: {
+    variants: {
+      type: 'ARRAY',
+      description: `${MAX_VARIANTS} alternative rewrites of the bullet`,
+      items: {
+        type: 'OBJECT',
+        properties: {
+          text: { type: 'STRING', description: 'The rewritten bullet, without a leading bullet symbol' },
+          rationale: { type: 'STRING', description: 'What changed and why it reads stronger' },
+          coveredKeywords: { type: 'ARRAY', items: { type: 'STRING' } },
+        },
+        required: ['text', 'rationale', 'coveredKeywords'],
+      },
+    },
+  },
+  required: ['variants'],
+};
+
+/**
+ * The prompt for rewriting one bullet. `context` is the job title and
+ * company it sits under, when known.
+ */
+export const buildRewritePrompt = ({ bullet, jobDescription, missingKeywords, context }) => `REWRITE REQUEST:
+You are a professional resume writer. Rewrite the RESUME BULLET below in ${MAX_VARIANTS} different ways for the JOB DESCRIPTION.
+
+RULES:
+- Start with a strong action verb and follow the STAR pattern: the situation or task in a few words, the action taken and the result.
+- Show measurable impact, but NEVER invent numbers, percentages, amounts, team sizes or durations. Only use figures that appear in the original bullet. Where a metric would help and the original has none, write a placeholder in square brackets such as "[X]%" or "[number of users]" for the candidate to fill in.
+- Work in MISSING KEYWORDS only where they plausibly describe the same work; do not claim skills the bullet gives no sign of. List the keywords each variant uses in coveredKeywords.
+- Keep each variant to one bullet of at most 2 lines, with no leading bullet symbol.
+${context ? `\nROLE: ${context}\n` : ''}
+RESUME BULLET:
+${bullet}
+
+MISSING KEYWORDS:
+${missingKeywords.length ? missingKeywords.join(', ') : '(none)'}
+
+JOB DESCRIPTION:
+${jobDescription.substring(0, 3000)}`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const mentions = (text, keyword) =>
+  new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(keyword)}(?=$|[^A-Za-z0-9])`, 'i').test(text);
+
+// A standalone figure such as "40", "1,200" or "3.5"; the digits in names
+// like "S3", "EC2" or "HTML5" are not figures, and a trailing comma is
+// punctuation
+const NUMBER_RE = /(?<![A-Za-z\d])\d+(?:,\d{3})*(?:\.\d+)?/g;
+
+// Digits as written, without thousands separators: "1,200" and "1200" match
+const numbersIn = (text) =>
+  new Set((text.replace(PLACEHOLDER_RE, '').match(NUMBER_RE) || []).map((n) => n.replace(/,/g, '')));
+
+// Swaps figures the original bullet doesn't contain for a placeholder.
+// Existing placeholders and the missing keywords are left as written.
+const replaceInventedNumbers = (text, original, keywords) => {
+  const known = numbersIn(original);
+  const kept = [
+    PLACEHOLDER_RE.source,
+    ...keywords.map((keyword) => `(?<![A-Za-z0-9])${escapeRegExp(keyword)}(?![A-Za-z0-9])`),
+  ];
+  let replaced = false;
+  const parts = text.split(new RegExp(`(${kept.join('|')})`, 'i'));
+  const result = parts
+    .map((part, index) =>
+      // Odd parts are placeholders or keywords
+      index % 2
+        ? part
+        : part.replace(NUMBER_RE, (number) => {
+            if (known.has(number.replace(/,/g, ''))) return number;
+            replaced = true;
+            return INVENTED_PLACEHOLDER;
+          })
+    )
+    .join('');
+  return { text: result, replaced };
+};
+
+/**
+ * Checks the model's variants for `bullet`. Made-up figures become
+ * placeholders, keyword coverage is recomputed from the text (the model's
+ * own list is not trusted), and variants that are empty, unchanged or
+ * duplicates are dropped. `errors` is non-empty when nothing usable is left.
+ * @param {unknown} raw
+ * @param {{ bullet: string, missingKeywords: string[] }} request
+ * @returns {{ variants: BulletVariant[], errors: string[] }}
+ */
+export const validateRewrite = (raw, { bullet, missingKeywords }) => {
+  const { analysis, errors } = validateAnalysis(raw, rewriteSchema);
+  const seen = new Set([bullet.trim().toLowerCase()]);
+
+  const variants = analysis.variants
+    .map((variant) => {
+      const { text, replaced } = replaceInventedNumbers(
+        variant.text.replace(/^\s*[•*-]\s*/, ''),
+        bullet,
+        missingKeywords
+      );
+      return {
+        text,
+        rationale: variant.rationale,
+        coveredKeywords: missingKeywords.filter((keyword) => mentions(text, keyword) && !mentions(bullet, keyword)),
+        placeholders: [...new Set(text.match(PLACEHOLDER_RE) || [])],
+        replacedNumbers: replaced,
+      };
+    })
+    .filter((variant) => {
+      const key = variant.text.toLowerCase();
+      if (!variant.text || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_VARIANTS);
+
+  if (!errors.length && !variants.length) errors.push('no usable rewrites were returned');
+  return { variants, errors };
+};
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRewrite } from './bulletRewrite.js';
+
+const request = (bullet, missingKeywords) => ({ bullet, missingKeywords });
+const variants = (...texts) => ({
+  variants: texts.map((text) => ({ text, rationale: 'Stronger', coveredKeywords: [] })),
+});
+
+test('digits inside missing keywords and tech names are not invented figures', () => {
+  const { variants: result } = validateRewrite(
+    variants('Built AWS S3 and EC2 storage serving HTML5 clients, using ES6 and OAuth2'),
+    request('Built storage and UI for the web app', ['S3', 'EC2', 'HTML5', 'ES6', 'OAuth2'])
+  );
+
+  assert.equal(result[0].text, 'Built AWS S3 and EC2 storage serving HTML5 clients, using ES6 and OAuth2');
+  assert.deepEqual(result[0].coveredKeywords, ['S3', 'EC2', 'HTML5', 'ES6', 'OAuth2']);
+  assert.equal(result[0].replacedNumbers, false);
+});
+
+test('figures that are not in the original bullet become placeholders', () => {
+  const { variants: result } = validateRewrite(
+    variants('Cut load times by 40% for 1,200 users, 3 teams and 2, then 5 more'),
+    request('Cut load times for 1200 users across 3 teams', [])
+  );
+
+  assert.equal(result[0].text, 'Cut load times by [X]% for 1,200 users, 3 teams and [X], then [X] more');
+  assert.equal(result[0].replacedNumbers, true);
+  assert.deepEqual(result[0].placeholders, ['[X]']);
+});
@@ -0,0 +1,109 @@
+// candidateRanking.js
+// Recruiter mode: many resumes scored against one job. Naming candidates,
+// sorting the leaderboard and exporting it as CSV.
+import { parseResume } from './resumeParser.js';
+import { BREAKDOWN_KEYS } from './batchAnalysis.js';
+
+export const MAX_CANDIDATES = 50;
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} id
+ * @property {string} fileName
+ * @property {string} name            From the resume header, else the file name
+ * @property {'pending'|'parsing'|'ready'|'queued'|'running'|'waiting'|'done'|'error'} status
+ * @property {string} text
+ * @property {Object|null} fileInfo   ResumeFileInfo for the ATS checker
+ * @property {import('./atsChecker.js').AtsReport|null} atsReport
+ * @property {{ analysis: import('./analysisValidator.js').Analysis, provider: string, model: string, job: string, requirements: import('./jobParser.js').JobRequirements|null }|null} result
+ * @property {string|null} error
+ */
+
+export const SORT_LABELS = {
+  name: 'Candidate',
+  matchPercentage: 'Match',
+  atsScore: 'ATS (AI)',
+  localAts: 'ATS checks',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+  keywords: 'Keywords',
+};
+
+/** The candidate's name from the resume, falling back to the file name. */
+export const candidateName = (text, fileName) =>
+  parseResume(text).contact.name || fileName.replace(/\.[^.]+$/, '');
+
+const sortValue = (candidate, key) => {
+  if (key === 'name') return candidate.name.toLowerCase();
+  if (key === 'localAts') return candidate.atsReport?.score ?? null;
+  const analysis = candidate.result?.analysis;
+  if (!analysis) return null;
+  const value = BREAKDOWN_KEYS.includes(key) ? analysis.scoreBreakdown?.[key] : analysis[key];
+  return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Sorts by `key` (one of SORT_LABELS) in `direction`. Candidates without
+ * a value for the key (not scored yet, failed) always go last.
+ * @param {Candidate[]} candidates
+ * @param {{ key: string, direction: 'asc'|'desc' }} sort
+ * @returns {Candidate[]}
+ */
+export const sortCandidates = (candidates, { key, direction }) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...candidates].sort((a, b) => {
+    const x = sortValue(a, key);
+    const y = sortValue(b, key);
+    if (x === null || y === null) return (x === null) - (y === null);
+    if (x < y) return -sign;
+    if (x > y) return sign;
+    return 0;
+  });
+};
+
+// Quotes fields for CSV, and defuses values a spreadsheet would run as a
+// formula: resumes are untrusted input.
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The leaderboard as CSV, in the order given.
+ * @param {Candidate[]} candidates
+ * @returns {string}
+ */
+export const candidatesToCsv = (candidates) => {
+  const header = [
+    'Rank',
+    'Candidate',
+    'File',
+    'Match %',
+    'ATS score (AI)',
+    'ATS checks',
+    ...BREAKDOWN_KEYS.map((key) => SORT_LABELS[key] || key),
+    'Missing keywords',
+    'Summary',
+    'Status',
+  ];
+
+  const rows = candidates.map((candidate, index) => {
+    const analysis = candidate.result?.analysis;
+    return [
+      index + 1,
+      candidate.name,
+      candidate.fileName,
+      analysis?.matchPercentage,
+      analysis?.atsScore,
+      candidate.atsReport?.score,
+      ...BREAKDOWN_KEYS.map((key) => analysis?.scoreBreakdown?.[key]),
+      analysis?.missingKeywords.join('; '),
+      analysis?.summary,
+      candidate.status === 'error' ? `Error: ${candidate.error}` : candidate.status,
+    ];
+  });
+
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+};
@@ -0,0 +1,223 @@
+// coverLetter.js
+// Cover letters drafted from the resume and the job description: the
+// schema and prompt sent to the model, the check that every paragraph's
+// cited evidence really is in the resume, and the layout used to export
+// the letter with the resume exporters. Shared by the browser and the
+// analysis proxy.
+import { validateAnalysis } from './analysisValidator.js';
+import { parseResume } from './resumeParser.js';
+
+export const TONES = [
+  { id: 'professional', label: 'Professional', prompt: 'formal, polished and direct' },
+  { id: 'warm', label: 'Warm', prompt: 'friendly and personable while staying professional' },
+  { id: 'confident', label: 'Confident', prompt: 'assertive and results-focused, without arrogance' },
+];
+
+export const LENGTHS = [
+  { id: 'short', label: 'Short', paragraphs: 3, words: 180 },
+  { id: 'standard', label: 'Standard', paragraphs: 4, words: 280 },
+  { id: 'detailed', label: 'Detailed', paragraphs: 5, words: 380 },
+];
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} quote   The resume text, as it appears in the resume when found
+ * @property {boolean} found  False when the model cited something the resume doesn't say
+ */
+
+/**
+ * @typedef {Object} LetterParagraph
+ * @property {string} text
+ * @property {Evidence[]} evidence  Resume items backing the paragraph's claims
+ */
+
+/**
+ * @typedef {Object} CoverLetter
+ * @property {string} greeting     "Dear Hiring Manager,"
+ * @property {LetterParagraph[]} paragraphs
+ * @property {string} signOff      "Sincerely,"
+ */
+
+export const coverLetterSchema = {
+  type: 'OBJECT',
+  properties: {
+    greeting: { type: 'STRING', description: 'Salutation line, e.g. "Dear Hiring Manager,"' },
+    paragraphs: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          text: { type: 'STRING' },
+          evidence: {
+            type: 'ARRAY',
+            description: 'Resume lines, copied verbatim, that back up the claims in this paragraph',
+            items: { type: 'STRING' },
+          },
+        },
+        required: ['text', 'evidence'],
+      },
+    },
+    signOff: { type: 'STRING', description: 'Closing line before the name, e.g. "Sincerely,"' },
+  },
+  required: ['greeting', 'paragraphs', 'signOff'],
+};
+
+const optionById = (options, id) => options.find((option) => option.id === id) || options[0];
+
+/**
+ * The prompt for a whole letter, or with `regenerate` (`{ index,
+ * paragraphs }`, the current paragraph texts) for one replacement
+ * paragraph.
+ */
+export const buildCoverLetterPrompt = ({ resumeText, jobDescription, tone, length, regenerate }) => {
+  const toneOption = optionById(TONES, tone);
+  const lengthOption = optionById(LENGTHS, length);
+  const task = regenerate
+    ? `Rewrite ONLY paragraph ${regenerate.index + 1} of the CURRENT LETTER below so it reads differently and fits between its neighbours. Return it as the single item of "paragraphs", with greeting and signOff repeated unchanged.
+
+CURRENT LETTER:
+${regenerate.paragraphs.map((text, index) => `[${index + 1}] ${text}`).join('\n\n')}`
+    : `Write ${lengthOption.paragraphs} body paragraphs of about ${lengthOption.words} words in total: an opening that names the role, middle paragraphs that connect the candidate's experience to the job's main requirements, and a closing with a call to action.`;
+
+  return `COVER LETTER REQUEST:
+You are a professional career writer. Draft a cover letter for the candidate whose RESUME is below, applying for the JOB DESCRIPTION below.
+
+RULES:
+- Tone: ${toneOption.prompt}.
+- Every claim about the candidate must be backed by the RESUME. Do not invent employers, titles, skills, numbers or achievements.
+- For each paragraph, list in "evidence" the resume lines the claims rely on, copied character for character. The opening and closing may have no evidence.
+- Address the job's requirements the resume supports; do not claim requirements it doesn't.
+- Plain text only; no placeholders for the address block or date.
+
+TASK: ${task}
+
+RESUME:
+${resumeText.substring(0, 8000)}
+
+JOB DESCRIPTION:
+${jobDescription.substring(0, 4000)}`;
+};
+
+// --- Evidence ---
+
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/^\s*[•●▪*-]\s*/, '')
+    .replace(/[^a-z0-9+#%$]+/g, ' ')
+    .trim();
+
+const wordsOf = (text) => new Set(normalize(text).split(' ').filter(Boolean));
+
+// Share of the quote's words that also appear in the line
+const MIN_OVERLAP = 0.8;
+
+/**
+ * Looks each cited quote up in the resume: a quote that is in the resume
+ * (ignoring case, punctuation and bullets) or mostly matches one line is
+ * found, and takes that line's wording.
+ * @param {string[]} quotes
+ * @param {string} resumeText
+ * @returns {Evidence[]}
+ */
+export const verifyEvidence = (quotes, resumeText) => {
+  const resume = normalize(resumeText.replace(/\s+/g, ' '));
+  const lines = resumeText
+    .split('\n')
+    .map((line) => line.replace(/^\s*[•●▪*-]\s*/, '').trim())
+    .filter(Boolean);
+  const seen = new Set();
+
+  return quotes
+    .map((quote) => quote.trim())
+    .filter(Boolean)
+    .map((quote) => {
+      const key = normalize(quote);
+      if (key && resume.includes(key)) {
+        return { quote: lines.find((line) => normalize(line).includes(key)) || quote, found: true };
+      }
+      const words = wordsOf(quote);
+      let best = null;
+      let bestScore = 0;
+      lines.forEach((line) => {
+        const lineWords = wordsOf(line);
+        const shared = [...words].filter((word) => lineWords.has(word)).length;
+        const score = words.size ? shared / words.size : 0;
+        if (score > bestScore) {
+          best = line;
+          bestScore = score;
+        }
+      });
+      return bestScore >= MIN_OVERLAP ? { quote: best, found: true } : { quote, found: false };
+    })
+    .filter((evidence) => {
+      const key = evidence.quote.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Checks the model's letter and verifies its evidence against the resume.
+ * `errors` is non-empty when there are no paragraphs.
+ * @param {unknown} raw
+ * @param {string} resumeText
+ * @returns {{ letter: CoverLetter, errors: string[] }}
+ */
+export const validateCoverLetter = (raw, resumeText) => {
+  const { analysis, errors } = validateAnalysis(raw, coverLetterSchema);
+  const letter = {
+    greeting: analysis.greeting || 'Dear Hiring Manager,',
+    paragraphs: analysis.paragraphs.map((paragraph) => ({
+      text: paragraph.text,
+      evidence: verifyEvidence(paragraph.evidence, resumeText),
+    })),
+    signOff: analysis.signOff || 'Sincerely,',
+  };
+  if (!errors.length && !letter.paragraphs.length) errors.push('the letter has no paragraphs');
+  return { letter, errors };
+};
+
+// --- Text and export ---
+
+/** The letter as plain text, signed with `name`. */
+export const coverLetterText = (letter, name) =>
+  [
+    letter.greeting,
+    ...letter.paragraphs.map((paragraph) => paragraph.text),
+    [letter.signOff, name].filter(Boolean).join('\n'),
+  ]
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .join('\n\n');
+
+/**
+ * Export layout for a letter's text, with the candidate's name and contact
+ * line from the resume as the header.
+ * @param {string} text         From coverLetterText, possibly edited
+ * @param {string} resumeText
+ * @returns {import('./resumeLayout.js').ResumeLayout}
+ */
+export const buildCoverLetterLayout = (text, resumeText) => {
+  const { contact } = parseResume(resumeText || '');
+  const blocks = text
+    .split(/\n\s*\n/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .flatMap((part, index, parts) => {
+      // The sign-off keeps its line break before the name
+      if (index === parts.length - 1 && part.includes('\n')) {
+        return part.split('\n').map((line) => ({ kind: 'text', text: line.trim() }));
+      }
+      return [{ kind: 'paragraph', text: part.replace(/\s*\n\s*/g, ' ') }];
+    });
+
+  return {
+    documentType: 'Cover Letter',
+    name: contact.name,
+    headline: [],
+    contact: [contact.email, contact.phone, contact.location, ...contact.links].filter(Boolean),
+    sections: [{ heading: '', blocks }],
+  };
+};
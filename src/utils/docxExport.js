@@ -0,0 +1,178 @@
+// docxExport.js
+// Writes the resume as a Word document. The package is built by hand with
+// JSZip: real Heading 1 paragraphs for sections and a Word bullet list, no
+// tables, text boxes or header/footer content, so ATS parsers (and our
+// docxParser) read it top to bottom.
+import JSZip from 'jszip';
+import { buildResumeLayout, exportTitle, getExportTemplate } from './resumeLayout.js';
+
+const FONT_NAMES = { serif: 'Times New Roman', sans: 'Arial' };
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Control characters other than tab and newlines are not allowed in XML 1.0
+const isXmlChar = (ch) => ch >= ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+
+const escapeXml = (text) =>
+  Array.from(text)
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toHex = (accent) =>
+  accent
+    .map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+
+// Word sizes are in half-points
+const halfPoints = (size) => Math.round(size * 2);
+
+// --- Package parts ---
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+const NUMBERING = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${W_NS}">
+<w:abstractNum w:abstractNumId="0">
+<w:multiLevelType w:val="singleLevel"/>
+<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr></w:lvl>
+</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const coreProperties = (layout) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:title>${escapeXml(exportTitle(layout))}</dc:title>
+<dc:creator>${escapeXml(layout.name || 'MatchMy Resume')}</dc:creator>
+</cp:coreProperties>`;
+
+const styles = (template) => {
+  const font = FONT_NAMES[template.font];
+  const accent = toHex(template.accent);
+  const titleAlign = template.headerAlign === 'center' ? '<w:jc w:val="center"/>' : '';
+  const headingRule = template.headingRule
+    ? `<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="${accent}"/></w:pBdr>`
+    : '';
+  const headingCaps = template.upperHeadings ? '<w:caps/>' : '';
+
+  // Children of w:pPr must follow the schema order (keepNext, numPr, pBdr,
+  // spacing, jc, outlineLvl) or Word reports the file as damaged.
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W_NS}">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}" w:eastAsia="${font}"/><w:color w:val="1A1A1A"/><w:sz w:val="${halfPoints(template.baseSize)}"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr>${titleAlign}</w:pPr><w:rPr><w:b/><w:color w:val="${accent}"/><w:sz w:val="${halfPoints(template.nameSize)}"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/>${headingRule}<w:spacing w:before="${Math.round(template.baseSize * 18)}" w:after="60"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/>${headingCaps}<w:color w:val="${accent}"/><w:sz w:val="${halfPoints(template.headingSize)}"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:pPr><w:numPr><w:numId w:val="1"/></w:numPr></w:pPr></w:style>
+</w:styles>`;
+};
+
+// --- Paragraphs ---
+
+const run = (text, props = '') => `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+
+const paragraph = (text, { style, props = '', paragraphProps = '' } = {}) =>
+  `<w:p><w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${paragraphProps}</w:pPr>${run(text, props)}</w:p>`;
+
+const documentXml = (layout, template) => {
+  const align = template.headerAlign === 'center' ? '<w:jc w:val="center"/>' : '';
+  const body = [];
+
+  if (layout.name) body.push(paragraph(layout.name, { style: 'Title' }));
+  layout.headline.forEach((line) => {
+    body.push(paragraph(line, { paragraphProps: align, props: `<w:sz w:val="${halfPoints(template.baseSize + 1)}"/>` }));
+  });
+  if (layout.contact.length) {
+    body.push(paragraph(layout.contact.join(' | '), { paragraphProps: align, props: '<w:color w:val="595959"/>' }));
+  }
+
+  layout.sections.forEach((section) => {
+    if (section.heading) body.push(paragraph(section.heading, { style: 'Heading1' }));
+    section.blocks.forEach((block, index) => {
+      if (block.kind === 'entry') {
+        body.push(
+          paragraph(block.text, {
+            props: '<w:b/>',
+            paragraphProps: `<w:keepNext/>${index > 0 ? '<w:spacing w:before="120"/>' : ''}`,
+          })
+        );
+      } else if (block.kind === 'meta') {
+        body.push(paragraph(block.text, { props: '<w:i/><w:color w:val="595959"/>', paragraphProps: '<w:keepNext/>' }));
+      } else if (block.kind === 'bullet') {
+        body.push(paragraph(block.text, { style: 'ListBullet' }));
+      } else if (block.kind === 'paragraph') {
+        body.push(paragraph(block.text, { paragraphProps: '<w:spacing w:after="240"/>' }));
+      } else {
+        body.push(paragraph(block.text));
+      }
+    });
+  });
+
+  // US Letter with 0.75in margins, matching the PDF export
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NS}">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+};
+
+/**
+ * Renders a layout (a resume or cover letter) as a .docx file using one
+ * of EXPORT_TEMPLATES.
+ * @param {import('./resumeLayout.js').ResumeLayout} layout
+ * @param {string} [templateId]
+ * @returns {Promise<Blob>}
+ */
+export const exportLayoutDocx = async (layout, templateId) => {
+  const template = getExportTemplate(templateId);
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('_rels/.rels', PACKAGE_RELS);
+  zip.file('docProps/core.xml', coreProperties(layout));
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS);
+  zip.file('word/document.xml', documentXml(layout, template));
+  zip.file('word/styles.xml', styles(template));
+  zip.file('word/numbering.xml', NUMBERING);
+
+  return zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME });
+};
+
+/**
+ * Renders resume text as a .docx file using one of EXPORT_TEMPLATES.
+ * @param {string} text
+ * @param {string} [templateId]
+ * @returns {Promise<Blob>}
+ */
+export const exportResumeDocx = (text, templateId) => exportLayoutDocx(buildResumeLayout(text), templateId);
@@ -0,0 +1,255 @@
+// docxParser.js
+// Client-side text extraction for Word resumes. DOCX files are OOXML zip
+// packages, so we unzip them and walk the WordprocessingML directly.
+import JSZip from 'jszip';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// --- Helpers ---
+const isZip = (bytes) =>
+  bytes.length > 3 &&
+  bytes[0] === 0x50 &&
+  bytes[1] === 0x4b &&
+  bytes[2] === 0x03 &&
+  bytes[3] === 0x04;
+
+const isOleCompound = (bytes) =>
+  bytes.length > 7 &&
+  bytes[0] === 0xd0 &&
+  bytes[1] === 0xcf &&
+  bytes[2] === 0x11 &&
+  bytes[3] === 0xe0;
+
+const childrenByName = (node, localName) =>
+  Array.from(node.childNodes).filter(
+    (child) => child.namespaceURI === W_NS && child.localName === localName
+  );
+
+// Text of a single run (<w:r>): text nodes, tabs and manual line breaks.
+const runText = (run) => {
+  let out = '';
+  run.childNodes.forEach((child) => {
+    if (child.namespaceURI !== W_NS) return;
+    switch (child.localName) {
+      case 't':
+        out += child.textContent;
+        break;
+      case 'tab':
+        out += '\t';
+        break;
+      case 'br':
+      case 'cr':
+        out += '\n';
+        break;
+      case 'noBreakHyphen':
+        out += '-';
+        break;
+      default:
+        break;
+    }
+  });
+  return out;
+};
+
+// Paragraph text, including runs nested in hyperlinks, smart tags and
+// content controls. Deleted revisions (<w:del>) are skipped.
+const paragraphText = (node) => {
+  let out = '';
+  node.childNodes.forEach((child) => {
+    if (child.namespaceURI !== W_NS) return;
+    if (child.localName === 'r') {
+      out += runText(child);
+    } else if (child.localName === 'del' || child.localName === 'pPr') {
+      // ignore
+    } else if (child.childNodes.length) {
+      out += paragraphText(child);
+    }
+  });
+  return out;
+};
+
+const isListParagraph = (p) => {
+  const pPr = childrenByName(p, 'pPr')[0];
+  if (!pPr) return false;
+  if (childrenByName(pPr, 'numPr').length > 0) return true;
+  const style = childrenByName(pPr, 'pStyle')[0];
+  const styleId = style?.getAttributeNS(W_NS, 'val') || style?.getAttribute('w:val') || '';
+  return /list/i.test(styleId);
+};
+
+const listLevel = (p) => {
+  const pPr = childrenByName(p, 'pPr')[0];
+  const numPr = pPr && childrenByName(pPr, 'numPr')[0];
+  const ilvl = numPr && childrenByName(numPr, 'ilvl')[0];
+  const raw = ilvl?.getAttributeNS(W_NS, 'val') || ilvl?.getAttribute('w:val');
+  const level = parseInt(raw, 10);
+  return Number.isNaN(level) ? 0 : level;
+};
+
+// Walks a block container (body, table cell, header, footer) and returns
+// an array of lines. Tables become one line per row with cells separated
+// by " | " so column data stays together.
+const blockLines = (container) => {
+  const lines = [];
+
+  container.childNodes.forEach((node) => {
+    if (node.namespaceURI !== W_NS) return;
+
+    if (node.localName === 'p') {
+      const text = paragraphText(node).replace(/\s+$/, '');
+      if (isListParagraph(node) && text.trim()) {
+        lines.push(`${'  '.repeat(listLevel(node))}• ${text.trim()}`);
+      } else {
+        lines.push(text);
+      }
+    } else if (node.localName === 'tbl') {
+      childrenByName(node, 'tr').forEach((row) => {
+        const cells = childrenByName(row, 'tc')
+          .map((cell) =>
+            blockLines(cell)
+              .map((line) => line.trim())
+              .filter(Boolean)
+              .join(' ')
+          )
+          .filter(Boolean);
+        if (cells.length) lines.push(cells.join(' | '));
+      });
+      lines.push('');
+    } else if (node.localName === 'sdt') {
+      const content = childrenByName(node, 'sdtContent')[0];
+      if (content) lines.push(...blockLines(content));
+    }
+  });
+
+  return lines;
+};
+
+const collapseBlankLines = (lines) =>
+  lines
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const parsePart = async (zip, path) => {
+  const file = zip.file(path);
+  if (!file) return null;
+  const xml = await file.async('string');
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error(`Could not read ${path} in the DOCX package.`);
+  }
+  return doc;
+};
+
+const partText = async (zip, path) => {
+  const doc = await parsePart(zip, path);
+  if (!doc) return '';
+  const root =
+    doc.getElementsByTagNameNS(W_NS, 'body')[0] || doc.documentElement;
+  return collapseBlankLines(blockLines(root));
+};
+
+// --- Public API ---
+
+/**
+ * Extracts plain text from a .docx file. Paragraph breaks, bullet lists
+ * and table rows are preserved; header and footer text (usually the
+ * contact line) is placed before and after the body.
+ */
+export const extractDocxText = async (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  if (!isZip(bytes)) {
+    throw new Error(
+      'This file is not a valid DOCX document. Please re-save it from Word or upload a PDF/TXT.'
+    );
+  }
+
+  const zip = await JSZip.loadAsync(arrayBuffer);
+  if (!zip.file('word/document.xml')) {
+    throw new Error('DOCX package is missing word/document.xml.');
+  }
+
+  const partNames = (pattern) =>
+    Object.keys(zip.files)
+      .filter((name) => pattern.test(name))
+      .sort();
+
+  const headers = await Promise.all(
+    partNames(/^word\/header\d*\.xml$/).map((p) => partText(zip, p))
+  );
+  const body = await partText(zip, 'word/document.xml');
+  const footers = await Promise.all(
+    partNames(/^word\/footer\d*\.xml$/).map((p) => partText(zip, p))
+  );
+
+  // Word repeats the same header/footer for first/even/odd pages.
+  const unique = (parts) => [...new Set(parts.filter(Boolean))];
+
+  return [...unique(headers), body, ...unique(footers)]
+    .filter(Boolean)
+    .join('\n\n')
+    .trim();
+};
+
+/**
+ * Best-effort text recovery for legacy binary .doc files. Word 97-2003
+ * stores body text as UTF-16LE (or cp1252) runs inside an OLE container;
+ * we pull out long printable runs and drop binary noise. Returns an empty
+ * string when nothing readable is found.
+ */
+export const extractLegacyDocText = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer);
+
+  // Some ".doc" files are really DOCX or plain text with the wrong name.
+  if (!isOleCompound(bytes)) return '';
+
+  const runs = [];
+  const minRun = 12;
+
+  // UTF-16LE pass
+  let current = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    const code = bytes[i] | (bytes[i + 1] << 8);
+    const isPrintable =
+      (code >= 0x20 && code < 0x7f) ||
+      (code >= 0xa0 && code < 0x2000) ||
+      (code >= 0x2010 && code <= 0x2027) ||
+      code === 0x0d ||
+      code === 0x09 ||
+      code === 0x0b;
+    if (isPrintable) {
+      current += code === 0x0d || code === 0x0b ? '\n' : String.fromCharCode(code);
+    } else {
+      if (current.replace(/\s/g, '').length >= minRun) runs.push(current);
+      current = '';
+    }
+  }
+  if (current.replace(/\s/g, '').length >= minRun) runs.push(current);
+
+  // 8-bit pass, used when the document was saved without Unicode text.
+  if (runs.join('').length < 200) {
+    current = '';
+    for (let i = 0; i < bytes.length; i++) {
+      const code = bytes[i];
+      if ((code >= 0x20 && code < 0x7f) || code === 0x0d || code === 0x09) {
+        current += code === 0x0d ? '\n' : String.fromCharCode(code);
+      } else {
+        if (current.replace(/\s/g, '').length >= minRun) runs.push(current);
+        current = '';
+      }
+    }
+  }
+
+  // Keep runs that look like prose (mostly letters and spaces).
+  const readable = runs.filter((run) => {
+    const letters = (run.match(/[A-Za-zÀ-ɏ]/g) || []).length;
+    return letters / run.length > 0.6 && /\s/.test(run);
+  });
+
+  return [...new Set(readable.map((run) => run.trim()))]
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+export { isZip };
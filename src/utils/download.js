@@ -0,0 +1,23 @@
+// download.js
+// Saves generated files (exports, reports) through a temporary link.
+
+/**
+ * Starts a browser download of `data` as `fileName`.
+ * @param {Blob|Uint8Array|string} data
+ * @param {string} fileName
+ * @param {string} [type]  MIME type when `data` is not already a Blob
+ */
+export const downloadFile = (data, fileName, type = 'application/octet-stream') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
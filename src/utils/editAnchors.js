@@ -0,0 +1,286 @@
+// editAnchors.js
+// Ties the model's suggested edits to character ranges in the resume text.
+// An edit is found by exact match first, then ignoring case / whitespace /
+// quote style, then by the most similar run of lines. Ranges are kept up
+// to date as the user types or applies other edits; an edit whose text was
+// changed by hand is searched for again instead of silently going stale.
+import { segmentSections } from './resumeParser.js';
+import { findChangedRange } from './textDiff.js';
+
+/**
+ * @typedef {Object} AnchoredEdit
+ * @property {string} id
+ * @property {string} section
+ * @property {string} original     Text the model quoted
+ * @property {string} replacement
+ * @property {string} rationale
+ * @property {number} start        Range in the current text; -1 when unmatched
+ * @property {number} end
+ * @property {'exact'|'fuzzy'|'unmatched'} match
+ * @property {'pending'|'applied'|'dismissed'} status
+ * @property {string} [previous]   Text the replacement overwrote, once applied
+ */
+
+// Below this word-overlap score a line is not considered the same text.
+const MIN_SIMILARITY = 0.75;
+
+const LEADING_BULLET_RE = /^\s*(?:[•●○◦▪■‣⁃∙·►▸➢➤*]|[-–—](?=\s))\s*/;
+
+const CHAR_FOLDS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', ' ': ' ',
+};
+
+// Lowercases, folds quote/dash styles and collapses whitespace. `map[i]`
+// is the index in `text` of normalized character i.
+const normalizeWithMap = (text) => {
+  let out = '';
+  const map = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = CHAR_FOLDS[text[i]] || text[i];
+    if (/\s/.test(ch)) {
+      pendingSpace = out.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      out += ' ';
+      map.push(i - 1);
+      pendingSpace = false;
+    }
+    out += ch.toLowerCase();
+    map.push(i);
+  }
+
+  return { text: out, map };
+};
+
+const normalize = (text) => normalizeWithMap(text.replace(LEADING_BULLET_RE, '')).text;
+
+const words = (text) => normalize(text).match(/[a-z0-9+#.%$]+/g) || [];
+
+// Dice coefficient over word multisets: 1 for the same words, 0 for none shared.
+const similarity = (a, b) => {
+  const left = words(a);
+  const right = words(b);
+  if (!left.length || !right.length) return 0;
+
+  const counts = {};
+  left.forEach((w) => {
+    counts[w] = (counts[w] || 0) + 1;
+  });
+  let shared = 0;
+  right.forEach((w) => {
+    if (counts[w]) {
+      shared += 1;
+      counts[w] -= 1;
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
+
+const allIndexesOf = (haystack, needle) => {
+  const found = [];
+  if (!needle) return found;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    found.push(index);
+    index = haystack.indexOf(needle, index + 1);
+  }
+  return found;
+};
+
+// Candidate ranges whose lines read like `original`, best first.
+const similarLineRanges = (text, original) => {
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach((line) => {
+    lines.push({ start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  });
+
+  const span = original.split('\n').length + 1;
+  const candidates = [];
+  for (let i = 0; i < lines.length; i++) {
+    for (let n = 1; n <= span && i + n <= lines.length; n++) {
+      let start = lines[i].start;
+      const end = lines[i + n - 1].end;
+      const score = similarity(text.slice(start, end), original);
+      if (score < MIN_SIMILARITY) continue;
+      // Keep the bullet glyph and indentation out of the replaced range
+      const lead = text.slice(start, end).match(LEADING_BULLET_RE);
+      if (lead) start += lead[0].length;
+      candidates.push({ start, end, score });
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+const overlaps = (range, taken) => taken.some((t) => range.start < t.end && t.start < range.end);
+
+const sectionRangeFor = (text, sectionName) => {
+  const wanted = (sectionName || '').toLowerCase();
+  if (!wanted) return null;
+  const section = segmentSections(text).find(
+    (s) => s.type === wanted || s.heading.toLowerCase() === wanted
+  );
+  return section ? { start: section.start, end: section.end } : null;
+};
+
+// Picks the best of several candidate ranges: free of other edits, inside
+// the edit's section, closest to where it used to be.
+const pickRange = (candidates, { taken = [], section = null, near = null }) => {
+  const free = candidates.filter((c) => !overlaps(c, taken));
+  if (!free.length) return null;
+
+  const score = (c) =>
+    (section && c.start >= section.start && c.end <= section.end ? 0 : 1e6) +
+    (near !== null ? Math.abs(c.start - near) : c.start);
+  return [...free].sort((a, b) => score(a) - score(b))[0];
+};
+
+const UNMATCHED = { start: -1, end: -1, match: 'unmatched' };
+
+// `strict` skips the similar-lines search.
+const locate = (text, edit, options) => {
+  const original = edit.original.replace(LEADING_BULLET_RE, '').trim();
+
+  const exact = allIndexesOf(text, original).map((start) => ({ start, end: start + original.length }));
+  const exactRange = pickRange(exact, options);
+  if (exactRange) return { ...exactRange, match: 'exact' };
+
+  const haystack = normalizeWithMap(text);
+  const needle = normalize(original);
+  const folded = allIndexesOf(haystack.text, needle).map((index) => ({
+    start: haystack.map[index],
+    end: haystack.map[index + needle.length - 1] + 1,
+  }));
+  const foldedRange = pickRange(folded, options);
+  if (foldedRange) return { ...foldedRange, match: 'fuzzy' };
+  if (options.strict) return UNMATCHED;
+
+  const similar = similarLineRanges(text, original);
+  const best = similar.length ? similar[0].score : 0;
+  // Among equally good lines, prefer the section / previous position
+  const similarRange = pickRange(
+    similar.filter((c) => c.score >= best - 0.05),
+    options
+  );
+  if (similarRange) return { start: similarRange.start, end: similarRange.end, match: 'fuzzy' };
+
+  return UNMATCHED;
+};
+
+// --- Public API ---
+
+/**
+ * Anchors the model's suggested edits in `text`. Edits that cannot be
+ * found are kept with `match: 'unmatched'` so they can still be shown.
+ * @returns {AnchoredEdit[]}
+ */
+export const anchorEdits = (text, suggestedEdits = []) => {
+  const taken = [];
+  const find = (edit, strict) => {
+    const range = locate(text, edit, {
+      taken,
+      strict,
+      section: sectionRangeFor(text, edit.section),
+    });
+    if (range.start >= 0) taken.push(range);
+    return { ...edit, ...range };
+  };
+
+  // Verbatim quotes first, so a loose match cannot claim another edit's line
+  const strict = suggestedEdits.map((edit, index) => ({
+    ...find(edit, true),
+    id: `edit-${index}`,
+    status: 'pending',
+  }));
+  return strict.map((edit) => (edit.start >= 0 ? edit : find(edit, false)));
+};
+
+/**
+ * Moves anchored edits from `before` to `after` (one version of the text
+ * to the next). Edits outside the changed region shift with it; pending
+ * edits whose text was touched are searched for again near their old spot,
+ * applied ones grow or shrink with a change made inside them.
+ * @returns {AnchoredEdit[]}
+ */
+export const reanchorEdits = (before, after, edits) => {
+  const change = findChangedRange(before, after);
+  if (!change) return edits;
+  const delta = change.newEnd - change.oldEnd;
+
+  const kept = edits.filter(
+    (edit) => edit.start >= 0 && (edit.end <= change.start || edit.start >= change.oldEnd)
+  );
+  const taken = kept.map((edit) =>
+    edit.start >= change.oldEnd ? { start: edit.start + delta, end: edit.end + delta } : edit
+  );
+
+  return edits.map((edit) => {
+    if (edit.start >= 0 && edit.end <= change.start) return edit;
+    if (edit.start >= 0 && edit.start >= change.oldEnd) {
+      return { ...edit, start: edit.start + delta, end: edit.end + delta };
+    }
+    if (edit.status === 'applied' && edit.start >= 0 && change.start >= edit.start && change.oldEnd <= edit.end) {
+      return { ...edit, end: edit.end + delta };
+    }
+    // Other applied/dismissed edits are history; only pending ones are re-found
+    if (edit.status !== 'pending') return { ...edit, start: -1, end: -1 };
+
+    const range = locate(after, edit, {
+      taken,
+      near: edit.start >= 0 ? edit.start : null,
+    });
+    if (range.start >= 0) taken.push(range);
+    return { ...edit, ...range };
+  });
+};
+
+// Replaces `edit`'s range with `content` and re-anchors the other edits.
+const replaceRange = (text, edits, edit, content, changes) => {
+  const next = text.slice(0, edit.start) + content + text.slice(edit.end);
+  const others = reanchorEdits(
+    text,
+    next,
+    edits.filter((e) => e.id !== edit.id)
+  );
+  const updated = { ...edit, ...changes, end: edit.start + content.length };
+
+  return {
+    text: next,
+    edits: edits.map((e) => (e.id === edit.id ? updated : others.find((o) => o.id === e.id))),
+  };
+};
+
+/**
+ * Replaces an anchored edit's range with its replacement. Returns the new
+ * text and the edits re-anchored to it, with this one marked applied.
+ * @returns {{ text: string, edits: AnchoredEdit[] }}
+ */
+export const applyEdit = (text, edits, id) => {
+  const edit = edits.find((e) => e.id === id);
+  if (!edit || edit.status !== 'pending' || edit.start < 0) return { text, edits };
+
+  return replaceRange(text, edits, edit, edit.replacement, {
+    status: 'applied',
+    previous: text.slice(edit.start, edit.end),
+  });
+};
+
+/**
+ * Undoes one applied edit, putting back the text it replaced. Other edits
+ * made since are kept. No-op if the applied text can no longer be found.
+ * @returns {{ text: string, edits: AnchoredEdit[] }}
+ */
+export const revertEdit = (text, edits, id) => {
+  const edit = edits.find((e) => e.id === id);
+  if (!edit || edit.status !== 'applied' || edit.start < 0) return { text, edits };
+
+  return replaceRange(text, edits, edit, edit.previous, {
+    status: 'pending',
+    match: 'exact',
+    previous: undefined,
+  });
+};
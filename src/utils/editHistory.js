@@ -0,0 +1,206 @@
+// editHistory.js
+// State for the resume editor: the text, its anchored suggested edits, an
+// undo/redo history and named snapshots. Every change goes through
+// `editorReducer` as a command that records the document before and after,
+// so any step can be undone or redone. Loading a new analysis starts a new
+// history, since the steps before it belong to a different analysis.
+import { anchorEdits, reanchorEdits, applyEdit, revertEdit } from './editAnchors.js';
+
+/**
+ * @typedef {Object} EditorDocument
+ * @property {string} original  Text the analysis was run on
+ * @property {string} text      Current text
+ * @property {import('./editAnchors.js').AnchoredEdit[]} edits
+ */
+
+/**
+ * @typedef {Object} EditorCommand
+ * @property {'type'|'apply'|'revert'|'dismiss'|'rewrite'|'restore'} type
+ * @property {string} label     Shown in the undo/redo tooltips
+ * @property {number} at        Timestamp, used to merge bursts of typing
+ * @property {EditorDocument} before
+ * @property {EditorDocument} after
+ */
+
+/**
+ * @typedef {Object} EditorSnapshot
+ * @property {string} id
+ * @property {string} name
+ * @property {string} text
+ * @property {import('./editAnchors.js').AnchoredEdit[]} edits
+ * @property {number} createdAt
+ */
+
+const MAX_HISTORY = 100;
+
+// Keystrokes closer together than this undo as one step.
+const TYPING_MERGE_MS = 1000;
+
+export const initialEditorState = () => ({
+  original: '',
+  text: '',
+  edits: [],
+  past: [],
+  future: [],
+  snapshots: [],
+});
+
+const documentOf = (state) => ({ original: state.original, text: state.text, edits: state.edits });
+
+const commit = (state, type, label, after, at) => {
+  if (after.text === state.text && after.edits === state.edits && after.original === state.original) {
+    return state;
+  }
+  const command = { type, label, at, before: documentOf(state), after };
+  return {
+    ...state,
+    ...after,
+    past: [...state.past, command].slice(-MAX_HISTORY),
+    future: [],
+  };
+};
+
+const editLabel = (state, id, verb) => {
+  const edit = state.edits.find((e) => e.id === id);
+  return edit ? `${verb} ${edit.section} suggestion` : verb;
+};
+
+/**
+ * Reducer for the editor. Actions that change the document take an `at`
+ * timestamp so the reducer stays pure.
+ *
+ * - `{ type: 'load', text, suggestedEdits, original? }` start editing an
+ *   analysis with an empty undo history; `original` defaults to `text`
+ * - `{ type: 'type', text, at }` the user edited the text
+ * - `{ type: 'apply' | 'revert' | 'dismiss', id, at }` act on one suggestion
+ * - `{ type: 'rewrite', original, replacement, rationale, at }` replace an
+ *   experience bullet with a chosen rewrite, kept as an applied suggestion
+ *   so it can be reverted
+ * - `{ type: 'undo' }` / `{ type: 'redo' }`
+ * - `{ type: 'saveSnapshot', name, at }` / `{ type: 'deleteSnapshot', id }`
+ * - `{ type: 'restoreSnapshot', id, at }` go back to a snapshot's text and edits
+ */
+export const editorReducer = (state, action) => {
+  switch (action.type) {
+    case 'load':
+      return {
+        ...state,
+        original: action.original ?? action.text,
+        text: action.text,
+        edits: anchorEdits(action.text, action.suggestedEdits || []),
+        past: [],
+        future: [],
+      };
+
+    case 'type': {
+      if (action.text === state.text) return state;
+      const edits = reanchorEdits(state.text, action.text, state.edits);
+      const last = state.past[state.past.length - 1];
+
+      if (last && last.type === 'type' && !state.future.length && action.at - last.at < TYPING_MERGE_MS) {
+        const after = { original: state.original, text: action.text, edits };
+        return {
+          ...state,
+          ...after,
+          past: [...state.past.slice(0, -1), { ...last, at: action.at, after }],
+        };
+      }
+      return commit(state, 'type', 'Typing', { original: state.original, text: action.text, edits }, action.at);
+    }
+
+    case 'apply':
+    case 'revert': {
+      const change = action.type === 'apply' ? applyEdit : revertEdit;
+      const result = change(state.text, state.edits, action.id);
+      const verb = action.type === 'apply' ? 'Apply' : 'Revert';
+      return commit(
+        state,
+        action.type,
+        editLabel(state, action.id, verb),
+        { original: state.original, ...result },
+        action.at
+      );
+    }
+
+    case 'dismiss':
+      return commit(
+        state,
+        'dismiss',
+        editLabel(state, action.id, 'Dismiss'),
+        {
+          original: state.original,
+          text: state.text,
+          edits: state.edits.map((edit) => (edit.id === action.id ? { ...edit, status: 'dismissed' } : edit)),
+        },
+        action.at
+      );
+
+    case 'rewrite': {
+      const { original, replacement, rationale } = action;
+      const [anchored] = anchorEdits(state.text, [{ section: 'experience', original, replacement, rationale }]);
+      if (anchored.start < 0) return state;
+      const rewrite = { ...anchored, id: `rewrite-${action.at}` };
+      const result = applyEdit(state.text, [...state.edits, rewrite], rewrite.id);
+      return commit(state, 'rewrite', 'Rewrite experience bullet', { original: state.original, ...result }, action.at);
+    }
+
+    case 'undo': {
+      const command = state.past[state.past.length - 1];
+      if (!command) return state;
+      return {
+        ...state,
+        ...command.before,
+        past: state.past.slice(0, -1),
+        future: [command, ...state.future],
+      };
+    }
+
+    case 'redo': {
+      const [command, ...future] = state.future;
+      if (!command) return state;
+      return {
+        ...state,
+        ...command.after,
+        past: [...state.past, command],
+        future,
+      };
+    }
+
+    case 'saveSnapshot':
+      return {
+        ...state,
+        snapshots: [
+          ...state.snapshots,
+          {
+            id: `snapshot-${action.at}`,
+            name: action.name || `Version ${state.snapshots.length + 1}`,
+            text: state.text,
+            edits: state.edits,
+            createdAt: action.at,
+          },
+        ],
+      };
+
+    case 'deleteSnapshot':
+      return { ...state, snapshots: state.snapshots.filter((s) => s.id !== action.id) };
+
+    case 'restoreSnapshot': {
+      const snapshot = state.snapshots.find((s) => s.id === action.id);
+      if (!snapshot) return state;
+      return commit(
+        state,
+        'restore',
+        `Restore "${snapshot.name}"`,
+        {
+          original: state.original,
+          text: snapshot.text,
+          edits: snapshot.edits,
+        },
+        action.at
+      );
+    }
+
+    default:
+      return state;
+  }
+};
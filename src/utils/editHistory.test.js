@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editorReducer, initialEditorState } from './editHistory.js';
+
+test('undo stops at the analysis that was loaded last', () => {
+  const steps = [
+    { type: 'load', text: 'First resume', suggestedEdits: [] },
+    { type: 'type', text: 'First resume, edited', at: 1000 },
+    { type: 'load', text: 'Second resume', suggestedEdits: [] },
+    { type: 'type', text: 'Second resume, edited', at: 5000 },
+    { type: 'undo' },
+    { type: 'undo' },
+  ];
+  const state = steps.reduce(editorReducer, initialEditorState());
+
+  assert.equal(state.text, 'Second resume');
+  assert.equal(state.original, 'Second resume');
+  assert.equal(state.past.length, 0);
+  assert.equal(state.future.length, 1);
+});
@@ -0,0 +1,198 @@
+// historyStore.js
+// Past analysis runs, kept in the browser's IndexedDB so they survive a
+// reload. Nothing here leaves the machine except through exportHistory.
+import { validateAnalysis } from './analysisValidator.js';
+import { normalizeRequirements } from './jobParser.js';
+
+const DB_NAME = 'matchmy-resume';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+const EXPORT_FORMAT = 'matchmy-resume-history';
+const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} HistoryRun
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {string} resumeText      The resume version that was analyzed
+ * @property {boolean} edited         True when it came from the editor
+ * @property {string} jobDescription
+ * @property {import('./jobParser.js').JobRequirements|null} requirements  As reviewed for the run
+ * @property {import('./analysisValidator.js').Analysis} analysis
+ * @property {string} provider
+ * @property {string} model
+ */
+
+// --- IndexedDB plumbing ---
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!globalThis.indexedDB) {
+        reject(new Error('This browser does not support IndexedDB'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Allow a retry later (e.g. after the user leaves private browsing)
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs `work(store)` in a transaction and resolves once it has committed.
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    let result;
+    Promise.resolve(work(tx.objectStore(STORE))).then((value) => {
+      result = value;
+    }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const newId = () => `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** Default run name: the first line of the job description (usually the title). */
+export const defaultRunName = (jobDescription) => {
+  const firstLine = (jobDescription || '').split('\n').find((line) => line.trim()) || 'Untitled job';
+  const trimmed = firstLine.trim();
+  return trimmed.length > 60 ? `${trimmed.slice(0, 57)}...` : trimmed;
+};
+
+// --- Public API ---
+
+/**
+ * Saves a new run. Returns the stored HistoryRun.
+ * @param {Omit<HistoryRun, 'id'|'name'|'createdAt'> & { name?: string }} run
+ * @returns {Promise<HistoryRun>}
+ */
+export const saveRun = async (run) => {
+  const record = {
+    id: newId(),
+    name: run.name || defaultRunName(run.jobDescription),
+    createdAt: Date.now(),
+    resumeText: run.resumeText,
+    edited: !!run.edited,
+    jobDescription: run.jobDescription,
+    requirements: run.requirements || null,
+    analysis: run.analysis,
+    provider: run.provider || '',
+    model: run.model || '',
+  };
+  await withStore('readwrite', (store) => {
+    store.put(record);
+  });
+  return record;
+};
+
+/**
+ * All runs, newest first.
+ * @returns {Promise<HistoryRun[]>}
+ */
+export const listRuns = async () => {
+  const runs = await withStore('readonly', (store) => promisify(store.getAll()));
+  return runs.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const renameRun = (id, name) =>
+  withStore('readwrite', async (store) => {
+    const run = await promisify(store.get(id));
+    if (run) store.put({ ...run, name: name.trim() || run.name });
+  });
+
+export const deleteRun = (id) =>
+  withStore('readwrite', (store) => {
+    store.delete(id);
+  });
+
+/**
+ * The whole store as one JSON document.
+ * @returns {Promise<string>}
+ */
+export const exportHistory = async () =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      runs: await listRuns(),
+    },
+    null,
+    2
+  );
+
+/**
+ * Reads the runs from an exportHistory file. Runs without resume and job
+ * description text, or whose analysis has no readable scores, are skipped
+ * and counted. Throws when the file is not an export at all.
+ * @param {string} json
+ * @returns {{ runs: HistoryRun[], skipped: number }}
+ */
+export const readHistoryExport = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.runs)) {
+    throw new Error('The file is not a MatchMy Resume history export');
+  }
+
+  const runs = data.runs
+    .filter((run) => run && typeof run.resumeText === 'string' && typeof run.jobDescription === 'string')
+    .map((run) => ({ run, ...validateAnalysis(run.analysis || {}) }))
+    .filter(({ errors }) => !errors.length)
+    .map(({ run, analysis }) => ({
+      id: typeof run.id === 'string' ? run.id : newId(),
+      name: typeof run.name === 'string' && run.name ? run.name : defaultRunName(run.jobDescription),
+      createdAt: Number.isFinite(run.createdAt) ? run.createdAt : Date.now(),
+      resumeText: run.resumeText,
+      edited: !!run.edited,
+      jobDescription: run.jobDescription,
+      requirements: run.requirements ? normalizeRequirements(run.requirements) : null,
+      // Older or hand-edited files still load with every field present
+      analysis,
+      provider: typeof run.provider === 'string' ? run.provider : '',
+      model: typeof run.model === 'string' ? run.model : '',
+    }));
+
+  return { runs, skipped: data.runs.length - runs.length };
+};
+
+/**
+ * Adds the runs from an exportHistory file (see readHistoryExport). Runs
+ * already in the store (same id) are overwritten.
+ * @param {string} json
+ * @returns {Promise<{ imported: number, skipped: number }>}
+ */
+export const importHistory = async (json) => {
+  const { runs, skipped } = readHistoryExport(json);
+  await withStore('readwrite', (store) => {
+    runs.forEach((run) => store.put(run));
+  });
+  return { imported: runs.length, skipped };
+};
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readHistoryExport } from './historyStore.js';
+
+const RESUME = 'Jane Doe\n\nSKILLS\nReact, Node.js';
+const JOB = 'Requirements:\n- React\n- TypeScript';
+
+const ANALYSIS = {
+  matchPercentage: 72,
+  scoreBreakdown: { skills: 80, experience: 70, education: 60, keywords: 65 },
+  atsScore: 85,
+  summary: 'A good match',
+};
+
+const exportOf = (runs) => JSON.stringify({ format: 'matchmy-resume-history', version: 1, runs });
+
+test('runs without usable text or scores are skipped and counted', () => {
+  const { runs, skipped } = readHistoryExport(
+    exportOf([
+      { id: 'good', resumeText: RESUME, jobDescription: JOB, analysis: ANALYSIS },
+      { id: 'no-scores', resumeText: RESUME, jobDescription: JOB, analysis: { summary: 'Looks good' } },
+      { id: 'no-analysis', resumeText: RESUME, jobDescription: JOB },
+      { id: 'no-text', jobDescription: JOB, analysis: ANALYSIS },
+      null,
+    ])
+  );
+
+  assert.deepEqual(
+    runs.map((run) => run.id),
+    ['good']
+  );
+  assert.equal(runs[0].analysis.matchPercentage, 72);
+  assert.equal(skipped, 4);
+});
+
+test('a file that is not a history export is refused', () => {
+  assert.throws(() => readHistoryExport('{'), /not valid JSON/);
+  assert.throws(() => readHistoryExport(JSON.stringify({ runs: [] })), /not a MatchMy Resume history export/);
+});
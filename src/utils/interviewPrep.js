@@ -0,0 +1,238 @@
+// interviewPrep.js
+// Interview practice built on an analysis: likely questions tied to the
+// job's requirements and the resume's gaps and strengths, talking points
+// checked against the resume, and structured feedback on a typed answer.
+// Shared by the browser and the analysis proxy.
+import { validateAnalysis } from './analysisValidator.js';
+import { verifyEvidence } from './coverLetter.js';
+import { formatRequirements } from './prompt.js';
+
+export const MAX_QUESTIONS = 10;
+export const MAX_ANSWER_LENGTH = 4000;
+
+export const QUESTION_TYPES = [
+  { id: 'technical', label: 'Technical' },
+  { id: 'behavioral', label: 'Behavioral' },
+];
+
+// What each kind of answer is scored on. Behavioral answers follow STAR.
+export const CRITERIA = {
+  technical: ['Accuracy', 'Depth', 'Clarity', 'Relevance'],
+  behavioral: ['Situation', 'Task', 'Action', 'Result'],
+};
+
+/**
+ * @typedef {Object} TalkingPoint
+ * @property {string} text
+ * @property {import('./coverLetter.js').Evidence[]} evidence  Resume lines to draw on
+ */
+
+/**
+ * @typedef {Object} InterviewQuestion
+ * @property {string} question
+ * @property {'technical'|'behavioral'} type
+ * @property {string} requirement   The job requirement the question probes
+ * @property {'gap'|'strength'} focus
+ * @property {string} reason        Why an interviewer would ask it of this resume
+ * @property {TalkingPoint[]} talkingPoints
+ */
+
+/**
+ * @typedef {Object} AnswerFeedback
+ * @property {number} score   0–100
+ * @property {string} summary
+ * @property {{ name: string, score: number, comment: string }[]} criteria
+ * @property {string[]} strengths
+ * @property {string[]} improvements
+ * @property {string[]} missedPoints   Talking points the answer left out
+ */
+
+export const questionsSchema = {
+  type: 'OBJECT',
+  properties: {
+    questions: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          question: { type: 'STRING' },
+          type: { type: 'STRING', description: '"technical" or "behavioral"' },
+          requirement: { type: 'STRING', description: 'The job requirement the question probes' },
+          focus: { type: 'STRING', description: '"gap" when it probes a weakness or missing skill, else "strength"' },
+          reason: { type: 'STRING', description: 'Why an interviewer would ask this candidate the question' },
+          talkingPoints: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: {
+                text: { type: 'STRING' },
+                evidence: {
+                  type: 'ARRAY',
+                  description: 'Resume lines, copied verbatim, the point draws on',
+                  items: { type: 'STRING' },
+                },
+              },
+              required: ['text', 'evidence'],
+            },
+          },
+        },
+        required: ['question', 'type', 'focus', 'talkingPoints'],
+      },
+    },
+  },
+  required: ['questions'],
+};
+
+export const feedbackSchema = {
+  type: 'OBJECT',
+  properties: {
+    score: { type: 'NUMBER', description: 'Overall answer quality, 0-100' },
+    summary: { type: 'STRING' },
+    criteria: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING' },
+          score: { type: 'NUMBER', description: '0-100' },
+          comment: { type: 'STRING' },
+        },
+        required: ['name', 'score', 'comment'],
+      },
+    },
+    strengths: { type: 'ARRAY', items: { type: 'STRING' } },
+    improvements: { type: 'ARRAY', items: { type: 'STRING' } },
+    missedPoints: { type: 'ARRAY', items: { type: 'STRING' } },
+  },
+  required: ['score', 'summary', 'criteria', 'strengths', 'improvements', 'missedPoints'],
+};
+
+const listOrNone = (items) => (items.length ? items.map((item) => `- ${item}`).join('\n') : '(none)');
+
+/**
+ * The prompt for likely interview questions. `weaknesses`,
+ * `missingKeywords` and `strengths` come from the analysis;
+ * `requirements` are the reviewed JobRequirements, when there are any.
+ */
+export const buildQuestionsPrompt = ({
+  resumeText,
+  jobDescription,
+  requirements,
+  weaknesses,
+  missingKeywords,
+  strengths,
+}) => {
+  const requirementsBlock = formatRequirements(requirements);
+  return `INTERVIEW PREP REQUEST:
+You are an experienced hiring manager. Predict the questions an interviewer is most likely to ask the candidate whose RESUME is below for the JOB DESCRIPTION below.
+
+RULES:
+- Write ${MAX_QUESTIONS} questions, mixing "technical" and "behavioral" ones. Tie each to one specific requirement of the job.
+- Interviewers probe gaps: at least half the questions should target the GAPS and MISSING KEYWORDS below (focus "gap"); the rest should let the candidate prove the STRENGTHS (focus "strength").
+- For each question give 2-4 talking points the candidate could use. Base them on the RESUME and list in "evidence" the resume lines each point draws on, copied character for character. For a gap the resume cannot cover, suggest an honest angle (a related skill, how they would learn it) with no evidence. Never invent experience.
+
+GAPS:
+${listOrNone(weaknesses)}
+
+MISSING KEYWORDS:
+${missingKeywords.length ? missingKeywords.join(', ') : '(none)'}
+
+STRENGTHS:
+${listOrNone(strengths)}
+
+RESUME:
+${resumeText.substring(0, 8000)}
+
+${requirementsBlock ? `JOB REQUIREMENTS:\n${requirementsBlock}\n\n` : ''}JOB DESCRIPTION:
+${jobDescription.substring(0, 4000)}`;
+};
+
+/**
+ * The prompt for feedback on `answer` to one InterviewQuestion.
+ */
+export const buildFeedbackPrompt = ({ question, answer, resumeText, jobDescription }) => {
+  const criteria = CRITERIA[question.type];
+  return `ANSWER FEEDBACK REQUEST:
+You are an interview coach. Give structured feedback on the candidate's ANSWER to the ${question.type} interview QUESTION below.
+
+RULES:
+- Score the answer 0-100 overall and score each of these criteria 0-100 with a one-sentence comment, using exactly these names: ${criteria.join(', ')}.
+- List what the answer does well in "strengths" and concrete, actionable changes in "improvements".
+- List in "missedPoints" the TALKING POINTS the answer left out that would have made it stronger.
+- If the answer claims experience the RESUME does not support, say so in "improvements"; interviewers check.
+- Speak to the candidate directly ("you").
+
+QUESTION: ${question.question}
+REQUIREMENT PROBED: ${question.requirement || '(not stated)'}
+
+TALKING POINTS:
+${listOrNone(question.talkingPoints.map((point) => point.text))}
+
+ANSWER:
+${answer}
+
+RESUME:
+${resumeText.substring(0, 6000)}
+
+JOB DESCRIPTION:
+${jobDescription.substring(0, 3000)}`;
+};
+
+const questionType = (value) => (/tech/i.test(value) ? 'technical' : 'behavioral');
+
+/**
+ * Checks the model's questions and verifies each talking point's evidence
+ * against the resume. Duplicate and empty questions are dropped; `errors`
+ * is non-empty when none are left.
+ * @param {unknown} raw
+ * @param {string} resumeText
+ * @returns {{ questions: InterviewQuestion[], errors: string[] }}
+ */
+export const validateQuestions = (raw, resumeText) => {
+  const { analysis, errors } = validateAnalysis(raw, questionsSchema);
+  const seen = new Set();
+
+  const questions = analysis.questions
+    .map((item) => ({
+      question: item.question,
+      type: questionType(item.type),
+      requirement: item.requirement,
+      focus: /gap|weak|missing/i.test(item.focus) ? 'gap' : 'strength',
+      reason: item.reason,
+      talkingPoints: item.talkingPoints.map((point) => ({
+        text: point.text,
+        evidence: verifyEvidence(point.evidence, resumeText),
+      })),
+    }))
+    .filter((item) => {
+      const key = item.question.toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_QUESTIONS);
+
+  if (!errors.length && !questions.length) errors.push('no interview questions were returned');
+  return { questions, errors };
+};
+
+/**
+ * Checks the model's feedback for an answer to a question of `type`.
+ * Criteria are kept in CRITERIA order and unknown ones dropped; `errors`
+ * is non-empty when the score is unreadable or no criterion is left.
+ * @param {unknown} raw
+ * @param {'technical'|'behavioral'} type
+ * @returns {{ feedback: AnswerFeedback, errors: string[] }}
+ */
+export const validateFeedback = (raw, type) => {
+  const { analysis, errors } = validateAnalysis(raw, feedbackSchema);
+  const criteria = CRITERIA[type]
+    .map((name) => {
+      const item = analysis.criteria.find((criterion) => criterion.name.toLowerCase() === name.toLowerCase());
+      return item && { ...item, name };
+    })
+    .filter(Boolean);
+
+  if (!errors.length && !criteria.length) errors.push('the feedback has no criteria scores');
+  return { feedback: { ...analysis, criteria }, errors };
+};
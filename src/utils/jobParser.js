@@ -0,0 +1,258 @@
+// jobParser.js
+// Reads the structure out of a job description locally: title, seniority,
+// years of experience, required vs. nice-to-have skills, education and
+// location terms. The user can correct the result before analysis, and
+// both the local keyword score and the model then weight required items
+// above preferred ones.
+import { extractJobKeywords } from './keywordMatcher.js';
+
+/**
+ * @typedef {Object} JobRequirements
+ * @property {string} title
+ * @property {string} seniority        A SENIORITY_LEVELS id, or '' if unknown
+ * @property {number|null} minYears     Years of experience asked for
+ * @property {string[]} requiredSkills
+ * @property {string[]} preferredSkills
+ * @property {string[]} education
+ * @property {string[]} location        Location and remote/on-site terms
+ */
+
+// Most senior first: "Senior Engineering Manager" is a manager role
+export const SENIORITY_LEVELS = [
+  { id: 'manager', label: 'Manager / director', pattern: /\b(manager|director|head of|vp|vice president)\b/i },
+  { id: 'principal', label: 'Principal', pattern: /\b(principal|distinguished|architect)\b/i },
+  { id: 'lead', label: 'Lead / staff', pattern: /\b(lead|staff)\b/i },
+  { id: 'senior', label: 'Senior', pattern: /\b(senior|sr\.?)(?=\s|$)/i },
+  { id: 'mid', label: 'Mid level', pattern: /\b(mid[- ]?level|intermediate)\b/i },
+  { id: 'junior', label: 'Junior / entry level', pattern: /\b(junior|jr\.?|entry[- ]level|graduate|associate)(?=\s|$)/i },
+  { id: 'intern', label: 'Intern', pattern: /\b(intern|internship|trainee)\b/i },
+];
+
+// Caps that keep a hand-edited or imported list reasonable
+const MAX_ITEMS = 60;
+const MAX_ITEM_LENGTH = 120;
+
+// --- Line context ---
+
+const PREFERRED_RE =
+  /\b(preferred|nice[- ]to[- ]haves?|bonus|pluses|a plus|desired|desirable|ideally|good to have|not required|optional)\b/i;
+const REQUIRED_RE =
+  /\b(required|requirements|must[- ]haves?|must|minimum|basic qualifications|what you need|you have|qualifications|essential|mandatory)\b/i;
+// Sections whose terms are about the company, not the candidate
+const IGNORED_RE =
+  /\b(benefits|perks|about (us|the company|the team)|who we are|what we offer|compensation|salary|equal opportunity|eeo)\b/i;
+
+const BULLET_PREFIX_RE = /^\s*(?:[•●○◦▪■‣⁃∙·►▸➢➤*]|[-–—](?=\s)|\d+[.)](?=\s))\s*/;
+
+const isHeading = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 60 || BULLET_PREFIX_RE.test(line)) return false;
+  return /:$/.test(trimmed) || (/^[A-Z]/.test(trimmed) && !/[.!?,]$/.test(trimmed) && trimmed.split(/\s+/).length <= 5);
+};
+
+const headingContext = (heading) => {
+  if (IGNORED_RE.test(heading)) return 'ignored';
+  if (PREFERRED_RE.test(heading)) return 'preferred';
+  if (REQUIRED_RE.test(heading)) return 'required';
+  return 'neutral';
+};
+
+// Splits the text into lines and the lines into sentences, each with its
+// offset and whether it sits under a required, preferred, ignored or
+// neutral heading. A sentence's own wording ("... is a plus", "must have
+// ...") overrides its section.
+const classifyLines = (text) => {
+  const units = [];
+  let offset = 0;
+  let section = 'neutral';
+
+  text.split('\n').forEach((line) => {
+    if (isHeading(line)) {
+      section = headingContext(line);
+      units.push({ text: line, start: offset, end: offset + line.length, context: section });
+    } else {
+      let start = offset;
+      line.split(/(?<=[.!?;])\s+/).forEach((sentence) => {
+        let context = section;
+        if (section !== 'ignored') {
+          if (PREFERRED_RE.test(sentence)) context = 'preferred';
+          else if (/\b(must|required)\b/i.test(sentence)) context = 'required';
+        }
+        start = line.indexOf(sentence, start - offset) + offset;
+        units.push({ text: sentence, start, end: start + sentence.length, context });
+        start += sentence.length;
+      });
+    }
+    offset += line.length + 1;
+  });
+
+  return units;
+};
+
+const contextAt = (lines, position) =>
+  lines.find((line) => position >= line.start && position <= line.end)?.context || 'neutral';
+
+// --- Field extractors ---
+
+const cleanLine = (line) => line.replace(BULLET_PREFIX_RE, '').trim();
+
+const clip = (text) => (text.length > MAX_ITEM_LENGTH ? `${text.slice(0, MAX_ITEM_LENGTH - 3).trimEnd()}...` : text);
+
+const unique = (items) => {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = item.toLowerCase();
+    if (!item || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const findTitle = (lines) => {
+  for (const line of lines) {
+    const labelled = line.text.match(/^\s*(?:job\s+title|title|position|role)\s*[:\-–]\s*(.+)$/i);
+    if (labelled) return clip(labelled[1].trim());
+  }
+  const first = lines.find((line) => line.text.trim());
+  const text = first ? cleanLine(first.text) : '';
+  if (!text || text.length > 80 || /[.!?]$/.test(text) || headingContext(text) !== 'neutral') return '';
+  if (/^(job description|about|overview|summary)\b/i.test(text)) return '';
+  return text.replace(/:$/, '');
+};
+
+// "5+ years", "3-5 yrs"; group 1 is the smallest number. Global, so use
+// it with matchAll.
+export const YEARS_RE = /\b(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*\+?\s*)?(?:years?|yrs?)\b/gi;
+
+// The smallest number of years asked for outside preferred/ignored lines
+const findMinYears = (text, lines) => {
+  let min = null;
+  for (const match of text.matchAll(YEARS_RE)) {
+    const context = contextAt(lines, match.index);
+    if (context === 'preferred' || context === 'ignored') continue;
+    const years = Number(match[1]);
+    if (years > 0 && years < 40 && (min === null || years < min)) min = years;
+  }
+  return min;
+};
+
+const findSeniority = (title, minYears) => {
+  const level = SENIORITY_LEVELS.find((option) => option.pattern.test(title));
+  if (level) return level.id;
+  if (minYears === null) return '';
+  if (minYears < 2) return 'junior';
+  if (minYears < 5) return 'mid';
+  return 'senior';
+};
+
+const DEGREE_RE =
+  /\b(bachelor'?s?|master'?s?|ph\.?\s?d|doctorate|mba|degree|diploma|b\.s\.|m\.s\.|b\.a\.|bsc|msc|bs\/ms|ba\/bs)\b/i;
+
+const findEducation = (lines) =>
+  unique(
+    lines
+      .filter((line) => line.context !== 'ignored' && DEGREE_RE.test(line.text))
+      .map((line) => clip(cleanLine(line.text)))
+  );
+
+const LOCATION_TERMS = [
+  ['Remote', /\b(remote|work from home|wfh|distributed team)\b/i],
+  ['Hybrid', /\bhybrid\b/i],
+  ['On-site', /\b(on[- ]?site|in[- ]office|in[- ]person)\b/i],
+  ['Relocation', /\brelocat(e|ion)\b/i],
+  ['Visa sponsorship', /\bvisa sponsorship\b/i],
+];
+
+const TIMEZONE_RE = /\b(?:[ECMP][SD]?T|CET|CEST|GMT|UTC|IST)(?:\s?[+-]\s?\d{1,2})?\b/g;
+
+const findLocation = (lines) => {
+  const relevant = lines
+    .filter((line) => line.context !== 'ignored')
+    .map((line) => line.text)
+    .join('\n');
+  const terms = LOCATION_TERMS.filter(([, pattern]) => pattern.test(relevant)).map(([label]) => label);
+  const labelled = lines
+    .map((line) => line.text.match(/^\s*(?:location|based in|office)\s*[:\-–]\s*(.+)$/i))
+    .filter(Boolean)
+    .map((match) => clip(match[1].trim()));
+  const timezones = [...relevant.matchAll(TIMEZONE_RE)].map((match) => match[0].replace(/\s/g, ''));
+  return unique([...labelled, ...terms, ...timezones]);
+};
+
+// Required when any mention is in a required (or unlabelled) part of the
+// posting, preferred when every mention is in a nice-to-have part.
+const splitSkills = (text, lines) => {
+  const required = [];
+  const preferred = [];
+  extractJobKeywords(text).forEach((keyword) => {
+    // Time zones are location terms, not skills
+    if (new RegExp(`^(?:${TIMEZONE_RE.source})$`).test(keyword.term)) return;
+    const contexts = keyword.positions.map((position) => contextAt(lines, position.start));
+    if (contexts.every((context) => context === 'ignored')) return;
+    const relevant = contexts.filter((context) => context !== 'ignored');
+    if (relevant.every((context) => context === 'preferred')) preferred.push(keyword.term);
+    else required.push(keyword.term);
+  });
+  return { requiredSkills: unique(required), preferredSkills: unique(preferred) };
+};
+
+// --- Public API ---
+
+/** Empty requirements, for a job description with nothing detected. */
+export const emptyRequirements = () => ({
+  title: '',
+  seniority: '',
+  minYears: null,
+  requiredSkills: [],
+  preferredSkills: [],
+  education: [],
+  location: [],
+});
+
+/**
+ * Parses a job description into JobRequirements.
+ * @param {string} text
+ * @returns {JobRequirements}
+ */
+export const parseJobDescription = (text) => {
+  if (!text || !text.trim()) return emptyRequirements();
+  const lines = classifyLines(text);
+  const title = findTitle(lines);
+  const minYears = findMinYears(text, lines);
+
+  return {
+    title,
+    seniority: findSeniority(title, minYears),
+    minYears,
+    ...splitSkills(text, lines),
+    education: findEducation(lines),
+    location: findLocation(lines),
+  };
+};
+
+const stringList = (value) =>
+  unique(
+    (Array.isArray(value) ? value : [])
+      .filter((item) => typeof item === 'string')
+      .map((item) => clip(item.trim()))
+  ).slice(0, MAX_ITEMS);
+
+/**
+ * Coerces untrusted input (a request body, an imported file) into
+ * JobRequirements, dropping anything of the wrong type.
+ * @param {unknown} raw
+ * @returns {JobRequirements}
+ */
+export const normalizeRequirements = (raw) => {
+  const value = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const years = Number(value.minYears);
+  return {
+    title: typeof value.title === 'string' ? clip(value.title.trim()) : '',
+    seniority: SENIORITY_LEVELS.some((level) => level.id === value.seniority) ? value.seniority : '',
+    minYears: value.minYears !== null && Number.isFinite(years) && years >= 0 ? Math.min(Math.round(years), 50) : null,
+    requiredSkills: stringList(value.requiredSkills),
+    preferredSkills: stringList(value.preferredSkills),
+    education: stringList(value.education),
+    location: stringList(value.location),
+  };
+};
@@ -0,0 +1,458 @@
+// keywordMatcher.js
+// Deterministic keyword matching between a job description and a resume.
+// Runs entirely locally, so it gives the same answer for the same inputs
+// and works without an API key. Used next to the model's keyword score.
+
+// --- Vocabulary ---
+
+// Aliases that should count as the same term. Keys and values are
+// normalized (lowercase) forms; every alias maps to one canonical term.
+const SYNONYMS = {
+  js: 'javascript',
+  ecmascript: 'javascript',
+  es6: 'javascript',
+  ts: 'typescript',
+  node: 'node.js',
+  nodejs: 'node.js',
+  'node js': 'node.js',
+  react: 'react',
+  reactjs: 'react',
+  'react.js': 'react',
+  'react js': 'react',
+  vuejs: 'vue',
+  'vue.js': 'vue',
+  angularjs: 'angular',
+  'next.js': 'next.js',
+  nextjs: 'next.js',
+  postgres: 'postgresql',
+  psql: 'postgresql',
+  mongo: 'mongodb',
+  k8s: 'kubernetes',
+  golang: 'go',
+  py: 'python',
+  'c sharp': 'c#',
+  csharp: 'c#',
+  'c plus plus': 'c++',
+  cpp: 'c++',
+  dotnet: '.net',
+  'dot net': '.net',
+  gcp: 'google cloud',
+  'google cloud platform': 'google cloud',
+  aws: 'amazon web services',
+  azure: 'microsoft azure',
+  ml: 'machine learning',
+  ai: 'artificial intelligence',
+  nlp: 'natural language processing',
+  dl: 'deep learning',
+  'ci/cd': 'continuous integration',
+  ci: 'continuous integration',
+  cd: 'continuous delivery',
+  'continuous deployment': 'continuous delivery',
+  oop: 'object-oriented programming',
+  'object oriented programming': 'object-oriented programming',
+  'rest api': 'rest',
+  'restful api': 'rest',
+  restful: 'rest',
+  'rest apis': 'rest',
+  ux: 'user experience',
+  ui: 'user interface',
+  qa: 'quality assurance',
+  sql: 'sql',
+  nosql: 'nosql',
+  tdd: 'test-driven development',
+  'test driven development': 'test-driven development',
+  saas: 'software as a service',
+  sre: 'site reliability engineering',
+  kpi: 'key performance indicators',
+  kpis: 'key performance indicators',
+  crm: 'customer relationship management',
+  seo: 'search engine optimization',
+};
+
+// Single words that are meaningful skills on their own even though they
+// look like ordinary words or are very short.
+const KNOWN_TERMS = new Set([
+  'javascript', 'typescript', 'python', 'java', 'go', 'rust', 'ruby', 'php', 'scala', 'kotlin',
+  'swift', 'c', 'c++', 'c#', 'r', 'sql', 'nosql', 'graphql', 'html', 'css', 'sass', 'bash',
+  'react', 'angular', 'vue', 'svelte', 'redux', 'node.js', 'next.js', 'express', 'django',
+  'flask', 'spring', 'rails', '.net', 'laravel', 'tailwind', 'jquery',
+  'postgresql', 'mysql', 'mongodb', 'redis', 'elasticsearch', 'kafka', 'rabbitmq', 'dynamodb',
+  'snowflake', 'spark', 'hadoop', 'airflow', 'dbt', 'tableau', 'excel', 'power bi',
+  'docker', 'kubernetes', 'terraform', 'ansible', 'jenkins', 'git', 'github', 'gitlab', 'linux',
+  'amazon web services', 'google cloud', 'microsoft azure', 'serverless', 'microservices',
+  'rest', 'grpc', 'websockets', 'oauth', 'jwt',
+  'tensorflow', 'pytorch', 'pandas', 'numpy', 'scikit-learn', 'keras',
+  'machine learning', 'deep learning', 'artificial intelligence', 'natural language processing',
+  'computer vision', 'data analysis', 'data science', 'statistics',
+  'continuous integration', 'continuous delivery', 'test-driven development', 'unit testing',
+  'agile', 'scrum', 'kanban', 'jira', 'figma',
+  'leadership', 'communication', 'collaboration', 'mentoring', 'stakeholder management',
+  'problem solving', 'project management', 'product management',
+  'object-oriented programming', 'system design', 'distributed systems', 'security',
+  'accessibility', 'performance', 'user experience', 'user interface', 'quality assurance',
+  'site reliability engineering', 'software as a service', 'key performance indicators',
+  'customer relationship management', 'search engine optimization', 'salesforce',
+]);
+
+// Skills that are also ordinary words: "Go", "REST" and "Excel" are
+// skills, "go above and beyond", "the rest of the team" and "excel at" are
+// not. `forms` are the case-sensitive spellings that count; `context`
+// words have to sit right before or after the term instead.
+const AMBIGUOUS_TERMS = {
+  go: { forms: ['Go', 'GO'] },
+  r: { forms: ['R'] },
+  c: { forms: ['C'] },
+  excel: { forms: ['Excel', 'EXCEL'] },
+  rest: { forms: ['REST'] },
+  spring: { forms: ['Spring', 'SPRING'] },
+  swift: { forms: ['Swift', 'SWIFT'] },
+  rust: { forms: ['Rust', 'RUST'] },
+  express: { forms: ['Express'] },
+  performance: {
+    context: [
+      'web', 'application', 'app', 'frontend', 'backend', 'database', 'query', 'system', 'runtime',
+      'optimization', 'optimisation', 'tuning', 'testing', 'monitoring', 'engineering', 'profiling',
+    ],
+  },
+  security: {
+    context: [
+      'application', 'web', 'network', 'cloud', 'information', 'data', 'api', 'cyber', 'infrastructure',
+      'engineering', 'testing', 'audits', 'audit', 'compliance', 'clearance', 'best', 'practices',
+    ],
+  },
+  communication: { context: ['skills', 'written', 'verbal', 'oral', 'interpersonal', 'strong', 'excellent'] },
+};
+
+const STOPWORDS = new Set(
+  (
+    'a about above across after again against all also am an and any are as at be because been ' +
+    'before being below between both but by can could did do does doing down during each etc ' +
+    'few for from further had has have having he her here hers him his how i if in into is it ' +
+    'its itself just me more most my no nor not now of off on once only or other our ours out ' +
+    'over own same she should so some such than that the their theirs them then there these ' +
+    'they this those through to too under until up very was we were what when where which while ' +
+    'who whom why will with within without would you your yours ' +
+    // Job-posting filler that is never a real requirement
+    'ability able across apply applicant applicants candidate candidates company role position ' +
+    'job team teams work working years year experience experienced including include includes ' +
+    'strong excellent good great plus preferred required requirements responsibilities ' +
+    'qualifications skills skill knowledge understanding familiarity proficiency proficient ' +
+    'join looking seeking must nice etc e.g i.e new well highly across using use used help ' +
+    'opportunity environment ensure across within based per day days time related relevant ' +
+    'equivalent degree field bachelor master minimum least one two three four five several ' +
+    'benefits salary us we\'re you\'ll you\'re our offer cv resume pm'
+  ).split(/\s+/)
+);
+
+// --- Normalization ---
+
+// Light suffix-stripping stemmer: enough to match "develop / developing /
+// developed / developer" without a full Porter implementation.
+export const stem = (word) => {
+  if (word.length <= 4 || /[^a-z]/.test(word)) return word;
+  const rules = [
+    [/ies$/, 'y'],
+    [/ied$/, 'y'],
+    [/(ss)es$/, '$1'],
+    [/([^s])s$/, '$1'],
+    [/ment$/, ''],
+    [/ation$/, 'ate'],
+    [/ing$/, ''],
+    [/ed$/, ''],
+    [/er$/, ''],
+    [/ly$/, ''],
+  ];
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(word)) {
+      const stemmed = word.replace(pattern, replacement);
+      if (stemmed.length >= 3) return stemmed;
+    }
+  }
+  return word;
+};
+
+const canonical = (phrase) => SYNONYMS[phrase] || phrase;
+
+const termKey = (phrase) =>
+  canonical(phrase)
+    .split(' ')
+    .map((word) => stem(word))
+    .join(' ');
+
+const KNOWN_KEYS = new Set([...KNOWN_TERMS].map(termKey));
+const isKnown = (term) => KNOWN_KEYS.has(term.key) || KNOWN_TERMS.has(canonical(term.display.toLowerCase()));
+
+// Tokenizes text keeping tech punctuation (C++, C#, Node.js, CI/CD) and
+// remembering each token's character offset.
+const TOKEN_RE = /[A-Za-z0-9][A-Za-z0-9+#./-]*[A-Za-z0-9+#]|[A-Za-z+#]/g;
+
+const tokenize = (text) => {
+  const tokens = [];
+  let match;
+  TOKEN_RE.lastIndex = 0;
+  while ((match = TOKEN_RE.exec(text)) !== null) {
+    let word = match[0];
+    // Trailing sentence dots are not part of the token ("Python.")
+    while (word.endsWith('.') && !KNOWN_TERMS.has(word.toLowerCase())) word = word.slice(0, -1);
+    tokens.push({
+      raw: word,
+      lower: word.toLowerCase(),
+      start: match.index,
+      end: match.index + word.length,
+    });
+  }
+  return tokens;
+};
+
+// Whether the token at `index` is an AMBIGUOUS_TERMS skill as written. A
+// capitalized form that opens a sentence ("Go above and beyond") only
+// counts when a list word or no lowercase word follows it ("Go and
+// Python"), and "R&D" is never R. Unambiguous aliases ("Golang",
+// "RESTful") always count.
+const isSkillUse = (text, tokens, index) => {
+  const token = tokens[index];
+  const rule = AMBIGUOUS_TERMS[token.lower];
+  if (!rule) return true;
+
+  if (rule.context) {
+    const neighbours = [tokens[index - 1], tokens[index + 1]].filter(Boolean).map((other) => other.lower);
+    return neighbours.some((word) => rule.context.includes(word));
+  }
+
+  if (!rule.forms.includes(token.raw)) return false;
+  const before = text.slice(0, token.start);
+  const after = text.slice(token.end);
+  if (before.endsWith('&') || after.startsWith('&')) return false;
+  const opensSentence = /(^|[\n.!?•*-])\s*$/.test(before);
+  return !(opensSentence && /^\s+[a-z]/.test(after) && !/^\s+(and|or|with)\b/.test(after));
+};
+
+// "Amazon Web Services (AWS)" -> { aws: 'amazon web services' }
+const findAcronymDefinitions = (text) => {
+  const definitions = {};
+  const re = /((?:[A-Z][A-Za-z-]+\s+){1,5}[A-Z][A-Za-z-]+)\s*\(([A-Z][A-Za-z0-9&/]{1,9})\)/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    const words = match[1].trim().split(/\s+/);
+    const acronym = match[2];
+    const letters = acronym.replace(/[^A-Za-z]/g, '').toLowerCase();
+    // Use the last N words whose initials spell the acronym.
+    const candidate = words.slice(-letters.length);
+    const initials = candidate.map((w) => w[0].toLowerCase()).join('');
+    if (initials === letters) {
+      definitions[acronym.toLowerCase()] = candidate.join(' ').toLowerCase();
+    }
+  }
+  return definitions;
+};
+
+// Collects every candidate term (1–3 word n-grams) with its positions.
+const collectTerms = (text, acronyms) => {
+  const tokens = tokenize(text);
+  const terms = new Map();
+
+  const add = (key, display, start, end) => {
+    if (!terms.has(key)) terms.set(key, { key, display, positions: [] });
+    terms.get(key).positions.push({ start, end });
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    for (let n = 1; n <= 3 && i + n <= tokens.length; n++) {
+      const slice = tokens.slice(i, i + n);
+      if (n === 1 && !isSkillUse(text, tokens, i)) continue;
+      // n-grams never span sentence punctuation
+      const between = text.slice(slice[0].end, slice[n - 1].start);
+      if (n > 1 && /[,;:()\n•|]/.test(between)) break;
+
+      const phrase = slice.map((t) => t.lower).join(' ');
+      const expanded = acronyms[phrase] || phrase;
+      const key = termKey(expanded);
+      const display = n === 1 ? slice[0].raw : slice.map((t) => t.raw).join(' ');
+      add(key, display, slice[0].start, slice[n - 1].end);
+    }
+  }
+
+  return terms;
+};
+
+const isKeyword = (term, frequency) => {
+  const words = term.key.split(' ');
+  if (words.every((word) => STOPWORDS.has(word))) return false;
+  if (STOPWORDS.has(words[0]) || STOPWORDS.has(words[words.length - 1])) return false;
+
+  if (isKnown(term)) return true;
+
+  if (words.length === 1) {
+    const raw = term.display;
+    // Acronyms and tech-looking tokens: SQL, C++, Node.js, ISO27001
+    if (/^[A-Z0-9][A-Z0-9+#./-]{1,}$/.test(raw) && /[A-Z]/.test(raw)) return true;
+    if (/[+#.]/.test(raw) && /[a-z]/i.test(raw)) return true;
+    // Capitalized mid-sentence product names
+    if (/^[A-Z][a-z]+[A-Z]/.test(raw)) return true;
+    return false;
+  }
+
+  // Multi-word phrases have to repeat to count as requirements.
+  return frequency >= 2 && words.every((word) => word.length > 2);
+};
+
+// --- Public API ---
+
+/**
+ * @typedef {Object} KeywordHit
+ * @property {string} term           Display form from the job description
+ * @property {string} key            Normalized (canonical + stemmed) form
+ * @property {number} weight         Importance in the JD (occurrences, boosted for known skills)
+ * @property {boolean} required      False for nice-to-have skills from reviewed requirements
+ * @property {{start: number, end: number}[]} jdPositions
+ * @property {{start: number, end: number}[]} resumePositions
+ */
+
+/**
+ * @typedef {Object} KeywordMatchResult
+ * @property {number} score          0–100, weighted share of JD keywords found
+ * @property {KeywordHit[]} matched
+ * @property {KeywordHit[]} missing
+ * @property {number} totalKeywords
+ * @property {boolean} weighted      True when scored from reviewed requirements
+ */
+
+// Reviewed requirements count a required skill this many times as much as
+// a nice-to-have one.
+export const REQUIRED_WEIGHT = 3;
+export const PREFERRED_WEIGHT = 1;
+
+/**
+ * Extracts the keywords of a job description, ranked by importance.
+ * @returns {{ term: string, key: string, weight: number, positions: {start: number, end: number}[] }[]}
+ */
+export const extractJobKeywords = (jobDescription, { limit = 40 } = {}) => {
+  const acronyms = { ...findAcronymDefinitions(jobDescription) };
+  const terms = collectTerms(jobDescription, acronyms);
+
+  const keywords = [...terms.values()]
+    .filter((term) => isKeyword(term, term.positions.length))
+    .map((term) => {
+      return {
+        term: term.display,
+        key: term.key,
+        weight: term.positions.length + (isKnown(term) ? 2 : 0),
+        positions: term.positions,
+      };
+    });
+
+  // Drop single words already covered by a kept phrase ("learning" when
+  // "machine learning" is a keyword).
+  const phrases = keywords.filter((k) => k.key.includes(' '));
+  return keywords
+    .filter(
+      (k) =>
+        k.key.includes(' ') ||
+        KNOWN_KEYS.has(k.key) ||
+        !phrases.some((p) => p.key.split(' ').includes(k.key))
+    )
+    .sort((a, b) => b.weight - a.weight || a.positions[0].start - b.positions[0].start)
+    .slice(0, limit);
+};
+
+const phraseKey = (phrase, acronyms) => {
+  const lower = tokenize(phrase)
+    .map((token) => token.lower)
+    .join(' ');
+  return termKey(acronyms[lower] || lower);
+};
+
+/**
+ * Normalized form of a skill phrase ("JS" and "javascript" give the same
+ * key), comparable with KeywordHit.key.
+ * @param {string} phrase
+ * @returns {string}
+ */
+export const keywordKey = (phrase) => phraseKey(phrase, {});
+
+/**
+ * Every term (1–3 word phrase) of the text by normalized key, with how it
+ * is first written and how often it occurs. Acronyms the text defines are
+ * expanded.
+ * @param {string} text
+ * @returns {Map<string, { display: string, count: number }>}
+ */
+export const termIndex = (text) => {
+  const terms = collectTerms(text || '', findAcronymDefinitions(text || ''));
+  return new Map(
+    [...terms.values()].map((term) => [term.key, { display: term.display, count: term.positions.length }])
+  );
+};
+
+// Keywords from reviewed JobRequirements instead of the raw text. A skill
+// listed as both required and preferred counts as required.
+const requirementKeywords = (requirements, jobTerms, acronyms) => {
+  const keywords = new Map();
+  const add = (skill, required) => {
+    const key = phraseKey(skill, acronyms);
+    if (!key || keywords.has(key)) return;
+    keywords.set(key, {
+      term: skill,
+      key,
+      weight: required ? REQUIRED_WEIGHT : PREFERRED_WEIGHT,
+      required,
+      positions: jobTerms.get(key)?.positions || [],
+    });
+  };
+  requirements.requiredSkills.forEach((skill) => add(skill, true));
+  requirements.preferredSkills.forEach((skill) => add(skill, false));
+  return [...keywords.values()];
+};
+
+/**
+ * Matches job description keywords against the resume. With reviewed
+ * JobRequirements (see jobParser.js) the keywords are their skills, and
+ * required skills weigh more than preferred ones.
+ * @param {string} resumeText
+ * @param {string} jobDescription
+ * @param {import('./jobParser.js').JobRequirements|null} [requirements]
+ * @returns {KeywordMatchResult}
+ */
+export const matchKeywords = (resumeText, jobDescription, requirements = null) => {
+  const acronyms = {
+    ...findAcronymDefinitions(jobDescription || ''),
+    ...findAcronymDefinitions(resumeText || ''),
+  };
+  const weighted = Boolean(requirements?.requiredSkills.length || requirements?.preferredSkills.length);
+  const keywords = weighted
+    ? requirementKeywords(requirements, collectTerms(jobDescription || '', acronyms), acronyms)
+    : extractJobKeywords(jobDescription || '');
+  const resumeTerms = collectTerms(resumeText || '', acronyms);
+
+  const matched = [];
+  const missing = [];
+  let totalWeight = 0;
+  let matchedWeight = 0;
+
+  keywords.forEach((keyword) => {
+    const hit = resumeTerms.get(keyword.key);
+    const entry = {
+      term: keyword.term,
+      key: keyword.key,
+      weight: keyword.weight,
+      required: keyword.required ?? true,
+      jdPositions: keyword.positions,
+      resumePositions: hit ? hit.positions : [],
+    };
+    totalWeight += keyword.weight;
+    if (hit) {
+      matched.push(entry);
+      matchedWeight += keyword.weight;
+    } else {
+      missing.push(entry);
+    }
+  });
+
+  return {
+    score: totalWeight ? Math.round((matchedWeight / totalWeight) * 100) : 0,
+    matched,
+    missing,
+    totalKeywords: keywords.length,
+    weighted,
+  };
+};
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJobKeywords, keywordKey, matchKeywords } from './keywordMatcher.js';
+
+const keys = (keywords) => keywords.map((keyword) => keyword.key);
+const has = (keywords, term) => keys(keywords).includes(keywordKey(term));
+
+test('ordinary words that are also skills are not keywords', () => {
+  const jd = `We want people who go above and beyond and excel at problem solving.
+You will work with the rest of the team on R&D for our spring launch.
+Go above and beyond for customers. Excel at pace.
+Send your CV to us by 5 PM.`;
+  const found = extractJobKeywords(jd);
+
+  ['go', 'excel', 'rest', 'r', 'spring', 'computer vision', 'project management', 'cv', 'pm'].forEach((term) =>
+    assert.ok(!has(found, term), `"${term}" should not be a keyword`)
+  );
+});
+
+test('skills that look like ordinary words count in their tech form', () => {
+  const jd = `Requirements:
+- Go and Python
+- REST APIs, Excel and R
+- Spring Boot services in Java
+- Application security and performance tuning
+- Excellent communication skills`;
+  const found = extractJobKeywords(jd);
+
+  ['go', 'rest', 'excel', 'r', 'spring', 'security', 'performance', 'communication'].forEach((term) =>
+    assert.ok(has(found, term), `"${term}" should be a keyword`)
+  );
+});
+
+test('a resume only matches an ambiguous skill in its tech form', () => {
+  const jd = 'Requirements:\n- Go\n- REST APIs';
+  const casual = matchKeywords('I go the extra mile and rest on weekends.', jd);
+  const technical = matchKeywords('Built REST services in Go.', jd);
+
+  assert.deepEqual(keys(casual.matched), []);
+  assert.ok(has(technical.matched, 'go') && has(technical.matched, 'rest'));
+});
+
+test('unambiguous aliases of an ambiguous skill always match', () => {
+  const golang = matchKeywords('Built services in Golang.', 'Must know Go.');
+  const restful = matchKeywords('Wrote Restful services', 'Experience with REST APIs');
+
+  assert.ok(has(golang.matched, 'go') && golang.missing.length === 0);
+  assert.ok(has(restful.matched, 'rest') && restful.missing.length === 0);
+});
+
+test('aliases still match', () => {
+  const result = matchKeywords(
+    'Shipped JS and k8s tooling',
+    'Requirements: JavaScript, Kubernetes, JavaScript, Kubernetes'
+  );
+
+  assert.ok(has(result.matched, 'javascript') && has(result.matched, 'kubernetes'));
+  assert.equal(result.score, 100);
+});
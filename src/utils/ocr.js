@@ -0,0 +1,87 @@
+// ocr.js
+// Offline OCR for scanned (image-only) PDF pages. Pages are rendered with
+// pdf.js onto a canvas and read with tesseract.js. The worker, wasm core and
+// English model are all served from our own bundle, so nothing is fetched
+// from a CDN at runtime.
+import tesseractWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCoreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+
+// Emitted by the ocrLangData plugin in vite.config.js
+const LANG_PATH = `${import.meta.env.BASE_URL}tesseract`;
+
+// pdf.js renders at 72 DPI for scale 1; ~200 DPI is the sweet spot for
+// tesseract accuracy vs. speed on letter/A4 resumes.
+const RENDER_SCALE = 2.8;
+
+const renderPageToCanvas = async (page) => {
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+
+  const context = canvas.getContext('2d');
+  // Scans with transparent backgrounds OCR badly; paint white first.
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  return canvas;
+};
+
+/**
+ * Runs OCR over the given pdf.js pages (1-based page numbers).
+ *
+ * `onProgress({ page, pageIndex, pageCount, progress, status })` is called
+ * as each page is rendered and recognized; `progress` is 0–1 for that page.
+ *
+ * Resolves to `{ [pageNumber]: { text, confidence } }` where confidence is
+ * tesseract's mean word confidence (0–100).
+ */
+export const ocrPdfPages = async (pdf, pageNumbers, { onProgress } = {}) => {
+  const { createWorker, OEM } = await import('tesseract.js');
+
+  let current = null;
+  const report = (progress, status) => {
+    if (!current || !onProgress) return;
+    onProgress({ ...current, progress, status });
+  };
+
+  const worker = await createWorker('eng', OEM.LSTM_ONLY, {
+    workerPath: tesseractWorkerUrl,
+    corePath: tesseractCoreUrl,
+    langPath: LANG_PATH,
+    logger: (message) => {
+      if (message.status === 'recognizing text') {
+        report(0.2 + message.progress * 0.8, 'recognizing');
+      }
+    },
+  });
+
+  const results = {};
+
+  try {
+    for (let i = 0; i < pageNumbers.length; i++) {
+      const pageNumber = pageNumbers[i];
+      current = { page: pageNumber, pageIndex: i, pageCount: pageNumbers.length };
+      report(0, 'rendering');
+
+      const page = await pdf.getPage(pageNumber);
+      const canvas = await renderPageToCanvas(page);
+      report(0.2, 'recognizing');
+
+      const { data } = await worker.recognize(canvas);
+      results[pageNumber] = {
+        text: (data.text || '').replace(/\n{3,}/g, '\n\n').trim(),
+        confidence: Math.round(data.confidence || 0),
+      };
+
+      report(1, 'done');
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return results;
+};
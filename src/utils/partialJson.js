@@ -0,0 +1,157 @@
+// partialJson.js
+// Tolerant parser for JSON that is still being streamed. Returns whatever
+// the text describes so far: open objects/arrays are closed, a string that
+// is still being written is kept as-is, and values that cannot be trusted
+// yet (a half-written number, key or literal) are left out.
+
+const WHITESPACE = /\s/;
+const NUMBER_RE = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const LITERALS = { true: true, false: false, null: null };
+
+const createParser = (text, start) => {
+  let i = start;
+  // Set once the input runs out; every caller then returns what it has.
+  let ended = false;
+
+  const fail = () => {
+    throw new Error(`Unexpected "${text[i]}" at position ${i}`);
+  };
+
+  const skipWhitespace = () => {
+    while (i < text.length && WHITESPACE.test(text[i])) i++;
+    if (i >= text.length) ended = true;
+  };
+
+  const parseString = (allowPartial) => {
+    let out = '';
+    i++; // opening quote
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '"') {
+        i++;
+        return out;
+      }
+      if (ch === '\\') {
+        const next = text[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = text.slice(i + 2, i + 6);
+          if (hex.length < 4) break;
+          out += String.fromCharCode(parseInt(hex, 16));
+          i += 6;
+        } else {
+          out += ESCAPES[next] ?? next;
+          i += 2;
+        }
+        continue;
+      }
+      out += ch;
+      i++;
+    }
+    ended = true;
+    return allowPartial ? out : undefined;
+  };
+
+  const parseNumber = () => {
+    NUMBER_RE.lastIndex = i;
+    const match = NUMBER_RE.exec(text);
+    if (!match) fail();
+    i += match[0].length;
+    // "8" may still become "85"
+    if (i >= text.length) {
+      ended = true;
+      return undefined;
+    }
+    return Number(match[0]);
+  };
+
+  const parseLiteral = () => {
+    for (const [word, value] of Object.entries(LITERALS)) {
+      if (text.startsWith(word, i)) {
+        i += word.length;
+        return value;
+      }
+      if (word.startsWith(text.slice(i))) {
+        ended = true;
+        return undefined;
+      }
+    }
+    return fail();
+  };
+
+  const parseArray = () => {
+    const out = [];
+    i++;
+    while (true) {
+      skipWhitespace();
+      if (ended) return out;
+      if (text[i] === ']') {
+        i++;
+        return out;
+      }
+      const value = parseValue();
+      if (value !== undefined) out.push(value);
+      skipWhitespace();
+      if (ended) return out;
+      if (text[i] === ',') i++;
+      else if (text[i] !== ']') fail();
+    }
+  };
+
+  const parseObject = () => {
+    const out = {};
+    i++;
+    while (true) {
+      skipWhitespace();
+      if (ended) return out;
+      if (text[i] === '}') {
+        i++;
+        return out;
+      }
+      if (text[i] !== '"') fail();
+      const key = parseString(false);
+      if (ended) return out;
+      skipWhitespace();
+      if (ended) return out;
+      if (text[i] !== ':') fail();
+      i++;
+      skipWhitespace();
+      if (ended) return out;
+      const value = parseValue();
+      if (value !== undefined) out[key] = value;
+      skipWhitespace();
+      if (ended) return out;
+      if (text[i] === ',') i++;
+      else if (text[i] !== '}') fail();
+    }
+  };
+
+  const parseValue = () => {
+    const ch = text[i];
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+    if (ch === '"') return parseString(true);
+    if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber();
+    return parseLiteral();
+  };
+
+  return parseValue;
+};
+
+/**
+ * Parses the JSON object a model has streamed so far. Leading prose or a
+ * Markdown fence before the first `{` is ignored. Returns `null` when no
+ * object has started yet or the text is not JSON.
+ */
+export const parsePartialJSON = (text) => {
+  if (typeof text !== 'string') return null;
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  try {
+    return createParser(text, start)() ?? null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,213 @@
+// pdfExport.js
+// Writes the resume as a single-column PDF with pdf-lib. Only the
+// standard PDF fonts and real text are used (no images, tables or text
+// boxes), so ATS parsers and our own pdfText extractor read it in order.
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { buildResumeLayout, exportTitle, getExportTemplate } from './resumeLayout.js';
+
+// US Letter, 0.75in margins
+export const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+export const MARGIN = 54;
+export const LINE_HEIGHT = 1.3;
+const BULLET = '•';
+
+const FONT_FAMILIES = {
+  serif: {
+    regular: StandardFonts.TimesRoman,
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+  },
+  sans: {
+    regular: StandardFonts.Helvetica,
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+  },
+};
+
+export const TEXT_COLOR = rgb(0.1, 0.1, 0.1);
+export const MUTED_COLOR = rgb(0.35, 0.35, 0.35);
+
+// ASCII stand-ins for symbols resumes use that WinAnsi lacks.
+const FALLBACKS = { '→': '->', '←': '<-', '≥': '>=', '≤': '<=', '✓': '-', '✔': '-', '★': '*', '●': '•', '▪': '•' };
+
+// The standard fonts only cover WinAnsi (Latin-1 plus typographic quotes
+// and dashes). Accented letters outside it lose their accent; anything
+// else becomes "?" rather than failing the whole export.
+const toWinAnsi = (text, charset) =>
+  Array.from(text.replace(/\t/g, ' '))
+    .map((ch) => {
+      if (charset.has(ch.codePointAt(0))) return ch;
+      if (FALLBACKS[ch]) return FALLBACKS[ch];
+      const base = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      return base && Array.from(base).every((c) => charset.has(c.codePointAt(0))) ? base : '?';
+    })
+    .join('');
+
+// Greedy word wrap; words longer than a line are broken by character.
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  let current = '';
+
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+    if (current) lines.push(current);
+    current = word;
+    while (font.widthOfTextAtSize(current, size) > maxWidth && current.length > 1) {
+      let cut = current.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(current.slice(0, cut), size) > maxWidth) cut--;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+};
+
+/** Embeds the regular, bold and italic standard fonts of 'serif' or 'sans'. */
+export const embedFontFamily = async (pdf, name) => {
+  const family = FONT_FAMILIES[name];
+  return {
+    regular: await pdf.embedFont(family.regular),
+    bold: await pdf.embedFont(family.bold),
+    italic: await pdf.embedFont(family.italic),
+  };
+};
+
+/**
+ * Draws text top to bottom, starting a new page when one fills up. Shared
+ * by the resume export and the analysis report.
+ */
+export const createPdfWriter = (pdf, fonts) => {
+  const charset = new Set(fonts.regular.getCharacterSet());
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  newPage();
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) newPage();
+  };
+
+  const line = (text, { font, size, color = TEXT_COLOR, x = MARGIN, align = 'left' }) => {
+    ensureSpace(size * LINE_HEIGHT);
+    const drawX = align === 'center' ? (PAGE_WIDTH - font.widthOfTextAtSize(text, size)) / 2 : x;
+    y -= size;
+    page.drawText(text, { x: drawX, y, size, font, color });
+    y -= size * (LINE_HEIGHT - 1);
+  };
+
+  const paragraph = (text, { font, size, indent = 0, hanging = 0, ...options }) => {
+    const width = PAGE_WIDTH - 2 * MARGIN - indent - hanging;
+    wrapText(toWinAnsi(text, charset), font, size, width).forEach((wrapped, index) => {
+      line(wrapped, { font, size, x: MARGIN + indent + (index ? hanging : 0), ...options });
+    });
+  };
+
+  const bullet = (text, { font, size, ...options }) =>
+    paragraph(`${BULLET} ${text}`, {
+      font,
+      size,
+      indent: size * 0.8,
+      hanging: font.widthOfTextAtSize(`${BULLET} `, size),
+      ...options,
+    });
+
+  return {
+    paragraph,
+    bullet,
+    gap: (height) => {
+      y -= height;
+    },
+    ensureSpace,
+    rule: (color) => {
+      page.drawLine({
+        start: { x: MARGIN, y: y + 2 },
+        end: { x: PAGE_WIDTH - MARGIN, y: y + 2 },
+        thickness: 0.6,
+        color,
+      });
+    },
+  };
+};
+
+/**
+ * Renders a layout (a resume or cover letter) as a PDF using one of
+ * EXPORT_TEMPLATES.
+ * @param {import('./resumeLayout.js').ResumeLayout} layout
+ * @param {string} [templateId]
+ * @returns {Promise<Uint8Array>}
+ */
+export const exportLayoutPdf = async (layout, templateId) => {
+  const template = getExportTemplate(templateId);
+  const pdf = await PDFDocument.create();
+
+  const fonts = await embedFontFamily(pdf, template.font);
+  const accent = rgb(...template.accent);
+  const size = template.baseSize;
+  const writer = createPdfWriter(pdf, fonts);
+
+  // --- Header ---
+  const align = template.headerAlign;
+  if (layout.name) {
+    writer.paragraph(layout.name, { font: fonts.bold, size: template.nameSize, color: accent, align });
+  }
+  layout.headline.forEach((headline) => {
+    writer.paragraph(headline, { font: fonts.regular, size: size + 1, align });
+  });
+  if (layout.contact.length) {
+    writer.paragraph(layout.contact.join(' | '), { font: fonts.regular, size, color: MUTED_COLOR, align });
+  }
+
+  // --- Sections ---
+  layout.sections.forEach((section) => {
+    writer.gap(size * 0.9);
+    if (section.heading) {
+      // Keep a heading on the same page as its first lines
+      writer.ensureSpace(template.headingSize * LINE_HEIGHT + size * LINE_HEIGHT * 2);
+      const heading = template.upperHeadings ? section.heading.toUpperCase() : section.heading;
+      writer.paragraph(heading, { font: fonts.bold, size: template.headingSize, color: accent });
+      if (template.headingRule) writer.rule(accent);
+      writer.gap(size * 0.3);
+    }
+
+    section.blocks.forEach((block, index) => {
+      if (block.kind === 'entry') {
+        if (index > 0) writer.gap(size * 0.5);
+        writer.ensureSpace(size * LINE_HEIGHT * 3);
+        writer.paragraph(block.text, { font: fonts.bold, size });
+      } else if (block.kind === 'meta') {
+        writer.paragraph(block.text, { font: fonts.italic, size: size - 0.5, color: MUTED_COLOR });
+      } else if (block.kind === 'bullet') {
+        writer.bullet(block.text, { font: fonts.regular, size });
+      } else if (block.kind === 'paragraph') {
+        writer.paragraph(block.text, { font: fonts.regular, size });
+        writer.gap(size * LINE_HEIGHT);
+      } else {
+        writer.paragraph(block.text, { font: fonts.regular, size });
+      }
+    });
+  });
+
+  pdf.setTitle(exportTitle(layout));
+  if (layout.name) pdf.setAuthor(layout.name);
+  pdf.setCreator('MatchMy Resume');
+
+  return pdf.save();
+};
+
+/**
+ * Renders resume text as a PDF using one of EXPORT_TEMPLATES.
+ * @param {string} text
+ * @param {string} [templateId]
+ * @returns {Promise<Uint8Array>}
+ */
+export const exportResumePdf = (text, templateId) => exportLayoutPdf(buildResumeLayout(text), templateId);
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pdfjsLib from 'pdfjs-dist/legacy/build/pdf.js';
+import { EXPORT_TEMPLATES } from './resumeLayout.js';
+import { exportResumePdf } from './pdfExport.js';
+import { reconstructPageText } from './pdfLayout.js';
+
+const RESUME = `Jane Doe
+Senior Frontend Engineer
+jane@example.com | (555) 123-4567 | linkedin.com/in/janedoe
+
+SUMMARY
+Frontend engineer with eight years of experience building React applications.
+
+EXPERIENCE
+Senior Engineer
+Acme Corp | Jan 2020 – Present
+• Led the migration of 40 services to Kubernetes, cutting deploy times by 60%
+• Built React dashboards used by 10,000 customers every day
+Engineer
+Globex | 2016 – 2019
+• Wrote the Node.js billing API
+
+EDUCATION
+B.S. Computer Science, State University, 2016
+
+SKILLS
+React, TypeScript, Node.js, Kubernetes`;
+
+// Reads the PDF back the way an upload does: text items from pdf.js, then
+// the layout reconstruction
+const readBack = async (data) => {
+  const pdf = await pdfjsLib.getDocument({ data, verbosity: pdfjsLib.VerbosityLevel.ERRORS }).promise;
+  try {
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const content = await page.getTextContent();
+      pages.push(reconstructPageText(content.items, page.getViewport({ scale: 1 }).width));
+    }
+    return pages.join('\n\n');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+const inOrder = (text, parts) => {
+  let from = 0;
+  parts.forEach((part) => {
+    const at = text.indexOf(part, from);
+    assert.ok(at >= 0, `"${part}" is missing or out of order in:\n${text}`);
+    from = at + part.length;
+  });
+};
+
+EXPORT_TEMPLATES.forEach((template) => {
+  test(`the ${template.id} PDF reads back with its headings and bullets in order`, async () => {
+    const text = await readBack(await exportResumePdf(RESUME, template.id));
+
+    inOrder(text.toUpperCase(), ['SUMMARY', 'EXPERIENCE', 'EDUCATION', 'SKILLS']);
+    inOrder(text, [
+      'Jane Doe',
+      'Senior Engineer',
+      '• Led the migration of 40 services to Kubernetes, cutting deploy times by 60%',
+      '• Built React dashboards used by 10,000 customers every day',
+      'Globex',
+      '• Wrote the Node.js billing API',
+      'React, TypeScript, Node.js, Kubernetes',
+    ]);
+  });
+});
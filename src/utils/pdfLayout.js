@@ -0,0 +1,318 @@
+// pdfLayout.js
+// Layout-aware text reconstruction for PDF resumes. pdf.js hands us loose
+// text items with positions; joining them with spaces scrambles columns and
+// loses line breaks, so we rebuild lines, columns and reading order here.
+// Works on plain `getTextContent()` items, so it has no pdf.js dependency.
+
+// Glyphs resumes commonly use as bullets, including the Symbol/Wingdings
+// private-use code points Word emits.
+const BULLET_RE =
+  /^\s*(?:[•●○◦▪■□▫‣⁃∙·►▸➢➤✓✔★*]|[\uf0a7\uf0b7\uf076\uf0d8\uf0fc\uf06e\uf0a8]|[-–—](?=\s))\s*/;
+
+// --- Geometry helpers ---
+const itemX = (item) => item.transform[4];
+const itemY = (item) => item.transform[5];
+const itemSize = (item) =>
+  Math.abs(item.height) ||
+  Math.hypot(item.transform[2], item.transform[3]) ||
+  10;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Groups items into horizontal fragments in content-stream order. A new
+// fragment starts when pdf.js marks an end of line (hasEOL), the baseline
+// moves, or the pen jumps backwards / far to the right (another column).
+const buildFragments = (items) => {
+  const fragments = [];
+  let current = null;
+  let breakPending = false;
+
+  items.forEach((item) => {
+    const hasText = item.str && item.str.length > 0;
+
+    if (hasText) {
+      const x = itemX(item);
+      const y = itemY(item);
+      const size = itemSize(item);
+      const end = x + (item.width || 0);
+
+      const startsNew =
+        !current ||
+        breakPending ||
+        Math.abs(y - current.y) > current.size * 0.5 ||
+        x < current.xMax - size ||
+        x - current.xMax > size * 4;
+
+      if (startsNew) {
+        current = { items: [], y, size, xMin: x, xMax: end };
+        fragments.push(current);
+      }
+
+      current.items.push(item);
+      current.xMin = Math.min(current.xMin, x);
+      current.xMax = Math.max(current.xMax, end);
+      current.size = Math.max(current.size, size);
+      breakPending = false;
+    }
+
+    if (item.hasEOL) breakPending = true;
+  });
+
+  return fragments;
+};
+
+// Joins the items of one visual line, inserting spaces only where the
+// horizontal gap between glyph runs is wide enough to be a word break.
+const lineText = (items) => {
+  const sorted = [...items].sort((a, b) => itemX(a) - itemX(b));
+  let out = '';
+  let prevEnd = null;
+
+  sorted.forEach((item) => {
+    const x = itemX(item);
+    if (prevEnd !== null) {
+      const gap = x - prevEnd;
+      const needsSpace =
+        gap > itemSize(item) * 0.15 && !/\s$/.test(out) && !/^\s/.test(item.str);
+      if (needsSpace) out += ' ';
+    }
+    out += item.str;
+    prevEnd = x + (item.width || 0);
+  });
+
+  return out.replace(/\s+/g, ' ').trim();
+};
+
+// Looks for a vertical gutter that splits the page into two text columns.
+// Right-aligned dates next to job titles also leave a gap, so we only
+// accept a gutter when the right side is a left-aligned block of text.
+const findGutter = (fragments, pageWidth) => {
+  if (fragments.length < 8 || !pageWidth) return null;
+
+  let best = null;
+  const allowedCrossings = Math.max(1, Math.floor(fragments.length * 0.15));
+
+  for (let g = pageWidth * 0.2; g <= pageWidth * 0.8; g += 2) {
+    let left = 0;
+    let right = 0;
+    let crossing = 0;
+    const rightStarts = [];
+
+    fragments.forEach((f) => {
+      if (f.xMax <= g) left += 1;
+      else if (f.xMin >= g) {
+        right += 1;
+        rightStarts.push(f.xMin);
+      } else crossing += 1;
+    });
+
+    if (crossing > allowedCrossings || left < 4 || right < 4) continue;
+
+    const anchor = median(rightStarts);
+    const aligned = rightStarts.filter((x) => Math.abs(x - anchor) < 4).length;
+    if (aligned / right < 0.6) continue;
+
+    const score = Math.min(left, right) - crossing * 2;
+    if (!best || score > best.score) best = { anchor, score };
+  }
+
+  // Snap the gutter to the right column's left edge so centred headings
+  // over both columns are treated as full-width rather than right-column.
+  return best ? best.anchor - 2 : null;
+};
+
+// Merges fragments sharing a baseline into lines, top to bottom.
+const fragmentsToLines = (fragments) => {
+  const sorted = [...fragments].sort((a, b) => b.y - a.y || a.xMin - b.xMin);
+  const lines = [];
+
+  sorted.forEach((f) => {
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(last.y - f.y) <= Math.min(last.size, f.size) * 0.5) {
+      last.items.push(...f.items);
+      last.size = Math.max(last.size, f.size);
+    } else {
+      lines.push({ y: f.y, size: f.size, items: [...f.items] });
+    }
+  });
+
+  return lines.map((line) => ({
+    y: line.y,
+    size: line.size,
+    text: lineText(line.items),
+  }));
+};
+
+// Puts blank lines between paragraphs based on vertical spacing.
+const linesToText = (lines) => {
+  const gaps = [];
+  for (let i = 1; i < lines.length; i++) gaps.push(lines[i - 1].y - lines[i].y);
+  const typicalGap = median(gaps.filter((gap) => gap > 0));
+
+  const out = [];
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      const gap = lines[i - 1].y - line.y;
+      if (typicalGap && gap > typicalGap * 1.6) out.push('');
+    }
+    if (line.text) out.push(line.text);
+  });
+  return out;
+};
+
+// Normalizes bullet glyphs and rejoins words hyphenated across lines.
+const cleanLines = (lines) => {
+  const out = [];
+
+  lines.forEach((raw) => {
+    let line = raw;
+    if (BULLET_RE.test(line) && line.replace(BULLET_RE, '').length > 0) {
+      line = `• ${line.replace(BULLET_RE, '')}`;
+    }
+
+    const prev = out[out.length - 1];
+    const startsLower = /^[a-z]/.test(line);
+    // "manage-" + "ment" -> "management"; also handles soft hyphens.
+    if (prev && startsLower && /(?:[a-z]-|[A-Za-z]\u00ad)$/.test(prev)) {
+      out[out.length - 1] = prev.slice(0, -1) + line;
+      return;
+    }
+
+    out.push(line);
+  });
+
+  return out;
+};
+
+// Lines of one column that sit above the other column's first line (a
+// name or title placed over one side) are read before both columns.
+const splitBlock = ({ left, right }) => {
+  if (!left.length || !right.length) return [left, right];
+
+  const top = (group) => Math.max(...group.map((f) => f.y));
+  const leftTop = top(left);
+  const rightTop = top(right);
+  const [higher, lower, lowerTop] =
+    leftTop >= rightTop ? [left, right, rightTop] : [right, left, leftTop];
+
+  const above = higher.filter((f) => f.y > lowerTop + f.size * 0.5);
+  const rest = higher.filter((f) => !above.includes(f));
+  const columns = higher === left ? [rest, lower] : [lower, rest];
+  return [above, ...columns];
+};
+
+// Rows with this many separate fragments whose left edges line up over
+// this many rows are read as a table.
+const TABLE_MIN_COLUMNS = 3;
+const TABLE_MIN_ROWS = 3;
+
+// Left edges of the cells in one row. pdf.js bridges wide gaps with a
+// whitespace item, so cells are split on gaps between non-blank items.
+const cellStarts = (items) => {
+  const starts = [];
+  let prevEnd = null;
+  items
+    .filter((item) => item.str && item.str.trim())
+    .sort((a, b) => itemX(a) - itemX(b))
+    .forEach((item) => {
+      const x = itemX(item);
+      if (prevEnd === null || x - prevEnd > itemSize(item) * 2) starts.push(x);
+      prevEnd = Math.max(prevEnd ?? x, x + (item.width || 0));
+    });
+  return starts;
+};
+
+const countTableRows = (fragments) => {
+  const sorted = [...fragments].sort((a, b) => b.y - a.y || a.xMin - b.xMin);
+  const rows = [];
+  sorted.forEach((f) => {
+    const last = rows[rows.length - 1];
+    if (last && Math.abs(last.y - f.y) <= f.size * 0.5) last.items.push(...f.items);
+    else rows.push({ y: f.y, items: [...f.items] });
+  });
+
+  const layouts = {};
+  rows.forEach((row) => {
+    const starts = cellStarts(row.items);
+    if (starts.length < TABLE_MIN_COLUMNS) return;
+    const key = starts.map((x) => Math.round(x / 6)).join(',');
+    layouts[key] = (layouts[key] || 0) + 1;
+  });
+
+  return Object.values(layouts)
+    .filter((count) => count >= TABLE_MIN_ROWS)
+    .reduce((sum, count) => sum + count, 0);
+};
+
+// --- Public API ---
+
+/**
+ * Describes the layout of one page from its `getTextContent()` items:
+ * `{ multiColumn, tableRows }`.
+ */
+export const inspectPageLayout = (items, pageWidth) => {
+  const fragments = buildFragments(items || []);
+  return {
+    multiColumn: findGutter(fragments, pageWidth) !== null,
+    tableRows: countTableRows(fragments),
+  };
+};
+
+/**
+ * Rebuilds readable text for one page from pdf.js `getTextContent()`
+ * items. `pageWidth` comes from the page viewport and is used for column
+ * detection.
+ */
+export const reconstructPageText = (items, pageWidth) => {
+  const fragments = buildFragments(items || []);
+  if (!fragments.length) return '';
+
+  const gutter = findGutter(fragments, pageWidth);
+  let lines;
+
+  if (gutter === null) {
+    lines = linesToText(fragmentsToLines(fragments));
+  } else {
+    // Walk the page top to bottom. Full-width fragments (name, section
+    // rules, footers) break the page into blocks; inside each block the
+    // left column is read before the right one.
+    const ordered = [...fragments].sort((a, b) => b.y - a.y);
+    const blocks = [];
+    let block = null;
+
+    ordered.forEach((f) => {
+      const spans = f.xMin < gutter && f.xMax > gutter;
+      if (spans) {
+        const last = blocks[blocks.length - 1];
+        if (last?.spanning) last.spanning.push(f);
+        else blocks.push({ spanning: [f] });
+        block = null;
+        return;
+      }
+      if (!block) {
+        block = { left: [], right: [] };
+        blocks.push(block);
+      }
+      (f.xMax <= gutter ? block.left : block.right).push(f);
+    });
+
+    lines = [];
+    blocks.forEach((b) => {
+      const groups = b.spanning ? [b.spanning] : splitBlock(b);
+      groups.forEach((group) => {
+        if (!group.length) return;
+        if (lines.length) lines.push('');
+        lines.push(...linesToText(fragmentsToLines(group)));
+      });
+    });
+  }
+
+  return cleanLines(lines)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
@@ -0,0 +1,121 @@
+// pdfText.js
+// Reads PDF resumes with pdf.js: the text of every page (rebuilt by
+// pdfLayout.js), what an ATS would struggle with, and OCR for pages
+// without a text layer.
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfjsWorker from 'pdfjs-dist/build/pdf.worker?url';
+import { inspectPageLayout, reconstructPageText } from './pdfLayout.js';
+
+// Configure pdf.js worker for Vite
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
+
+// pdf.js operators that draw raster images.
+const IMAGE_OPS = new Set(
+  [
+    pdfjsLib.OPS.paintImageXObject,
+    pdfjsLib.OPS.paintInlineImageXObject,
+    pdfjsLib.OPS.paintImageXObjectRepeat,
+    pdfjsLib.OPS.paintJpegXObject,
+  ].filter((op) => op !== undefined)
+);
+
+// Counts images and collects font names from the page's drawing operators.
+// Font names lose their subset prefix ("ABCDEF+Calibri-Bold" -> "Calibri-Bold").
+const inspectOperators = async (page) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  let imageCount = 0;
+  const fonts = new Set();
+
+  fnArray.forEach((fn, i) => {
+    if (IMAGE_OPS.has(fn)) imageCount += 1;
+    if (fn === pdfjsLib.OPS.setFont) {
+      const id = argsArray[i][0];
+      const font = page.commonObjs.has(id) ? page.commonObjs.get(id) : null;
+      if (font?.name) fonts.add(font.name.replace(/^[A-Z]{6}\+/, ''));
+    }
+  });
+
+  return { imageCount, fonts: [...fonts] };
+};
+
+// --- Public API ---
+
+// Pages with less real text than this are treated as scanned images.
+const MIN_TEXT_CHARS = 20;
+
+/**
+ * Loads a PDF from an ArrayBuffer / typed array and returns the
+ * reconstructed text of every page, separated by blank lines.
+ *
+ * Pages without a usable text layer are run through offline OCR. The
+ * result reports which pages were OCR'd and the mean OCR confidence
+ * (0–100, or null when no OCR was needed). `onProgress` receives the
+ * per-page OCR progress events from `ocrPdfPages`.
+ *
+ * `layout` summarizes what an ATS would struggle with:
+ * `{ multiColumnPages, tablePages, imageCount, fonts }`.
+ */
+export const extractPdfText = async (data, { onProgress } = {}) => {
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  try {
+    const pages = [];
+    const scannedPages = [];
+    const layout = { multiColumnPages: [], tablePages: [], imageCount: 0, fonts: [] };
+    const fonts = new Set();
+
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const { width } = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      const text = reconstructPageText(content.items, width);
+
+      pages.push(text);
+      if (text.replace(/\s/g, '').length < MIN_TEXT_CHARS) {
+        scannedPages.push(pageNum);
+      }
+
+      const { multiColumn, tableRows } = inspectPageLayout(content.items, width);
+      if (multiColumn) layout.multiColumnPages.push(pageNum);
+      if (tableRows) layout.tablePages.push(pageNum);
+
+      try {
+        const operators = await inspectOperators(page);
+        layout.imageCount += operators.imageCount;
+        operators.fonts.forEach((font) => fonts.add(font));
+      } catch (err) {
+        // Layout details are advisory; never fail the upload over them.
+        console.warn(`Could not inspect page ${pageNum} operators:`, err);
+      }
+    }
+    layout.fonts = [...fonts];
+
+    let ocrConfidence = null;
+
+    if (scannedPages.length) {
+      const { ocrPdfPages } = await import('./ocr.js');
+      const results = await ocrPdfPages(pdf, scannedPages, { onProgress });
+
+      let weighted = 0;
+      let totalChars = 0;
+      scannedPages.forEach((pageNum) => {
+        const result = results[pageNum];
+        if (!result?.text) return;
+        pages[pageNum - 1] = result.text;
+        weighted += result.confidence * result.text.length;
+        totalChars += result.text.length;
+      });
+      ocrConfidence = totalChars ? Math.round(weighted / totalChars) : 0;
+    }
+
+    return {
+      text: pages.filter(Boolean).join('\n\n').trim(),
+      pageCount: pdf.numPages,
+      ocrPages: scannedPages,
+      ocrConfidence,
+      layout,
+    };
+  } finally {
+    // Frees the parsed document and the OCR page renders
+    await pdf.destroy();
+  }
+};
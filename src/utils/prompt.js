@@ -0,0 +1,133 @@
+// prompt.js
+// Builds the analysis prompt sent to the model. The resume goes in as
+// written, so the model can quote lines for suggested edits that the
+// editor then finds verbatim; long resumes are shortened section by
+// section instead of being cut off mid-sentence.
+import { segmentSections } from './resumeParser.js';
+
+const RESUME_BUDGET = 10000;
+const JOB_DESCRIPTION_BUDGET = 5000;
+
+// Cuts a block at the last full line that fits.
+const truncateBlock = (block, budget) => {
+  if (block.length <= budget) return block;
+  const cut = block.slice(0, budget);
+  const lastBreak = cut.lastIndexOf('\n');
+  return `${lastBreak > 0 ? cut.slice(0, lastBreak) : cut}\n[...truncated]`;
+};
+
+// Sections kept first when the resume has to be shortened.
+const SECTION_PRIORITY = [
+  'header',
+  'experience',
+  'skills',
+  'summary',
+  'education',
+  'certifications',
+  'projects',
+  'other',
+];
+
+/**
+ * The resume text for the model, keeping the most relevant sections when
+ * it exceeds `budget` characters. Lines are never reworded: sections are
+ * dropped or cut at a line break and the rest stay in resume order.
+ */
+export const trimResumeForPrompt = (resumeText, budget = RESUME_BUDGET) => {
+  if (resumeText.length <= budget) return resumeText;
+
+  const rank = (section) => {
+    const index = SECTION_PRIORITY.indexOf(section.type);
+    return index === -1 ? SECTION_PRIORITY.length : index;
+  };
+  const blocks = segmentSections(resumeText).map((section, index) => ({
+    index,
+    rank: rank(section),
+    text: section.heading ? `${section.heading}\n${section.text}` : section.text,
+  }));
+
+  let remaining = budget;
+  const kept = [];
+  [...blocks]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach((block) => {
+      if (remaining <= 0) return;
+      const text = truncateBlock(block.text, remaining);
+      kept.push({ index: block.index, text });
+      remaining -= text.length + 2;
+    });
+
+  return kept
+    .sort((a, b) => a.index - b.index)
+    .map((block) => block.text)
+    .join('\n\n');
+};
+
+const SENIORITY_NAMES = {
+  manager: 'manager / director',
+  principal: 'principal',
+  lead: 'lead / staff',
+  senior: 'senior',
+  mid: 'mid level',
+  junior: 'junior / entry level',
+  intern: 'intern',
+};
+
+/** The JobRequirements the user reviewed as prompt lines, or '' when there are none. */
+export const formatRequirements = (requirements) => {
+  if (!requirements) return '';
+  const lines = [
+    requirements.title && `Title: ${requirements.title}`,
+    requirements.seniority && `Seniority: ${SENIORITY_NAMES[requirements.seniority]}`,
+    requirements.minYears !== null && `Minimum experience: ${requirements.minYears} years`,
+    requirements.requiredSkills.length && `Required skills: ${requirements.requiredSkills.join(', ')}`,
+    requirements.preferredSkills.length && `Nice-to-have skills: ${requirements.preferredSkills.join(', ')}`,
+    requirements.education.length && `Education: ${requirements.education.join('; ')}`,
+    requirements.location.length && `Location: ${requirements.location.join(', ')}`,
+  ].filter(Boolean);
+  return lines.join('\n');
+};
+
+/**
+ * Builds the full analysis prompt from raw resume and job description
+ * text. Reviewed JobRequirements, when given, are listed ahead of the job
+ * description and required items weigh more in the scores.
+ */
+export const buildAnalysisPrompt = (resumeText, jobDescription, requirements = null) => {
+  const resumeBlock = trimResumeForPrompt(resumeText);
+  const requirementsBlock = formatRequirements(requirements);
+
+  return `ANALYSIS REQUEST:
+You are a professional resume analyzer. Analyze the provided RESUME against the JOB DESCRIPTION.
+
+TASK: Calculate all scores and provide detailed feedback exactly according to the requested JSON schema.
+
+For suggestedEdits, propose up to 8 concrete rewrites. "original" must be copied character for character from the RESUME below (a single line or bullet, without the leading bullet symbol) so it can be found and replaced; "replacement" is the full improved text for that span.
+
+RESUME:
+${resumeBlock}
+
+${
+    requirementsBlock
+      ? `JOB REQUIREMENTS (reviewed by the candidate; weigh required skills about three times as heavily as nice-to-have skills in every score, and never list a nice-to-have skill as a reason for a low match on its own):
+${requirementsBlock}
+
+`
+      : ''
+  }JOB DESCRIPTION:
+${jobDescription.substring(0, JOB_DESCRIPTION_BUDGET)}`;
+};
+
+/**
+ * Follow-up prompt used once when the model's reply failed validation:
+ * the original request, the rejected reply and what was wrong with it.
+ */
+export const buildRepairPrompt = (prompt, previousReply, errors) => `${prompt}
+
+YOUR PREVIOUS RESPONSE:
+${previousReply}
+
+That response did not match the required JSON schema:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object. All scores must be numbers from 0 to 100.`;
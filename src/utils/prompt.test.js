@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAnalysisPrompt, trimResumeForPrompt } from './prompt.js';
+
+const RESUME = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Senior Engineer | Acme Corp | Jan 2020 – Present
+• Led the migration of 40 services to Kubernetes, cutting
+  deploy times by 60%
+• Built React dashboards
+
+PROJECTS
+Side Project
+- A very long project description that is not worth the space`;
+
+test('the analysis prompt quotes the resume lines as written', () => {
+  const prompt = buildAnalysisPrompt(RESUME, 'Kubernetes engineer');
+
+  [
+    'Senior Engineer | Acme Corp | Jan 2020 – Present',
+    '• Led the migration of 40 services to Kubernetes, cutting\n  deploy times by 60%',
+    '• Built React dashboards',
+  ].forEach((line) => assert.ok(prompt.includes(line), `missing "${line}"`));
+});
+
+test('a long resume is shortened section by section without rewording lines', () => {
+  const budget = RESUME.indexOf('PROJECTS') + 10;
+  const trimmed = trimResumeForPrompt(RESUME, budget);
+
+  assert.ok(trimmed.length <= budget + '\n[...truncated]'.length);
+  assert.ok(trimmed.includes('• Built React dashboards'));
+  assert.ok(!trimmed.includes('not worth the space'));
+  assert.equal(trimResumeForPrompt(RESUME, 10000), RESUME);
+});
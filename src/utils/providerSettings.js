@@ -0,0 +1,36 @@
+// providerSettings.js
+// Which provider/model the user picked in Settings, persisted per browser.
+// API keys and endpoints live on the analysis server, never here.
+
+const STORAGE_KEY = 'matchmy-resume:provider-settings';
+
+export const defaultProviderSettings = () => ({ provider: '', models: {} });
+
+export const loadProviderSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!stored || typeof stored !== 'object') return defaultProviderSettings();
+
+    const settings = {
+      provider: typeof stored.provider === 'string' ? stored.provider : '',
+      models: stored.models && typeof stored.models === 'object' ? stored.models : {},
+    };
+    // Settings saved before the analysis server existed can hold API keys and
+    // base URLs under `providers`; take them out of the browser.
+    if ('providers' in stored) saveProviderSettings(settings);
+    return settings;
+  } catch {
+    return defaultProviderSettings();
+  }
+};
+
+export const saveProviderSettings = (settings) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ provider: settings.provider, models: settings.models })
+    );
+  } catch (e) {
+    console.error('Failed to save provider settings:', e);
+  }
+};
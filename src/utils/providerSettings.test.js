@@ -0,0 +1,30 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadProviderSettings } from './providerSettings.js';
+
+const KEY = 'matchmy-resume:provider-settings';
+
+// A localStorage stand-in; the tests run in Node
+const useStorage = (entries) => {
+  const items = new Map(Object.entries(entries));
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+  return items;
+};
+
+afterEach(() => delete globalThis.localStorage);
+
+test('API keys saved under providers are removed from storage', () => {
+  const items = useStorage({
+    [KEY]: JSON.stringify({
+      provider: 'openai',
+      models: { openai: 'gpt-4o-mini' },
+      providers: { openai: { apiKey: 'sk-test', baseUrl: 'https://example.com' } },
+    }),
+  });
+
+  assert.deepEqual(loadProviderSettings(), { provider: 'openai', models: { openai: 'gpt-4o-mini' } });
+  assert.deepEqual(JSON.parse(items.get(KEY)), { provider: 'openai', models: { openai: 'gpt-4o-mini' } });
+});
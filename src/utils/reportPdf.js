@@ -0,0 +1,59 @@
+// reportPdf.js
+// Printable PDF version of an AnalysisReport, drawn with the same writer
+// as the resume export.
+import { PDFDocument, rgb } from 'pdf-lib';
+import { createPdfWriter, embedFontFamily, MUTED_COLOR } from './pdfExport.js';
+import { reportByline, reportSections } from './analysisReport.js';
+
+const ACCENT = rgb(0.31, 0.27, 0.9);
+const BODY_SIZE = 10;
+
+/**
+ * @param {import('./analysisReport.js').AnalysisReport} report
+ * @returns {Promise<Uint8Array>}
+ */
+export const reportToPdf = async (report) => {
+  const pdf = await PDFDocument.create();
+  const fonts = await embedFontFamily(pdf, 'sans');
+  const writer = createPdfWriter(pdf, fonts);
+
+  writer.paragraph('Resume Analysis Report', { font: fonts.bold, size: 18, color: ACCENT });
+  writer.paragraph(reportByline(report), { font: fonts.regular, size: 9, color: MUTED_COLOR });
+
+  const heading = (title) => {
+    writer.gap(BODY_SIZE);
+    writer.ensureSpace(BODY_SIZE * 5);
+    writer.paragraph(title, { font: fonts.bold, size: 12, color: ACCENT });
+    writer.rule(ACCENT);
+    writer.gap(BODY_SIZE * 0.3);
+  };
+
+  reportSections(report).forEach((section) => {
+    heading(section.title);
+    (section.rows || []).forEach(([label, value]) => {
+      writer.paragraph(`${label}: ${value}`, { font: fonts.regular, size: BODY_SIZE });
+    });
+    (section.lines || []).forEach((line) => {
+      writer.paragraph(line, { font: fonts.regular, size: BODY_SIZE });
+    });
+    (section.items || []).forEach((item) => {
+      writer.bullet(item, { font: fonts.regular, size: BODY_SIZE });
+    });
+  });
+
+  heading('Inputs');
+  const { inputs } = report;
+  writer.paragraph(`Resume: ${inputs.resumeLength} characters, SHA-256 ${inputs.resumeSha256 || 'n/a'}`, {
+    font: fonts.regular,
+    size: 8,
+    color: MUTED_COLOR,
+  });
+  writer.paragraph(
+    `Job description: ${inputs.jobDescriptionLength} characters, SHA-256 ${inputs.jobDescriptionSha256 || 'n/a'}`,
+    { font: fonts.regular, size: 8, color: MUTED_COLOR }
+  );
+
+  pdf.setTitle('Resume Analysis Report');
+  pdf.setCreator('MatchMy Resume');
+  return pdf.save();
+};
@@ -0,0 +1,96 @@
+// resumeFile.js
+// Turns an uploaded resume file (PDF, DOCX, legacy DOC or TXT) into plain
+// text plus the file details the ATS checker needs.
+import { extractPdfText } from './pdfText.js';
+import { extractDocxText, extractLegacyDocText, isZip } from './docxParser.js';
+
+export const MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
+export const ACCEPT = {
+  'application/pdf': ['.pdf'],
+  'text/plain': ['.txt'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/msword': ['.doc'],
+};
+
+/** 'pdf' | 'txt' | 'word', or null for files we can't read. */
+export const getFileKind = (file) => {
+  const name = file.name.toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file.type === 'text/plain' || name.endsWith('.txt')) return 'txt';
+  if (name.endsWith('.docx') || name.endsWith('.doc')) return 'word';
+  return null;
+};
+
+const readWordFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const isDocx = file.name.toLowerCase().endsWith('.docx') || isZip(new Uint8Array(buffer));
+
+  if (isDocx) {
+    return { text: await extractDocxText(buffer), bestEffort: false };
+  }
+
+  // Legacy Word 97-2003 binary format
+  const text = extractLegacyDocText(buffer);
+  if (!text) {
+    throw new Error(
+      'Legacy .doc files are not supported. Open the file in Word and save it as .docx or PDF, or paste the content below.'
+    );
+  }
+  return { text, bestEffort: true };
+};
+
+/**
+ * Extracts the text of a resume file. `onProgress` receives OCR progress
+ * for scanned PDF pages. Resolves to
+ * `{ text, fileInfo, ocrConfidence, notice }`, where `fileInfo` is the
+ * ResumeFileInfo for the ATS checker, `ocrConfidence` is null unless
+ * pages were read with OCR and `notice` is a warning worth showing.
+ * Rejects with a user-facing message when no text can be read.
+ * @param {File} file
+ */
+export const readResumeFile = async (file, { onProgress } = {}) => {
+  const kind = getFileKind(file);
+  if (!kind) {
+    throw new Error(`Unsupported file type: ${file.name}. Please upload a PDF, DOCX or TXT file.`);
+  }
+
+  let fileInfo = { name: file.name, kind };
+
+  if (kind === 'pdf') {
+    // Scanned pages fall back to OCR
+    const result = await extractPdfText(await file.arrayBuffer(), { onProgress });
+    if (!result.text) {
+      throw new Error('No readable text was found in this PDF, even after OCR. Please paste the content below.');
+    }
+    fileInfo = {
+      ...fileInfo,
+      pageCount: result.pageCount,
+      ocrPages: result.ocrPages,
+      layout: result.layout,
+    };
+    return {
+      text: result.text,
+      fileInfo,
+      ocrConfidence: result.ocrPages.length ? result.ocrConfidence : null,
+      notice: null,
+    };
+  }
+
+  if (kind === 'word') {
+    const { text, bestEffort } = await readWordFile(file);
+    if (!text) {
+      throw new Error('No text was found in this Word document. Please paste the content below.');
+    }
+    return {
+      text,
+      fileInfo: { ...fileInfo, kind: bestEffort ? 'doc' : 'docx' },
+      ocrConfidence: null,
+      notice: bestEffort
+        ? 'Text was recovered from a legacy .doc file on a best-effort basis. Please review it below, or save the file as .docx for better results.'
+        : null,
+    };
+  }
+
+  return { text: await file.text(), fileInfo, ocrConfidence: null, notice: null };
+};
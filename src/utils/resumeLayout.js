@@ -0,0 +1,206 @@
+// resumeLayout.js
+// Turns resume text into a format-neutral layout for the PDF and DOCX
+// exporters: a header, then sections of entry / meta / bullet / text
+// blocks, all in one column. Section headings are renamed to the standard
+// names ATS parsers look for.
+import { BULLET_RE, parseResume } from './resumeParser.js';
+
+/**
+ * @typedef {Object} LayoutBlock
+ * @property {'entry'|'meta'|'bullet'|'text'|'paragraph'} kind
+ *   entry: role / degree / project line; meta: its location and dates;
+ *   paragraph: prose followed by a blank line, as in a letter
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} ResumeLayout
+ * @property {string} documentType  'Resume' or 'Cover Letter', for titles and file names
+ * @property {string} name
+ * @property {string[]} headline  Other header lines, e.g. a job title
+ * @property {string[]} contact   Email, phone, location and links
+ * @property {{ heading: string, blocks: LayoutBlock[] }[]} sections  An empty heading is not printed
+ */
+
+/**
+ * @typedef {Object} ExportTemplate
+ * @property {string} id
+ * @property {string} label
+ * @property {'serif'|'sans'} font
+ * @property {number} baseSize     Body text size in points
+ * @property {number} nameSize
+ * @property {number} headingSize
+ * @property {boolean} upperHeadings
+ * @property {boolean} headingRule Rule under each section heading
+ * @property {'left'|'center'} headerAlign
+ * @property {[number, number, number]} accent  Heading colour, 0–1 RGB
+ */
+
+/** @type {ExportTemplate[]} */
+export const EXPORT_TEMPLATES = [
+  {
+    id: 'classic',
+    label: 'Classic',
+    font: 'serif',
+    baseSize: 11,
+    nameSize: 20,
+    headingSize: 12,
+    upperHeadings: true,
+    headingRule: true,
+    headerAlign: 'center',
+    accent: [0, 0, 0],
+  },
+  {
+    id: 'modern',
+    label: 'Modern',
+    font: 'sans',
+    baseSize: 10.5,
+    nameSize: 22,
+    headingSize: 12.5,
+    upperHeadings: false,
+    headingRule: false,
+    headerAlign: 'left',
+    accent: [0.19, 0.18, 0.51],
+  },
+  {
+    id: 'compact',
+    label: 'Compact',
+    font: 'sans',
+    baseSize: 9.5,
+    nameSize: 16,
+    headingSize: 10.5,
+    upperHeadings: true,
+    headingRule: true,
+    headerAlign: 'left',
+    accent: [0.2, 0.2, 0.2],
+  },
+];
+
+export const getExportTemplate = (id) =>
+  EXPORT_TEMPLATES.find((template) => template.id === id) || EXPORT_TEMPLATES[0];
+
+const STANDARD_HEADINGS = {
+  summary: 'Professional Summary',
+  experience: 'Work Experience',
+  education: 'Education',
+  skills: 'Skills',
+  certifications: 'Certifications',
+  projects: 'Projects',
+};
+
+// --- Blocks ---
+
+const rawBlocks = (body) =>
+  body
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) =>
+      BULLET_RE.test(line)
+        ? { kind: 'bullet', text: line.replace(BULLET_RE, '').trim() }
+        : { kind: 'text', text: line }
+    );
+
+const entryBlocks = (text, meta, items) => [
+  ...(text ? [{ kind: 'entry', text }] : []),
+  ...(meta ? [{ kind: 'meta', text: meta }] : []),
+  ...items.map((item) => ({ kind: 'bullet', text: item })),
+];
+
+const join = (parts, separator) => parts.filter(Boolean).join(separator);
+
+const STRUCTURED = {
+  experience: (resume) =>
+    resume.experience.flatMap((job) =>
+      entryBlocks(join([job.title, job.company], ', '), join([job.location, job.dates?.text], ' | '), job.bullets)
+    ),
+  education: (resume) =>
+    resume.education.flatMap((school) =>
+      entryBlocks(join([school.degree, school.institution], ', '), school.dates?.text, school.details)
+    ),
+  projects: (resume) =>
+    resume.projects.flatMap((project) => entryBlocks(project.name, project.dates?.text, project.bullets)),
+};
+
+// --- Header ---
+
+const headerLines = (resume) => {
+  const header = resume.sections.find((section) => section.type === 'header');
+  if (!header) return [];
+
+  const { contact, summary } = resume;
+  const contactValues = [contact.email, contact.phone, contact.location, ...contact.links].filter(Boolean);
+  return header.text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(
+      (line) =>
+        line &&
+        line !== contact.name &&
+        !contactValues.some((value) => line.includes(value)) &&
+        !(summary && summary.includes(line))
+    );
+};
+
+// --- Public API ---
+
+/**
+ * Builds the export layout from resume text.
+ * @param {string} text
+ * @returns {ResumeLayout}
+ */
+export const buildResumeLayout = (text) => {
+  const resume = parseResume(text || '');
+  const { contact } = resume;
+  const sections = [];
+  const seen = new Set();
+
+  const hasSummarySection = resume.sections.some((section) => section.type === 'summary');
+  if (!hasSummarySection && resume.summary) {
+    sections.push({ heading: STANDARD_HEADINGS.summary, blocks: [{ kind: 'text', text: resume.summary }] });
+  }
+
+  resume.sections.forEach((section) => {
+    if (section.type === 'header') return;
+
+    const first = !seen.has(section.type);
+    seen.add(section.type);
+    const standard = section.type !== 'other' && first ? STANDARD_HEADINGS[section.type] : null;
+
+    // Entries of a type are parsed across all its sections, so emit them once
+    if (STRUCTURED[section.type]) {
+      if (!first) return;
+      const blocks = STRUCTURED[section.type](resume);
+      if (blocks.length) {
+        sections.push({ heading: standard, blocks });
+        return;
+      }
+    }
+
+    const blocks = rawBlocks(section.text);
+    if (blocks.length) sections.push({ heading: standard || section.heading, blocks });
+  });
+
+  return {
+    documentType: 'Resume',
+    name: contact.name,
+    headline: headerLines(resume),
+    contact: [contact.email, contact.phone, contact.location, ...contact.links].filter(Boolean),
+    sections,
+  };
+};
+
+const slugify = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/** File name for an exported layout, e.g. "jane-doe-resume.pdf". */
+export const exportFileName = (layout, extension) => {
+  const slug = slugify(layout.name);
+  return `${slug ? `${slug}-` : ''}${slugify(layout.documentType)}.${extension}`;
+};
+
+/** Document title for the file's metadata, e.g. "Jane Doe – Resume". */
+export const exportTitle = (layout) => (layout.name ? `${layout.name} – ${layout.documentType}` : layout.documentType);
@@ -0,0 +1,538 @@
+// resumeParser.js
+// Local, deterministic segmentation of plain resume text into a typed
+// ResumeDocument. Works on the output of the PDF/DOCX extractors: one
+// logical line per line, bullets normalized to "• ".
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string} text       Original date text, e.g. "Jan 2020 – Present"
+ * @property {string|null} start Normalized "YYYY" or "YYYY-MM"
+ * @property {string|null} end   Normalized "YYYY" or "YYYY-MM"; null when current
+ * @property {boolean} current   True for "Present" / "Current" / "Now"
+ */
+
+/**
+ * @typedef {Object} ExperienceEntry
+ * @property {string} title
+ * @property {string} company
+ * @property {string} location
+ * @property {DateRange|null} dates
+ * @property {string[]} bullets
+ */
+
+/**
+ * @typedef {Object} EducationEntry
+ * @property {string} institution
+ * @property {string} degree
+ * @property {DateRange|null} dates
+ * @property {string[]} details
+ */
+
+/**
+ * @typedef {Object} ProjectEntry
+ * @property {string} name
+ * @property {DateRange|null} dates
+ * @property {string[]} bullets
+ */
+
+/**
+ * @typedef {Object} ResumeSection
+ * @property {string} type    One of SECTION_TYPES or "other"
+ * @property {string} heading Heading as written in the resume ("" for the header block)
+ * @property {number} start   Character offset of the section body in the source text
+ * @property {number} end     Character offset where the section ends
+ * @property {string} text    Section body
+ */
+
+/**
+ * @typedef {Object} ResumeDocument
+ * @property {{name: string, email: string, phone: string, location: string, links: string[]}} contact
+ * @property {string} summary
+ * @property {ExperienceEntry[]} experience
+ * @property {EducationEntry[]} education
+ * @property {string[]} skills
+ * @property {string[]} certifications
+ * @property {ProjectEntry[]} projects
+ * @property {ResumeSection[]} sections
+ */
+
+// Canonical section types and the headings that map to them.
+export const SECTION_TYPES = {
+  summary: [
+    'summary',
+    'professional summary',
+    'career summary',
+    'profile',
+    'professional profile',
+    'about',
+    'about me',
+    'objective',
+    'career objective',
+    'overview',
+  ],
+  experience: [
+    'experience',
+    'work experience',
+    'professional experience',
+    'employment',
+    'employment history',
+    'work history',
+    'career history',
+    'relevant experience',
+    'internships',
+    'internship experience',
+  ],
+  education: [
+    'education',
+    'academic background',
+    'academics',
+    'education and training',
+    'academic qualifications',
+    'qualifications',
+  ],
+  skills: [
+    'skills',
+    'technical skills',
+    'core skills',
+    'key skills',
+    'core competencies',
+    'competencies',
+    'technologies',
+    'tools',
+    'tech stack',
+    'areas of expertise',
+    'expertise',
+  ],
+  certifications: [
+    'certifications',
+    'certificates',
+    'licenses',
+    'licenses and certifications',
+    'certifications and licenses',
+    'courses',
+    'training',
+  ],
+  projects: [
+    'projects',
+    'personal projects',
+    'key projects',
+    'academic projects',
+    'selected projects',
+    'side projects',
+  ],
+  other: [
+    'awards',
+    'honors',
+    'achievements',
+    'publications',
+    'volunteer',
+    'volunteering',
+    'volunteer experience',
+    'languages',
+    'interests',
+    'hobbies',
+    'references',
+    'activities',
+    'leadership',
+  ],
+};
+
+const HEADING_LOOKUP = Object.entries(SECTION_TYPES).reduce((acc, [type, names]) => {
+  names.forEach((name) => {
+    acc[name] = type;
+  });
+  return acc;
+}, {});
+
+const normalizeHeading = (line) =>
+  line
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[:|•\-–—_=*#]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const BULLET_RE = /^\s*(?:[•●○◦▪■‣⁃∙·►▸➢➤*]|[-–—](?=\s))\s*/;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const MONTH_NAME =
+  '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_POINT = `(?:${MONTH_NAME}\\s*,?\\s*\\d{4}|\\d{1,2}\\s*[/.-]\\s*\\d{4}|(?:19|20)\\d{2})`;
+const CURRENT = '(?:present|current|now|today|ongoing)';
+
+export const DATE_RANGE_RE = new RegExp(
+  `(${DATE_POINT})\\s*(?:-|–|—|to|until|till)\\s*(${DATE_POINT}|${CURRENT})`,
+  'i'
+);
+const SINGLE_DATE_RE = new RegExp(`(${DATE_POINT})`, 'i');
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_RE = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/;
+const URL_RE =
+  /(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com|[a-z0-9-]+\.(?:dev|io|me))\/?[^\s|,]*/i;
+const LOCATION_RE = /\b([A-Z][a-zA-Z.\s]+,\s*(?:[A-Z]{2}|[A-Z][a-zA-Z]+))\b/;
+
+const COMPANY_HINT_RE =
+  /\b(inc|llc|ltd|limited|corp|corporation|co|gmbh|plc|technologies|solutions|labs|group|systems|university|college|institute|bank)\b\.?/i;
+const DEGREE_RE =
+  /\b(b\.?\s?s\.?c?|b\.?\s?a|b\.?\s?tech|b\.?\s?e|m\.?\s?s\.?c?|m\.?\s?a|m\.?\s?tech|mba|ph\.?\s?d|bachelor|master|doctor|associate|diploma|high school|secondary)\b/i;
+
+// --- Date helpers ---
+const normalizeDatePoint = (raw) => {
+  if (!raw) return null;
+  const value = raw.trim().toLowerCase();
+
+  const monthYear = value.match(/^([a-z]+)\.?\s*,?\s*(\d{4})$/);
+  if (monthYear) {
+    const month = MONTHS[monthYear[1].slice(0, 4)] || MONTHS[monthYear[1].slice(0, 3)];
+    return month ? `${monthYear[2]}-${String(month).padStart(2, '0')}` : monthYear[2];
+  }
+
+  const numeric = value.match(/^(\d{1,2})\s*[/.-]\s*(\d{4})$/);
+  if (numeric) return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+
+  const year = value.match(/(\d{4})/);
+  return year ? year[1] : null;
+};
+
+/**
+ * Finds a date range (or single date) in a line of text.
+ * @returns {DateRange|null}
+ */
+export const parseDateRange = (line) => {
+  const range = line.match(DATE_RANGE_RE);
+  if (range) {
+    const current = new RegExp(`^${CURRENT}$`, 'i').test(range[2].trim());
+    return {
+      text: range[0].trim(),
+      start: normalizeDatePoint(range[1]),
+      end: current ? null : normalizeDatePoint(range[2]),
+      current,
+    };
+  }
+
+  const single = line.match(SINGLE_DATE_RE);
+  if (single) {
+    return {
+      text: single[0].trim(),
+      start: null,
+      end: normalizeDatePoint(single[1]),
+      current: false,
+    };
+  }
+
+  return null;
+};
+
+const stripDates = (line, dates) =>
+  dates
+    ? line
+        .replace(dates.text, '')
+        .replace(/[|,–—-]\s*$/, '')
+        .replace(/^\s*[|,–—-]/, '')
+        .replace(/\(\s*\)/, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim()
+    : line.trim();
+
+// --- Heading detection ---
+
+/** True when the line is one of the standard headings in SECTION_TYPES. */
+export const isKnownHeading = (line) => Boolean(HEADING_LOOKUP[normalizeHeading(line.trim())]);
+
+/**
+ * Returns the section type for a heading line, or null if the line is not
+ * a heading. Known headings are matched case-insensitively; short ALL-CAPS
+ * lines are treated as unknown ("other") headings.
+ */
+export const detectHeading = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 50 || BULLET_RE.test(trimmed)) return null;
+
+  const normalized = normalizeHeading(trimmed);
+  if (HEADING_LOOKUP[normalized]) return HEADING_LOOKUP[normalized];
+
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  const words = normalized.split(' ').filter(Boolean);
+  const isCaps = letters.length >= 4 && letters === letters.toUpperCase();
+  const hasSentencePunctuation = /[.,@()\d]/.test(trimmed);
+
+  if (isCaps && words.length <= 4 && !hasSentencePunctuation) {
+    // "WORK EXPERIENCE & INTERNSHIPS" -> experience
+    const match = Object.keys(HEADING_LOOKUP).find(
+      (name) => normalized.startsWith(`${name} `) || normalized.endsWith(` ${name}`)
+    );
+    return match ? HEADING_LOOKUP[match] : 'other';
+  }
+
+  if (/:$/.test(trimmed) && words.length <= 3) {
+    const match = HEADING_LOOKUP[normalized];
+    return match || null;
+  }
+
+  return null;
+};
+
+// --- Section splitting ---
+const splitLines = (text) => {
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach((line) => {
+    lines.push({ text: line, start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  });
+  return lines;
+};
+
+/**
+ * Splits resume text into sections using heading detection. The block
+ * before the first heading is returned with type "header".
+ * @returns {ResumeSection[]}
+ */
+export const segmentSections = (text) => {
+  const lines = splitLines(text || '');
+  const sections = [];
+  let current = { type: 'header', heading: '', lines: [] };
+
+  lines.forEach((line) => {
+    let type = detectHeading(line.text);
+    // An ALL-CAPS name or job title at the top is not a section heading.
+    if (type === 'other' && current.type === 'header' && !isKnownHeading(line.text)) {
+      type = null;
+    }
+    if (type) {
+      sections.push(current);
+      current = { type, heading: line.text.trim().replace(/:$/, ''), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  sections.push(current);
+
+  return sections
+    .filter((section) => section.heading || section.lines.some((l) => l.text.trim()))
+    .map((section) => {
+      const first = section.lines[0];
+      const last = section.lines[section.lines.length - 1];
+      return {
+        type: section.type,
+        heading: section.heading,
+        start: first ? first.start : 0,
+        end: last ? last.end : 0,
+        text: section.lines
+          .map((l) => l.text)
+          .join('\n')
+          .trim(),
+      };
+    });
+};
+
+// Groups body lines into bullet items, joining wrapped continuation lines.
+const collectBullets = (lines) => {
+  const bullets = [];
+  lines.forEach((line) => {
+    if (BULLET_RE.test(line)) {
+      bullets.push(line.replace(BULLET_RE, '').trim());
+    } else if (bullets.length && /^[a-z(&]/.test(line)) {
+      bullets[bullets.length - 1] += ` ${line.trim()}`;
+    } else {
+      bullets.push(line.trim());
+    }
+  });
+  return bullets.filter(Boolean);
+};
+
+// Splits a section body into entries. An entry starts at a non-bullet
+// line that follows bullet lines, or at a line carrying a date range when
+// the current entry already has one.
+const splitEntries = (body) => {
+  const entries = [];
+  let current = null;
+
+  body
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const isBullet = BULLET_RE.test(line);
+      const dates = isBullet ? null : parseDateRange(line);
+      const startsNew =
+        !current ||
+        (!isBullet && current.bodyStarted && !/^[a-z(&]/.test(line)) ||
+        (dates && current.dates);
+
+      if (startsNew) {
+        current = { header: [], body: [], dates: null, bodyStarted: false };
+        entries.push(current);
+      }
+
+      if (isBullet || (current.bodyStarted && /^[a-z(&]/.test(line))) {
+        current.body.push(line);
+        current.bodyStarted = true;
+      } else {
+        current.header.push(line);
+        if (dates && !current.dates) current.dates = dates;
+      }
+    });
+
+  return entries;
+};
+
+// "Senior Engineer, Acme Corp" / "Senior Engineer at Acme" / "Acme | Engineer"
+const splitTitleCompany = (parts) => {
+  if (parts.length >= 2) {
+    const [first, second] = parts;
+    if (COMPANY_HINT_RE.test(first) && !COMPANY_HINT_RE.test(second)) {
+      return { title: second, company: first };
+    }
+    return { title: first, company: second };
+  }
+
+  const line = parts[0] || '';
+  const at = line.split(/\s+at\s+|\s+@\s+/i);
+  if (at.length === 2) return { title: at[0].trim(), company: at[1].trim() };
+
+  const split = line.split(/\s*[|,–—]\s*|\s+-\s+/).filter(Boolean);
+  if (split.length >= 2) return splitTitleCompany(split.slice(0, 2));
+
+  return { title: line, company: '' };
+};
+
+const parseExperience = (body) =>
+  splitEntries(body).map((entry) => {
+    const headerLines = entry.header.map((line) => stripDates(line, entry.dates)).filter(Boolean);
+    const locationLine = headerLines.find((line, i) => i > 0 && LOCATION_RE.test(line) && line.length < 40);
+    const titleLines = headerLines.filter((line) => line !== locationLine);
+    const { title, company } = splitTitleCompany(titleLines.slice(0, 2));
+
+    return {
+      title,
+      company,
+      location: locationLine || '',
+      dates: entry.dates,
+      bullets: collectBullets(entry.body),
+    };
+  });
+
+const parseEducation = (body) =>
+  splitEntries(body).map((entry) => {
+    const headerLines = entry.header.map((line) => stripDates(line, entry.dates)).filter(Boolean);
+    const degreeLine = headerLines.find((line) => DEGREE_RE.test(line)) || '';
+    const institution =
+      headerLines.find((line) => line !== degreeLine && COMPANY_HINT_RE.test(line)) ||
+      headerLines.find((line) => line !== degreeLine) ||
+      '';
+
+    return {
+      institution,
+      degree: degreeLine,
+      dates: entry.dates,
+      details: [
+        ...headerLines.filter((line) => line !== degreeLine && line !== institution),
+        ...collectBullets(entry.body),
+      ],
+    };
+  });
+
+const parseProjects = (body) =>
+  splitEntries(body).map((entry) => ({
+    name: stripDates(entry.header[0] || '', entry.dates),
+    dates: entry.dates,
+    bullets: collectBullets([...entry.header.slice(1), ...entry.body]),
+  }));
+
+const parseSkills = (body) => {
+  const skills = [];
+  body.split('\n').forEach((raw) => {
+    // Drop category labels such as "Languages:" but keep their items.
+    const line = raw.replace(BULLET_RE, '').replace(/^[^:]{1,30}:\s*/, '');
+    line
+      .split(/\s*[,;|•·]\s*|\s{2,}|\t/)
+      .map((item) => item.replace(/\.$/, '').trim())
+      .filter((item) => item && item.length <= 40)
+      .forEach((item) => {
+        if (!skills.some((s) => s.toLowerCase() === item.toLowerCase())) skills.push(item);
+      });
+  });
+  return skills;
+};
+
+const parseCertifications = (body) => collectBullets(body.split('\n').filter((l) => l.trim()));
+
+const parseContact = (headerText, fullText) => {
+  const lines = headerText
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const source = headerText || fullText.slice(0, 500);
+
+  const email = source.match(EMAIL_RE)?.[0] || '';
+  const phone = source.match(PHONE_RE)?.[0]?.trim() || '';
+  const links = [...new Set(source.match(new RegExp(URL_RE.source, 'gi')) || [])].filter((link) => !link.includes('@'));
+
+  const name =
+    lines.find(
+      (line) =>
+        !EMAIL_RE.test(line) &&
+        !PHONE_RE.test(line) &&
+        !URL_RE.test(line) &&
+        line.split(/\s+/).length <= 5 &&
+        /^[A-Za-zÀ-ɏ .'-]+$/.test(line)
+    ) || '';
+
+  const location =
+    lines
+      .map((line) => line.split(/\s*[|•·]\s*/))
+      .flat()
+      .find((part) => part !== name && LOCATION_RE.test(part) && !EMAIL_RE.test(part))
+      ?.match(LOCATION_RE)?.[1]
+      ?.trim() || '';
+
+  return { name, email, phone, location, links };
+};
+
+// --- Public API ---
+
+/**
+ * Parses plain resume text into a ResumeDocument.
+ * @param {string} text
+ * @returns {ResumeDocument}
+ */
+export const parseResume = (text) => {
+  const sections = segmentSections(text || '');
+  const bodyOf = (type) =>
+    sections
+      .filter((section) => section.type === type)
+      .map((section) => section.text)
+      .join('\n');
+
+  const header = sections.find((section) => section.type === 'header');
+
+  // Resumes without a "Summary" heading often open with a paragraph
+  // under the contact block.
+  let summary = bodyOf('summary');
+  if (!summary && header) {
+    summary =
+      header.text
+        .split(/\n\s*\n/)
+        .slice(1)
+        .find((block) => block.replace(/\s+/g, ' ').length > 120)
+        ?.replace(/\s*\n\s*/g, ' ')
+        .trim() || '';
+  }
+
+  return {
+    contact: parseContact(header?.text || '', text || ''),
+    summary: summary.replace(/\s*\n\s*/g, ' ').trim(),
+    experience: parseExperience(bodyOf('experience')),
+    education: parseEducation(bodyOf('education')),
+    skills: parseSkills(bodyOf('skills')),
+    certifications: parseCertifications(bodyOf('certifications')),
+    projects: parseProjects(bodyOf('projects')),
+    sections,
+  };
+};
@@ -0,0 +1,237 @@
+// scoreEvidence.js
+// The evidence behind each score category: for every job requirement, the
+// resume text that meets it (or nothing), its weight, and where both sit in
+// the two documents so the UI can highlight them. Built locally from the
+// keyword matcher and the resume and job parsers, so it is the same for
+// the same inputs whichever model produced the scores.
+import { matchKeywords, REQUIRED_WEIGHT, PREFERRED_WEIGHT } from './keywordMatcher.js';
+import { parseResume } from './resumeParser.js';
+import { SENIORITY_LEVELS, YEARS_RE } from './jobParser.js';
+
+/**
+ * @typedef {{ start: number, end: number }} Span
+ */
+
+/**
+ * @typedef {Object} EvidenceItem
+ * @property {string} requirement   What the job asks for, as written
+ * @property {boolean} found
+ * @property {string|null} snippet  The resume text that meets it; null when not found
+ * @property {number} weight
+ * @property {string} note          Short explanation, e.g. "Required skill"
+ * @property {Span[]} jdSpans
+ * @property {Span[]} resumeSpans
+ */
+
+/**
+ * @typedef {Object} CategoryEvidence
+ * @property {EvidenceItem[]} items     Heaviest first
+ * @property {number|null} coverage     Weighted share found, 0–100; null without items
+ */
+
+// --- Text positions ---
+
+const spanOf = (text, phrase) => {
+  if (!phrase) return null;
+  const start = text.toLowerCase().indexOf(phrase.toLowerCase());
+  return start === -1 ? null : { start, end: start + phrase.length };
+};
+
+const spansOf = (text, phrase) => [spanOf(text, phrase)].filter(Boolean);
+
+// The whole line around `position`, without a leading bullet
+const lineAt = (text, position) => {
+  const start = text.lastIndexOf('\n', position - 1) + 1;
+  const end = text.indexOf('\n', position);
+  return text
+    .slice(start, end === -1 ? text.length : end)
+    .replace(/^\s*[•●▪*-]\s*/, '')
+    .trim();
+};
+
+// --- Experience ---
+
+const toMonth = (point) => {
+  const [year, month = '01'] = point.split('-');
+  return Number(year) * 12 + Number(month) - 1;
+};
+
+// Years covered by the dated roles, counting overlapping roles once
+const yearsOfExperience = (entries, now) => {
+  const current = now.getFullYear() * 12 + now.getMonth();
+  const ranges = entries
+    .filter((entry) => entry.dates?.start)
+    .map((entry) => [toMonth(entry.dates.start), entry.dates.current ? current : toMonth(entry.dates.end || '')])
+    .filter(([start, end]) => Number.isFinite(end) && end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let reach = -Infinity;
+  ranges.forEach(([start, end]) => {
+    const from = Math.max(start, reach);
+    if (end + 1 > from) months += end + 1 - from;
+    reach = Math.max(reach, end + 1);
+  });
+  return Math.round((months / 12) * 10) / 10;
+};
+
+// Words that say how senior a title is rather than what the job is
+const LEVEL_WORDS = /\b(senior|sr|junior|jr|lead|staff|principal|mid|level|intern|associate|head|of|i{1,3}|iv)\b/gi;
+
+const roleWords = (title) =>
+  title
+    .toLowerCase()
+    .replace(LEVEL_WORDS, ' ')
+    .split(/[^a-z0-9+#]+/)
+    .filter((word) => word.length > 2);
+
+const experienceEvidence = (resume, resumeText, jobDescription, requirements, now) => {
+  const items = [];
+  const dated = resume.experience.filter((entry) => entry.dates);
+
+  if (requirements.minYears !== null) {
+    const years = yearsOfExperience(resume.experience, now);
+    const match = [...jobDescription.matchAll(YEARS_RE)].find((m) => Number(m[1]) === requirements.minYears);
+    const requirement = match ? lineAt(jobDescription, match.index) : `${requirements.minYears}+ years of experience`;
+    items.push({
+      requirement,
+      found: years >= requirements.minYears,
+      snippet: dated.length
+        ? `About ${years} years across ${dated.length} dated role${dated.length === 1 ? '' : 's'}`
+        : null,
+      weight: REQUIRED_WEIGHT,
+      note: `${requirements.minYears}+ years asked for`,
+      jdSpans: match ? [{ start: match.index, end: match.index + match[0].length }] : [],
+      resumeSpans: dated.flatMap((entry) => spansOf(resumeText, entry.dates.text)),
+    });
+  }
+
+  if (requirements.title) {
+    const wanted = roleWords(requirements.title);
+    const entry = resume.experience.find((role) => roleWords(role.title).some((word) => wanted.includes(word)));
+    items.push({
+      requirement: requirements.title,
+      found: Boolean(entry),
+      snippet: entry ? [entry.title, entry.company].filter(Boolean).join(', ') : null,
+      weight: PREFERRED_WEIGHT,
+      note: 'Similar role held before',
+      jdSpans: spansOf(jobDescription, requirements.title),
+      resumeSpans: entry ? spansOf(resumeText, entry.title) : [],
+    });
+  }
+
+  if (requirements.seniority) {
+    const level = SENIORITY_LEVELS.find((option) => option.id === requirements.seniority);
+    const entry = resume.experience.find((role) => level.pattern.test(role.title));
+    items.push({
+      requirement: `${level.label} level`,
+      found: Boolean(entry),
+      snippet: entry ? entry.title : null,
+      weight: PREFERRED_WEIGHT,
+      note: 'Seniority of past titles',
+      jdSpans: spansOf(jobDescription, requirements.title.match(level.pattern)?.[0]),
+      resumeSpans: entry ? spansOf(resumeText, entry.title) : [],
+    });
+  }
+
+  return items;
+};
+
+// --- Education ---
+
+// Abbreviations end in a dot, so names are delimited by letters, not \b
+const degreePattern = (names) => new RegExp(`(?:^|[^a-z])(?:${names})(?![a-z])`, 'i');
+
+// Higher numbers are higher degrees; a degree meets any requirement at or below it
+const DEGREE_LEVELS = [
+  [3, degreePattern('ph\\.?\\s?d|doctorate|doctoral')],
+  [2, degreePattern("master'?s?|mba|m\\.s\\.?|msc|m\\.sc|m\\.eng|ms")],
+  [1, degreePattern("bachelor'?s?|b\\.s\\.?|b\\.a\\.?|bsc|b\\.sc|b\\.eng|b\\.tech|bs|ba")],
+  [0, degreePattern("degree|diploma|associate'?s?")],
+];
+
+const degreeLevel = (text) => {
+  const level = DEGREE_LEVELS.find(([, pattern]) => pattern.test(text));
+  return level ? level[0] : null;
+};
+
+const entryLevel = (entry) => degreeLevel(`${entry.degree} ${entry.institution}`);
+
+const educationEvidence = (resume, resumeText, jobDescription, requirements) => {
+  const best = resume.education
+    .filter((entry) => entryLevel(entry) !== null)
+    .sort((a, b) => entryLevel(b) - entryLevel(a))[0];
+
+  return requirements.education.map((requirement) => {
+    // "Bachelor's or Master's": the lowest degree named is enough
+    const named = DEGREE_LEVELS.filter(([, pattern]) => pattern.test(requirement)).map(([level]) => level);
+    const needed = named.length ? Math.min(...named) : 0;
+    const found = Boolean(best) && entryLevel(best) >= needed;
+    return {
+      requirement,
+      found,
+      snippet: found ? [best.degree, best.institution].filter(Boolean).join(', ') : null,
+      weight: REQUIRED_WEIGHT,
+      note: 'Degree level',
+      jdSpans: spansOf(jobDescription, requirement.replace(/\.\.\.$/, '')),
+      resumeSpans: found ? spansOf(resumeText, best.degree || best.institution) : [],
+    };
+  });
+};
+
+// --- Skills and keywords ---
+
+const hitEvidence = (hits, resumeText, note) =>
+  hits.map((hit) => ({
+    requirement: hit.term,
+    found: hit.resumePositions.length > 0,
+    snippet: hit.resumePositions.length ? lineAt(resumeText, hit.resumePositions[0].start) : null,
+    weight: hit.weight,
+    note: note(hit),
+    jdSpans: hit.jdPositions,
+    resumeSpans: hit.resumePositions,
+  }));
+
+const summarize = (items) => {
+  const sorted = [...items].sort((a, b) => b.weight - a.weight || Number(a.found) - Number(b.found));
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  const found = items.reduce((sum, item) => sum + (item.found ? item.weight : 0), 0);
+  return { items: sorted, coverage: total ? Math.round((found / total) * 100) : null };
+};
+
+/**
+ * Builds the evidence for every scoreBreakdown category. Skills come from
+ * the reviewed requirements' skills, keywords from the job description's
+ * own terms, experience from years, title and seniority, and education
+ * from the degrees asked for.
+ * @param {string} resumeText
+ * @param {string} jobDescription
+ * @param {import('./jobParser.js').JobRequirements|null} requirements
+ * @param {Date} [now]  For roles that run to the present
+ * @returns {{ skills: CategoryEvidence, experience: CategoryEvidence, education: CategoryEvidence, keywords: CategoryEvidence }}
+ */
+export const buildScoreEvidence = (resumeText, jobDescription, requirements, now = new Date()) => {
+  const resume = parseResume(resumeText);
+  const hasSkills = Boolean(requirements?.requiredSkills.length || requirements?.preferredSkills.length);
+  const skillMatch = hasSkills ? matchKeywords(resumeText, jobDescription, requirements) : null;
+  const keywordMatch = matchKeywords(resumeText, jobDescription);
+
+  return {
+    skills: summarize(
+      skillMatch
+        ? hitEvidence([...skillMatch.matched, ...skillMatch.missing], resumeText, (hit) =>
+            hit.required ? 'Required skill' : 'Nice-to-have skill'
+          )
+        : []
+    ),
+    experience: summarize(
+      requirements ? experienceEvidence(resume, resumeText, jobDescription, requirements, now) : []
+    ),
+    education: summarize(requirements ? educationEvidence(resume, resumeText, jobDescription, requirements) : []),
+    keywords: summarize(
+      hitEvidence([...keywordMatch.matched, ...keywordMatch.missing], resumeText, (hit) =>
+        hit.jdPositions.length > 1 ? `Used ${hit.jdPositions.length}× in the job description` : 'Job description term'
+      )
+    ),
+  };
+};
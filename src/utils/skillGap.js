@@ -0,0 +1,288 @@
+// skillGap.js
+// Turns the analysis's missing keywords into a learning plan: each skill
+// is categorized, ranked by how much the job description stresses it,
+// checked for related experience in the resume and given an effort
+// estimate. Runs locally, so the plan is the same for the same analysis.
+import { keywordKey, termIndex, REQUIRED_WEIGHT, PREFERRED_WEIGHT } from './keywordMatcher.js';
+
+export const CATEGORIES = [
+  {
+    id: 'languages',
+    label: 'Languages',
+    weeks: 8,
+    terms: [
+      'javascript', 'typescript', 'python', 'java', 'go', 'rust', 'ruby', 'php', 'scala', 'kotlin', 'swift',
+      'c', 'c++', 'c#', 'r', 'sql', 'html', 'css', 'sass', 'bash',
+    ],
+  },
+  {
+    id: 'frameworks',
+    label: 'Frameworks & libraries',
+    weeks: 4,
+    terms: [
+      'react', 'angular', 'vue', 'svelte', 'redux', 'node.js', 'next.js', 'express', 'django', 'flask', 'spring',
+      'rails', '.net', 'laravel', 'tailwind', 'jquery', 'graphql',
+    ],
+  },
+  {
+    id: 'cloud',
+    label: 'Cloud & DevOps',
+    weeks: 4,
+    terms: [
+      'amazon web services', 'google cloud', 'microsoft azure', 'docker', 'kubernetes', 'terraform', 'ansible',
+      'jenkins', 'serverless', 'microservices', 'continuous integration', 'continuous delivery', 'linux',
+      'site reliability engineering',
+    ],
+  },
+  {
+    id: 'data',
+    label: 'Data & ML',
+    weeks: 4,
+    terms: [
+      'postgresql', 'mysql', 'mongodb', 'redis', 'elasticsearch', 'kafka', 'rabbitmq', 'dynamodb', 'nosql',
+      'snowflake', 'spark', 'hadoop', 'airflow', 'dbt', 'tableau', 'excel', 'power bi', 'tensorflow', 'pytorch',
+      'pandas', 'numpy', 'scikit-learn', 'keras', 'machine learning', 'deep learning', 'artificial intelligence',
+      'natural language processing', 'computer vision', 'data analysis', 'data science', 'statistics',
+    ],
+  },
+  {
+    id: 'practices',
+    label: 'Tools & practices',
+    weeks: 2,
+    terms: [
+      'git', 'github', 'gitlab', 'rest', 'grpc', 'websockets', 'oauth', 'jwt', 'test-driven development',
+      'unit testing', 'agile', 'scrum', 'kanban', 'jira', 'figma', 'object-oriented programming', 'system design',
+      'distributed systems', 'security', 'accessibility', 'performance', 'quality assurance',
+      'search engine optimization', 'salesforce',
+    ],
+  },
+  {
+    id: 'soft',
+    label: 'Soft skills',
+    weeks: 2,
+    terms: [
+      'leadership', 'communication', 'collaboration', 'mentoring', 'stakeholder management', 'problem solving',
+      'project management', 'product management', 'teamwork', 'ownership', 'presentation',
+    ],
+  },
+  { id: 'other', label: 'Other', weeks: 3, terms: [] },
+];
+
+// Skills whose experience carries over, by the skill they help with
+const ADJACENT = {
+  typescript: ['javascript'],
+  javascript: ['typescript'],
+  'node.js': ['javascript', 'express'],
+  express: ['node.js'],
+  'next.js': ['react'],
+  react: ['vue', 'angular', 'svelte', 'next.js'],
+  vue: ['react', 'angular', 'svelte'],
+  angular: ['react', 'vue', 'typescript'],
+  svelte: ['react', 'vue'],
+  redux: ['react'],
+  django: ['flask', 'python'],
+  flask: ['django', 'python'],
+  spring: ['java', 'kotlin'],
+  kotlin: ['java'],
+  java: ['kotlin', 'c#', 'scala'],
+  'c#': ['java', '.net'],
+  '.net': ['c#'],
+  scala: ['java', 'spark'],
+  go: ['c++', 'rust'],
+  rust: ['c++', 'go', 'c'],
+  'c++': ['c', 'rust'],
+  postgresql: ['mysql', 'sql'],
+  mysql: ['postgresql', 'sql'],
+  sql: ['postgresql', 'mysql'],
+  mongodb: ['dynamodb', 'nosql'],
+  dynamodb: ['mongodb', 'amazon web services'],
+  'amazon web services': ['google cloud', 'microsoft azure'],
+  'google cloud': ['amazon web services', 'microsoft azure'],
+  'microsoft azure': ['amazon web services', 'google cloud'],
+  kubernetes: ['docker'],
+  docker: ['kubernetes'],
+  terraform: ['ansible'],
+  ansible: ['terraform'],
+  jenkins: ['continuous integration', 'github', 'gitlab'],
+  'continuous integration': ['jenkins', 'github', 'gitlab'],
+  graphql: ['rest'],
+  rest: ['graphql', 'grpc'],
+  kafka: ['rabbitmq'],
+  rabbitmq: ['kafka'],
+  spark: ['hadoop', 'pandas'],
+  airflow: ['dbt', 'python'],
+  pytorch: ['tensorflow', 'keras'],
+  tensorflow: ['pytorch', 'keras'],
+  'deep learning': ['machine learning', 'pytorch', 'tensorflow'],
+  'machine learning': ['deep learning', 'statistics', 'scikit-learn'],
+  tableau: ['power bi', 'excel'],
+  'power bi': ['tableau', 'excel'],
+  mentoring: ['leadership'],
+  leadership: ['mentoring', 'project management'],
+  scrum: ['agile', 'kanban'],
+  agile: ['scrum', 'kanban'],
+  kanban: ['scrum', 'agile'],
+  'stakeholder management': ['project management', 'communication'],
+  'system design': ['distributed systems', 'microservices'],
+  'distributed systems': ['microservices', 'system design'],
+  microservices: ['distributed systems', 'docker'],
+};
+
+// Related experience cuts the effort to learn a skill by these factors
+const ADJACENT_FACTOR = 0.4;
+const SAME_CATEGORY_FACTOR = 0.75;
+
+export const PRIORITIES = [
+  { id: 'high', label: 'High' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'low', label: 'Low' },
+];
+
+const CATEGORY_BY_KEY = new Map(
+  CATEGORIES.flatMap((category) => category.terms.map((term) => [keywordKey(term), category]))
+);
+const ADJACENT_BY_KEY = new Map(Object.entries(ADJACENT).map(([term, related]) => [keywordKey(term), related]));
+
+const categoryOf = (key) => CATEGORY_BY_KEY.get(key) || CATEGORIES[CATEGORIES.length - 1];
+
+/**
+ * @typedef {Object} SkillGap
+ * @property {string} term
+ * @property {string} category      CATEGORIES id
+ * @property {'high'|'medium'|'low'} priority
+ * @property {number} importance    JD mentions plus a bonus for required skills
+ * @property {number} mentions      Times the job description mentions it
+ * @property {'required'|'preferred'|null} requirement  From the reviewed requirements
+ * @property {string[]} adjacent    Related skills the resume already shows
+ * @property {string[]} sameCategory  Other skills of the category the resume shows
+ * @property {number} weeks         Effort estimate
+ * @property {string} effort        The estimate as a range, e.g. "1–2 weeks"
+ * @property {string} action        What to do first
+ */
+
+export const effortLabel = (weeks) => {
+  if (weeks <= 1) return 'about a week';
+  if (weeks <= 2) return '1–2 weeks';
+  if (weeks <= 4) return '3–4 weeks';
+  if (weeks <= 8) return '1–2 months';
+  return '2–3 months';
+};
+
+const ACTIONS = {
+  languages: (term, related) =>
+    related
+      ? `Build on your ${related}: rewrite a small project of yours in ${term}.`
+      : `Work through an introductory ${term} course, then build a small project with it.`,
+  frameworks: (term, related) =>
+    related
+      ? `Map what you know from ${related} onto ${term} and build a small app with it.`
+      : `Follow the official ${term} guide and build a small app you can link from your resume.`,
+  cloud: (term, related) =>
+    related
+      ? `Repeat a deployment you did with ${related} using ${term}.`
+      : `Deploy a small project with ${term}; its entry-level certification is a good checkpoint.`,
+  data: (term, related) =>
+    related
+      ? `Redo an analysis or pipeline you built with ${related} using ${term}.`
+      : `Use ${term} in a small data project on a public dataset.`,
+  practices: (term, related) =>
+    related
+      ? `Apply ${term} alongside your ${related} on your next piece of work.`
+      : `Use ${term} on your next project and note what you did for your resume.`,
+  soft: (term, related) =>
+    related
+      ? `Show how your ${related} involved ${term.toLowerCase()} in a resume bullet with a concrete example.`
+      : `Collect a concrete example of ${term.toLowerCase()} from your work and turn it into a resume bullet.`,
+  other: (term) => `Find out how this role uses ${term} and practise it in a small project.`,
+};
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Builds the ranked skill gaps for the analysis's missing keywords.
+ * Keywords the resume does contain are left out (the model can miss
+ * them). `requirements` are the reviewed JobRequirements, when known.
+ * @param {string[]} missingKeywords
+ * @param {string} resumeText
+ * @param {string} jobDescription
+ * @param {import('./jobParser.js').JobRequirements|null} [requirements]
+ * @returns {SkillGap[]}  Highest priority first, quick wins first within a priority
+ */
+export const buildSkillGaps = (missingKeywords, resumeText, jobDescription, requirements = null) => {
+  const resumeTerms = termIndex(resumeText);
+  const jobTerms = termIndex(jobDescription);
+  const requiredKeys = new Set((requirements?.requiredSkills || []).map(keywordKey));
+  const preferredKeys = new Set((requirements?.preferredSkills || []).map(keywordKey));
+  // Related skills as the resume writes them ("JS", not "javascript")
+  const inResume = (terms) => terms.map((term) => resumeTerms.get(keywordKey(term))?.display).filter(Boolean);
+  const seen = new Set();
+
+  return missingKeywords
+    .map((term) => ({ term: term.trim(), key: keywordKey(term) }))
+    .filter(({ key }) => {
+      if (!key || seen.has(key) || resumeTerms.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ term, key }) => {
+      const category = categoryOf(key);
+      const mentions = jobTerms.get(key)?.count || 0;
+      const requirement = requiredKeys.has(key) ? 'required' : preferredKeys.has(key) ? 'preferred' : null;
+      const bonus = requirement === 'required' ? REQUIRED_WEIGHT : requirement === 'preferred' ? PREFERRED_WEIGHT : 0;
+      const priority =
+        requirement === 'required' || (requirement !== 'preferred' && mentions >= 3)
+          ? 'high'
+          : requirement !== 'preferred' && mentions >= 2
+          ? 'medium'
+          : 'low';
+
+      const adjacent = inResume(ADJACENT_BY_KEY.get(key) || []);
+      const sameCategory = inResume(category.terms.filter((other) => keywordKey(other) !== key));
+      const factor = adjacent.length ? ADJACENT_FACTOR : sameCategory.length ? SAME_CATEGORY_FACTOR : 1;
+      const weeks = Math.max(1, Math.round(category.weeks * factor));
+
+      return {
+        term,
+        category: category.id,
+        priority,
+        importance: mentions + bonus,
+        mentions,
+        requirement,
+        adjacent,
+        sameCategory: sameCategory.slice(0, 3),
+        weeks,
+        effort: effortLabel(weeks),
+        action: ACTIONS[category.id](term, adjacent[0]),
+      };
+    })
+    .sort(
+      (a, b) =>
+        PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] || b.importance - a.importance || a.weeks - b.weeks
+    );
+};
+
+/**
+ * The plan as a Markdown checklist, one unchecked item per skill.
+ * @param {SkillGap[]} gaps
+ * @param {string} [title]  Job title for the heading
+ */
+export const skillGapChecklist = (gaps, title = '') => {
+  const labelOf = (list, id) => list.find((item) => item.id === id).label;
+  const lines = gaps.map((gap) => {
+    const details = [
+      `${labelOf(PRIORITIES, gap.priority)} priority`,
+      labelOf(CATEGORIES, gap.category),
+      gap.effort,
+    ].join(', ');
+    return `- [ ] **${gap.term}** (${details}): ${gap.action}`;
+  });
+  const total = gaps.reduce((sum, gap) => sum + gap.weeks, 0);
+  return [
+    `# Learning plan${title ? `: ${title}` : ''}`,
+    '',
+    ...lines,
+    '',
+    `Estimated total: about ${total} week${total === 1 ? '' : 's'} of part-time study.`,
+    '',
+  ].join('\n');
+};
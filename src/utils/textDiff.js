@@ -0,0 +1,91 @@
+// textDiff.js
+// Small text diff helpers for the resume editor: a word-level diff for
+// previewing a suggested edit, and the changed range between two versions
+// of the text for keeping highlight offsets in place while the user types.
+
+// Words and the whitespace between them, so joining the tokens gives back
+// the original string exactly.
+const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Word-level diff of `before` and `after`. Returns a list of
+ * `{ type: 'equal' | 'delete' | 'insert', text }` parts; joining the
+ * equal+delete parts gives `before`, equal+insert gives `after`.
+ */
+export const diffWords = (before, after) => {
+  const allA = tokenize(before);
+  const allB = tokenize(after);
+
+  // Whole-resume comparisons mostly share long runs at both ends; keep
+  // those out of the quadratic table below.
+  let head = 0;
+  while (head < allA.length && head < allB.length && allA[head] === allB[head]) head++;
+  let tail = 0;
+  while (
+    tail < allA.length - head &&
+    tail < allB.length - head &&
+    allA[allA.length - 1 - tail] === allB[allB.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  const a = allA.slice(head, allA.length - tail);
+  const b = allB.slice(head, allB.length - tail);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  if (head) push('equal', allA.slice(0, head).join(''));
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  if (tail) push('equal', allA.slice(allA.length - tail).join(''));
+
+  return parts;
+};
+
+/**
+ * Finds the single region that differs between two versions of a text.
+ * Returns `{ start, oldEnd, newEnd }`: `before.slice(start, oldEnd)` was
+ * replaced by `after.slice(start, newEnd)`. Null when the texts are equal.
+ */
+export const findChangedRange = (before, after) => {
+  if (before === after) return null;
+
+  let start = 0;
+  const minLength = Math.min(before.length, after.length);
+  while (start < minLength && before[start] === after[start]) start++;
+
+  let oldEnd = before.length;
+  let newEnd = after.length;
+  while (oldEnd > start && newEnd > start && before[oldEnd - 1] === after[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  return { start, oldEnd, newEnd };
+};
@@ -1,9 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import fs from 'node:fs'
+import path from 'node:path'
+import { createRequire } from 'node:module'
 
+const require = createRequire(import.meta.url)
+
+// Serves and bundles the English OCR model under /tesseract/ so scanned
+// resumes can be read without downloading anything from a CDN.
+const ocrLangData = () => {
+  const publicPath = 'tesseract/eng.traineddata.gz'
+  const source = path.join(
+    path.dirname(require.resolve('@tesseract.js-data/eng/package.json')),
+    '4.0.0_best_int',
+    'eng.traineddata.gz'
+  )
+
+  return {
+    name: 'ocr-lang-data',
+    configureServer(server) {
+      server.middlewares.use(`/${publicPath}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/octet-stream')
+        fs.createReadStream(source).pipe(res)
+      })
+    },
+    generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: publicPath,
+        source: fs.readFileSync(source),
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), ocrLangData()],
+  server: {
+    // The analysis proxy (npm run server) holds the API keys.
+    proxy: {
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
 })